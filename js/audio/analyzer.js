@@ -8,6 +8,7 @@
  * - Professional dB magnitude display (-120 to 0 dB)
  * - Efficient data processing for real-time visualization
  * - Frequency bin mapping and smoothing
+ * - A, C, Z and ITU-R 468 weighting of the display and the level readout
  */
 
 class FFTAnalyzer {
@@ -25,6 +26,7 @@ class FFTAnalyzer {
         this.windowType = 'hann'; // Window function (not directly supported by Web Audio, for display only)
         this.scaleType = 'logarithmic'; // 'logarithmic' or 'linear'
         this.averagingCount = 1; // Manual averaging
+        this.weighting = 'Z'; // Display and level weighting (WeightingDesign.CURVES)
         
         // Frequency range for display
         this.minFrequency = 20; // Hz
@@ -38,6 +40,7 @@ class FFTAnalyzer {
         this.frequencyData = null;
         this.frequencies = null;
         this.binIndices = null;
+        this.weightingDb = null; // Weighting in dB per bin
         
         // Callbacks
         this.listeners = new Map();
@@ -94,6 +97,17 @@ class FFTAnalyzer {
         
         // Pre-calculate which bins to use for logarithmic display
         this.calculateDisplayBins();
+        this.calculateWeighting();
+    }
+    
+    /**
+     * Pre-calculate the weighting of each bin (-Infinity at DC for A, C and ITU-R 468)
+     */
+    calculateWeighting() {
+        this.weightingDb = new Float32Array(this.frequencies.length);
+        for (let i = 0; i < this.frequencies.length; i++) {
+            this.weightingDb[i] = WeightingDesign.getResponseDb(this.weighting, this.frequencies[i]);
+        }
     }
     
     /**
@@ -224,7 +238,7 @@ class FFTAnalyzer {
         
         for (let x = 0; x < displayWidth; x++) {
             const binIndex = this.binIndices[x];
-            displayData[x] = rawData[binIndex];
+            displayData[x] = rawData[binIndex] + this.weightingDb[binIndex];
         }
         
         // Apply averaging if enabled
@@ -235,6 +249,28 @@ class FFTAnalyzer {
         return displayData;
     }
     
+    /**
+     * Weighted level of the last frame read by getFrequencyData.
+     * The AnalyserNode scales bins by 1/N after a Blackman window, so the
+     * signal's mean square is twice the bin power (DC excluded) divided by the
+     * window's mean square.
+     * @returns {number|null} RMS level in dBFS (a full-scale sine reads 0), null while stopped
+     */
+    getLevel() {
+        if (!this.frequencyData || !this.isActive) {
+            return null;
+        }
+        
+        const windowPower = 0.42 * 0.42 + (0.5 * 0.5 + 0.08 * 0.08) / 2;
+        let power = 0;
+        for (let i = 1; i < this.frequencyData.length; i++) {
+            power += Math.pow(10, (this.frequencyData[i] + this.weightingDb[i]) / 10);
+        }
+        const meanSquare = 2 * power / windowPower;
+        
+        return 10 * Math.log10(2 * meanSquare);
+    }
+    
     /**
      * Apply averaging to frequency data
      * @param {Float32Array} currentData - Current frame data
@@ -306,7 +342,8 @@ class FFTAnalyzer {
             smoothing: this.smoothingTimeConstant,
             windowType: this.windowType,
             scaleType: this.scaleType,
-            averagingCount: this.averagingCount
+            averagingCount: this.averagingCount,
+            weighting: this.weighting
         };
     }
     
@@ -370,6 +407,15 @@ class FFTAnalyzer {
             changed = true;
         }
         
+        if (config.weighting && config.weighting !== this.weighting) {
+            this.weighting = WeightingDesign.getCurve(config.weighting);
+            this.calculateWeighting();
+            // Averaged frames were weighted differently
+            this.averagingBuffer = [];
+            this.averagingIndex = 0;
+            changed = true;
+        }
+        
         if (changed) {
             this.emit('configUpdated', this.getConfig());
         }
@@ -389,6 +435,7 @@ class FFTAnalyzer {
         this.frequencyData = null;
         this.frequencies = null;
         this.binIndices = null;
+        this.weightingDb = null;
         this.listeners.clear();
         
         this.emit('destroyed');
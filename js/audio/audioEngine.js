@@ -104,6 +104,12 @@ class AudioEngine {
      */
     async loadAudioWorklet() {
         try {
+            // Shared noise generation, color shaping and the other track sources must be in the worklet scope before the processor
+            await this.audioContext.audioWorklet.addModule('js/audio/noiseRandom.js');
+            await this.audioContext.audioWorklet.addModule('js/audio/noiseColors.js');
+            await this.audioContext.audioWorklet.addModule('js/audio/measurementSources.js');
+            await this.audioContext.audioWorklet.addModule('js/audio/testSignals.js');
+            await this.audioContext.audioWorklet.addModule('js/audio/audioFileSource.js');
             await this.audioContext.audioWorklet.addModule('worklets/noise-processor.js');
             this.emit('workletLoaded');
         } catch (error) {
@@ -113,14 +119,17 @@ class AudioEngine {
     
     /**
      * Create and configure a noise generator node
+     * @param {number} channels - Number of output channels (1 = mono, 2 = stereo, ...)
      */
-    createNoiseGenerator() {
+    createNoiseGenerator(channels = 1) {
         if (!this.isInitialized) {
             throw new Error('Audio engine not initialized');
         }
         
         try {
-            const noiseNode = new AudioWorkletNode(this.audioContext, 'noise-processor');
+            const noiseNode = new AudioWorkletNode(this.audioContext, 'noise-processor', {
+                outputChannelCount: [channels]
+            });
             
             // Handle messages from the processor
             noiseNode.port.onmessage = (event) => {
@@ -0,0 +1,190 @@
+/**
+ * NoiseShaper Web - Audio File Source
+ * Plays decoded audio file data through the track source interface
+ *
+ * Shared by the noise AudioWorklet, SimpleAudioExporter and the FFT export
+ * worker. The decoded channel data is handed to each context as plain
+ * Float32Arrays at that context's sample rate (the AudioContext rate live,
+ * the export rate when rendering), and every sample is a function of its
+ * absolute position, so live playback and all export paths play the same file.
+ *
+ * Features:
+ * - Any format decodeAudioData understands (WAV, FLAC, MP3, ...)
+ * - Start offset, looping from the offset and level trim in dB
+ * - File channels map onto track channels (wrapping when the track has more)
+ * - Same stream interface as SeededNoiseSource (next, seek, fill)
+ */
+
+class AudioFileSource {
+    /**
+     * Default playback settings
+     * - loop: restart at the offset when the file ends (otherwise silence)
+     * - offset: start position in the file in seconds
+     * - gain: level trim in dB
+     */
+    static get DEFAULTS() {
+        return { loop: true, offset: 0, gain: 0 };
+    }
+
+    /**
+     * Level trim range in dB
+     */
+    static get GAIN_RANGE() {
+        return { min: -60, max: 24 };
+    }
+
+    /**
+     * Source reads each output channel from its own file channel
+     */
+    static get MULTICHANNEL() {
+        return true;
+    }
+
+    /**
+     * Merge playback settings with the defaults and check them
+     * @param {Object} settings - Partial playback settings
+     * @returns {Object} Complete playback settings
+     */
+    static validateSettings(settings = {}) {
+        const merged = { ...AudioFileSource.DEFAULTS, ...settings };
+        const { min, max } = AudioFileSource.GAIN_RANGE;
+
+        if (typeof merged.loop !== 'boolean') {
+            throw new Error(`Invalid file loop setting: ${merged.loop}`);
+        }
+        if (!(merged.offset >= 0) || !Number.isFinite(merged.offset)) {
+            throw new Error(`Invalid file offset: ${merged.offset} s`);
+        }
+        if (!(merged.gain >= min && merged.gain <= max)) {
+            throw new Error(`Invalid file gain: ${merged.gain} dB (${min} to ${max} dB)`);
+        }
+
+        return merged;
+    }
+
+    /**
+     * Extract plain channel data from a decoded AudioBuffer
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @returns {Object} { sampleRate, channels: Float32Array[] }
+     */
+    static fromAudioBuffer(audioBuffer) {
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c).slice());
+        }
+        return { sampleRate: audioBuffer.sampleRate, channels };
+    }
+
+    /**
+     * Resample file data with an OfflineAudioContext (main thread only)
+     * @param {Object} fileData - { sampleRate, channels: Float32Array[] }
+     * @param {number} sampleRate - Target sample rate in Hz
+     * @returns {Promise<Object>} { sampleRate, channels: Float32Array[] } at the target rate
+     */
+    static async resample(fileData, sampleRate) {
+        if (fileData.sampleRate === sampleRate) {
+            return fileData;
+        }
+
+        const sourceLength = fileData.channels[0].length;
+        const length = Math.max(1, Math.round(sourceLength * sampleRate / fileData.sampleRate));
+        const context = new OfflineAudioContext(fileData.channels.length, length, sampleRate);
+
+        const buffer = context.createBuffer(fileData.channels.length, sourceLength, fileData.sampleRate);
+        fileData.channels.forEach((channel, c) => buffer.copyToChannel(channel, c));
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.start();
+
+        return AudioFileSource.fromAudioBuffer(await context.startRendering());
+    }
+
+    /**
+     * Repetition period of a looping file in samples
+     * @param {Object} options - { fileData, file, sampleRate }
+     * @returns {number|null} Loop length at the given sample rate, null when not looping or without data
+     */
+    static getPeriodLength(options) {
+        const file = AudioFileSource.validateSettings(options.file);
+        const fileData = options.fileData;
+        if (!file.loop || !fileData || fileData.channels.length === 0 || fileData.channels[0].length === 0) {
+            return null;
+        }
+
+        const length = fileData.channels[0].length;
+        const offset = Math.min(Math.round(file.offset * fileData.sampleRate), length - 1);
+        const sampleRate = options.sampleRate || fileData.sampleRate;
+        return Math.max(1, Math.round((length - offset) * sampleRate / fileData.sampleRate));
+    }
+
+    /**
+     * @param {number} seed - Unused, files play the same for every seed
+     * @param {number} startSample - Absolute sample position to start from
+     * @param {Object} options - { fileData, file, channel, sampleRate }
+     *   fileData must already be at the stream sample rate
+     */
+    constructor(seed, startSample = 0, options = {}) {
+        const file = AudioFileSource.validateSettings(options.file);
+        const fileData = options.fileData;
+
+        if (!fileData || fileData.channels.length === 0 || fileData.channels[0].length === 0) {
+            throw new Error('No audio file loaded');
+        }
+        if (options.sampleRate && fileData.sampleRate !== options.sampleRate) {
+            throw new Error(`Audio file data is at ${fileData.sampleRate} Hz, expected ${options.sampleRate} Hz`);
+        }
+
+        this.seeded = false;
+        this.data = fileData.channels[(options.channel || 0) % fileData.channels.length];
+        this.loop = file.loop;
+        this.offset = Math.min(Math.round(file.offset * fileData.sampleRate), this.data.length - 1);
+        this.loopLength = this.data.length - this.offset;
+        this.amplitude = Math.pow(10, file.gain / 20);
+
+        this.seek(startSample);
+    }
+
+    /**
+     * Jump to an absolute sample position
+     * @param {number} position - Absolute sample position
+     */
+    seek(position) {
+        if (this.loop) {
+            this.position = this.offset + position % this.loopLength;
+        } else {
+            this.position = this.offset + position;
+        }
+    }
+
+    /**
+     * Next sample of the file
+     * @returns {number} File sample (silence after the end unless looping)
+     */
+    next() {
+        if (this.position >= this.data.length) {
+            if (!this.loop) {
+                return 0;
+            }
+            this.position = this.offset;
+        }
+
+        return this.data[this.position++] * this.amplitude;
+    }
+
+    /**
+     * Fill a buffer with the next samples
+     * @param {Float32Array} buffer - Buffer to fill
+     * @returns {Float32Array} The filled buffer
+     */
+    fill(buffer) {
+        for (let i = 0; i < buffer.length; i++) {
+            buffer[i] = this.next();
+        }
+        return buffer;
+    }
+}
+
+// Export for use in other modules (main thread, Web Workers and the AudioWorklet scope)
+globalThis.AudioFileSource = AudioFileSource;
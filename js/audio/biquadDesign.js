@@ -0,0 +1,265 @@
+/**
+ * NoiseShaper Web - Biquad Filter Design
+ * Offline counterpart of the Web Audio BiquadFilterNode
+ *
+ * Shared by SimpleAudioExporter and the FFT export worker so that standard
+ * filters render in export exactly as they sound live. Coefficients follow
+ * the BiquadFilterNode section of the Web Audio API specification (Audio EQ
+ * Cookbook formulas, with lowpass/highpass Q given in dB).
+ *
+ * Features:
+ * - Lowpass, highpass, bandpass, notch, allpass, peaking, lowshelf, highshelf
+ * - Normalized coefficients and magnitude response for any frequency list
+ * - Transposed direct form II processing in double precision, with
+ *   resumable state for chunked rendering
+ */
+
+class BiquadDesign {
+    /**
+     * Filter types matching BiquadFilterNode.type
+     */
+    static get TYPES() {
+        return ['lowpass', 'highpass', 'bandpass', 'notch', 'allpass', 'peaking', 'lowshelf', 'highshelf'];
+    }
+
+    /**
+     * Check whether a filter type is a standard biquad
+     * @param {string} type - Filter type
+     * @returns {boolean} True for BiquadFilterNode types
+     */
+    static isBiquadType(type) {
+        return BiquadDesign.TYPES.includes(type);
+    }
+
+    /**
+     * Compute normalized coefficients (a0 = 1) the way BiquadFilterNode does
+     * @param {string} type - One of TYPES
+     * @param {number} frequency - Frequency in Hz
+     * @param {number} Q - Quality factor (in dB for lowpass and highpass)
+     * @param {number} gain - Gain in dB (peaking and shelving types)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { b0, b1, b2, a1, a2 }
+     */
+    static getCoefficients(type, frequency, Q, gain, sampleRate) {
+        if (!BiquadDesign.isBiquadType(type)) {
+            throw new Error(`Unknown biquad type: ${type}`);
+        }
+
+        const nyquist = sampleRate / 2;
+        const f0 = Math.max(0, Math.min(frequency, nyquist));
+        const normalized = f0 / nyquist;
+        const A = Math.pow(10, gain / 40);
+
+        // Limits the specification defines where the cookbook formulas degenerate
+        const edge = BiquadDesign.getEdgeCoefficients(type, normalized, Q, A);
+        if (edge) {
+            return edge;
+        }
+
+        const w0 = Math.PI * normalized;
+        const cosW0 = Math.cos(w0);
+        const sinW0 = Math.sin(w0);
+        const alphaQ = sinW0 / (2 * Q);
+        const alphaQdB = sinW0 / (2 * Math.pow(10, Q / 20));
+        const alphaS = (sinW0 / 2) * Math.SQRT2; // Shelf slope S = 1
+
+        let b0, b1, b2, a0, a1, a2;
+
+        switch (type) {
+            case 'lowpass':
+                b0 = (1 - cosW0) / 2;
+                b1 = 1 - cosW0;
+                b2 = (1 - cosW0) / 2;
+                a0 = 1 + alphaQdB;
+                a1 = -2 * cosW0;
+                a2 = 1 - alphaQdB;
+                break;
+            case 'highpass':
+                b0 = (1 + cosW0) / 2;
+                b1 = -(1 + cosW0);
+                b2 = (1 + cosW0) / 2;
+                a0 = 1 + alphaQdB;
+                a1 = -2 * cosW0;
+                a2 = 1 - alphaQdB;
+                break;
+            case 'bandpass':
+                b0 = alphaQ;
+                b1 = 0;
+                b2 = -alphaQ;
+                a0 = 1 + alphaQ;
+                a1 = -2 * cosW0;
+                a2 = 1 - alphaQ;
+                break;
+            case 'notch':
+                b0 = 1;
+                b1 = -2 * cosW0;
+                b2 = 1;
+                a0 = 1 + alphaQ;
+                a1 = -2 * cosW0;
+                a2 = 1 - alphaQ;
+                break;
+            case 'allpass':
+                b0 = 1 - alphaQ;
+                b1 = -2 * cosW0;
+                b2 = 1 + alphaQ;
+                a0 = 1 + alphaQ;
+                a1 = -2 * cosW0;
+                a2 = 1 - alphaQ;
+                break;
+            case 'peaking':
+                b0 = 1 + alphaQ * A;
+                b1 = -2 * cosW0;
+                b2 = 1 - alphaQ * A;
+                a0 = 1 + alphaQ / A;
+                a1 = -2 * cosW0;
+                a2 = 1 - alphaQ / A;
+                break;
+            case 'lowshelf': {
+                const twoSqrtAAlpha = 2 * Math.sqrt(A) * alphaS;
+                b0 = A * ((A + 1) - (A - 1) * cosW0 + twoSqrtAAlpha);
+                b1 = 2 * A * ((A - 1) - (A + 1) * cosW0);
+                b2 = A * ((A + 1) - (A - 1) * cosW0 - twoSqrtAAlpha);
+                a0 = (A + 1) + (A - 1) * cosW0 + twoSqrtAAlpha;
+                a1 = -2 * ((A - 1) + (A + 1) * cosW0);
+                a2 = (A + 1) + (A - 1) * cosW0 - twoSqrtAAlpha;
+                break;
+            }
+            case 'highshelf': {
+                const twoSqrtAAlpha = 2 * Math.sqrt(A) * alphaS;
+                b0 = A * ((A + 1) + (A - 1) * cosW0 + twoSqrtAAlpha);
+                b1 = -2 * A * ((A - 1) + (A + 1) * cosW0);
+                b2 = A * ((A + 1) + (A - 1) * cosW0 - twoSqrtAAlpha);
+                a0 = (A + 1) - (A - 1) * cosW0 + twoSqrtAAlpha;
+                a1 = 2 * ((A - 1) - (A + 1) * cosW0);
+                a2 = (A + 1) - (A - 1) * cosW0 - twoSqrtAAlpha;
+                break;
+            }
+        }
+
+        return { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: a1 / a0, a2: a2 / a0 };
+    }
+
+    /**
+     * Coefficients at frequency 0, Nyquist or Q = 0, where BiquadFilterNode
+     * switches to fixed gains instead of the cookbook formulas
+     * @param {string} type - Filter type
+     * @param {number} normalized - Frequency divided by Nyquist (0-1)
+     * @param {number} Q - Quality factor
+     * @param {number} A - Square root of the linear gain
+     * @returns {Object|null} Coefficients, or null when the formulas apply
+     */
+    static getEdgeCoefficients(type, normalized, Q, A) {
+        const gain = value => ({ b0: value, b1: 0, b2: 0, a1: 0, a2: 0 });
+
+        switch (type) {
+            case 'lowpass':
+                if (normalized >= 1) return gain(1);
+                if (normalized <= 0) return gain(0);
+                return null;
+            case 'highpass':
+                if (normalized >= 1) return gain(0);
+                if (normalized <= 0) return gain(1);
+                return null;
+            case 'bandpass':
+                if (normalized <= 0 || normalized >= 1) return gain(0);
+                if (Q <= 0) return gain(1);
+                return null;
+            case 'notch':
+                if (normalized <= 0 || normalized >= 1) return gain(1);
+                if (Q <= 0) return gain(0);
+                return null;
+            case 'allpass':
+                if (normalized <= 0 || normalized >= 1) return gain(1);
+                if (Q <= 0) return gain(-1);
+                return null;
+            case 'peaking':
+                if (normalized <= 0 || normalized >= 1) return gain(1);
+                if (Q <= 0) return gain(A * A);
+                return null;
+            case 'lowshelf':
+                if (normalized >= 1) return gain(A * A);
+                if (normalized <= 0) return gain(1);
+                return null;
+            case 'highshelf':
+                if (normalized >= 1) return gain(1);
+                if (normalized <= 0) return gain(A * A);
+                return null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Coefficients for a standard filter from its export configuration
+     * @param {Object} filter - { type, frequency, Q, gain }
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { b0, b1, b2, a1, a2 }
+     */
+    static fromConfig(filter, sampleRate) {
+        return BiquadDesign.getCoefficients(
+            filter.type,
+            filter.frequency !== undefined ? filter.frequency : 350,
+            filter.Q !== undefined ? filter.Q : 1,
+            filter.gain || 0,
+            sampleRate
+        );
+    }
+
+    /**
+     * Magnitude response at a list of frequencies (like BiquadFilterNode.getFrequencyResponse)
+     * @param {Object} coefficients - { b0, b1, b2, a1, a2 }
+     * @param {ArrayLike<number>} frequencies - Frequencies in Hz
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Float32Array} Linear magnitude per frequency
+     */
+    static getMagnitudeResponse(coefficients, frequencies, sampleRate) {
+        const { b0, b1, b2, a1, a2 } = coefficients;
+        const magnitude = new Float32Array(frequencies.length);
+
+        for (let i = 0; i < frequencies.length; i++) {
+            const w = 2 * Math.PI * frequencies[i] / sampleRate;
+            const cos1 = Math.cos(w);
+            const sin1 = Math.sin(w);
+            const cos2 = Math.cos(2 * w);
+            const sin2 = Math.sin(2 * w);
+
+            // H(e^jw) = (b0 + b1 e^-jw + b2 e^-2jw) / (1 + a1 e^-jw + a2 e^-2jw)
+            const numReal = b0 + b1 * cos1 + b2 * cos2;
+            const numImag = -(b1 * sin1 + b2 * sin2);
+            const denReal = 1 + a1 * cos1 + a2 * cos2;
+            const denImag = -(a1 * sin1 + a2 * sin2);
+
+            magnitude[i] = Math.sqrt((numReal * numReal + numImag * numImag) / (denReal * denReal + denImag * denImag));
+        }
+
+        return magnitude;
+    }
+
+    /**
+     * Filter a buffer in place (transposed direct form II)
+     * @param {Float32Array} data - Samples, overwritten with the filtered signal
+     * @param {Object} coefficients - { b0, b1, b2, a1, a2 }
+     * @param {Float64Array} state - Two state variables, carried across calls for continuous output
+     * @returns {Float32Array} The filtered buffer
+     */
+    static process(data, coefficients, state = new Float64Array(2)) {
+        const { b0, b1, b2, a1, a2 } = coefficients;
+        let z1 = state[0];
+        let z2 = state[1];
+
+        for (let i = 0; i < data.length; i++) {
+            const x = data[i];
+            const y = b0 * x + z1;
+            z1 = b1 * x - a1 * y + z2;
+            z2 = b2 * x - a2 * y;
+            data[i] = y;
+        }
+
+        state[0] = z1;
+        state[1] = z2;
+        return data;
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.BiquadDesign = BiquadDesign;
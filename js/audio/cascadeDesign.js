@@ -0,0 +1,441 @@
+/**
+ * NoiseShaper Web - Cascade Filter Design
+ * Filters realized as a series of biquad sections
+ *
+ * Shared by the live filter chain (as IIRFilterNodes), SimpleAudioExporter
+ * and the FFT export worker, so cascade filters sound the same live and in
+ * export. Sections use the { b0, b1, b2, a1, a2 } form of BiquadDesign;
+ * custom transfer functions add direct-form sections { b, a } of any order.
+ *
+ * Features:
+ * - Tilt filter: constant dB/octave slope around a pivot frequency
+ * - Butterworth, Linkwitz-Riley, Chebyshev and Bessel filters (FilterFamilyDesign)
+ * - Custom IIR coefficients (CustomIIRDesign)
+ * - Multi-band parametric EQ (ParametricEQDesign)
+ * - Third-octave and octave graphic EQ (GraphicEQDesign)
+ * - IEC 61260-1 fractional-octave band filters (OctaveBandDesign)
+ * - A, C, Z and ITU-R 468 weighting filters (WeightingDesign)
+ * - Harmonic notch banks (HarmonicNotchDesign)
+ * - Magnitude response of a section cascade
+ * - Cascade processing with resumable per-section state
+ */
+
+class CascadeDesign {
+    /**
+     * Filter types designed as section cascades
+     */
+    static get TYPES() {
+        return ['tilt', ...FilterFamilyDesign.TYPES, ...CustomIIRDesign.TYPES, ...ParametricEQDesign.TYPES, ...GraphicEQDesign.TYPES,
+            ...OctaveBandDesign.TYPES, ...WeightingDesign.TYPES, ...HarmonicNotchDesign.TYPES];
+    }
+
+    /**
+     * Check whether a filter type is a section cascade
+     * @param {string} type - Filter type
+     * @returns {boolean} True for cascade filter types
+     */
+    static isCascadeType(type) {
+        return CascadeDesign.TYPES.includes(type);
+    }
+
+    /**
+     * Default configuration of a cascade filter (its design parameters)
+     * @param {string} type - One of TYPES
+     * @returns {Object} Parameters with their defaults
+     */
+    static getDefaultConfig(type) {
+        if (type === 'tilt') {
+            return { slope: -3, pivot: 1000 };
+        }
+        if (CustomIIRDesign.isCustomType(type)) {
+            return CustomIIRDesign.getDefaultConfig();
+        }
+        if (ParametricEQDesign.isEQType(type)) {
+            return ParametricEQDesign.getDefaultConfig();
+        }
+        if (GraphicEQDesign.isGraphicEQType(type)) {
+            return GraphicEQDesign.getDefaultConfig();
+        }
+        if (OctaveBandDesign.isOctaveBandType(type)) {
+            return OctaveBandDesign.getDefaultConfig();
+        }
+        if (WeightingDesign.isWeightingType(type)) {
+            return WeightingDesign.getDefaultConfig();
+        }
+        if (HarmonicNotchDesign.isHarmonicNotchType(type)) {
+            return HarmonicNotchDesign.getDefaultConfig();
+        }
+        return FilterFamilyDesign.getDefaultConfig(type);
+    }
+
+    /**
+     * Design the sections of a cascade filter from its configuration
+     * @param {Object} filter - Filter configuration with a cascade type
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object[]} Sections; empty for a flat response
+     * @throws {Error} For custom coefficients that are unreadable or unstable
+     */
+    static designSections(filter, sampleRate) {
+        switch (filter.type) {
+            case 'tilt':
+                return CascadeDesign.designTilt(
+                    filter.slope !== undefined ? filter.slope : -3,
+                    filter.pivot || 1000,
+                    sampleRate
+                );
+            case 'customIIR':
+                return CustomIIRDesign.designSections(filter);
+            case 'parametricEQ':
+                return ParametricEQDesign.designSections(filter, sampleRate);
+            case 'graphicEQ':
+                return GraphicEQDesign.designSections(filter, sampleRate);
+            case 'octaveBand':
+                return OctaveBandDesign.designSections(filter, sampleRate);
+            case 'weighting':
+                return WeightingDesign.designSections(filter, sampleRate);
+            case 'harmonicNotch':
+                return HarmonicNotchDesign.designSections(filter, sampleRate);
+            default:
+                if (FilterFamilyDesign.isFamilyType(filter.type)) {
+                    return FilterFamilyDesign.designSections(filter, sampleRate);
+                }
+                throw new Error(`Unknown cascade filter type: ${filter.type}`);
+        }
+    }
+
+    /**
+     * Design a tilt filter with unity gain at the pivot frequency
+     * @param {number} slope - Slope in dB per octave (-3 = pink, -6 = brown)
+     * @param {number} pivot - Frequency in Hz left at 0 dB
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object[]} Sections { b0, b1, b2, a1, a2 }
+     */
+    static designTilt(slope, pivot, sampleRate) {
+        if (slope === 0) {
+            return [];
+        }
+
+        const { poles, zeros } = CascadeDesign.getTiltRoots(slope, sampleRate);
+
+        // Pair the first-order sections into biquads
+        const sections = [];
+        for (let i = 0; i < poles.length; i += 2) {
+            const p2 = i + 1 < poles.length ? poles[i + 1] : 0;
+            const z2 = i + 1 < zeros.length ? zeros[i + 1] : 0;
+            sections.push({
+                b0: 1,
+                b1: -(zeros[i] + z2),
+                b2: zeros[i] * z2,
+                a1: -(poles[i] + p2),
+                a2: poles[i] * p2
+            });
+        }
+
+        // Scale the first section so the pivot passes at 0 dB
+        const w = 2 * Math.PI * Math.min(pivot, sampleRate / 2) / sampleRate;
+        const pivotDb = CascadeDesign.getRootsLogMagnitude(poles, zeros, Math.cos(w));
+        const scale = Math.pow(10, -pivotDb / 20);
+        sections[0].b0 *= scale;
+        sections[0].b1 *= scale;
+        sections[0].b2 *= scale;
+
+        return sections;
+    }
+
+    /**
+     * Real poles and zeros of a tilt shape, cached per slope and sample rate.
+     * One pole/zero pair per octave from 5 Hz to Nyquist, each zero placed
+     * 2^(slope/6.02) octaves from its pole (matched z-transform). Slopes beyond
+     * 6 dB/oct stack several such ladders. The pairs near both ends of the band,
+     * where the matched design bends away from the slope, are then refined by
+     * least squares so the response stays within about 0.2 dB of the target
+     * from 20 Hz to 20 kHz.
+     * @param {number} slope - Slope in dB per octave
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { poles: number[], zeros: number[] }
+     */
+    static getTiltRoots(slope, sampleRate) {
+        if (!CascadeDesign.tiltCache) {
+            CascadeDesign.tiltCache = new Map();
+        }
+
+        const key = `${slope}:${sampleRate}`;
+        if (CascadeDesign.tiltCache.has(key)) {
+            return CascadeDesign.tiltCache.get(key);
+        }
+
+        const octaves = slope / (20 * Math.log10(2));
+        const ladders = Math.max(1, Math.ceil(Math.abs(octaves) - 1e-9));
+        const spacing = octaves / ladders;
+        const toRoot = frequency => Math.exp(-2 * Math.PI * frequency / sampleRate);
+
+        const poles = [];
+        const zeros = [];
+        for (let ladder = 0; ladder < ladders; ladder++) {
+            for (let frequency = 5; frequency < sampleRate / 2; frequency *= 2) {
+                poles.push(toRoot(frequency));
+                zeros.push(toRoot(frequency * Math.pow(2, -spacing)));
+            }
+        }
+
+        const roots = CascadeDesign.refineTiltRoots(poles, zeros, slope, sampleRate);
+        CascadeDesign.tiltCache.set(key, roots);
+        return roots;
+    }
+
+    /**
+     * Levenberg-Marquardt fit of the band-edge roots to the slope on a
+     * 1/6-octave grid. The fit ignores the overall level (set by the pivot).
+     * @param {number[]} poles - Initial poles
+     * @param {number[]} zeros - Initial zeros
+     * @param {number} slope - Slope in dB per octave
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { poles: number[], zeros: number[] }
+     */
+    static refineTiltRoots(poles, zeros, slope, sampleRate) {
+        const rootFrequency = root => -Math.log(root) * sampleRate / (2 * Math.PI);
+        const free = [];
+        poles.forEach((pole, i) => {
+            const frequency = rootFrequency(pole);
+            if (frequency < 60 || frequency > sampleRate / 16) {
+                free.push(i);
+            }
+        });
+
+        const topFrequency = Math.min(20000, 0.45 * sampleRate);
+        const grid = [];
+        for (let frequency = 20; frequency <= topFrequency; frequency *= Math.pow(2, 1 / 6)) {
+            grid.push(Math.cos(2 * Math.PI * frequency / sampleRate));
+        }
+        const target = grid.map((cosW, i) => slope * i / 6);
+
+        // Parameters: the free poles followed by their zeros
+        const unpack = params => {
+            const p = poles.slice();
+            const z = zeros.slice();
+            free.forEach((index, k) => {
+                p[index] = params[k];
+                z[index] = params[k + free.length];
+            });
+            return { p, z };
+        };
+
+        // Residuals with their mean removed (level is free)
+        const centre = values => {
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            return values.map(value => value - mean);
+        };
+        const residuals = params => {
+            const { p, z } = unpack(params);
+            return centre(grid.map((cosW, i) => CascadeDesign.getRootsLogMagnitude(p, z, cosW) - target[i]));
+        };
+
+        // d/dr of 10*log10(1 - 2r*cos(w) + r^2); poles enter with the opposite sign
+        const dbPerNeper = 10 / Math.LN10;
+        const jacobian = params => params.map((root, k) => {
+            const sign = k < free.length ? -1 : 1;
+            return centre(grid.map(cosW => sign * dbPerNeper * (2 * root - 2 * cosW) / (1 - 2 * root * cosW + root * root)));
+        });
+
+        let params = [...free.map(i => poles[i]), ...free.map(i => zeros[i])];
+        let error = residuals(params);
+        let cost = error.reduce((sum, value) => sum + value * value, 0);
+        let damping = 1e-2;
+
+        for (let iteration = 0; iteration < 30 && params.length > 0; iteration++) {
+            const J = jacobian(params);
+            const normal = J.map(row => J.map(column => row.reduce((sum, value, i) => sum + value * column[i], 0)));
+            const gradient = J.map(row => row.reduce((sum, value, i) => sum + value * error[i], 0));
+
+            while (damping < 1e8) {
+                const damped = normal.map((row, i) => row.map((value, j) => i === j ? value * (1 + damping) + 1e-12 : value));
+                const step = CascadeDesign.solveLinearSystem(damped, gradient.map(value => -value));
+
+                // Keep every root real, inside the unit circle and below Nyquist
+                const candidate = params.map((value, i) => Math.max(-0.99, Math.min(0.999999, value + step[i])));
+                const candidateError = residuals(candidate);
+                const candidateCost = candidateError.reduce((sum, value) => sum + value * value, 0);
+
+                if (candidateCost < cost) {
+                    params = candidate;
+                    error = candidateError;
+                    cost = candidateCost;
+                    damping /= 3;
+                    break;
+                }
+                damping *= 4;
+            }
+        }
+
+        const { p, z } = unpack(params);
+        return { poles: p, zeros: z };
+    }
+
+    /**
+     * Gain in dB of first-order sections (1 - z/x) / (1 - p/x) at one frequency
+     * @param {number[]} poles - Real poles
+     * @param {number[]} zeros - Real zeros
+     * @param {number} cosW - Cosine of the normalized angular frequency
+     * @returns {number} Gain in dB
+     */
+    static getRootsLogMagnitude(poles, zeros, cosW) {
+        const power = root => 1 - 2 * root * cosW + root * root;
+        let logPower = 0;
+        zeros.forEach(zero => { logPower += Math.log(power(zero)); });
+        poles.forEach(pole => { logPower -= Math.log(power(pole)); });
+        return 10 * logPower / Math.LN10;
+    }
+
+    /**
+     * Solve a small dense linear system (Gaussian elimination, partial pivoting)
+     * @param {number[][]} matrix - Square matrix
+     * @param {number[]} vector - Right-hand side
+     * @returns {number[]} Solution
+     */
+    static solveLinearSystem(matrix, vector) {
+        const n = vector.length;
+        const rows = matrix.map((row, i) => [...row, vector[i]]);
+
+        for (let column = 0; column < n; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < n; row++) {
+                if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+                    pivot = row;
+                }
+            }
+            [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+            for (let row = column + 1; row < n; row++) {
+                const factor = rows[row][column] / rows[column][column];
+                for (let k = column; k <= n; k++) {
+                    rows[row][k] -= factor * rows[column][k];
+                }
+            }
+        }
+
+        const solution = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = rows[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= rows[row][k] * solution[k];
+            }
+            solution[row] = sum / rows[row][row];
+        }
+        return solution;
+    }
+
+    /**
+     * Feedforward and feedback coefficients of a section (as IIRFilterNode takes them)
+     * @param {Object} section - { b0, b1, b2, a1, a2 } or { b, a }
+     * @returns {Object} { b: number[], a: number[] } with a[0] = 1
+     */
+    static getPolynomials(section) {
+        if (section.b) {
+            return { b: section.b, a: section.a };
+        }
+        return { b: [section.b0, section.b1, section.b2], a: [1, section.a1, section.a2] };
+    }
+
+    /**
+     * Zeroed filter state for each section
+     * @param {Object[]} sections - Sections
+     * @returns {Float64Array[]} One state array per section
+     */
+    static createStates(sections) {
+        return sections.map(section => new Float64Array(
+            section.b ? Math.max(section.b.length, section.a.length) - 1 : 2
+        ));
+    }
+
+    /**
+     * Magnitude response of a section cascade
+     * @param {Object[]} sections - Sections
+     * @param {ArrayLike<number>} frequencies - Frequencies in Hz
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Float32Array} Linear magnitude per frequency
+     */
+    static getMagnitudeResponse(sections, frequencies, sampleRate) {
+        const magnitude = new Float32Array(frequencies.length).fill(1);
+        sections.forEach(section => {
+            const response = section.b
+                ? CascadeDesign.getDirectFormResponse(section, frequencies, sampleRate)
+                : BiquadDesign.getMagnitudeResponse(section, frequencies, sampleRate);
+            for (let i = 0; i < magnitude.length; i++) {
+                magnitude[i] *= response[i];
+            }
+        });
+        return magnitude;
+    }
+
+    /**
+     * Magnitude response of a direct-form section
+     * @param {Object} section - { b, a }
+     * @param {ArrayLike<number>} frequencies - Frequencies in Hz
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Float32Array} Linear magnitude per frequency
+     */
+    static getDirectFormResponse(section, frequencies, sampleRate) {
+        const evaluate = (coefficients, w) => {
+            let re = 0;
+            let im = 0;
+            coefficients.forEach((value, k) => {
+                re += value * Math.cos(k * w);
+                im -= value * Math.sin(k * w);
+            });
+            return Math.hypot(re, im);
+        };
+
+        return Float32Array.from(frequencies, frequency => {
+            const w = 2 * Math.PI * frequency / sampleRate;
+            return evaluate(section.b, w) / evaluate(section.a, w);
+        });
+    }
+
+    /**
+     * Filter a buffer in place through every section
+     * @param {Float32Array} data - Samples, overwritten with the filtered signal
+     * @param {Object[]} sections - Sections
+     * @param {Float64Array[]} states - State per section (createStates), carried across calls
+     * @returns {Float32Array} The filtered buffer
+     */
+    static process(data, sections, states) {
+        sections.forEach((section, i) => {
+            if (section.b) {
+                CascadeDesign.processDirectForm(data, section, states[i]);
+            } else {
+                BiquadDesign.process(data, section, states[i]);
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Filter a buffer in place with a direct-form section (transposed direct form II)
+     * @param {Float32Array} data - Samples, overwritten with the filtered signal
+     * @param {Object} section - { b, a } with a[0] = 1
+     * @param {Float64Array} state - One state variable per order
+     * @returns {Float32Array} The filtered buffer
+     */
+    static processDirectForm(data, section, state) {
+        const order = state.length;
+        const b = Array.from({ length: order + 1 }, (_, k) => section.b[k] || 0);
+        const a = Array.from({ length: order + 1 }, (_, k) => section.a[k] || 0);
+
+        for (let i = 0; i < data.length; i++) {
+            const x = data[i];
+            const y = b[0] * x + (order > 0 ? state[0] : 0);
+            for (let k = 0; k < order - 1; k++) {
+                state[k] = b[k + 1] * x - a[k + 1] * y + state[k + 1];
+            }
+            if (order > 0) {
+                state[order - 1] = b[order] * x - a[order] * y;
+            }
+            data[i] = y;
+        }
+
+        return data;
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.CascadeDesign = CascadeDesign;
@@ -0,0 +1,211 @@
+/**
+ * NoiseShaper Web - Convolution Filter Design
+ * Measured impulse responses (rooms, headphones, speakers) as filter kernels
+ *
+ * The impulse response is kept as decoded channel data with the filter
+ * configuration, like an audio file source, so the filter carries its IR
+ * wherever the configuration goes. Trimming, the tail fade, normalization,
+ * predelay and the wet/dry mix are all folded into one kernel per IR channel
+ * (the dry signal is a unit impulse at the start), so the live ConvolverNodes
+ * and the export's FFT convolution apply exactly the same response.
+ * IR channel c filters track channel c, wrapping when the track has more;
+ * IR channels beyond the track's are unused (a track keeps its channel count).
+ *
+ * Features:
+ * - Any IR format decodeAudioData understands (WAV, FLAC, ...), up to MAX_DURATION
+ * - Unit energy (keeps the noise level), peak or no normalization
+ * - Tail trim with a raised-cosine fade, predelay of the wet signal, wet/dry mix
+ */
+
+class ConvolutionFilterDesign {
+    /**
+     * Filter types that convolve with an impulse response
+     */
+    static get TYPES() {
+        return ['convolution'];
+    }
+
+    /**
+     * Normalization modes
+     */
+    static get NORMALIZATIONS() {
+        return {
+            energy: 'Unit Energy',
+            peak: 'Peak',
+            none: 'Off'
+        };
+    }
+
+    /**
+     * Longest impulse response in seconds
+     */
+    static get MAX_DURATION() {
+        return 10;
+    }
+
+    /**
+     * Longest predelay in milliseconds
+     */
+    static get MAX_PREDELAY() {
+        return 500;
+    }
+
+    /**
+     * Check whether a filter type is a convolution filter
+     * @param {string} type - Filter type
+     * @returns {boolean} True for convolution filters
+     */
+    static isConvolutionType(type) {
+        return ConvolutionFilterDesign.TYPES.includes(type);
+    }
+
+    /**
+     * Default configuration: no impulse response yet (passes the input unchanged)
+     * @returns {Object} { impulse, impulseName, normalize, length, fade, mix, predelay }
+     */
+    static getDefaultConfig() {
+        return {
+            impulse: null,
+            impulseName: '',
+            normalize: 'energy',
+            length: 0,
+            fade: 50,
+            mix: 100,
+            predelay: 0
+        };
+    }
+
+    /**
+     * Check decoded impulse response data
+     * @param {Object} impulse - { sampleRate, channels: Float32Array[] }
+     * @returns {Object} The same data
+     */
+    static validateImpulse(impulse) {
+        if (!impulse || !Array.isArray(impulse.channels) || impulse.channels.length === 0 || impulse.channels[0].length === 0) {
+            throw new Error('The impulse response is empty');
+        }
+
+        const duration = impulse.channels[0].length / impulse.sampleRate;
+        if (duration > ConvolutionFilterDesign.MAX_DURATION) {
+            throw new Error(`The impulse response is ${duration.toFixed(1)} s long (at most ${ConvolutionFilterDesign.MAX_DURATION} s)`);
+        }
+
+        const peak = impulse.channels.reduce((max, channel) => channel.reduce((m, sample) => Math.max(m, Math.abs(sample)), max), 0);
+        if (!(peak > 0) || !Number.isFinite(peak)) {
+            throw new Error('The impulse response is silent or invalid');
+        }
+        return impulse;
+    }
+
+    /**
+     * Duration of the loaded impulse response
+     * @param {Object} filter - Convolution configuration
+     * @returns {number} Duration in milliseconds (0 without an impulse response)
+     */
+    static getDuration(filter) {
+        const impulse = filter.impulse;
+        return impulse ? impulse.channels[0].length / impulse.sampleRate * 1000 : 0;
+    }
+
+    /**
+     * Build the kernels of a convolution filter
+     * @param {Object} filter - Convolution configuration
+     * @param {number} sampleRate - Sample rate in Hz (the impulse response must be at this rate)
+     * @returns {Float64Array[]|null} One kernel per IR channel, or null without an impulse response
+     */
+    static createKernels(filter, sampleRate) {
+        const impulse = filter.impulse;
+        if (!impulse) {
+            return null;
+        }
+        if (impulse.sampleRate !== sampleRate) {
+            throw new Error(`Impulse response data is at ${impulse.sampleRate} Hz, expected ${sampleRate} Hz`);
+        }
+
+        const { length, fade, predelay } = ConvolutionFilterDesign.getLayout(filter, sampleRate);
+
+        // Trimmed response with a raised-cosine fade over its last samples
+        const responses = impulse.channels.map(channel => {
+            const response = Float64Array.from(channel.subarray(0, length));
+            for (let i = 0; i < fade; i++) {
+                response[length - fade + i] *= 0.5 * (1 + Math.cos(Math.PI * (i + 1) / fade));
+            }
+            return response;
+        });
+
+        // Unit energy holds at any rate; the other modes keep the response level of
+        // the IR at its own rate (impulseGain is set when the IR was resampled)
+        const normalize = filter.normalize || 'energy';
+        const scale = ConvolutionFilterDesign.getNormalizationGain(responses, normalize) *
+            (normalize === 'energy' ? 1 : (filter.impulseGain || 1));
+        const mix = Math.max(0, Math.min(100, filter.mix === undefined ? 100 : Number(filter.mix))) / 100;
+
+        return responses.map(response => {
+            const kernel = new Float64Array(predelay + length);
+            kernel[0] = 1 - mix;
+            for (let i = 0; i < length; i++) {
+                kernel[predelay + i] += mix * scale * response[i];
+            }
+            return kernel;
+        });
+    }
+
+    /**
+     * Kernel layout of a configuration in samples
+     * @param {Object} filter - Convolution configuration (with an impulse response)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { length (kept response), fade (faded samples at its end), predelay }
+     */
+    static getLayout(filter, sampleRate) {
+        const toSamples = ms => Math.max(0, Math.round((Number(ms) || 0) * sampleRate / 1000));
+        const fullLength = Math.round(filter.impulse.channels[0].length * sampleRate / filter.impulse.sampleRate);
+        const length = filter.length > 0 ? Math.max(1, Math.min(fullLength, toSamples(filter.length))) : fullLength;
+
+        return {
+            length,
+            fade: Math.min(length, toSamples(filter.fade)),
+            predelay: toSamples(Math.min(ConvolutionFilterDesign.MAX_PREDELAY, filter.predelay))
+        };
+    }
+
+    /**
+     * Gain applied to the impulse response by a normalization mode
+     * (the loudest channel decides, so the balance between channels is kept)
+     * @param {Float64Array[]} responses - Trimmed responses
+     * @param {string} normalize - 'energy', 'peak' or 'none'
+     * @returns {number} Linear gain
+     */
+    static getNormalizationGain(responses, normalize = 'energy') {
+        switch (normalize) {
+            case 'energy': {
+                const energy = Math.max(...responses.map(response => response.reduce((sum, sample) => sum + sample * sample, 0)));
+                return energy > 0 ? 1 / Math.sqrt(energy) : 1;
+            }
+            case 'peak': {
+                const peak = Math.max(...responses.map(response => response.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0)));
+                return peak > 0 ? 1 / peak : 1;
+            }
+            case 'none':
+                return 1;
+            default:
+                throw new Error(`Unknown impulse response normalization: ${normalize}`);
+        }
+    }
+
+    /**
+     * Kernel length of a configuration (predelay plus the kept response)
+     * @param {Object} filter - Convolution configuration
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {number} Length in samples (0 without an impulse response)
+     */
+    static getKernelLength(filter, sampleRate) {
+        if (!filter.impulse) {
+            return 0;
+        }
+        const { length, predelay } = ConvolutionFilterDesign.getLayout(filter, sampleRate);
+        return predelay + length;
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.ConvolutionFilterDesign = ConvolutionFilterDesign;
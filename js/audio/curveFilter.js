@@ -0,0 +1,390 @@
+/**
+ * NoiseShaper Web - Drawn Curve Filter Design
+ * Arbitrary magnitude response from breakpoints in log-frequency/dB space
+ *
+ * Shared by the direct FFT AudioWorklet (live mask), DirectFFTManager (display
+ * response) and SpectralFilters (export kernel), so a drawn curve sounds the
+ * same live and in export. The curve is stored as its breakpoints only and
+ * holds the first and last breakpoint levels beyond the ends.
+ *
+ * Features:
+ * - Linear, monotone cubic (no overshoot) or smoothed interpolation
+ * - Freehand strokes merged into the breakpoints and simplified
+ * - Frequency mask in the SpectralFilters layout (negative frequencies mirrored)
+ */
+
+class CurveFilterDesign {
+    /**
+     * Filter types defined by drawn breakpoints
+     */
+    static get TYPES() {
+        return ['curve'];
+    }
+
+    /**
+     * Interpolation modes between breakpoints
+     */
+    static get INTERPOLATIONS() {
+        return {
+            linear: 'Linear',
+            cubic: 'Cubic',
+            smoothed: 'Smoothed'
+        };
+    }
+
+    /**
+     * Breakpoint level range in dB
+     */
+    static get GAIN_RANGE() {
+        return 24;
+    }
+
+    /**
+     * Breakpoint frequency range in Hz
+     */
+    static get FREQUENCY_RANGE() {
+        return { min: 20, max: 20000 };
+    }
+
+    /**
+     * Most breakpoints per curve
+     */
+    static get MAX_POINTS() {
+        return 64;
+    }
+
+    /**
+     * Smoothed interpolation: half-height width of the smoothing window in octaves
+     */
+    static get SMOOTHING_OCTAVES() {
+        return 1 / 3;
+    }
+
+    /**
+     * Largest deviation in dB when a freehand stroke or an imported curve is reduced to breakpoints
+     */
+    static get REDUCE_TOLERANCE() {
+        return 0.25;
+    }
+
+    /**
+     * Check whether a filter type is a drawn curve
+     * @param {string} type - Filter type
+     * @returns {boolean} True for drawn curves
+     */
+    static isCurveType(type) {
+        return CurveFilterDesign.TYPES.includes(type);
+    }
+
+    /**
+     * Default configuration: flat, with a breakpoint per decade to drag
+     * @returns {Object} { points, interpolation }
+     */
+    static getDefaultConfig() {
+        return {
+            points: [
+                { frequency: 100, gain: 0 },
+                { frequency: 1000, gain: 0 },
+                { frequency: 10000, gain: 0 }
+            ],
+            interpolation: 'cubic'
+        };
+    }
+
+    /**
+     * Validate breakpoints: clamped to the frequency and gain ranges, sorted by
+     * frequency, one per frequency (the later one wins), at most MAX_POINTS
+     * @param {Object[]} points - Breakpoints { frequency, gain }
+     * @returns {Object[]} New breakpoint array
+     */
+    static normalizePoints(points) {
+        const sorted = CurveFilterDesign.sortPoints(points);
+        if (sorted.length > CurveFilterDesign.MAX_POINTS) {
+            throw new Error(`A curve has at most ${CurveFilterDesign.MAX_POINTS} points (got ${sorted.length})`);
+        }
+        return sorted;
+    }
+
+    /**
+     * Clamp, sort and deduplicate breakpoints (any number)
+     * @param {Object[]} points - Breakpoints { frequency, gain }
+     * @returns {Object[]} New breakpoint array
+     */
+    static sortPoints(points) {
+        if (!Array.isArray(points)) {
+            throw new Error('Curve points must be an array');
+        }
+
+        const { min, max } = CurveFilterDesign.FREQUENCY_RANGE;
+        const range = CurveFilterDesign.GAIN_RANGE;
+        const byFrequency = new Map();
+        points.forEach(point => {
+            const frequency = Number(point && point.frequency);
+            const gain = Number(point && point.gain);
+            if (!Number.isFinite(frequency) || frequency <= 0 || !Number.isFinite(gain)) {
+                throw new Error(`Invalid curve point: ${JSON.stringify(point)}`);
+            }
+            const clamped = Math.max(min, Math.min(max, frequency));
+            byFrequency.set(clamped, { frequency: clamped, gain: Math.max(-range, Math.min(range, gain)) });
+        });
+
+        return Array.from(byFrequency.values()).sort((a, b) => a.frequency - b.frequency);
+    }
+
+    /**
+     * Build the curve of a configuration
+     * @param {Object} filter - { points, interpolation }
+     * @returns {Function} Maps a frequency in Hz to the curve level in dB
+     */
+    static createCurve(filter) {
+        const points = CurveFilterDesign.normalizePoints(filter.points || []);
+        if (points.length === 0) {
+            return () => 0;
+        }
+
+        const xs = points.map(point => Math.log2(point.frequency));
+        const ys = points.map(point => point.gain);
+        const interpolation = filter.interpolation || 'cubic';
+
+        switch (interpolation) {
+            case 'linear':
+                return frequency => CurveFilterDesign.interpolateLinear(xs, ys, CurveFilterDesign.toOctaves(frequency, xs));
+            case 'cubic': {
+                const slopes = CurveFilterDesign.getMonotoneSlopes(xs, ys);
+                return frequency => CurveFilterDesign.interpolateCubic(xs, ys, slopes, CurveFilterDesign.toOctaves(frequency, xs));
+            }
+            case 'smoothed':
+                return frequency => CurveFilterDesign.interpolateSmoothed(xs, ys, CurveFilterDesign.toOctaves(frequency, xs));
+            default:
+                throw new Error(`Unknown curve interpolation: ${interpolation}`);
+        }
+    }
+
+    /**
+     * Position of a frequency in octaves (DC takes the first breakpoint's level)
+     * @param {number} frequency - Frequency in Hz
+     * @param {number[]} xs - Breakpoint positions in octaves
+     * @returns {number} log2 of the frequency
+     */
+    static toOctaves(frequency, xs) {
+        return frequency > 0 ? Math.log2(frequency) : xs[0];
+    }
+
+    /**
+     * Index of the segment [xs[i], xs[i + 1]] containing x (xs inside its range)
+     * @param {number[]} xs - Sorted positions
+     * @param {number} x - Position
+     * @returns {number} Segment index
+     */
+    static findSegment(xs, x) {
+        let low = 0;
+        let high = xs.length - 1;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (xs[middle] <= x) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Straight lines between breakpoints
+     * @param {number[]} xs - Breakpoint positions in octaves
+     * @param {number[]} ys - Breakpoint levels in dB
+     * @param {number} x - Position in octaves
+     * @returns {number} Level in dB
+     */
+    static interpolateLinear(xs, ys, x) {
+        const last = xs.length - 1;
+        if (x <= xs[0]) return ys[0];
+        if (x >= xs[last]) return ys[last];
+
+        const i = CurveFilterDesign.findSegment(xs, x);
+        const t = (x - xs[i]) / (xs[i + 1] - xs[i]);
+        return ys[i] + t * (ys[i + 1] - ys[i]);
+    }
+
+    /**
+     * Monotone cubic Hermite curve through the breakpoints
+     * @param {number[]} xs - Breakpoint positions in octaves
+     * @param {number[]} ys - Breakpoint levels in dB
+     * @param {number[]} slopes - Breakpoint slopes (getMonotoneSlopes)
+     * @param {number} x - Position in octaves
+     * @returns {number} Level in dB
+     */
+    static interpolateCubic(xs, ys, slopes, x) {
+        const last = xs.length - 1;
+        if (x <= xs[0]) return ys[0];
+        if (x >= xs[last]) return ys[last];
+
+        const i = CurveFilterDesign.findSegment(xs, x);
+        const h = xs[i + 1] - xs[i];
+        const t = (x - xs[i]) / h;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        return (2 * t3 - 3 * t2 + 1) * ys[i] +
+            (t3 - 2 * t2 + t) * h * slopes[i] +
+            (-2 * t3 + 3 * t2) * ys[i + 1] +
+            (t3 - t2) * h * slopes[i + 1];
+    }
+
+    /**
+     * Breakpoint slopes that keep the cubic curve monotone between breakpoints
+     * (Fritsch-Carlson), so it never overshoots the drawn levels
+     * @param {number[]} xs - Breakpoint positions
+     * @param {number[]} ys - Breakpoint levels
+     * @returns {number[]} Slope at each breakpoint
+     */
+    static getMonotoneSlopes(xs, ys) {
+        const n = xs.length;
+        if (n < 2) return new Array(n).fill(0);
+
+        const secants = [];
+        for (let i = 0; i < n - 1; i++) {
+            secants.push((ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]));
+        }
+
+        const slopes = new Array(n);
+        slopes[0] = secants[0];
+        slopes[n - 1] = secants[n - 2];
+        for (let i = 1; i < n - 1; i++) {
+            slopes[i] = secants[i - 1] * secants[i] <= 0 ? 0 : (secants[i - 1] + secants[i]) / 2;
+        }
+
+        for (let i = 0; i < n - 1; i++) {
+            if (secants[i] === 0) {
+                slopes[i] = 0;
+                slopes[i + 1] = 0;
+                continue;
+            }
+            const alpha = slopes[i] / secants[i];
+            const beta = slopes[i + 1] / secants[i];
+            const magnitude = Math.hypot(alpha, beta);
+            if (magnitude > 3) {
+                slopes[i] = 3 * alpha / magnitude * secants[i];
+                slopes[i + 1] = 3 * beta / magnitude * secants[i];
+            }
+        }
+
+        return slopes;
+    }
+
+    /**
+     * Linear curve averaged over a Hann window in log frequency
+     * @param {number[]} xs - Breakpoint positions in octaves
+     * @param {number[]} ys - Breakpoint levels in dB
+     * @param {number} x - Position in octaves
+     * @returns {number} Level in dB
+     */
+    static interpolateSmoothed(xs, ys, x) {
+        const taps = 17;
+        // A Hann window reaches half height halfway out, so it spans twice the smoothing width
+        const halfSpan = CurveFilterDesign.SMOOTHING_OCTAVES;
+        let sum = 0;
+        let weightSum = 0;
+        for (let k = 1; k < taps + 1; k++) {
+            const weight = 0.5 - 0.5 * Math.cos(2 * Math.PI * k / (taps + 1));
+            const offset = (2 * k / (taps + 1) - 1) * halfSpan;
+            sum += weight * CurveFilterDesign.interpolateLinear(xs, ys, x + offset);
+            weightSum += weight;
+        }
+        return sum / weightSum;
+    }
+
+    /**
+     * Merge a freehand stroke into the breakpoints: the stroke replaces the
+     * breakpoints across its frequency span and is reduced to the fewest
+     * breakpoints within REDUCE_TOLERANCE
+     * @param {Object[]} points - Current breakpoints
+     * @param {Object[]} stroke - Stroke samples { frequency, gain }
+     * @returns {Object[]} New breakpoints
+     */
+    static applyStroke(points, stroke) {
+        const samples = CurveFilterDesign.sortPoints(stroke);
+        if (samples.length === 0) {
+            return CurveFilterDesign.normalizePoints(points);
+        }
+
+        const low = samples[0].frequency;
+        const high = samples[samples.length - 1].frequency;
+        const kept = points.filter(point => point.frequency < low || point.frequency > high);
+
+        const simplified = CurveFilterDesign.reducePoints(samples, CurveFilterDesign.MAX_POINTS - kept.length);
+        return CurveFilterDesign.normalizePoints([...kept, ...simplified]);
+    }
+
+    /**
+     * Reduce sorted breakpoints to the fewest within REDUCE_TOLERANCE, with a
+     * coarser tolerance only when that leaves more than maxPoints
+     * @param {Object[]} points - Sorted breakpoints
+     * @param {number} maxPoints - Most breakpoints to keep (at least the two end points are kept)
+     * @returns {Object[]} Subset of the breakpoints
+     */
+    static reducePoints(points, maxPoints = CurveFilterDesign.MAX_POINTS) {
+        let tolerance = CurveFilterDesign.REDUCE_TOLERANCE;
+        let simplified = CurveFilterDesign.simplify(points, tolerance);
+        while (simplified.length > Math.max(maxPoints, 2)) {
+            tolerance *= 2;
+            simplified = CurveFilterDesign.simplify(points, tolerance);
+        }
+        return simplified;
+    }
+
+    /**
+     * Ramer-Douglas-Peucker simplification in octave/dB space
+     * @param {Object[]} points - Sorted breakpoints
+     * @param {number} tolerance - Largest level deviation in dB
+     * @returns {Object[]} Subset of the breakpoints (first and last kept)
+     */
+    static simplify(points, tolerance) {
+        if (points.length <= 2) return points.slice();
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        const span = Math.log2(last.frequency / first.frequency);
+        let worst = 0;
+        let worstIndex = 0;
+        for (let i = 1; i < points.length - 1; i++) {
+            const t = span > 0 ? Math.log2(points[i].frequency / first.frequency) / span : 0;
+            const deviation = Math.abs(points[i].gain - (first.gain + t * (last.gain - first.gain)));
+            if (deviation > worst) {
+                worst = deviation;
+                worstIndex = i;
+            }
+        }
+
+        if (worst <= tolerance) {
+            return [first, last];
+        }
+        const left = CurveFilterDesign.simplify(points.slice(0, worstIndex + 1), tolerance);
+        const right = CurveFilterDesign.simplify(points.slice(worstIndex), tolerance);
+        return [...left.slice(0, -1), ...right];
+    }
+
+    /**
+     * Create the frequency mask of a curve (linear magnitude, without the filter gain)
+     * @param {Object} filter - { points, interpolation }
+     * @param {number} fftSize - FFT size
+     * @param {number} sampleRate - Sample rate
+     * @returns {Float32Array} Frequency mask
+     */
+    static createMask(filter, fftSize, sampleRate) {
+        const curve = CurveFilterDesign.createCurve(filter);
+        const mask = new Float32Array(fftSize);
+
+        for (let i = 0; i <= fftSize / 2; i++) {
+            mask[i] = Math.pow(10, curve(i * sampleRate / fftSize) / 20);
+            if (i > 0 && i < fftSize / 2) {
+                mask[fftSize - i] = mask[i];
+            }
+        }
+
+        return mask;
+    }
+}
+
+// Export for use in other modules (main thread, AudioWorklet and Web Workers)
+globalThis.CurveFilterDesign = CurveFilterDesign;
@@ -0,0 +1,302 @@
+/**
+ * NoiseShaper Web - Curve Import
+ * Frequency-response files (measurements, targets, compensation curves) as drawn curve breakpoints
+ *
+ * Table files (CSV/TXT, REW exports, AutoEQ raw response CSVs) give one or
+ * more level columns over frequency; AutoEQ/Equalizer APO EQ files
+ * (FixedBandEQ.txt, ParametricEQ.txt) give filters, whose combined response
+ * is used. Either way the data is resampled in log frequency, optionally
+ * smoothed, inverted and offset, and reduced to the breakpoints of a curve
+ * filter, so the import is stored (and renders live and in export) like any
+ * drawn curve. EQ shelves use the standard shelf slope (AutoEQ's Q 0.7).
+ *
+ * Features:
+ * - Comma, semicolon, tab or space separated columns; '*' / '#' comment lines
+ * - Header row column names (AutoEQ: raw, smoothed, equalization, target, ...);
+ *   phase columns are skipped
+ * - Fractional-octave smoothing, inversion for compensation and a level offset
+ */
+
+class CurveImport {
+    /**
+     * Smoothing choices: fraction of an octave (0 = no smoothing)
+     */
+    static get SMOOTHINGS() {
+        return [
+            { value: 0, label: 'None' },
+            { value: 48, label: '1/48 octave' },
+            { value: 24, label: '1/24 octave' },
+            { value: 12, label: '1/12 octave' },
+            { value: 6, label: '1/6 octave' },
+            { value: 3, label: '1/3 octave' },
+            { value: 1, label: '1 octave' }
+        ];
+    }
+
+    /**
+     * Resampling grid step in octaves
+     */
+    static get GRID_STEP() {
+        return 1 / 48;
+    }
+
+    /**
+     * Sample rate at which EQ file filters are evaluated
+     */
+    static get EQ_SAMPLE_RATE() {
+        return 48000;
+    }
+
+    /**
+     * Equalizer APO filter types (as written by AutoEQ) and their biquad types
+     */
+    static get EQ_FILTER_TYPES() {
+        return {
+            PK: 'peaking',
+            LS: 'lowshelf',
+            LSC: 'lowshelf',
+            HS: 'highshelf',
+            HSC: 'highshelf',
+            LP: 'lowpass',
+            LPQ: 'lowpass',
+            HP: 'highpass',
+            HPQ: 'highpass',
+            NO: 'notch'
+        };
+    }
+
+    /**
+     * Parse a frequency-response or EQ file
+     * @param {string} text - File contents
+     * @returns {Object} { format, columns: [{ name, points: [{ frequency, gain }] }], defaultColumn }
+     */
+    static parse(text) {
+        const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(line => line);
+        if (lines.length === 0) {
+            throw new Error('The file is empty');
+        }
+
+        if (lines.some(line => /^(preamp|filter\s*\d*)\s*:/i.test(line))) {
+            return CurveImport.parseEQ(lines);
+        }
+        return CurveImport.parseTable(lines);
+    }
+
+    /**
+     * Parse a table of frequency and level columns
+     * @param {string[]} lines - Non-empty trimmed lines
+     * @returns {Object} See parse
+     */
+    static parseTable(lines) {
+        const isComment = line => /^[*#;]|^\/\//.test(line);
+        const isREW = lines.some(line => isComment(line) && /REW|Room EQ Wizard/i.test(line));
+        let header = null;
+        let columns = null;
+        let lastComment = null;
+
+        lines.forEach(line => {
+            if (isComment(line)) {
+                lastComment = line;
+                return;
+            }
+
+            const fields = CurveImport.splitFields(line);
+            const values = fields.map(field => (field === '' ? NaN : Number(field)));
+
+            if (!Number.isFinite(values[0]) || values.slice(1).every(value => !Number.isFinite(value))) {
+                // Text before the data is the header; text rows after it are not data
+                if (!columns && !header) header = fields;
+                return;
+            }
+
+            if (!columns) {
+                // REW writes the column names as the comment line before the data
+                if (!header && lastComment) {
+                    const names = CurveImport.splitFields(lastComment.replace(/^[*#;/]+\s*/, ''));
+                    if (names.length === fields.length) header = names;
+                }
+                columns = fields.slice(1).map((field, i) => ({
+                    name: header && header[i + 1] ? header[i + 1] : `Column ${i + 2}`,
+                    points: []
+                }));
+            }
+
+            const frequency = values[0];
+            if (frequency <= 0) return;
+            columns.forEach((column, i) => {
+                if (Number.isFinite(values[i + 1])) {
+                    column.points.push({ frequency, gain: values[i + 1] });
+                }
+            });
+        });
+
+        // Phase columns (REW's "Phase(degrees)") hold angles, not levels
+        const usable = (columns || []).filter(column => column.points.length >= 2 && !/phase|degree/i.test(column.name));
+        if (usable.length === 0) {
+            throw new Error('No frequency/level data found (expected rows of "frequency, dB")');
+        }
+
+        // AutoEQ response CSVs: the measured response is the "raw" column
+        const names = usable.map(column => column.name.toLowerCase());
+        const isAutoEQ = names.includes('raw') && header && /^freq/i.test(header[0]);
+        return {
+            format: isAutoEQ ? 'AutoEQ response' : isREW ? 'REW export' : 'table',
+            columns: usable,
+            defaultColumn: isAutoEQ ? names.indexOf('raw') : 0
+        };
+    }
+
+    /**
+     * Split a table row on its separator (tab, semicolon, comma or spaces);
+     * with semicolons, commas are decimal commas
+     * @param {string} line - Table row
+     * @returns {string[]} Trimmed fields (empty fields kept)
+     */
+    static splitFields(line) {
+        if (line.includes('\t')) {
+            return line.split('\t').map(field => field.trim());
+        }
+        if (line.includes(';')) {
+            return line.split(';').map(field => field.trim().replace(',', '.'));
+        }
+        if (line.includes(',')) {
+            return line.split(',').map(field => field.trim());
+        }
+        return line.split(/\s+/);
+    }
+
+    /**
+     * Parse an Equalizer APO / AutoEQ EQ file into its combined response
+     * @param {string[]} lines - Non-empty trimmed lines
+     * @returns {Object} See parse
+     */
+    static parseEQ(lines) {
+        const sampleRate = CurveImport.EQ_SAMPLE_RATE;
+        let preamp = 0;
+        const sections = [];
+
+        lines.forEach(line => {
+            const preampMatch = line.match(/^preamp\s*:\s*(-?[\d.]+)\s*db/i);
+            if (preampMatch) {
+                preamp += Number(preampMatch[1]);
+                return;
+            }
+
+            const filterMatch = line.match(/^filter\s*\d*\s*:\s*(on|off)\s+([a-z]+)\s+fc\s+([\d.]+)\s*hz(?:\s+gain\s+(-?[\d.]+)\s*db)?(?:\s+q\s+([\d.]+))?/i);
+            if (!filterMatch) {
+                if (/^filter/i.test(line)) {
+                    throw new Error(`Unrecognized EQ filter line: ${line}`);
+                }
+                return;
+            }
+
+            const [, state, code, fc, gain, q] = filterMatch;
+            if (state.toUpperCase() === 'OFF') return;
+
+            const type = CurveImport.EQ_FILTER_TYPES[code.toUpperCase()];
+            if (!type) {
+                throw new Error(`Unsupported EQ filter type: ${code}`);
+            }
+
+            // Pass filters take Q in dB like BiquadFilterNode
+            const Q = Number(q) || Math.SQRT1_2;
+            sections.push(BiquadDesign.getCoefficients(
+                type,
+                Number(fc),
+                type === 'lowpass' || type === 'highpass' ? 20 * Math.log10(Q) : Q,
+                Number(gain) || 0,
+                sampleRate
+            ));
+        });
+
+        if (sections.length === 0 && preamp === 0) {
+            throw new Error('No EQ filters found');
+        }
+
+        const { min, max } = CurveFilterDesign.FREQUENCY_RANGE;
+        const frequencies = CurveImport.getGrid(min, max);
+        const response = CascadeDesign.getMagnitudeResponse(sections, frequencies, sampleRate);
+        return {
+            format: 'EQ',
+            columns: [{
+                name: 'EQ response',
+                points: frequencies.map((frequency, i) => ({ frequency, gain: 20 * Math.log10(response[i]) + preamp }))
+            }],
+            defaultColumn: 0
+        };
+    }
+
+    /**
+     * Log-spaced frequencies GRID_STEP apart from low to high (both included)
+     * @param {number} low - Lowest frequency in Hz
+     * @param {number} high - Highest frequency in Hz
+     * @returns {number[]} Frequencies in Hz
+     */
+    static getGrid(low, high) {
+        const steps = Math.ceil(Math.log2(high / low) / CurveImport.GRID_STEP);
+        return Array.from({ length: steps + 1 }, (_, k) => low * Math.pow(high / low, k / steps));
+    }
+
+    /**
+     * Turn imported data into curve breakpoints
+     * @param {Object[]} data - Data points { frequency, gain } of one column
+     * @param {Object} options - { smoothing (octave fraction, 0 = none), invert, offset (dB) }
+     * @returns {Object} { points, deviation (dB from the smoothed data), clamped (levels beyond the curve range) }
+     */
+    static createPoints(data, options = {}) {
+        const sorted = data
+            .filter(point => point.frequency > 0 && Number.isFinite(point.gain))
+            .sort((a, b) => a.frequency - b.frequency);
+        const { min, max } = CurveFilterDesign.FREQUENCY_RANGE;
+        const low = Math.max(min, sorted.length ? sorted[0].frequency : Infinity);
+        const high = Math.min(max, sorted.length ? sorted[sorted.length - 1].frequency : 0);
+        if (!(low < high)) {
+            throw new Error(`The data has no levels between ${min} Hz and ${max / 1000} kHz`);
+        }
+
+        const xs = sorted.map(point => Math.log2(point.frequency));
+        const ys = sorted.map(point => point.gain);
+        const level = x => CurveFilterDesign.interpolateLinear(xs, ys, x);
+        const smoothing = Number(options.smoothing) || 0;
+        const sign = options.invert ? -1 : 1;
+        const offset = Number(options.offset) || 0;
+        const range = CurveFilterDesign.GAIN_RANGE;
+
+        let clamped = false;
+        const grid = CurveImport.getGrid(low, high).map(frequency => {
+            const x = Math.log2(frequency);
+            let gain = smoothing > 0 ? CurveImport.smooth(level, x, 1 / smoothing) : level(x);
+            gain = sign * gain + offset;
+            if (Math.abs(gain) > range) {
+                clamped = true;
+                gain = Math.max(-range, Math.min(range, gain));
+            }
+            return { frequency: Number(frequency.toPrecision(5)), gain: Math.round(gain * 100) / 100 };
+        });
+
+        const points = CurveFilterDesign.reducePoints(grid);
+        const curve = CurveFilterDesign.createCurve({ points, interpolation: 'linear' });
+        const deviation = grid.reduce((worst, point) => Math.max(worst, Math.abs(curve(point.frequency) - point.gain)), 0);
+
+        return { points, deviation, clamped };
+    }
+
+    /**
+     * Mean level over a window one smoothing width wide (in octaves)
+     * @param {Function} level - Level in dB at a position in octaves
+     * @param {number} x - Window center in octaves
+     * @param {number} width - Window width in octaves
+     * @returns {number} Smoothed level in dB
+     */
+    static smooth(level, x, width) {
+        const samples = 16;
+        let sum = 0;
+        for (let k = 0; k < samples; k++) {
+            sum += level(x + ((k + 0.5) / samples - 0.5) * width);
+        }
+        return sum / samples;
+    }
+}
+
+// Export for use in other modules
+window.CurveImport = CurveImport;
@@ -0,0 +1,238 @@
+/**
+ * NoiseShaper Web - Custom IIR Filter Design
+ * User-supplied IIR coefficients as a cascade of IIR sections
+ *
+ * Accepts transfer function coefficients (b/a) or second-order sections in
+ * the formats SciPy and MATLAB print or save. b/a runs as one direct-form
+ * section of any order up to 19, SOS rows as biquads. Coefficients apply
+ * unchanged at any sample rate, so they should be designed for the rate in use.
+ *
+ * Features:
+ * - Pasted text: "b = [...]" / "a = [...]" lines, two rows of b and a, or SOS rows
+ * - JSON ({ "b": [], "a": [] }, { "sos": [[...]] } or an array of SOS rows) and CSV
+ * - Stability check with a clear error for unstable designs
+ */
+
+class CustomIIRDesign {
+    /**
+     * Filter types with user-supplied coefficients
+     */
+    static get TYPES() {
+        return ['customIIR'];
+    }
+
+    /**
+     * Most coefficients per b/a vector (the IIRFilterNode limit, order 19)
+     */
+    static get MAX_COEFFICIENTS() {
+        return 20;
+    }
+
+    /**
+     * Check whether a filter type takes custom coefficients
+     * @param {string} type - Filter type
+     * @returns {boolean} True for custom IIR filters
+     */
+    static isCustomType(type) {
+        return CustomIIRDesign.TYPES.includes(type);
+    }
+
+    /**
+     * Default configuration of a custom IIR filter (no coefficients: flat)
+     * @returns {Object} Parameters with their defaults
+     */
+    static getDefaultConfig() {
+        return { coefficients: '' };
+    }
+
+    /**
+     * Design the sections of a custom IIR filter
+     * @param {Object} filter - { coefficients: string }
+     * @returns {Object[]} Sections ({ b0, b1, b2, a1, a2 } or { b, a }); empty without coefficients
+     * @throws {Error} For unreadable or unstable coefficients
+     */
+    static designSections(filter) {
+        const parsed = CustomIIRDesign.parse(filter.coefficients);
+        if (!parsed) {
+            return [];
+        }
+        return parsed.sos
+            ? CustomIIRDesign.fromSOS(parsed.sos)
+            : CustomIIRDesign.fromTransferFunction(parsed.b, parsed.a);
+    }
+
+    /**
+     * Read coefficients from text (pasted, or the contents of a JSON/CSV/text file)
+     * @param {string} text - Coefficient text
+     * @returns {Object|null} { b, a } or { sos }; null for empty text
+     * @throws {Error} When the text holds no recognizable coefficients
+     */
+    static parse(text) {
+        const trimmed = (text || '').trim();
+        if (!trimmed) {
+            return null;
+        }
+
+        // JSON first; MATLAB style "[1 2 1]" is not JSON and falls through to text
+        if (/^[[{]/.test(trimmed)) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                data = null;
+            }
+            if (data !== null) {
+                return CustomIIRDesign.fromJSON(data);
+            }
+        }
+
+        return CustomIIRDesign.fromText(trimmed);
+    }
+
+    /**
+     * Coefficients from parsed JSON
+     * @param {*} data - Parsed JSON value
+     * @returns {Object} { b, a } or { sos }
+     */
+    static fromJSON(data) {
+        if (Array.isArray(data)) {
+            if (data.length > 0 && data.every(row => Array.isArray(row) && row.length === 6)) {
+                return { sos: data.map(row => row.map(Number)) };
+            }
+            if (data.length === 2 && data.every(Array.isArray)) {
+                return { b: data[0].map(Number), a: data[1].map(Number) };
+            }
+        } else if (data && typeof data === 'object') {
+            if (Array.isArray(data.sos)) {
+                return CustomIIRDesign.fromJSON(data.sos.length > 0 ? data.sos : [[]]);
+            }
+            if (Array.isArray(data.b) && Array.isArray(data.a)) {
+                return { b: data.b.map(Number), a: data.a.map(Number) };
+            }
+        }
+        throw new Error('Expected JSON with "b" and "a" arrays, an "sos" array, or an array of six-value SOS rows');
+    }
+
+    /**
+     * Coefficients from text: labelled vectors (b =, a =, sos =) or plain rows
+     * @param {string} text - Coefficient text
+     * @returns {Object} { b, a } or { sos }
+     */
+    static fromText(text) {
+        // Drop comment lines (#, %, //)
+        const content = text.split(/\r?\n/).filter(line => !/^\s*(#|%|\/\/)/.test(line)).join('\n');
+
+        // Numbers not glued to a name (so the "0" of a header "b0" is skipped)
+        const numbers = part => (part.match(/(?<![A-Za-z_\d.])[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+
+        const labels = [...content.matchAll(/\b(sos|num|den|b|a)\s*[=:]/gi)];
+        if (labels.length > 0) {
+            const vectors = {};
+            labels.forEach((label, i) => {
+                const end = i + 1 < labels.length ? labels[i + 1].index : content.length;
+                const name = { num: 'b', den: 'a' }[label[1].toLowerCase()] || label[1].toLowerCase();
+                vectors[name] = numbers(content.slice(label.index + label[0].length, end));
+            });
+
+            if (vectors.sos) {
+                if (vectors.sos.length === 0 || vectors.sos.length % 6 !== 0) {
+                    throw new Error(`SOS needs six values per section, got ${vectors.sos.length} values`);
+                }
+                const sos = [];
+                for (let i = 0; i < vectors.sos.length; i += 6) {
+                    sos.push(vectors.sos.slice(i, i + 6));
+                }
+                return { sos };
+            }
+            if (vectors.b && vectors.a) {
+                return { b: vectors.b, a: vectors.a };
+            }
+            throw new Error('Expected both "b" and "a" coefficients (or "sos")');
+        }
+
+        // Plain rows: SOS rows (six values with a0 = 1) or one row each for b and a
+        const rows = content.split(/\r?\n/).map(numbers).filter(row => row.length > 0);
+        if (rows.length > 0 && rows.every(row => row.length === 6 && row[3] === 1)) {
+            return { sos: rows };
+        }
+        if (rows.length === 2) {
+            return { b: rows[0], a: rows[1] };
+        }
+        throw new Error('Expected two rows (b and a) or rows of six SOS values (b0 b1 b2 a0 a1 a2)');
+    }
+
+    /**
+     * Sections from SOS rows [b0, b1, b2, a0, a1, a2]
+     * @param {number[][]} sos - Second-order sections
+     * @returns {Object[]} Sections { b0, b1, b2, a1, a2 }
+     */
+    static fromSOS(sos) {
+        return sos.map((row, i) => {
+            if (row.length !== 6 || row.some(value => !Number.isFinite(value))) {
+                throw new Error(`Section ${i + 1} must hold six numbers`);
+            }
+            const [b0, b1, b2, a0, a1, a2] = row;
+            if (a0 === 0) {
+                throw new Error(`Section ${i + 1}: a0 must not be zero`);
+            }
+
+            const section = { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: a1 / a0, a2: a2 / a0 };
+
+            // Both poles inside the unit circle (stability triangle)
+            if (!(Math.abs(section.a2) < 1 && Math.abs(section.a1) < 1 + section.a2)) {
+                throw new Error(`Unstable filter: section ${i + 1} has poles on or outside the unit circle`);
+            }
+            return section;
+        });
+    }
+
+    /**
+     * A single direct-form section from transfer function coefficients, applied
+     * as given (like SciPy lfilter or MATLAB filter)
+     * @param {number[]} b - Numerator coefficients (powers of z^-1)
+     * @param {number[]} a - Denominator coefficients (powers of z^-1)
+     * @returns {Object[]} One section { b, a } with a[0] = 1
+     */
+    static fromTransferFunction(b, a) {
+        if ([...b, ...a].some(value => !Number.isFinite(value))) {
+            throw new Error('Coefficients must be finite numbers');
+        }
+        if (b.length === 0 || b.every(value => value === 0)) {
+            throw new Error('The numerator b must not be all zeros');
+        }
+        if (a.length === 0 || a[0] === 0) {
+            throw new Error('The first denominator coefficient a[0] must not be zero');
+        }
+        if (Math.max(b.length, a.length) > CustomIIRDesign.MAX_COEFFICIENTS) {
+            throw new Error(`b and a are limited to ${CustomIIRDesign.MAX_COEFFICIENTS} coefficients each; use second-order sections (sos) for higher orders`);
+        }
+        if (!CustomIIRDesign.isStable(a)) {
+            // High-order b/a lose precision when rounded; the same design as SOS usually survives
+            const hint = a.length > 5 ? ' (for high orders, export the design as second-order sections)' : '';
+            throw new Error(`Unstable filter: the denominator a has roots on or outside the unit circle${hint}`);
+        }
+
+        return [{ b: b.map(value => value / a[0]), a: a.map(value => value / a[0]) }];
+    }
+
+    /**
+     * Schur-Cohn stability test: all roots of the denominator inside the unit circle
+     * @param {number[]} a - Denominator coefficients with a[0] != 0
+     * @returns {boolean} True when stable
+     */
+    static isStable(a) {
+        let coefficients = a.map(value => value / a[0]);
+        for (let order = coefficients.length - 1; order > 0; order--) {
+            const reflection = coefficients[order];
+            if (Math.abs(reflection) >= 1) {
+                return false;
+            }
+            const scale = 1 - reflection * reflection;
+            coefficients = coefficients.slice(0, order).map((value, i) => (value - reflection * coefficients[order - i]) / scale);
+        }
+        return true;
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.CustomIIRDesign = CustomIIRDesign;
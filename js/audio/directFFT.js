@@ -7,6 +7,7 @@
  * Features:
  * - Ring buffer AudioWorklet management
  * - Smooth filter mask generation
+ * - Drawn curve filters from breakpoints (CurveFilterDesign)
  * - Performance monitoring and optimization
  * - Identical API to AdvancedFilterManager for seamless transition
  * - Professional audio quality with artifact elimination
@@ -31,14 +32,18 @@ class DirectFFTManager {
             // Parabolic-specific
             flatness: 1,
             // Plateau-specific
-            flatWidth: 100
+            flatWidth: 100,
+            // Curve-specific
+            points: CurveFilterDesign.getDefaultConfig().points,
+            interpolation: 'cubic'
         };
         
         // Available filter types
         this.filterTypes = [
             { value: 'gaussian', label: 'Gaussian' },
             { value: 'parabolic', label: 'Parabolic' },
-            { value: 'plateau', label: 'Plateau' }
+            { value: 'plateau', label: 'Plateau' },
+            { value: 'curve', label: 'Drawn Curve' }
         ];
         
         // Parameter ranges - identical to AdvancedFilterManager
@@ -77,14 +82,15 @@ class DirectFFTManager {
         try {
             console.log('DirectFFTManager: Setting up direct FFT processor...');
             
-            // Register the worklet processor
+            // Register the worklet processor (after the shared curve design it uses for drawn curves)
+            await this.audioContext.audioWorklet.addModule('js/audio/curveFilter.js');
             await this.audioContext.audioWorklet.addModule('worklets/direct-fft-processor.js');
             
             // Create the processor node
+            // No outputChannelCount: the output follows the input, so multichannel tracks stay multichannel
             this.processorNode = new AudioWorkletNode(this.audioContext, 'direct-fft-processor', {
                 numberOfInputs: 1,
                 numberOfOutputs: 1,
-                outputChannelCount: [1],
                 processorOptions: {
                     sampleRate: this.audioContext.sampleRate
                 }
@@ -373,6 +379,42 @@ class DirectFFTManager {
         });
     }
     
+    /**
+     * Set the breakpoints of a drawn curve
+     * @param {Object[]} points - Breakpoints { frequency, gain }
+     */
+    setPoints(points) {
+        points = CurveFilterDesign.normalizePoints(points);
+        
+        this.config.points = points;
+        this.updateProcessorConfig();
+        
+        this.emit('parameterChanged', { 
+            parameter: 'points', 
+            value: points,
+            config: this.config
+        });
+    }
+    
+    /**
+     * Set the interpolation between the breakpoints of a drawn curve
+     * @param {string} interpolation - 'linear', 'cubic' or 'smoothed'
+     */
+    setInterpolation(interpolation) {
+        if (!CurveFilterDesign.INTERPOLATIONS[interpolation]) {
+            throw new Error(`Invalid curve interpolation: ${interpolation}`);
+        }
+        
+        this.config.interpolation = interpolation;
+        this.updateProcessorConfig();
+        
+        this.emit('parameterChanged', { 
+            parameter: 'interpolation', 
+            value: interpolation,
+            config: this.config
+        });
+    }
+    
     /**
      * Calculate filter response for visualization - Research-validated formulas
      */
@@ -381,6 +423,7 @@ class DirectFFTManager {
         
         const magnitudeDB = new Float32Array(frequencies.length);
         const amplitude = Math.pow(10, this.config.gain / 20);
+        const curve = this.config.type === 'curve' ? CurveFilterDesign.createCurve(this.config) : null;
         
         for (let i = 0; i < frequencies.length; i++) {
             const freq = frequencies[i];
@@ -396,6 +439,9 @@ class DirectFFTManager {
                 case 'plateau':
                     magnitude = this.calculatePlateauMagnitude(freq);
                     break;
+                case 'curve':
+                    magnitude = Math.pow(10, curve(freq) / 20);
+                    break;
             }
             
             // Apply gain and convert to dB
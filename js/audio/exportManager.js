@@ -58,6 +58,7 @@ class ExportManager extends EventTarget {
             // Processing
             normalizationEnable: document.getElementById('exportNormalizationEnable'),
             normalizationType: document.getElementById('exportNormalizationType'),
+            normalizationMeasure: document.getElementById('exportNormalizationMeasure'),
             normalizationValue: document.getElementById('exportNormalizationValue'),
             normalizationSlider: document.getElementById('exportNormalizationSlider'),
             processOrder: document.getElementById('exportProcessOrder'),
@@ -224,6 +225,7 @@ class ExportManager extends EventTarget {
             // Processing
             normalizationEnabled: true, // enabled by default
             normalizationType: 'global', // global by default
+            normalizationMeasure: 'peak', // normalize the peak (or RMS) level
             normalizationValue: 0.5, // Python default
             processOrder: 'fade-then-normalize',
             fadeInEnabled: true, // enabled by default as requested
@@ -294,6 +296,7 @@ class ExportManager extends EventTarget {
         
         if (this.elements.normalizationEnable) this.elements.normalizationEnable.checked = settings.normalizationEnabled;
         if (this.elements.normalizationType) this.elements.normalizationType.value = settings.normalizationType;
+        if (this.elements.normalizationMeasure) this.elements.normalizationMeasure.value = settings.normalizationMeasure || 'peak';
         if (this.elements.normalizationValue) this.elements.normalizationValue.value = settings.normalizationValue || 0.5;
         if (this.elements.normalizationSlider) this.elements.normalizationSlider.value = settings.normalizationValue || 0.5;
         if (this.elements.processOrder) this.elements.processOrder.value = settings.processOrder;
@@ -348,6 +351,9 @@ class ExportManager extends EventTarget {
         if (this.elements.normalizationType) {
             this.elements.normalizationType.disabled = !enabled || clips === 1;
         }
+        if (this.elements.normalizationMeasure) {
+            this.elements.normalizationMeasure.disabled = !enabled;
+        }
         if (this.elements.normalizationValue) {
             this.elements.normalizationValue.disabled = !enabled;
         }
@@ -598,6 +604,7 @@ class ExportManager extends EventTarget {
             // Processing
             normalizationEnabled: this.elements.normalizationEnable?.checked || false,
             normalizationType: this.elements.normalizationType?.value || 'global',
+            normalizationMeasure: this.elements.normalizationMeasure?.value || 'peak',
             normalizationValue: parseFloat(this.elements.normalizationValue?.value || '0.5'),
             processOrder: this.elements.processOrder?.value || 'fade-then-normalize',
             fadeInEnabled: this.elements.fadeInEnable?.checked || false,
@@ -645,18 +652,27 @@ class ExportManager extends EventTarget {
         // Convert duration from ms to seconds for audio processing
         const durationSeconds = settings.duration / 1000.0;
         
+        // Global normalization scales all clips by one shared gain afterwards,
+        // so clips are rendered without their own normalization
+        const normalizeGlobally = settings.normalizationEnabled !== false && 
+            settings.normalizationType === 'global' && settings.clips > 1;
+        
         // Generate each clip
-        const clips = [];
+        let clips = [];
         for (let i = 0; i < settings.clips; i++) {
             this.updateProgress(20 + (50 * i / settings.clips), `Generating clip ${i + 1}/${settings.clips}...`);
             
             // Generate raw audio for this clip using current track configuration
-            const audioData = await this.generateClipAudio(durationSeconds, settings);
+            const audioData = await this.generateClipAudio(durationSeconds, settings, i, normalizeGlobally);
             clips.push(audioData);
         }
         
         this.updateProgress(70, 'Processing audio...');
         
+        if (normalizeGlobally) {
+            clips = this.normalizeClipsGlobally(clips, settings);
+        }
+        
         // Create final audio for WAV export (combined)
         let finalAudio;
         if (settings.clips === 1) {
@@ -667,16 +683,19 @@ class ExportManager extends EventTarget {
         
         this.updateProgress(80, 'Preparing exports...');
         
+        // Period lengths of measurement sources and test signals go into the file metadata
+        const metadata = this.simpleExporter.getExportMetadata(this.trackManager.getExportConfig(), settings.exportSampleRate || 44100);
+        
         // Export files
         const promises = [];
         
         if (settings.wavEnabled) {
-            promises.push(this.exportWav(finalAudio, settings));
+            promises.push(this.exportWav(finalAudio, settings, metadata));
         }
         
         if (settings.cppEnabled) {
             // Pass individual clips for separate buffer generation (like Python version)
-            promises.push(this.exportCppSeparateClips(clips, settings));
+            promises.push(this.exportCppSeparateClips(clips, settings, metadata));
         }
         
         await Promise.all(promises);
@@ -687,7 +706,48 @@ class ExportManager extends EventTarget {
         await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
-    async generateClipAudio(durationSeconds, settings) {
+    // Scale every clip by one gain so the loudest clip (or the overall RMS) hits the target,
+    // keeping the level differences between clips; fades follow the processing order
+    normalizeClipsGlobally(clips, settings) {
+        const exportSettings = this.getExporterSettings(settings);
+        const sampleRate = exportSettings.exportSampleRate;
+        
+        const gain = this.simpleExporter.getNormalizationGain(clips, exportSettings.normalizeValue, exportSettings.normalizeMeasure);
+        console.log('🎵 GLOBAL NORMALIZE:', clips.length, 'clips,', exportSettings.normalizeMeasure, 'target', exportSettings.normalizeValue, 'gain', gain);
+        
+        if (gain === null) {
+            return exportSettings.fadeBeforeNorm ? clips : 
+                clips.map(clip => this.simpleExporter.applyFades(clip, exportSettings, sampleRate, '🎵 GLOBAL NORMALIZE'));
+        }
+        
+        return clips.map(clip => {
+            const scaled = this.simpleExporter.scaleChannels(clip, gain);
+            // Fade-then-normalize clips were already faded when rendered
+            return exportSettings.fadeBeforeNorm ? scaled : 
+                this.simpleExporter.applyFades(scaled, exportSettings, sampleRate, '🎵 GLOBAL NORMALIZE');
+        });
+    }
+    
+    // Export dialog settings in SimpleAudioExporter's format (independent of UI master gain)
+    getExporterSettings(settings, clipIndex = 0) {
+        return {
+            enableNormalization: settings.normalizationEnabled !== false,  // Default ON like Python
+            normalizeValue: settings.normalizationValue || 0.5,  // Use UI value, default 0.5
+            normalizeMeasure: settings.normalizationMeasure || 'peak',
+            exportAmplitude: 1.0,  // Export amplitude separate from UI master gain
+            exportSampleRate: settings.exportSampleRate || 44100,  // Configurable sample rate
+            enableFadeIn: settings.fadeInEnabled || false,
+            enableFadeOut: settings.fadeOutEnabled || false,
+            fadeInDuration: (settings.fadeInDuration || 1.0) / 1000.0,  // Convert ms to seconds
+            fadeOutDuration: (settings.fadeOutDuration || 1.0) / 1000.0, // Convert ms to seconds
+            fadeInPower: settings.fadeInPower || 2.0,
+            fadeOutPower: settings.fadeOutPower || 2.0,
+            fadeBeforeNorm: settings.processOrder === 'fade-then-normalize',
+            clipIndex: clipIndex  // Locked track seeds derive a distinct, reproducible seed per clip
+        };
+    }
+    
+    async generateClipAudio(durationSeconds, settings, clipIndex = 0, deferNormalization = false) {
         // Use the simple exporter (Python version approach)
         console.log('🎵 SIMPLE EXPORT: generateClipAudio called with:', { durationSeconds, settings });
         
@@ -706,6 +766,10 @@ class ExportManager extends EventTarget {
             console.log(`🎵 SIMPLE EXPORT: Track ${index} config:`, {
                 enabled: track.enabled,
                 gain: track.gain,
+                seed: track.seed,
+                seedLocked: track.seedLocked,
+                channels: track.channels,
+                pan: track.pan,
                 filterCount: track.filters.length
             });
             
@@ -723,19 +787,17 @@ class ExportManager extends EventTarget {
         });
         
         // Prepare export-specific settings (independent of UI master gain)
-        const exportSettings = {
-            enableNormalization: settings.normalizationEnabled || true,  // Default ON like Python
-            normalizeValue: settings.normalizationValue || 0.5,  // Use UI value, default 0.5
-            exportAmplitude: 1.0,  // Export amplitude separate from UI master gain
-            exportSampleRate: settings.exportSampleRate || 44100,  // Configurable sample rate
-            enableFadeIn: settings.fadeInEnabled || false,
-            enableFadeOut: settings.fadeOutEnabled || false,
-            fadeInDuration: (settings.fadeInDuration || 1.0) / 1000.0,  // Convert ms to seconds
-            fadeOutDuration: (settings.fadeOutDuration || 1.0) / 1000.0, // Convert ms to seconds
-            fadeInPower: settings.fadeInPower || 2.0,
-            fadeOutPower: settings.fadeOutPower || 2.0,
-            fadeBeforeNorm: settings.processOrder === 'fade-then-normalize'
-        };
+        const exportSettings = this.getExporterSettings(settings, clipIndex);
+        
+        if (deferNormalization) {
+            // Global normalization happens across all clips later; fades that come
+            // after normalization are applied then too
+            exportSettings.enableNormalization = false;
+            if (!exportSettings.fadeBeforeNorm) {
+                exportSettings.enableFadeIn = false;
+                exportSettings.enableFadeOut = false;
+            }
+        }
         
         console.log('🎵 SIMPLE EXPORT: Export settings:', exportSettings);
         console.log('🎵 EXPORT MANAGER: Sample rate from UI:', settings.exportSampleRate);
@@ -761,8 +823,9 @@ class ExportManager extends EventTarget {
         const result = await this.simpleExporter.exportSimple(durationSeconds, trackConfig, exportSettings);
         
         console.log('🎵 SIMPLE EXPORT: generateClipAudio result:', {
-            length: result.length,
-            hasNonZero: result.some(sample => sample !== 0)
+            length: result[0].length,
+            channels: result.length,
+            hasNonZero: result.some(channel => channel.some(sample => sample !== 0))
         });
         
         return result;
@@ -777,8 +840,11 @@ class ExportManager extends EventTarget {
         const silenceSamples = settings.silenceEnabled ? 
             Math.floor(settings.silenceDuration / 1000.0 * sampleRate) : 0;
         
+        // Every clip is rendered from the same tracks, so they share a channel count
+        const numChannels = clips[0].length;
+        
         // Calculate total length
-        let totalSamples = clips.reduce((sum, clip) => sum + clip.length, 0);
+        let totalSamples = clips.reduce((sum, clip) => sum + clip[0].length, 0);
         
         // Add silence between clips
         if (settings.silenceEnabled) {
@@ -789,14 +855,14 @@ class ExportManager extends EventTarget {
             }
         }
         
-        // Combine clips
-        const combined = new Float32Array(totalSamples);
+        // Combine clips, channel by channel
+        const combined = Array.from({ length: numChannels }, () => new Float32Array(totalSamples));
         let offset = 0;
         
         for (let i = 0; i < clips.length; i++) {
             // Add clip
-            combined.set(clips[i], offset);
-            offset += clips[i].length;
+            clips[i].forEach((channel, c) => combined[c].set(channel, offset));
+            offset += clips[i][0].length;
             
             // Add silence (except after last clip unless finalSilence is enabled)
             if (settings.silenceEnabled && (i < clips.length - 1 || settings.finalSilence)) {
@@ -816,27 +882,45 @@ class ExportManager extends EventTarget {
         return `noiseshaper_${timestamp}${clips}.${extension}`;
     }
     
-    async exportWav(audioData, settings) {
+    async exportWav(audioData, settings, metadata = null) {
         const filename = this.generateTimestampFilename('wav', settings);
         const sampleRate = settings.exportSampleRate || 44100;
-        const wavBlob = this.simpleExporter.createWavBlob(audioData, sampleRate);
+        const wavBlob = this.simpleExporter.createWavBlob(audioData, sampleRate, metadata);
         this.downloadBlob(wavBlob, filename);
     }
     
     async exportCpp(audioData, settings) {
         const filename = this.generateTimestampFilename('h', settings);
-        const cppCode = this.generateCppCode(audioData, filename);
+        const cppCode = this.generateCppCode(this.downmixToMono(audioData), filename);
         const blob = new Blob([cppCode], { type: 'text/plain' });
         this.downloadBlob(blob, filename);
     }
 
-    async exportCppSeparateClips(clips, settings) {
+    async exportCppSeparateClips(clips, settings, metadata = null) {
         const filename = this.generateTimestampFilename('h', settings);
-        const cppCode = this.generateCarouselCppCode(clips, settings, filename);
+        const cppCode = this.generateCarouselCppCode(clips.map(clip => this.downmixToMono(clip)), settings, filename, metadata);
         const blob = new Blob([cppCode], { type: 'text/plain' });
         this.downloadBlob(blob, filename);
     }
     
+    // Average all channels into one - the C++ headers hold mono buffers only
+    downmixToMono(channels) {
+        if (channels.length === 1) {
+            return channels[0];
+        }
+        
+        console.warn(`⚠️ C++ EXPORT: Downmixing ${channels.length} channels to mono`);
+        
+        const mono = new Float32Array(channels[0].length);
+        const scale = 1 / channels.length;
+        for (const channel of channels) {
+            for (let i = 0; i < mono.length; i++) {
+                mono[i] += channel[i] * scale;
+            }
+        }
+        return mono;
+    }
+    
     generateCppCode(audioData, filename) {
         const baseName = filename.replace(/\.[^/.]+$/, ""); // Remove extension
         const arrayName = baseName.replace(/[^a-zA-Z0-9_]/g, '_') + '_data';
@@ -871,7 +955,7 @@ class ExportManager extends EventTarget {
         return code;
     }
 
-    generateCarouselCppCode(clips, settings, filename) {
+    generateCarouselCppCode(clips, settings, filename, metadata = null) {
         const baseName = filename.replace(/\.[^/.]+$/, ""); // Remove extension
         const guardName = baseName.replace(/[^a-zA-Z0-9_]/g, '_').toUpperCase() + '_H';
         
@@ -882,12 +966,19 @@ class ExportManager extends EventTarget {
         
         // Generate C++ code matching Python carousel template format
         let code = `// Auto-generated carousel audio data header\n`;
-        code += `// Generated with NoiseShaper Web\n\n`;
+        code += `// Generated with NoiseShaper Web\n`;
+        if (metadata && metadata.comment) {
+            code += `// ${metadata.comment}\n`;
+        }
+        code += `\n`;
         code += `#ifndef ${guardName}\n`;
         code += `#define ${guardName}\n\n`;
         
         // Defines
         code += `#define SAMPLE_RATE ${sampleRate}\n`;
+        if (metadata && metadata.mixPeriod) {
+            code += `#define PERIOD_SAMPLES ${metadata.mixPeriod}  // Signal repeats every PERIOD_SAMPLES\n`;
+        }
         code += `#define NUM_BUFFERS ${clips.length}\n`;
         code += `#define MONO_SAMPLES ${clips[0].length}  // Samples per buffer\n`;
         code += `#define STEREO_SAMPLES (MONO_SAMPLES * 2)\n`;
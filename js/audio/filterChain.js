@@ -1,6 +1,7 @@
 /**
  * NoiseShaper Web - Filter Chain
  * Manages multiple BiquadFilterNodes in series for a single track
+ * (with DirectFFTManager for advanced, IIRCascadeNode for cascade and FIRFilterNode for FIR and convolution filter types)
  * 
  * Features:
  * - Multiple filters in series (unlimited)
@@ -8,6 +9,7 @@
  * - Individual filter parameter control
  * - Professional filter configuration
  * - Real-time parameter updates
+ * - Combined frequency response for the spectrum display
  */
 
 class FilterChain {
@@ -17,6 +19,7 @@ class FilterChain {
         this.inputNode = null;
         this.routingNode = null;
         this.outputNode = null;
+        this.channelCount = 1; // Track channels (FIR filters build one convolver per channel beyond stereo)
         this.listeners = new Map();
         
 
@@ -57,8 +60,10 @@ class FilterChain {
             console.log(`DEBUG FilterChain: Adding ${type} filter. Current filter count: ${this.filters.length}`);
             
             // Check if this is an advanced filter type
-            const advancedFilterTypes = ['gaussian', 'parabolic', 'plateau'];
+            const advancedFilterTypes = ['gaussian', 'parabolic', 'plateau', ...CurveFilterDesign.TYPES];
             const isAdvancedFilter = advancedFilterTypes.includes(type);
+            const isCascadeFilter = CascadeDesign.isCascadeType(type);
+            const isFIRFilter = FIRDesign.isFIRType(type) || ConvolutionFilterDesign.isConvolutionType(type);
             
             let filterNode, finalConfig;
             
@@ -75,10 +80,14 @@ class FilterChain {
                     skew: 0,
                     kurtosis: 1,
                     flatness: 1,
-                    flatWidth: 100
+                    flatWidth: 100,
+                    ...(CurveFilterDesign.isCurveType(type) ? CurveFilterDesign.getDefaultConfig() : {})
                 };
                 
                 finalConfig = { ...defaultConfig, ...config };
+                if (finalConfig.points) {
+                    finalConfig.points = CurveFilterDesign.normalizePoints(finalConfig.points);
+                }
                 
                 // Wait for the processor to be ready before connecting
                 console.log(`DEBUG FilterChain: Waiting for advanced filter processor to be ready...`);
@@ -117,8 +126,37 @@ class FilterChain {
                 filterNode.setKurtosis(finalConfig.kurtosis);
                 filterNode.setFlatness(finalConfig.flatness);
                 filterNode.setFlatWidth(finalConfig.flatWidth);
+                if (finalConfig.points) {
+                    filterNode.setPoints(finalConfig.points);
+                    filterNode.setInterpolation(finalConfig.interpolation);
+                }
                 filterNode.setActive(true);
                 
+            } else if (isCascadeFilter) {
+                // Create IIR cascade (tilt, filter families, custom coefficients, parametric/graphic EQ)
+                filterNode = new IIRCascadeNode(this.audioContext);
+                
+                const defaultConfig = {
+                    type: type,
+                    ...CascadeDesign.getDefaultConfig(type)
+                };
+                
+                finalConfig = { ...defaultConfig, ...config };
+                filterNode.setSections(CascadeDesign.designSections(finalConfig, this.audioContext.sampleRate));
+                
+            } else if (isFIRFilter) {
+                // Create FIR filter (linear-phase designs or impulse responses in ConvolverNodes)
+                filterNode = new FIRFilterNode(this.audioContext);
+                filterNode.setChannelCount(this.channelCount);
+                
+                const defaultConfig = {
+                    type: type,
+                    ...FilterChain.getFIRDefaultConfig(type)
+                };
+                
+                finalConfig = { ...defaultConfig, ...config };
+                filterNode.setTaps(this.designTaps(finalConfig));
+                
             } else {
                 // Create standard BiquadFilterNode
                 filterNode = this.audioContext.createBiquadFilter();
@@ -146,7 +184,9 @@ class FilterChain {
                 node: filterNode,
                 config: finalConfig,
                 enabled: true,
-                isAdvanced: isAdvancedFilter
+                isAdvanced: isAdvancedFilter,
+                isCascade: isCascadeFilter,
+                isFIR: isFIRFilter
             };
             
             this.filters.push(filterData);
@@ -188,8 +228,8 @@ class FilterChain {
             const filterData = this.filters[filterIndex];
             
             // Disconnect the filter node
-            if (filterData.isAdvanced) {
-                // DirectFFTManager: use destroy method for proper cleanup
+            if (filterData.isAdvanced || filterData.isCascade || filterData.isFIR) {
+                // DirectFFTManager / IIRCascadeNode / FIRFilterNode: use destroy method for proper cleanup
                 filterData.node.destroy();
             } else {
                 filterData.node.disconnect();
@@ -255,11 +295,31 @@ class FilterChain {
             const filterData = this.filters[filterIndex];
             const filterNode = filterData.node;
             
+            // Cascades are redesigned from the whole configuration before it is stored,
+            // so rejected input (e.g. unstable custom coefficients) keeps the previous design
+            if (filterData.isCascade) {
+                const sections = CascadeDesign.designSections(
+                    { ...filterData.config, [parameter]: value },
+                    this.audioContext.sampleRate
+                );
+                filterNode.setSections(sections); // The node keeps them while bypassed
+            }
+            
+            // FIR taps are redesigned the same way
+            if (filterData.isFIR) {
+                filterNode.setTaps(this.designTaps({ ...filterData.config, [parameter]: value }));
+            }
+            
+            // Drawn curve breakpoints are stored validated and sorted
+            if (parameter === 'points') {
+                value = CurveFilterDesign.normalizePoints(value);
+            }
+
             // Update the filter configuration
             filterData.config[parameter] = value;
-            
+
             // Apply to the audio node
-            if (filterData.enabled) {
+            if (filterData.enabled && !filterData.isCascade && !filterData.isFIR) {
                 if (filterData.isAdvanced) {
                     // Handle advanced filter parameters
                     switch (parameter) {
@@ -287,6 +347,15 @@ class FilterChain {
                         case 'flatWidth':
                             filterNode.setFlatWidth(value);
                             break;
+                        case 'points':
+                            filterNode.setPoints(value);
+                            break;
+                        case 'interpolation':
+                            filterNode.setInterpolation(value);
+                            break;
+                        case 'importSource':
+                            // Imported file of a curve, kept to re-apply its options; the curve itself is 'points'
+                            break;
                         default:
                             console.warn(`Unknown advanced filter parameter: ${parameter}`);
                     }
@@ -325,6 +394,78 @@ class FilterChain {
         }
     }
     
+    /**
+     * Load an impulse response file into a convolution filter
+     * The file is decoded at the AudioContext sample rate and kept with the
+     * filter configuration; the filter then uses the whole response.
+     * @param {number} filterIndex - Index of a convolution filter
+     * @param {File|Blob} file - Impulse response (WAV, FLAC, ...)
+     */
+    async loadImpulseResponse(filterIndex, file) {
+        const filterData = this.getFilter(filterIndex);
+        
+        try {
+            if (!ConvolutionFilterDesign.isConvolutionType(filterData.config.type)) {
+                throw new Error(`Filter ${filterIndex} is not a convolution filter`);
+            }
+            
+            let audioBuffer;
+            try {
+                audioBuffer = await this.audioContext.decodeAudioData(await file.arrayBuffer());
+            } catch (error) {
+                throw new Error(`Failed to decode impulse response ${file.name || ''}: ${error.message}`);
+            }
+            
+            const impulse = ConvolutionFilterDesign.validateImpulse(AudioFileSource.fromAudioBuffer(audioBuffer));
+            const config = {
+                ...filterData.config,
+                impulse,
+                impulseName: file.name || 'impulse response',
+                length: 0
+            };
+            config.length = Math.round(ConvolutionFilterDesign.getDuration(config));
+            
+            filterData.node.setTaps(this.designTaps(config));
+            Object.assign(filterData.config, config);
+            console.log(`DEBUG FilterChain: Loaded impulse response ${config.impulseName}: ${audioBuffer.numberOfChannels} ch, ${audioBuffer.duration.toFixed(2)} s`);
+            
+            this.emit('filterParameterChanged', {
+                filterIndex,
+                parameter: 'impulse',
+                value: impulse,
+                config: filterData.config,
+                isAdvanced: filterData.isAdvanced
+            });
+            
+        } catch (error) {
+            this.emit('error', `Failed to load impulse response: ${error.message}`);
+            throw error;
+        }
+    }
+    
+    /**
+     * Taps of an FIR filter (FIR design or impulse response) at the context sample rate
+     * @param {object} config - Filter configuration
+     * @returns {Float64Array|Float64Array[]|null} Taps, one set per IR channel, or null to pass through
+     */
+    designTaps(config) {
+        const sampleRate = this.audioContext.sampleRate;
+        return ConvolutionFilterDesign.isConvolutionType(config.type)
+            ? ConvolutionFilterDesign.createKernels(config, sampleRate)
+            : FIRDesign.design(config, sampleRate);
+    }
+    
+    /**
+     * Default configuration of an FIR filter type
+     * @param {string} type - FIR design or convolution filter type
+     * @returns {object} Default parameters
+     */
+    static getFIRDefaultConfig(type) {
+        return ConvolutionFilterDesign.isConvolutionType(type)
+            ? ConvolutionFilterDesign.getDefaultConfig()
+            : FIRDesign.getDefaultConfig();
+    }
+    
     /**
      * Enable/disable a filter
      * @param {number} filterIndex - Index of filter
@@ -339,8 +480,8 @@ class FilterChain {
             const filterData = this.filters[filterIndex];
             filterData.enabled = enabled;
             
-            if (filterData.isAdvanced) {
-                // Advanced filters handle enable/disable internally
+            if (filterData.isAdvanced || filterData.isCascade || filterData.isFIR) {
+                // Advanced, cascade and FIR filters handle enable/disable internally
                 filterData.node.setActive(enabled);
             } else {
                 if (enabled) {
@@ -394,12 +535,7 @@ class FilterChain {
             
             // Disconnect all filter nodes
             this.filters.forEach(filterData => {
-                if (filterData.isAdvanced) {
-                    // DirectFFTManager: use disconnect method
-                    filterData.node.disconnect();
-                } else {
-                    filterData.node.disconnect();
-                }
+                filterData.node.disconnect();
             });
             
             // Rebuild internal routing from routingNode
@@ -408,42 +544,15 @@ class FilterChain {
                 this.routingNode.connect(this.outputNode);
             } else {
                 // Connect routing to first filter
-                const firstFilter = this.filters[0];
-                if (firstFilter.isAdvanced) {
-                    // DirectFFTManager: connect routing node to processor node
-                    this.routingNode.connect(firstFilter.node.processorNode);
-                } else {
-                    this.routingNode.connect(firstFilter.node);
-                }
+                this.routingNode.connect(this.getFilterInput(this.filters[0]));
                 
                 // Connect filters in series
                 for (let i = 0; i < this.filters.length - 1; i++) {
-                    const currentFilter = this.filters[i];
-                    const nextFilter = this.filters[i + 1];
-                    
-                    if (currentFilter.isAdvanced && nextFilter.isAdvanced) {
-                        // DirectFFTManager to DirectFFTManager
-                        currentFilter.node.processorNode.connect(nextFilter.node.processorNode);
-                    } else if (currentFilter.isAdvanced && !nextFilter.isAdvanced) {
-                        // DirectFFTManager to standard
-                        currentFilter.node.processorNode.connect(nextFilter.node);
-                    } else if (!currentFilter.isAdvanced && nextFilter.isAdvanced) {
-                        // Standard to DirectFFTManager
-                        currentFilter.node.connect(nextFilter.node.processorNode);
-                    } else {
-                        // Standard to standard
-                        currentFilter.node.connect(nextFilter.node);
-                    }
+                    this.getFilterOutput(this.filters[i]).connect(this.getFilterInput(this.filters[i + 1]));
                 }
                 
                 // Connect last filter to output
-                const lastFilter = this.filters[this.filters.length - 1];
-                if (lastFilter.isAdvanced) {
-                    // DirectFFTManager: connect processor node to output
-                    lastFilter.node.processorNode.connect(this.outputNode);
-                } else {
-                    lastFilter.node.connect(this.outputNode);
-                }
+                this.getFilterOutput(this.filters[this.filters.length - 1]).connect(this.outputNode);
                 
                 // Update filter IDs
                 this.filters.forEach((filterData, index) => {
@@ -461,6 +570,50 @@ class FilterChain {
         }
     }
     
+    /**
+     * Get the audio node a filter receives its input on
+     * @param {object} filterData - Filter data object
+     * @returns {AudioNode} Input node of the filter
+     */
+    getFilterInput(filterData) {
+        if (filterData.isAdvanced) {
+            return filterData.node.processorNode; // DirectFFTManager
+        }
+        if (filterData.isCascade || filterData.isFIR) {
+            return filterData.node.input; // IIRCascadeNode / FIRFilterNode
+        }
+        return filterData.node;
+    }
+    
+    /**
+     * Get the audio node a filter sends its output from
+     * @param {object} filterData - Filter data object
+     * @returns {AudioNode} Output node of the filter
+     */
+    getFilterOutput(filterData) {
+        if (filterData.isAdvanced) {
+            return filterData.node.processorNode; // DirectFFTManager
+        }
+        if (filterData.isCascade || filterData.isFIR) {
+            return filterData.node.output; // IIRCascadeNode / FIRFilterNode
+        }
+        return filterData.node;
+    }
+    
+    /**
+     * Set the number of channels the chain carries (the track's channel count)
+     * @param {number} channels - Channel count
+     */
+    setChannelCount(channels) {
+        this.channelCount = channels;
+
+        this.filters.forEach(filterData => {
+            if (filterData.isFIR) {
+                filterData.node.setChannelCount(channels);
+            }
+        });
+    }
+
     /**
      * Get the input node for external connections
      * @returns {GainNode} The input node
@@ -521,7 +674,9 @@ class FilterChain {
             id: filterData.id,
             config: { ...filterData.config },
             enabled: filterData.enabled,
-            isAdvanced: filterData.isAdvanced
+            isAdvanced: filterData.isAdvanced,
+            isCascade: filterData.isCascade,
+            isFIR: filterData.isFIR
         }));
     }
     
@@ -538,7 +693,7 @@ class FilterChain {
             
             if (filterData.isAdvanced) {
                 // Advanced filter: only include advanced parameters
-                return {
+                const advancedConfig = {
                     ...baseConfig,
                     centerFreq: filterData.config.centerFreq || 1000,
                     width: filterData.config.width || 500,
@@ -548,12 +703,40 @@ class FilterChain {
                     flatness: filterData.config.flatness || 1,
                     flatWidth: filterData.config.flatWidth || 100
                 };
+                if (CurveFilterDesign.isCurveType(filterData.config.type)) {
+                    // Drawn curve: its breakpoints, copied so the export keeps them as they are now
+                    advancedConfig.points = filterData.config.points.map(point => ({ ...point }));
+                    advancedConfig.interpolation = filterData.config.interpolation;
+                }
+                return advancedConfig;
+            } else if (filterData.isCascade) {
+                // Cascade filter: design parameters (sections are redesigned at the export sample rate)
+                const designConfig = { ...baseConfig };
+                Object.entries(CascadeDesign.getDefaultConfig(filterData.config.type)).forEach(([name, value]) => {
+                    designConfig[name] = filterData.config[name] !== undefined ? filterData.config[name] : value;
+                });
+                if (designConfig.bands) {
+                    // Parametric EQ: copy the bands so the export keeps them as they are now
+                    designConfig.bands = designConfig.bands.map(band => ({ ...band }));
+                }
+                if (designConfig.gains) {
+                    designConfig.gains = [...designConfig.gains]; // Graphic EQ sliders
+                }
+                return designConfig;
+            } else if (filterData.isFIR) {
+                // FIR filter: design parameters (taps are redesigned at the export sample rate);
+                // convolution filters carry their impulse response data, resampled by the exporter
+                const designConfig = { ...baseConfig };
+                Object.entries(FilterChain.getFIRDefaultConfig(filterData.config.type)).forEach(([name, value]) => {
+                    designConfig[name] = filterData.config[name] !== undefined ? filterData.config[name] : value;
+                });
+                return designConfig;
             } else {
                 // Standard filter: only include standard parameters
                 return {
                     ...baseConfig,
                     frequency: filterData.config.frequency || 1000,
-                    Q: filterData.config.Q || 1.0,
+                    Q: filterData.config.Q !== undefined ? filterData.config.Q : 1.0,
                     gain: filterData.config.gain || 0
                 };
             }
@@ -576,7 +759,13 @@ class FilterChain {
             let combinedMagnitude = new Float32Array(frequencyArray.length).fill(0);
             
             this.filters.forEach(filterData => {
-                if (filterData.enabled) {
+                if (filterData.enabled && filterData.isAdvanced) {
+                    // DirectFFTManager computes its response in dB directly
+                    const response = filterData.node.calculateResponse(frequencyArray);
+                    for (let i = 0; i < frequencyArray.length; i++) {
+                        combinedMagnitude[i] += response.magnitudeDB[i];
+                    }
+                } else if (filterData.enabled) {
                     const magnitude = new Float32Array(frequencyArray.length);
                     const phase = new Float32Array(frequencyArray.length);
                     
@@ -598,6 +787,38 @@ class FilterChain {
         }
     }
     
+    /**
+     * Whether any filter is enabled (there is a response worth displaying)
+     * @returns {boolean} True when at least one filter is enabled
+     */
+    get isActive() {
+        return this.filters.some(filterData => filterData.enabled);
+    }
+    
+    /**
+     * Get display response for visualization
+     * @param {number} displayWidth - Number of points
+     * @param {number} minFreq - Lowest frequency in Hz
+     * @param {number} maxFreq - Highest frequency in Hz
+     * @returns {object} { magnitudeDB, frequencies } on a logarithmic frequency axis
+     */
+    getDisplayResponse(displayWidth = 800, minFreq = 20, maxFreq = 20000) {
+        const frequencies = new Float32Array(displayWidth);
+        const logMin = Math.log10(minFreq);
+        const logMax = Math.log10(maxFreq);
+        const logRange = logMax - logMin;
+        
+        for (let i = 0; i < displayWidth; i++) {
+            const logFreq = logMin + (i / displayWidth) * logRange;
+            frequencies[i] = Math.pow(10, logFreq);
+        }
+        
+        return {
+            magnitudeDB: this.getFrequencyResponse(frequencies),
+            frequencies: frequencies
+        };
+    }
+    
     /**
      * Clear all filters
      */
@@ -0,0 +1,483 @@
+/**
+ * NoiseShaper Web - Filter Family Design
+ * Classic higher-order lowpass/highpass filters as biquad cascades
+ *
+ * Each design starts from the analog lowpass prototype of its family (poles,
+ * zeros and gain, as in SciPy's buttap/cheb1ap/cheb2ap/besselap), is scaled to
+ * the prewarped cutoff or turned into a highpass, mapped with the bilinear
+ * transform and grouped into second-order sections. CascadeDesign hands the
+ * sections to the live IIRCascadeNode and to export rendering.
+ *
+ * Features:
+ * - Butterworth, Linkwitz-Riley, Chebyshev I/II and Bessel, order 1-8
+ * - Lowpass and highpass responses (and bandpass transforms for OctaveBandDesign)
+ * - Conjugate pole pairs matched with their nearest zeros, lowest Q first
+ */
+
+class FilterFamilyDesign {
+    /**
+     * Filter types, one per family
+     */
+    static get TYPES() {
+        return ['butterworth', 'linkwitzRiley', 'chebyshev1', 'chebyshev2', 'bessel'];
+    }
+
+    /**
+     * Highest supported order
+     */
+    static get MAX_ORDER() {
+        return 8;
+    }
+
+    /**
+     * Check whether a filter type is a filter family
+     * @param {string} type - Filter type
+     * @returns {boolean} True for family filter types
+     */
+    static isFamilyType(type) {
+        return FilterFamilyDesign.TYPES.includes(type);
+    }
+
+    /**
+     * Default configuration of a family filter
+     * @param {string} type - One of TYPES
+     * @returns {Object} Parameters with their defaults
+     */
+    static getDefaultConfig(type) {
+        const config = { response: 'lowpass', frequency: 1000, order: 4 };
+        if (type === 'chebyshev1') {
+            config.ripple = 1;
+        } else if (type === 'chebyshev2') {
+            config.attenuation = 60;
+        }
+        return config;
+    }
+
+    /**
+     * Order actually designed: an integer from 1 to MAX_ORDER, even for Linkwitz-Riley
+     * @param {string} type - Filter type
+     * @param {number} order - Requested order
+     * @returns {number} Design order
+     */
+    static getOrder(type, order) {
+        const clamped = Math.max(1, Math.min(FilterFamilyDesign.MAX_ORDER, Math.round(order) || 1));
+        return type === 'linkwitzRiley' ? Math.max(2, clamped + (clamped % 2)) : clamped;
+    }
+
+    /**
+     * Design the sections of a family filter.
+     * frequency is the -3 dB point for Butterworth and Bessel, -6 dB for
+     * Linkwitz-Riley, the passband ripple edge for Chebyshev I and the
+     * stopband edge for Chebyshev II.
+     * @param {Object} filter - { type, response, frequency, order, ripple, attenuation }
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object[]} Sections { b0, b1, b2, a1, a2 }
+     */
+    static designSections(filter, sampleRate) {
+        const defaults = FilterFamilyDesign.getDefaultConfig(filter.type);
+        const config = { ...defaults, ...filter };
+        const order = FilterFamilyDesign.getOrder(filter.type, config.order);
+
+        const prototype = FilterFamilyDesign.getPrototype(filter.type, order, config.ripple, config.attenuation);
+
+        // Prewarp so the cutoff lands exactly after the bilinear transform
+        const frequency = Math.max(1, Math.min(config.frequency, sampleRate * 0.499));
+        const warped = 2 * sampleRate * Math.tan(Math.PI * frequency / sampleRate);
+
+        const analog = config.response === 'highpass'
+            ? FilterFamilyDesign.toHighpass(prototype, warped)
+            : FilterFamilyDesign.toLowpass(prototype, warped);
+
+        return FilterFamilyDesign.toSections(FilterFamilyDesign.bilinear(analog, sampleRate));
+    }
+
+    /**
+     * Analog lowpass prototype with its cutoff at 1 rad/s
+     * @param {string} type - One of TYPES
+     * @param {number} order - Filter order
+     * @param {number} ripple - Chebyshev I passband ripple in dB
+     * @param {number} attenuation - Chebyshev II stopband attenuation in dB
+     * @returns {Object} { zeros, poles, gain } with complex roots { re, im }
+     */
+    static getPrototype(type, order, ripple = 1, attenuation = 60) {
+        switch (type) {
+            case 'butterworth':
+                return FilterFamilyDesign.butterworthPrototype(order);
+            case 'linkwitzRiley': {
+                // Two Butterworth filters of half the order in series
+                const half = FilterFamilyDesign.butterworthPrototype(order / 2);
+                return { zeros: [], poles: [...half.poles, ...half.poles], gain: 1 };
+            }
+            case 'chebyshev1':
+                return FilterFamilyDesign.chebyshev1Prototype(order, ripple);
+            case 'chebyshev2':
+                return FilterFamilyDesign.chebyshev2Prototype(order, attenuation);
+            case 'bessel':
+                return FilterFamilyDesign.besselPrototype(order);
+            default:
+                throw new Error(`Unknown filter family: ${type}`);
+        }
+    }
+
+    /**
+     * Butterworth prototype: poles evenly spaced on the left unit half circle
+     * @param {number} order - Filter order
+     * @returns {Object} { zeros, poles, gain }
+     */
+    static butterworthPrototype(order) {
+        const poles = FilterFamilyDesign.getPoleAngles(order).map(angle => ({
+            re: -Math.cos(angle),
+            im: -Math.sin(angle)
+        }));
+        return { zeros: [], poles, gain: 1 };
+    }
+
+    /**
+     * Chebyshev type I prototype (equiripple passband)
+     * @param {number} order - Filter order
+     * @param {number} ripple - Passband ripple in dB
+     * @returns {Object} { zeros, poles, gain }
+     */
+    static chebyshev1Prototype(order, ripple) {
+        const epsilon = Math.sqrt(Math.pow(10, Math.max(ripple, 0.01) / 10) - 1);
+        const mu = Math.asinh(1 / epsilon) / order;
+
+        // p = -sinh(mu + j*theta)
+        const poles = FilterFamilyDesign.getPoleAngles(order).map(angle => ({
+            re: -Math.sinh(mu) * Math.cos(angle),
+            im: -Math.cosh(mu) * Math.sin(angle)
+        }));
+
+        // Unity gain at DC for odd orders, the bottom of the ripple for even orders
+        let gain = FilterFamilyDesign.product(poles.map(FilterFamilyDesign.negate)).re;
+        if (order % 2 === 0) {
+            gain /= Math.sqrt(1 + epsilon * epsilon);
+        }
+        return { zeros: [], poles, gain };
+    }
+
+    /**
+     * Chebyshev type II prototype (equiripple stopband, stopband edge at 1 rad/s)
+     * @param {number} order - Filter order
+     * @param {number} attenuation - Minimum stopband attenuation in dB
+     * @returns {Object} { zeros, poles, gain }
+     */
+    static chebyshev2Prototype(order, attenuation) {
+        const delta = 1 / Math.sqrt(Math.pow(10, Math.max(attenuation, 1) / 10) - 1);
+        const mu = Math.asinh(1 / delta) / order;
+
+        // Zeros on the imaginary axis (none at infinity except for odd orders)
+        const zeros = [];
+        FilterFamilyDesign.getPoleAngles(order).forEach(angle => {
+            if (Math.abs(Math.sin(angle)) > 1e-12) {
+                zeros.push({ re: 0, im: 1 / Math.sin(angle) });
+            }
+        });
+
+        // Reciprocals of the Butterworth poles squeezed onto an ellipse
+        const poles = FilterFamilyDesign.getPoleAngles(order).map(angle =>
+            FilterFamilyDesign.reciprocal({
+                re: -Math.sinh(mu) * Math.cos(angle),
+                im: -Math.cosh(mu) * Math.sin(angle)
+            })
+        );
+
+        const gain = FilterFamilyDesign.divide(
+            FilterFamilyDesign.product(poles.map(FilterFamilyDesign.negate)),
+            FilterFamilyDesign.product(zeros.map(FilterFamilyDesign.negate))
+        ).re;
+        return { zeros, poles, gain };
+    }
+
+    /**
+     * Bessel prototype (maximally flat group delay), normalized to -3 dB at 1 rad/s
+     * @param {number} order - Filter order
+     * @returns {Object} { zeros, poles, gain }
+     */
+    static besselPrototype(order) {
+        // Reverse Bessel polynomial: a_k = (2n - k)! / (2^(n - k) k! (n - k)!)
+        const factorial = n => (n <= 1 ? 1 : n * factorial(n - 1));
+        const coefficients = [];
+        for (let k = 0; k <= order; k++) {
+            coefficients.push(factorial(2 * order - k) / (Math.pow(2, order - k) * factorial(k) * factorial(order - k)));
+        }
+
+        let poles = FilterFamilyDesign.findRoots(coefficients);
+
+        // Find the -3 dB frequency of the unnormalized filter and move it to 1 rad/s
+        const magnitudeSquared = w => {
+            const response = FilterFamilyDesign.product(poles.map(pole => FilterFamilyDesign.divide(
+                FilterFamilyDesign.negate(pole),
+                { re: -pole.re, im: w - pole.im }
+            )));
+            return response.re * response.re + response.im * response.im;
+        };
+        let low = 1e-3;
+        let high = 1e3;
+        for (let i = 0; i < 100; i++) {
+            const middle = Math.sqrt(low * high);
+            if (magnitudeSquared(middle) > 0.5) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        const cutoff = Math.sqrt(low * high);
+        poles = poles.map(pole => ({ re: pole.re / cutoff, im: pole.im / cutoff }));
+
+        return { zeros: [], poles, gain: FilterFamilyDesign.product(poles.map(FilterFamilyDesign.negate)).re };
+    }
+
+    /**
+     * Angles of the Butterworth poles, (2k - n + 1)π / 2n for k = 0..n-1
+     * @param {number} order - Filter order
+     * @returns {number[]} Angles in radians
+     */
+    static getPoleAngles(order) {
+        return Array.from({ length: order }, (_, k) => Math.PI * (2 * k - order + 1) / (2 * order));
+    }
+
+    /**
+     * Roots of a real polynomial (Durand-Kerner iteration)
+     * @param {number[]} coefficients - Coefficients, constant term first
+     * @returns {Object[]} Complex roots { re, im }
+     */
+    static findRoots(coefficients) {
+        const degree = coefficients.length - 1;
+        const monic = coefficients.map(c => c / coefficients[degree]);
+        const evaluate = x => {
+            let value = { re: 1, im: 0 };
+            for (let k = degree - 1; k >= 0; k--) {
+                value = FilterFamilyDesign.multiply(value, x);
+                value.re += monic[k];
+            }
+            return value;
+        };
+
+        // Start from points spread around a circle of the roots' typical size
+        const radius = Math.pow(Math.abs(monic[0]), 1 / degree);
+        let roots = Array.from({ length: degree }, (_, k) => ({
+            re: radius * Math.cos(2 * Math.PI * k / degree + 0.4),
+            im: radius * Math.sin(2 * Math.PI * k / degree + 0.4)
+        }));
+
+        for (let iteration = 0; iteration < 500; iteration++) {
+            let change = 0;
+            roots = roots.map((root, i) => {
+                let denominator = { re: 1, im: 0 };
+                roots.forEach((other, j) => {
+                    if (i !== j) {
+                        denominator = FilterFamilyDesign.multiply(denominator, { re: root.re - other.re, im: root.im - other.im });
+                    }
+                });
+                const step = FilterFamilyDesign.divide(evaluate(root), denominator);
+                change = Math.max(change, Math.hypot(step.re, step.im));
+                return { re: root.re - step.re, im: root.im - step.im };
+            });
+            if (change < 1e-14 * radius) {
+                break;
+            }
+        }
+
+        return roots;
+    }
+
+    /**
+     * Scale a lowpass prototype to a cutoff (SciPy lp2lp_zpk)
+     * @param {Object} prototype - { zeros, poles, gain }
+     * @param {number} cutoff - Cutoff in rad/s
+     * @returns {Object} { zeros, poles, gain }
+     */
+    static toLowpass(prototype, cutoff) {
+        const scale = root => ({ re: root.re * cutoff, im: root.im * cutoff });
+        const degree = prototype.poles.length - prototype.zeros.length;
+        return {
+            zeros: prototype.zeros.map(scale),
+            poles: prototype.poles.map(scale),
+            gain: prototype.gain * Math.pow(cutoff, degree)
+        };
+    }
+
+    /**
+     * Turn a lowpass prototype into a highpass at a cutoff (SciPy lp2hp_zpk)
+     * @param {Object} prototype - { zeros, poles, gain }
+     * @param {number} cutoff - Cutoff in rad/s
+     * @returns {Object} { zeros, poles, gain }
+     */
+    static toHighpass(prototype, cutoff) {
+        const invert = root => {
+            const inverse = FilterFamilyDesign.reciprocal(root);
+            return { re: inverse.re * cutoff, im: inverse.im * cutoff };
+        };
+        const degree = prototype.poles.length - prototype.zeros.length;
+
+        // Zeros at infinity move to DC
+        const zeros = [...prototype.zeros.map(invert), ...Array.from({ length: degree }, () => ({ re: 0, im: 0 }))];
+        const gain = prototype.gain * FilterFamilyDesign.divide(
+            FilterFamilyDesign.product(prototype.zeros.map(FilterFamilyDesign.negate)),
+            FilterFamilyDesign.product(prototype.poles.map(FilterFamilyDesign.negate))
+        ).re;
+
+        return { zeros, poles: prototype.poles.map(invert), gain };
+    }
+
+    /**
+     * Turn a lowpass prototype into a bandpass between two edges (SciPy lp2bp_zpk)
+     * @param {Object} prototype - { zeros, poles, gain }
+     * @param {number} lower - Lower edge in rad/s
+     * @param {number} upper - Upper edge in rad/s
+     * @returns {Object} { zeros, poles, gain }, twice the prototype order
+     */
+    static toBandpass(prototype, lower, upper) {
+        const bandwidth = upper - lower;
+        const centerSquared = lower * upper;
+
+        // Each root r becomes the two roots of s^2 - r*bandwidth*s + center^2
+        const split = root => {
+            const scaled = { re: root.re * bandwidth / 2, im: root.im * bandwidth / 2 };
+            const offset = FilterFamilyDesign.sqrt({
+                re: scaled.re * scaled.re - scaled.im * scaled.im - centerSquared,
+                im: 2 * scaled.re * scaled.im
+            });
+            return [
+                { re: scaled.re + offset.re, im: scaled.im + offset.im },
+                { re: scaled.re - offset.re, im: scaled.im - offset.im }
+            ];
+        };
+        const degree = prototype.poles.length - prototype.zeros.length;
+
+        // Zeros at infinity: half stay there, half move to DC
+        const zeros = [...prototype.zeros.flatMap(split), ...Array.from({ length: degree }, () => ({ re: 0, im: 0 }))];
+        return {
+            zeros,
+            poles: prototype.poles.flatMap(split),
+            gain: prototype.gain * Math.pow(bandwidth, degree)
+        };
+    }
+
+    /**
+     * Bilinear transform of an analog filter (SciPy bilinear_zpk)
+     * @param {Object} analog - { zeros, poles, gain }
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} Digital { zeros, poles, gain }
+     */
+    static bilinear(analog, sampleRate) {
+        const twiceRate = 2 * sampleRate;
+        const map = root => FilterFamilyDesign.divide(
+            { re: twiceRate + root.re, im: root.im },
+            { re: twiceRate - root.re, im: -root.im }
+        );
+        const degree = analog.poles.length - analog.zeros.length;
+
+        // Zeros at infinity move to Nyquist
+        const zeros = [...analog.zeros.map(map), ...Array.from({ length: degree }, () => ({ re: -1, im: 0 }))];
+        const gain = analog.gain * FilterFamilyDesign.divide(
+            FilterFamilyDesign.product(analog.zeros.map(root => ({ re: twiceRate - root.re, im: -root.im }))),
+            FilterFamilyDesign.product(analog.poles.map(root => ({ re: twiceRate - root.re, im: -root.im })))
+        ).re;
+
+        return { zeros, poles: analog.poles.map(map), gain };
+    }
+
+    /**
+     * Group digital poles and zeros into sections. Pole pairs closest to the
+     * unit circle pick their nearest zeros first; sections run from lowest to
+     * highest Q, with the overall gain in the first.
+     * @param {Object} digital - { zeros, poles, gain }
+     * @returns {Object[]} Sections { b0, b1, b2, a1, a2 }
+     */
+    static toSections(digital) {
+        const poleGroups = FilterFamilyDesign.groupRoots(digital.poles);
+        const zeroGroups = FilterFamilyDesign.groupRoots(digital.zeros);
+        const radius = group => Math.max(...group.map(root => Math.hypot(root.re, root.im)));
+
+        poleGroups.sort((a, b) => radius(b) - radius(a));
+        const pairs = poleGroups.map(poles => {
+            let best = -1;
+            let bestDistance = Infinity;
+            zeroGroups.forEach((zeros, i) => {
+                const distance = Math.hypot(zeros[0].re - poles[0].re, Math.abs(zeros[0].im) - Math.abs(poles[0].im));
+                if (zeros.length === poles.length && distance < bestDistance) {
+                    best = i;
+                    bestDistance = distance;
+                }
+            });
+            return { poles, zeros: best >= 0 ? zeroGroups.splice(best, 1)[0] : [] };
+        });
+
+        const coefficients = roots => {
+            if (roots.length === 2) {
+                // (1 - r1/z)(1 - r2/z); a pair is conjugate or two real roots, so the result is real
+                return [1, -(roots[0].re + roots[1].re), roots[0].re * roots[1].re - roots[0].im * roots[1].im];
+            }
+            return roots.length === 1 ? [1, -roots[0].re, 0] : [1, 0, 0];
+        };
+
+        const sections = pairs.reverse().map(({ poles, zeros }) => {
+            const [b0, b1, b2] = coefficients(zeros);
+            const [, a1, a2] = coefficients(poles);
+            return { b0, b1, b2, a1, a2 };
+        });
+
+        sections[0].b0 *= digital.gain;
+        sections[0].b1 *= digital.gain;
+        sections[0].b2 *= digital.gain;
+        return sections;
+    }
+
+    /**
+     * Split roots into conjugate pairs, pairs of real roots and at most one single real root
+     * @param {Object[]} roots - Complex roots { re, im } of a real polynomial
+     * @returns {Object[][]} Groups of one or two roots
+     */
+    static groupRoots(roots) {
+        const isReal = root => Math.abs(root.im) <= 1e-9 * Math.max(1, Math.hypot(root.re, root.im));
+        const groups = roots
+            .filter(root => !isReal(root) && root.im > 0)
+            .map(root => [root, { re: root.re, im: -root.im }]);
+
+        const real = roots.filter(isReal).map(root => ({ re: root.re, im: 0 })).sort((a, b) => a.re - b.re);
+        for (let i = 0; i < real.length; i += 2) {
+            groups.push(real.slice(i, i + 2));
+        }
+        return groups;
+    }
+
+    /**
+     * Complex helpers on { re, im }
+     */
+    static multiply(a, b) {
+        return { re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re };
+    }
+
+    static divide(a, b) {
+        const denominator = b.re * b.re + b.im * b.im;
+        return {
+            re: (a.re * b.re + a.im * b.im) / denominator,
+            im: (a.im * b.re - a.re * b.im) / denominator
+        };
+    }
+
+    static reciprocal(a) {
+        return FilterFamilyDesign.divide({ re: 1, im: 0 }, a);
+    }
+
+    static negate(a) {
+        return { re: -a.re, im: -a.im };
+    }
+
+    static sqrt(a) {
+        // Principal root
+        const modulus = Math.hypot(a.re, a.im);
+        const re = Math.sqrt((modulus + a.re) / 2);
+        const im = Math.sqrt(Math.max(0, (modulus - a.re) / 2));
+        return { re, im: a.im < 0 ? -im : im };
+    }
+
+    static product(values) {
+        return values.reduce((result, value) => FilterFamilyDesign.multiply(result, value), { re: 1, im: 0 });
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.FilterFamilyDesign = FilterFamilyDesign;
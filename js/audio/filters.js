@@ -3,7 +3,7 @@
  * Professional BiquadFilterNode management with real-time parameter control
  * 
  * Features:
- * - Multiple filter types (lowpass, highpass, bandpass, notch, allpass, peaking)
+ * - Multiple filter types (lowpass, highpass, bandpass, notch, allpass, peaking, lowshelf, highshelf)
  * - Real-time frequency and Q parameter updates
  * - Professional audio parameter ranges and scaling
  * - Filter response calculation for visualization
@@ -41,7 +41,9 @@ class AudioFilterManager {
             { value: 'bandpass', label: 'Band Pass' },
             { value: 'notch', label: 'Notch' },
             { value: 'allpass', label: 'All Pass' },
-            { value: 'peaking', label: 'Peaking' }
+            { value: 'peaking', label: 'Peaking' },
+            { value: 'lowshelf', label: 'Low Shelf' },
+            { value: 'highshelf', label: 'High Shelf' }
         ];
         
         this.setupFilter();
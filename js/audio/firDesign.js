@@ -0,0 +1,612 @@
+/**
+ * NoiseShaper Web - FIR Filter Design
+ * Linear-phase FIR low/high/band-pass and band-stop filters
+ *
+ * Designs have an odd number of symmetric taps (type I), so every response
+ * type is possible and the delay is a whole (taps - 1) / 2 samples. The
+ * cutoff is the middle of the transition band: windowed-sinc designs put
+ * their -6 dB point there, frequency sampling and equiripple designs place
+ * the pass and stop band edges half a transition width either side of it.
+ * Shared by the live ConvolverNode, SimpleAudioExporter and the export worker,
+ * so the same taps are heard and rendered.
+ *
+ * Features:
+ * - Windowed sinc with a Kaiser window (beta from the ripple/attenuation spec) or a Blackman window
+ * - Frequency sampling of the ideal response with linear transition bands
+ * - Parks-McClellan (Remez exchange) equiripple design weighted by the ripple/attenuation spec
+ * - Achieved ripple/attenuation and Kaiser's tap estimate for the designer preview
+ */
+
+class FIRDesign {
+    /**
+     * Filter types designed as FIR taps
+     */
+    static get TYPES() {
+        return ['fir'];
+    }
+
+    /**
+     * Design methods
+     */
+    static get METHODS() {
+        return {
+            kaiser: 'Windowed Sinc (Kaiser)',
+            blackman: 'Windowed Sinc (Blackman)',
+            frequencySampling: 'Frequency Sampling',
+            equiripple: 'Equiripple (Parks-McClellan)'
+        };
+    }
+
+    /**
+     * Response types
+     */
+    static get RESPONSES() {
+        return {
+            lowpass: 'Low Pass',
+            highpass: 'High Pass',
+            bandpass: 'Band Pass',
+            bandstop: 'Band Stop'
+        };
+    }
+
+    /**
+     * Tap count limits (odd counts only)
+     */
+    static get TAP_RANGE() {
+        return { min: 3, max: 4095 };
+    }
+
+    /**
+     * Most taps of an equiripple design (the exchange gets slow and ill-conditioned beyond)
+     */
+    static get MAX_EQUIRIPPLE_TAPS() {
+        return 1023;
+    }
+
+    /**
+     * Remez exchange: grid points per extremal frequency, iteration limit
+     */
+    static get GRID_DENSITY() {
+        return 16;
+    }
+
+    static get MAX_ITERATIONS() {
+        return 40;
+    }
+
+    /**
+     * Designs kept for reuse (render streams and the preview ask for the same taps repeatedly)
+     */
+    static get CACHE_SIZE() {
+        return 16;
+    }
+
+    /**
+     * Check whether a filter type is an FIR design
+     * @param {string} type - Filter type
+     * @returns {boolean} True for FIR designs
+     */
+    static isFIRType(type) {
+        return FIRDesign.TYPES.includes(type);
+    }
+
+    /**
+     * Default configuration: 1 kHz Kaiser low pass
+     * @returns {Object} { response, method, frequency, frequency2, transition, ripple, attenuation, taps }
+     */
+    static getDefaultConfig() {
+        return {
+            response: 'lowpass',
+            method: 'kaiser',
+            frequency: 1000,
+            frequency2: 4000,
+            transition: 200,
+            ripple: 0.1,
+            attenuation: 60,
+            taps: 511
+        };
+    }
+
+    /**
+     * Tap count of a design: odd, within TAP_RANGE (and MAX_EQUIRIPPLE_TAPS for equiripple)
+     * @param {Object} filter - FIR configuration
+     * @returns {number} Number of taps
+     */
+    static getTapCount(filter) {
+        const { min, max } = FIRDesign.TAP_RANGE;
+        const limit = filter.method === 'equiripple' ? FIRDesign.MAX_EQUIRIPPLE_TAPS : max;
+        const taps = Math.round(Number(filter.taps) || FIRDesign.getDefaultConfig().taps);
+        return Math.max(min, Math.min(limit, taps % 2 === 0 ? taps + 1 : taps));
+    }
+
+    /**
+     * Delay of a design in samples
+     * @param {Object} filter - FIR configuration
+     * @returns {number} (taps - 1) / 2
+     */
+    static getDelay(filter) {
+        return (FIRDesign.getTapCount(filter) - 1) / 2;
+    }
+
+    /**
+     * Pass and stop bands of a configuration in normalized frequency (cycles per sample).
+     * Cutoffs are kept below Nyquist and the transition width is narrowed where it would
+     * not fit between DC, the cutoffs and Nyquist.
+     * @param {Object} filter - FIR configuration
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { cutoffs, transition, bands: [{ low, high, desired, pass }] }
+     */
+    static getBands(filter, sampleRate) {
+        const response = filter.response || 'lowpass';
+        if (!FIRDesign.RESPONSES[response]) {
+            throw new Error(`Unknown FIR response: ${response}`);
+        }
+
+        const isBand = response === 'bandpass' || response === 'bandstop';
+        const clampCutoff = frequency => Math.max(0.001, Math.min(0.49, (Number(frequency) || 0) / sampleRate));
+        const cutoffs = isBand
+            ? [clampCutoff(filter.frequency), clampCutoff(filter.frequency2)].sort((a, b) => a - b)
+            : [clampCutoff(filter.frequency)];
+
+        // Room for half a transition either side of each cutoff
+        let room = Math.min(cutoffs[0], 0.5 - cutoffs[cutoffs.length - 1]);
+        if (isBand) {
+            room = Math.min(room, (cutoffs[1] - cutoffs[0]) / 2);
+        }
+        const half = Math.max(0, Math.min((Number(filter.transition) || 0) / sampleRate / 2, 0.9 * room));
+
+        // Alternating bands between 0 and 0.5, starting with a pass band for low pass and band stop
+        const startsPassing = response === 'lowpass' || response === 'bandstop';
+        const edges = [0];
+        cutoffs.forEach(cutoff => edges.push(cutoff - half, cutoff + half));
+        edges.push(0.5);
+
+        const bands = [];
+        for (let i = 0; i < edges.length; i += 2) {
+            const pass = (i / 2) % 2 === 0 ? startsPassing : !startsPassing;
+            bands.push({ low: edges[i], high: edges[i + 1], desired: pass ? 1 : 0, pass });
+        }
+
+        return { cutoffs, transition: 2 * half, bands };
+    }
+
+    /**
+     * Pass band ripple and stop band attenuation as linear deviations
+     * @param {Object} filter - FIR configuration
+     * @returns {Object} { passDeviation, stopDeviation }
+     */
+    static getDeviations(filter) {
+        const ripple = Math.max(0.001, Number(filter.ripple) || 0.1);
+        const gain = Math.pow(10, ripple / 20);
+        return {
+            passDeviation: (gain - 1) / (gain + 1),
+            stopDeviation: Math.pow(10, -Math.max(1, Number(filter.attenuation) || 60) / 20)
+        };
+    }
+
+    /**
+     * Design the taps of a filter (cached by configuration and sample rate)
+     * @param {Object} filter - FIR configuration
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Float64Array} Symmetric taps
+     */
+    static design(filter, sampleRate) {
+        const key = JSON.stringify([
+            filter.response, filter.method, filter.frequency, filter.frequency2, filter.transition,
+            filter.ripple, filter.attenuation, filter.taps, sampleRate
+        ]);
+
+        const cache = FIRDesign.cache || (FIRDesign.cache = new Map());
+        if (cache.has(key)) {
+            return cache.get(key);
+        }
+
+        const method = filter.method || 'kaiser';
+        let taps;
+        switch (method) {
+            case 'kaiser':
+            case 'blackman':
+                taps = FIRDesign.designWindowed(filter, sampleRate);
+                break;
+            case 'frequencySampling':
+                taps = FIRDesign.designFrequencySampling(filter, sampleRate);
+                break;
+            case 'equiripple':
+                taps = FIRDesign.designEquiripple(filter, sampleRate);
+                break;
+            default:
+                throw new Error(`Unknown FIR design method: ${method}`);
+        }
+
+        cache.set(key, taps);
+        if (cache.size > FIRDesign.CACHE_SIZE) {
+            cache.delete(cache.keys().next().value);
+        }
+        return taps;
+    }
+
+    /**
+     * Windowed sinc: the ideal response truncated by a Kaiser or Blackman window,
+     * scaled to unity gain in the middle of the (first) pass band
+     * @param {Object} filter - FIR configuration
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Float64Array} Taps
+     */
+    static designWindowed(filter, sampleRate) {
+        const length = FIRDesign.getTapCount(filter);
+        const center = (length - 1) / 2;
+        const { cutoffs, bands } = FIRDesign.getBands(filter, sampleRate);
+        const response = filter.response || 'lowpass';
+
+        // Ideal low pass of cutoff fc, offset m samples from the center
+        const lowpass = (fc, m) => (m === 0 ? 2 * fc : Math.sin(2 * Math.PI * fc * m) / (Math.PI * m));
+
+        let window;
+        if (filter.method === 'blackman') {
+            window = n => 0.42 - 0.5 * Math.cos(2 * Math.PI * n / (length - 1)) + 0.08 * Math.cos(4 * Math.PI * n / (length - 1));
+        } else {
+            const { passDeviation, stopDeviation } = FIRDesign.getDeviations(filter);
+            const beta = FIRDesign.getKaiserBeta(-20 * Math.log10(Math.min(passDeviation, stopDeviation)));
+            const norm = FIRDesign.besselI0(beta);
+            window = n => FIRDesign.besselI0(beta * Math.sqrt(Math.max(0, 1 - Math.pow((n - center) / center, 2)))) / norm;
+        }
+
+        const taps = new Float64Array(length);
+        for (let n = 0; n < length; n++) {
+            const m = n - center;
+            let ideal;
+            switch (response) {
+                case 'lowpass':
+                    ideal = lowpass(cutoffs[0], m);
+                    break;
+                case 'highpass':
+                    ideal = lowpass(0.5, m) - lowpass(cutoffs[0], m);
+                    break;
+                case 'bandpass':
+                    ideal = lowpass(cutoffs[1], m) - lowpass(cutoffs[0], m);
+                    break;
+                default:
+                    ideal = lowpass(0.5, m) - lowpass(cutoffs[1], m) + lowpass(cutoffs[0], m);
+            }
+            taps[n] = ideal * window(n);
+        }
+
+        const passBand = bands.find(band => band.pass);
+        const gain = FIRDesign.getAmplitude(taps, (passBand.low + passBand.high) / 2);
+        return taps.map(tap => tap / gain);
+    }
+
+    /**
+     * Frequency sampling: the desired amplitude (with linear transitions)
+     * sampled at the taps' DFT frequencies, transformed back to taps
+     * @param {Object} filter - FIR configuration
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Float64Array} Taps
+     */
+    static designFrequencySampling(filter, sampleRate) {
+        const length = FIRDesign.getTapCount(filter);
+        const { bands } = FIRDesign.getBands(filter, sampleRate);
+
+        const desired = f => {
+            for (let i = 0; i < bands.length; i++) {
+                if (f <= bands[i].high || i === bands.length - 1) {
+                    if (f >= bands[i].low) return bands[i].desired;
+
+                    // Transition between the previous band and this one
+                    const previous = bands[i - 1];
+                    const t = (f - previous.high) / (bands[i].low - previous.high);
+                    return previous.desired + t * (bands[i].desired - previous.desired);
+                }
+            }
+            return 0;
+        };
+
+        const samples = Array.from({ length: (length + 1) / 2 }, (_, k) => desired(k / length));
+        return FIRDesign.fromAmplitudes(samples, length);
+    }
+
+    /**
+     * Taps whose amplitude response passes through the given samples at k / length
+     * @param {number[]} samples - Amplitudes at k / length for k = 0 .. (length - 1) / 2
+     * @param {number} length - Odd tap count
+     * @returns {Float64Array} Taps
+     */
+    static fromAmplitudes(samples, length) {
+        const center = (length - 1) / 2;
+        const taps = new Float64Array(length);
+        for (let n = 0; n < length; n++) {
+            let sum = samples[0];
+            for (let k = 1; k < samples.length; k++) {
+                sum += 2 * samples[k] * Math.cos(2 * Math.PI * k * (n - center) / length);
+            }
+            taps[n] = sum / length;
+        }
+        return taps;
+    }
+
+    /**
+     * Parks-McClellan equiripple design: the Remez exchange finds the amplitude
+     * response with the smallest weighted peak error over the bands; stop bands
+     * are weighted by the ratio of the pass and stop deviations
+     * @param {Object} filter - FIR configuration
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Float64Array} Taps
+     */
+    static designEquiripple(filter, sampleRate) {
+        const length = FIRDesign.getTapCount(filter);
+        const { bands } = FIRDesign.getBands(filter, sampleRate);
+        const { passDeviation, stopDeviation } = FIRDesign.getDeviations(filter);
+        const order = (length - 1) / 2;
+        const extremalCount = order + 2;
+
+        // Dense grid over the bands, band edges included
+        const step = 0.5 / (FIRDesign.GRID_DENSITY * extremalCount);
+        const grid = [];
+        bands.forEach((band, bandIndex) => {
+            const count = Math.max(2, Math.ceil((band.high - band.low) / step) + 1);
+            for (let i = 0; i < count; i++) {
+                grid.push({
+                    f: band.low + (band.high - band.low) * i / (count - 1),
+                    x: Math.cos(2 * Math.PI * (band.low + (band.high - band.low) * i / (count - 1))),
+                    desired: band.desired,
+                    weight: band.pass ? 1 : passDeviation / stopDeviation,
+                    band: bandIndex
+                });
+            }
+        });
+        if (grid.length < extremalCount) {
+            throw new Error('Too few grid points for the equiripple design');
+        }
+
+        let extremals = Array.from({ length: extremalCount }, (_, i) => Math.round(i * (grid.length - 1) / (extremalCount - 1)));
+        let interpolation = null;
+        const error = new Float64Array(grid.length);
+
+        for (let iteration = 0; iteration < FIRDesign.MAX_ITERATIONS; iteration++) {
+            const points = extremals.map(index => grid[index]);
+
+            // Levelled deviation delta over all extremals
+            const weights = FIRDesign.getBarycentricWeights(points.map(point => point.x));
+            let numerator = 0;
+            let denominator = 0;
+            points.forEach((point, i) => {
+                numerator += weights[i] * point.desired;
+                denominator += weights[i] * (i % 2 === 0 ? 1 : -1) / point.weight;
+            });
+            const delta = numerator / denominator;
+
+            // Amplitude interpolated through all but the last extremal
+            const nodes = points.slice(0, -1).map(point => point.x);
+            interpolation = {
+                nodes,
+                weights: FIRDesign.getBarycentricWeights(nodes),
+                values: points.slice(0, -1).map((point, i) => point.desired - (i % 2 === 0 ? 1 : -1) * delta / point.weight)
+            };
+
+            grid.forEach((point, j) => {
+                error[j] = point.weight * (point.desired - FIRDesign.interpolate(interpolation, point.x));
+            });
+
+            const next = FIRDesign.findExtremals(grid, error, extremalCount);
+            if (!next) break; // Too few alternations: keep the last solution
+
+            const peak = next.reduce((max, index) => Math.max(max, Math.abs(error[index])), 0);
+            const changed = next.some((index, i) => index !== extremals[i]);
+            extremals = next;
+            if (!changed || (peak - Math.abs(delta)) <= 1e-6 * peak) break;
+        }
+
+        const samples = Array.from({ length: order + 1 }, (_, k) => FIRDesign.interpolate(interpolation, Math.cos(2 * Math.PI * k / length)));
+        return FIRDesign.fromAmplitudes(samples, length);
+    }
+
+    /**
+     * Barycentric Lagrange weights 1 / prod(x_i - x_j), scaled by a common factor
+     * (computed in logs so they do not overflow for hundreds of nodes)
+     * @param {number[]} nodes - Interpolation nodes
+     * @returns {Float64Array} Weights
+     */
+    static getBarycentricWeights(nodes) {
+        const logs = new Float64Array(nodes.length);
+        const signs = new Float64Array(nodes.length).fill(1);
+        nodes.forEach((xi, i) => {
+            let sum = 0;
+            nodes.forEach((xj, j) => {
+                if (i === j) return;
+                const difference = xi - xj;
+                sum -= Math.log(Math.abs(difference) || 1e-300);
+                if (difference < 0) signs[i] = -signs[i];
+            });
+            logs[i] = sum;
+        });
+
+        const largest = Math.max(...logs);
+        return logs.map((value, i) => signs[i] * Math.exp(value - largest));
+    }
+
+    /**
+     * Evaluate a barycentric interpolation
+     * @param {Object} interpolation - { nodes, weights, values }
+     * @param {number} x - Position
+     * @returns {number} Interpolated value
+     */
+    static interpolate(interpolation, x) {
+        const { nodes, weights, values } = interpolation;
+        let numerator = 0;
+        let denominator = 0;
+        for (let i = 0; i < nodes.length; i++) {
+            const difference = x - nodes[i];
+            if (Math.abs(difference) < 1e-14) return values[i];
+            const term = weights[i] / difference;
+            numerator += term * values[i];
+            denominator += term;
+        }
+        return numerator / denominator;
+    }
+
+    /**
+     * Next extremal set: local error peaks (band edges included) with alternating
+     * signs, thinned to the required count by dropping the smallest peaks
+     * @param {Object[]} grid - Grid points (with their band index)
+     * @param {Float64Array} error - Weighted error on the grid
+     * @param {number} count - Required number of extremals
+     * @returns {number[]|null} Grid indices, or null with too few alternations
+     */
+    static findExtremals(grid, error, count) {
+        let candidates = [];
+        for (let j = 0; j < grid.length; j++) {
+            const sameBand = k => k >= 0 && k < grid.length && grid[k].band === grid[j].band;
+            const value = error[j];
+            const before = sameBand(j - 1) ? error[j - 1] : null;
+            const after = sameBand(j + 1) ? error[j + 1] : null;
+
+            const isPeak = value >= 0
+                ? (before === null || value >= before) && (after === null || value > after)
+                : (before === null || value <= before) && (after === null || value < after);
+            if (isPeak && value !== 0) {
+                candidates.push(j);
+            }
+        }
+
+        // Keep the larger of neighbouring peaks with the same sign
+        const alternate = list => list.reduce((kept, j) => {
+            const last = kept[kept.length - 1];
+            if (last !== undefined && Math.sign(error[last]) === Math.sign(error[j])) {
+                if (Math.abs(error[j]) > Math.abs(error[last])) kept[kept.length - 1] = j;
+            } else {
+                kept.push(j);
+            }
+            return kept;
+        }, []);
+
+        candidates = alternate(candidates);
+        while (candidates.length > count) {
+            if (candidates.length === count + 1) {
+                // One too many: drop the smaller end
+                if (Math.abs(error[candidates[0]]) < Math.abs(error[candidates[candidates.length - 1]])) {
+                    candidates.shift();
+                } else {
+                    candidates.pop();
+                }
+            } else {
+                // Drop the smallest peak; its neighbours then merge, so alternation is kept
+                let smallest = 0;
+                candidates.forEach((j, i) => {
+                    if (Math.abs(error[j]) < Math.abs(error[candidates[smallest]])) smallest = i;
+                });
+                candidates.splice(smallest, 1);
+                candidates = alternate(candidates);
+            }
+        }
+
+        return candidates.length === count ? candidates : null;
+    }
+
+    /**
+     * Amplitude (zero-phase response) of symmetric taps
+     * @param {Float64Array} taps - Odd number of symmetric taps
+     * @param {number} f - Normalized frequency (cycles per sample)
+     * @returns {number} Signed amplitude
+     */
+    static getAmplitude(taps, f) {
+        const center = (taps.length - 1) / 2;
+        const w = 2 * Math.PI * f;
+        let sum = taps[center];
+        for (let k = 1; k <= center; k++) {
+            sum += 2 * taps[center - k] * Math.cos(k * w);
+        }
+        return sum;
+    }
+
+    /**
+     * Magnitude response at a list of frequencies
+     * @param {Float64Array} taps - Odd number of symmetric taps
+     * @param {ArrayLike<number>} frequencies - Frequencies in Hz
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Float64Array} Linear magnitudes
+     */
+    static getMagnitudeResponse(taps, frequencies, sampleRate) {
+        return Float64Array.from(frequencies, frequency => Math.abs(FIRDesign.getAmplitude(taps, frequency / sampleRate)));
+    }
+
+    /**
+     * Achieved performance of a design over its bands
+     * @param {Float64Array} taps - Designed taps
+     * @param {Object} filter - FIR configuration
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { ripple (pass band peak-to-peak dB), attenuation (worst stop band dB), transition (Hz) }
+     */
+    static analyze(taps, filter, sampleRate) {
+        const { bands, transition } = FIRDesign.getBands(filter, sampleRate);
+        let passMin = Infinity;
+        let passMax = 0;
+        let stopMax = 0;
+
+        bands.forEach(band => {
+            const count = 256;
+            for (let i = 0; i <= count; i++) {
+                const amplitude = Math.abs(FIRDesign.getAmplitude(taps, band.low + (band.high - band.low) * i / count));
+                if (band.pass) {
+                    passMin = Math.min(passMin, amplitude);
+                    passMax = Math.max(passMax, amplitude);
+                } else {
+                    stopMax = Math.max(stopMax, amplitude);
+                }
+            }
+        });
+
+        return {
+            ripple: 20 * Math.log10(passMax / Math.max(passMin, 1e-12)),
+            attenuation: -20 * Math.log10(Math.max(stopMax, 1e-12)),
+            transition: transition * sampleRate
+        };
+    }
+
+    /**
+     * Kaiser's estimate of the taps needed for the ripple/attenuation spec
+     * over the configured transition width
+     * @param {Object} filter - FIR configuration
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {number} Odd tap count (not limited to TAP_RANGE)
+     */
+    static estimateTaps(filter, sampleRate) {
+        const { transition } = FIRDesign.getBands(filter, sampleRate);
+        const { passDeviation, stopDeviation } = FIRDesign.getDeviations(filter);
+        const attenuation = -20 * Math.log10(Math.min(passDeviation, stopDeviation));
+        const taps = Math.ceil((attenuation - 7.95) / (14.36 * Math.max(transition, 1e-6))) + 1;
+        return Math.max(3, taps % 2 === 0 ? taps + 1 : taps);
+    }
+
+    /**
+     * Kaiser window beta for a stop band attenuation
+     * @param {number} attenuation - Attenuation in dB
+     * @returns {number} Beta
+     */
+    static getKaiserBeta(attenuation) {
+        if (attenuation > 50) {
+            return 0.1102 * (attenuation - 8.7);
+        }
+        if (attenuation >= 21) {
+            return 0.5842 * Math.pow(attenuation - 21, 0.4) + 0.07886 * (attenuation - 21);
+        }
+        return 0;
+    }
+
+    /**
+     * Zeroth-order modified Bessel function of the first kind (power series)
+     * @param {number} x - Argument
+     * @returns {number} I0(x)
+     */
+    static besselI0(x) {
+        let sum = 1;
+        let term = 1;
+        for (let k = 1; k < 200 && term > 1e-16 * sum; k++) {
+            term *= (x / (2 * k)) * (x / (2 * k));
+            sum += term;
+        }
+        return sum;
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.FIRDesign = FIRDesign;
@@ -0,0 +1,242 @@
+/**
+ * NoiseShaper Web - FIR Filter Node
+ * Live audio node for filters realized as FIR taps (FIR designs, impulse responses)
+ *
+ * The taps run in a ConvolverNode (normalize off, so they apply as designed).
+ * A ConvolverNode takes at most two channels, so wider tracks, and tracks
+ * whose channels get different taps, are split and each channel gets its own
+ * convolver. Channel c uses tap set c, wrapping, and the node always outputs
+ * the track's channel count: extra sets (the second channel of a stereo
+ * impulse response on a mono track) are unused, exactly as in the export.
+ * Like IIRCascadeNode, new taps build a new chain and crossfade to it. The
+ * live filter keeps its delay (half the taps of a linear-phase design);
+ * exports compensate it.
+ *
+ * Features:
+ * - input/output GainNodes for FilterChain routing
+ * - Mono, stereo and multichannel tracks (set by setChannelCount)
+ * - Per-channel taps (channel c uses set c, wrapping like audio file channels)
+ * - Click-free tap updates and bypass
+ * - getFrequencyResponse like BiquadFilterNode (via FFT for long impulse responses)
+ */
+
+class FIRFilterNode {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+        this.taps = null; // One set of taps per channel (wrapping), or null
+        this.spectrum = null; // Power spectrum of long taps for getFrequencyResponse
+        this.channelCount = 1;
+        this.chain = null;
+        this.isActive = true;
+
+        this.switchChain();
+    }
+
+    /**
+     * Crossfade time in seconds when the taps change
+     */
+    static get CROSSFADE_TIME() {
+        return 0.02;
+    }
+
+    /**
+     * Taps longer than this get their displayed response from an FFT
+     */
+    static get DIRECT_RESPONSE_LENGTH() {
+        return 8192;
+    }
+
+    /**
+     * Replace the filter taps
+     * @param {Float64Array|Float64Array[]|null} taps - Impulse response, or one per channel; null passes the input unchanged
+     */
+    setTaps(taps) {
+        const sets = taps && taps.length > 0 && typeof taps[0] !== 'number' ? taps : [taps];
+        this.taps = sets[0] && sets[0].length > 0 ? sets : null;
+        this.spectrum = null;
+        this.switchChain();
+    }
+
+    /**
+     * Set the number of channels the node receives
+     * @param {number} channels - Track channel count
+     */
+    setChannelCount(channels) {
+        if (this.channelCount === channels) return;
+
+        this.channelCount = channels;
+        this.switchChain();
+    }
+
+    /**
+     * Enable/disable filter processing (disabled passes the input unchanged)
+     * @param {boolean} active - Whether the taps are applied
+     */
+    setActive(active) {
+        if (this.isActive === active) return;
+
+        this.isActive = active;
+        this.switchChain();
+    }
+
+    /**
+     * Build a chain for the current taps and channel count and crossfade to it
+     */
+    switchChain() {
+        const now = this.audioContext.currentTime;
+        const fadeTime = FIRFilterNode.CROSSFADE_TIME;
+        const sets = this.isActive ? this.taps : null;
+
+        const nodes = [];
+        let entry = null;
+        let exit = null;
+        if (sets) {
+            const buffers = sets.map(taps => {
+                const buffer = this.audioContext.createBuffer(1, taps.length, this.audioContext.sampleRate);
+                buffer.copyToChannel(Float32Array.from(taps), 0);
+                return buffer;
+            });
+            const createConvolver = buffer => {
+                const convolver = this.audioContext.createConvolver();
+                convolver.normalize = false;
+                convolver.buffer = buffer;
+                return convolver;
+            };
+
+            if (this.channelCount <= 2 && (buffers.length === 1 || this.channelCount === 1)) {
+                entry = exit = createConvolver(buffers[0]);
+                nodes.push(entry);
+            } else {
+                entry = this.audioContext.createChannelSplitter(this.channelCount);
+                exit = this.audioContext.createChannelMerger(this.channelCount);
+                nodes.push(entry, exit);
+                for (let channel = 0; channel < this.channelCount; channel++) {
+                    const convolver = createConvolver(buffers[channel % buffers.length]);
+                    entry.connect(convolver, channel);
+                    convolver.connect(exit, 0, channel);
+                    nodes.push(convolver);
+                }
+            }
+        }
+
+        // Pinned to the track's channels, whatever a convolver makes of its input
+        const gain = this.audioContext.createGain();
+        gain.channelCount = this.channelCount;
+        gain.channelCountMode = 'explicit';
+        gain.channelInterpretation = 'discrete';
+        if (entry) {
+            this.input.connect(entry);
+            exit.connect(gain);
+        } else {
+            this.input.connect(gain);
+        }
+        gain.connect(this.output);
+
+        const previous = this.chain;
+        if (previous) {
+            gain.gain.setValueAtTime(0, now);
+            gain.gain.linearRampToValueAtTime(1, now + fadeTime);
+            previous.gain.gain.cancelScheduledValues(now);
+            previous.gain.gain.setValueAtTime(previous.gain.gain.value, now);
+            previous.gain.gain.linearRampToValueAtTime(0, now + fadeTime);
+
+            // Release the old chain once it is silent (unless destroyed meanwhile)
+            setTimeout(() => {
+                if (!this.chain) return;
+                this.input.disconnect(previous.entry || previous.gain);
+                previous.nodes.forEach(node => node.disconnect());
+                previous.gain.disconnect();
+            }, fadeTime * 1000 + 50);
+        }
+
+        this.chain = { nodes, entry, gain };
+    }
+
+    /**
+     * Frequency response of the active taps of the first channel (flat when bypassed).
+     * Long taps (impulse responses) are shown as their power averaged over
+     * 1/24 octave, with zero phase.
+     * @param {Float32Array} frequencyHz - Frequencies in Hz
+     * @param {Float32Array} magResponse - Receives the linear magnitude
+     * @param {Float32Array} phaseResponse - Receives the phase in radians
+     */
+    getFrequencyResponse(frequencyHz, magResponse, phaseResponse) {
+        const taps = this.isActive && this.taps ? this.taps[0] : null;
+        const sampleRate = this.audioContext.sampleRate;
+        const spectrum = taps && taps.length > FIRFilterNode.DIRECT_RESPONSE_LENGTH ? this.getSpectrum() : null;
+
+        for (let i = 0; i < frequencyHz.length; i++) {
+            if (!taps) {
+                magResponse[i] = 1;
+                phaseResponse[i] = 0;
+            } else if (spectrum) {
+                // Mean power of the bins within 1/48 octave either side (prefix sums)
+                const binWidth = sampleRate / spectrum.size;
+                const last = spectrum.size / 2;
+                const low = Math.max(0, Math.min(last, Math.floor(frequencyHz[i] * Math.pow(2, -1 / 48) / binWidth)));
+                const high = Math.max(low + 1, Math.min(last + 1, Math.ceil(frequencyHz[i] * Math.pow(2, 1 / 48) / binWidth)));
+                magResponse[i] = Math.sqrt((spectrum.cumulative[high] - spectrum.cumulative[low]) / (high - low));
+                phaseResponse[i] = 0;
+            } else {
+                const { re, im } = IIRCascadeNode.evaluate(taps, 2 * Math.PI * frequencyHz[i] / sampleRate);
+                magResponse[i] = Math.hypot(re, im);
+                phaseResponse[i] = Math.atan2(im, re);
+            }
+        }
+    }
+
+    /**
+     * Power spectrum of the first channel's taps as prefix sums over the bins (computed once per set of taps)
+     * @returns {Object} { size (FFT size), cumulative (power summed below each bin) }
+     */
+    getSpectrum() {
+        if (!this.spectrum) {
+            const taps = this.taps[0];
+            const size = Math.pow(2, Math.ceil(Math.log2(taps.length)));
+            const real = new Float64Array(size);
+            const imag = new Float64Array(size);
+            real.set(taps);
+            SpectralFilters.fft(real, imag);
+
+            const cumulative = new Float64Array(size / 2 + 2);
+            for (let k = 0; k <= size / 2; k++) {
+                cumulative[k + 1] = cumulative[k] + real[k] * real[k] + imag[k] * imag[k];
+            }
+            this.spectrum = { size, cumulative };
+        }
+        return this.spectrum;
+    }
+
+    /**
+     * Connect the node output to a destination
+     * @param {AudioNode} destination - Destination audio node
+     */
+    connect(destination) {
+        this.output.connect(destination);
+    }
+
+    /**
+     * Disconnect the node output
+     */
+    disconnect() {
+        this.output.disconnect();
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.input.disconnect();
+        if (this.chain) {
+            this.chain.nodes.forEach(node => node.disconnect());
+            this.chain.gain.disconnect();
+        }
+        this.output.disconnect();
+        this.chain = null;
+    }
+}
+
+// Export for use in other modules
+window.FIRFilterNode = FIRFilterNode;
@@ -0,0 +1,246 @@
+/**
+ * NoiseShaper Web - Graphic EQ Design
+ * ISO 266 third-octave (31-band) and octave (10-band) graphic equalizer
+ *
+ * One peaking biquad per band, at the exact base-10 band centers
+ * 1000 * 10^(n/10) Hz (third octaves) or 1000 * 10^(3n/10) Hz (octaves),
+ * 1.5 band spacings wide so neighbouring bands blend without ripple.
+ * Overlapping peaking filters do not simply add up to the slider settings,
+ * so the filter gains are solved instead: least squares over the band centers
+ * and the points between them, refined with the actual gains a few times
+ * (the accurate cascade graphic EQ of Valimaki and Liski). The combined
+ * response stays within about 1 dB of the sliders.
+ *
+ * Features:
+ * - Third-octave or octave bands with nominal ISO 266 labels
+ * - Constant-Q bands, or proportional-Q bands that widen at small gains
+ * - Same design live and in export (bands at or near Nyquist are left out)
+ */
+
+class GraphicEQDesign {
+    /**
+     * Filter types with fixed-frequency gain bands
+     */
+    static get TYPES() {
+        return ['graphicEQ'];
+    }
+
+    /**
+     * Slider range in dB
+     */
+    static get GAIN_RANGE() {
+        return 12;
+    }
+
+    /**
+     * Band layouts: nominal ISO 266 centers and the band spacing in octaves
+     */
+    static get BANDWIDTHS() {
+        return {
+            third: {
+                label: '31-band (1/3 octave)',
+                nominal: [20, 25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+                    1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000],
+                firstIndex: -17,
+                step: 1,
+                octaves: 1 / 3
+            },
+            octave: {
+                label: '10-band (octave)',
+                nominal: [31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000],
+                firstIndex: -15,
+                step: 3,
+                octaves: 1
+            }
+        };
+    }
+
+    /**
+     * Filter bandwidth relative to the band spacing
+     */
+    static get BANDWIDTH_FACTOR() {
+        return 1.5;
+    }
+
+    /**
+     * Gain at which the proportional-Q bands reach their nominal Q
+     */
+    static get PROPORTIONAL_FULL_GAIN() {
+        return 12;
+    }
+
+    /**
+     * Refinement passes of the gain solution
+     */
+    static get ITERATIONS() {
+        return 4;
+    }
+
+    /**
+     * Check whether a filter type is a graphic EQ
+     * @param {string} type - Filter type
+     * @returns {boolean} True for graphic EQs
+     */
+    static isGraphicEQType(type) {
+        return GraphicEQDesign.TYPES.includes(type);
+    }
+
+    /**
+     * Default configuration: flat third-octave bands, constant Q
+     * @returns {Object} { bandwidth, qMode, gains }
+     */
+    static getDefaultConfig() {
+        return {
+            bandwidth: 'third',
+            qMode: 'constant',
+            gains: new Array(GraphicEQDesign.BANDWIDTHS.third.nominal.length).fill(0)
+        };
+    }
+
+    /**
+     * Exact band center frequencies (base-10 series)
+     * @param {string} bandwidth - 'third' or 'octave'
+     * @returns {number[]} Centers in Hz
+     */
+    static getCenters(bandwidth) {
+        const layout = GraphicEQDesign.getLayout(bandwidth);
+        return layout.nominal.map((_, i) => 1000 * Math.pow(10, (layout.firstIndex + i * layout.step) / 10));
+    }
+
+    /**
+     * Band layout of a bandwidth setting
+     * @param {string} bandwidth - 'third' or 'octave'
+     * @returns {Object} Layout (see BANDWIDTHS)
+     */
+    static getLayout(bandwidth) {
+        const layout = GraphicEQDesign.BANDWIDTHS[bandwidth];
+        if (!layout) {
+            throw new Error(`Unknown graphic EQ bandwidth: ${bandwidth}`);
+        }
+        return layout;
+    }
+
+    /**
+     * Carry slider gains over to another bandwidth (each new band takes the
+     * gain of the nearest old band)
+     * @param {number[]} gains - Gains of the old bands
+     * @param {string} from - Old bandwidth
+     * @param {string} to - New bandwidth
+     * @returns {number[]} Gains of the new bands
+     */
+    static convertGains(gains, from, to) {
+        const fromCenters = GraphicEQDesign.getCenters(from);
+        return GraphicEQDesign.getCenters(to).map(center => {
+            let nearest = 0;
+            fromCenters.forEach((fromCenter, i) => {
+                if (Math.abs(Math.log(fromCenter / center)) < Math.abs(Math.log(fromCenters[nearest] / center))) {
+                    nearest = i;
+                }
+            });
+            return gains[nearest] || 0;
+        });
+    }
+
+    /**
+     * Design the peaking sections of a graphic EQ
+     * @param {Object} filter - { bandwidth, qMode, gains }
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object[]} Sections { b0, b1, b2, a1, a2 }; empty when flat
+     */
+    static designSections(filter, sampleRate) {
+        const bandwidth = filter.bandwidth || 'third';
+        const layout = GraphicEQDesign.getLayout(bandwidth);
+        const proportional = filter.qMode === 'proportional';
+
+        // Bands must stay clear of Nyquist, where the peaking filter degenerates
+        const centers = GraphicEQDesign.getCenters(bandwidth).filter(center => center < 0.475 * sampleRate);
+        const targets = centers.map((_, i) => Number(filter.gains && filter.gains[i]) || 0);
+        if (targets.every(gain => gain === 0)) {
+            return [];
+        }
+
+        const octaves = layout.octaves * GraphicEQDesign.BANDWIDTH_FACTOR;
+        const gains = GraphicEQDesign.solveGains(centers, targets, octaves, proportional, sampleRate);
+
+        return centers
+            .map((center, i) => ({ center, gain: gains[i] }))
+            .filter(band => Math.abs(band.gain) >= 0.001)
+            .map(band => GraphicEQDesign.getBandSection(band.center, band.gain, octaves, proportional, sampleRate));
+    }
+
+    /**
+     * Peaking section of one band
+     * @param {number} center - Center frequency in Hz
+     * @param {number} gain - Filter gain in dB
+     * @param {number} octaves - Nominal filter bandwidth in octaves
+     * @param {boolean} proportional - Proportional-Q: down to half the Q (twice the bandwidth) at small gains
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} Section { b0, b1, b2, a1, a2 }
+     */
+    static getBandSection(center, gain, octaves, proportional, sampleRate) {
+        // Q for the bandwidth in the digital domain (cookbook BW form), so bands near Nyquist keep their width
+        const w0 = 2 * Math.PI * center / sampleRate;
+        let Q = 1 / (2 * Math.sinh(Math.LN2 / 2 * octaves * w0 / Math.sin(w0)));
+
+        if (proportional) {
+            const fullGain = GraphicEQDesign.PROPORTIONAL_FULL_GAIN;
+            Q *= 0.5 + 0.5 * Math.min(Math.abs(gain), fullGain) / fullGain;
+        }
+
+        return BiquadDesign.getCoefficients('peaking', center, Q, gain, sampleRate);
+    }
+
+    /**
+     * Solve the filter gains whose combined response best matches the slider
+     * gains at the band centers and halfway between them
+     * @param {number[]} centers - Band centers in Hz
+     * @param {number[]} targets - Slider gains in dB
+     * @param {number} octaves - Nominal filter bandwidth in octaves
+     * @param {boolean} proportional - Proportional-Q behavior
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {number[]} Filter gains in dB
+     */
+    static solveGains(centers, targets, octaves, proportional, sampleRate) {
+        // Design points: centers and their geometric midpoints (targets interpolated in dB)
+        const frequencies = [];
+        const pointTargets = [];
+        centers.forEach((center, i) => {
+            frequencies.push(center);
+            pointTargets.push(targets[i]);
+            if (i + 1 < centers.length) {
+                frequencies.push(Math.sqrt(center * centers[i + 1]));
+                pointTargets.push((targets[i] + targets[i + 1]) / 2);
+            }
+        });
+
+        // Start from a prototype gain, then refine with the gains found so far
+        const prototypeGain = GraphicEQDesign.PROPORTIONAL_FULL_GAIN;
+        let gains = targets.map(target => (target < 0 ? -prototypeGain : prototypeGain));
+
+        for (let iteration = 0; iteration < GraphicEQDesign.ITERATIONS; iteration++) {
+            // Response of each band per dB of its gain, at the gain it will have
+            const interaction = centers.map((center, k) => {
+                const gain = Math.abs(gains[k]) < 0.5 ? (gains[k] < 0 ? -0.5 : 0.5) : gains[k];
+                const section = GraphicEQDesign.getBandSection(center, gain, octaves, proportional, sampleRate);
+                return Array.from(
+                    BiquadDesign.getMagnitudeResponse(section, frequencies, sampleRate),
+                    magnitude => 20 * Math.log10(magnitude) / gain
+                );
+            });
+
+            // Least squares: (B^T B) g = B^T t with B[point][band] = interaction[band][point]
+            const normal = centers.map((_, j) => centers.map((__, k) =>
+                interaction[j].reduce((sum, value, point) => sum + value * interaction[k][point], 0)
+            ));
+            const projected = centers.map((_, j) =>
+                interaction[j].reduce((sum, value, point) => sum + value * pointTargets[point], 0)
+            );
+            gains = CascadeDesign.solveLinearSystem(normal, projected);
+        }
+
+        return gains;
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.GraphicEQDesign = GraphicEQDesign;
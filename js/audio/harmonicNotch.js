@@ -0,0 +1,151 @@
+/**
+ * NoiseShaper Web - Harmonic Notch Design
+ * Notches at a fundamental and its harmonics (mains hum, tonal components)
+ *
+ * One notch section per harmonic, all in one cascade, so the chain holds a
+ * single entry and the live filter, the displayed response and the export
+ * share the same sections. Each section is the bilinear transform of
+ * (s^2 + g B s + w0^2) / (s^2 + B s + w0^2), which dips to the notch depth g
+ * at the harmonic. Its width is set in the digital domain: a full notch is
+ * exactly dw wide at -3 dB when alpha = tan(dw / 2) (Regalia and Mitra), and
+ * dividing by sqrt(1 - 2 g^2) keeps that width for a finite depth.
+ *
+ * Features:
+ * - Fundamental, number of harmonics and notch depth
+ * - Constant Q (width grows with the harmonic) or constant width in Hz
+ * - Harmonics at or near Nyquist are left out
+ */
+
+class HarmonicNotchDesign {
+    /**
+     * Filter types that notch a harmonic series
+     */
+    static get TYPES() {
+        return ['harmonicNotch'];
+    }
+
+    /**
+     * Width modes
+     */
+    static get WIDTH_MODES() {
+        return {
+            q: 'Constant Q',
+            hz: 'Constant Hz'
+        };
+    }
+
+    /**
+     * Most harmonics (including the fundamental)
+     */
+    static get MAX_HARMONICS() {
+        return 100;
+    }
+
+    /**
+     * Notch depth range in dB
+     */
+    static get DEPTH_RANGE() {
+        return { min: -80, max: -6 };
+    }
+
+    /**
+     * Highest notch frequency relative to the sample rate
+     */
+    static get MAX_FREQUENCY_RATIO() {
+        return 0.475;
+    }
+
+    /**
+     * Check whether a filter type is a harmonic notch bank
+     * @param {string} type - Filter type
+     * @returns {boolean} True for harmonic notch banks
+     */
+    static isHarmonicNotchType(type) {
+        return HarmonicNotchDesign.TYPES.includes(type);
+    }
+
+    /**
+     * Default configuration: 50 Hz mains hum and its first 10 harmonics, 40 dB deep
+     * @returns {Object} { fundamental, harmonics, depth, widthMode, Q, notchWidth }
+     */
+    static getDefaultConfig() {
+        return {
+            fundamental: 50,
+            harmonics: 10,
+            depth: -40,
+            widthMode: 'q',
+            Q: 30,
+            notchWidth: 2
+        };
+    }
+
+    /**
+     * Notch frequencies and -3 dB widths of a configuration below the highest notch frequency
+     * @param {Object} filter - Harmonic notch configuration
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object[]} { harmonic, frequency, width } in Hz
+     */
+    static getNotches(filter, sampleRate) {
+        const defaults = HarmonicNotchDesign.getDefaultConfig();
+        const fundamental = Number(filter.fundamental) || defaults.fundamental;
+        const count = Math.max(1, Math.min(HarmonicNotchDesign.MAX_HARMONICS,
+            Math.round(filter.harmonics !== undefined ? Number(filter.harmonics) : defaults.harmonics)));
+        const widthMode = filter.widthMode || defaults.widthMode;
+        if (!HarmonicNotchDesign.WIDTH_MODES[widthMode]) {
+            throw new Error(`Unknown harmonic notch width mode: ${widthMode}`);
+        }
+        const Q = Math.max(0.1, Number(filter.Q) || defaults.Q);
+        const notchWidth = Math.max(0.01, Number(filter.notchWidth) || defaults.notchWidth);
+
+        const notches = [];
+        for (let harmonic = 1; harmonic <= count; harmonic++) {
+            const frequency = harmonic * fundamental;
+            if (frequency >= HarmonicNotchDesign.MAX_FREQUENCY_RATIO * sampleRate) break;
+            notches.push({ harmonic, frequency, width: widthMode === 'q' ? frequency / Q : notchWidth });
+        }
+        return notches;
+    }
+
+    /**
+     * Design the notch sections of a harmonic notch bank
+     * @param {Object} filter - { fundamental, harmonics, depth, widthMode, Q, notchWidth }
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object[]} Sections { b0, b1, b2, a1, a2 }; empty when no harmonic is below Nyquist
+     */
+    static designSections(filter, sampleRate) {
+        const { min, max } = HarmonicNotchDesign.DEPTH_RANGE;
+        const depth = Math.max(min, Math.min(max, filter.depth !== undefined ? Number(filter.depth) : HarmonicNotchDesign.getDefaultConfig().depth));
+
+        return HarmonicNotchDesign.getNotches(filter, sampleRate)
+            .map(notch => HarmonicNotchDesign.getNotchSection(notch.frequency, notch.width, depth, sampleRate));
+    }
+
+    /**
+     * Notch section with a given depth and -3 dB width
+     * @param {number} frequency - Notch frequency in Hz
+     * @param {number} width - Width in Hz at -3 dB
+     * @param {number} depth - Gain at the notch frequency in dB (at most -6)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} Section { b0, b1, b2, a1, a2 }
+     */
+    static getNotchSection(frequency, width, depth, sampleRate) {
+        const w0 = 2 * Math.PI * frequency / sampleRate;
+        const g = Math.pow(10, depth / 20);
+        // Wider than Nyquist allows would put the poles on the unit circle
+        const halfWidth = Math.min(Math.PI * width / sampleRate, 0.49 * Math.PI);
+        const alpha = Math.tan(halfWidth) / Math.sqrt(1 - 2 * g * g);
+        const cosW0 = Math.cos(w0);
+        const a0 = 1 + alpha;
+
+        return {
+            b0: (1 + g * alpha) / a0,
+            b1: -2 * cosW0 / a0,
+            b2: (1 - g * alpha) / a0,
+            a1: -2 * cosW0 / a0,
+            a2: (1 - alpha) / a0
+        };
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.HarmonicNotchDesign = HarmonicNotchDesign;
@@ -0,0 +1,169 @@
+/**
+ * NoiseShaper Web - IIR Cascade Node
+ * Live audio node for filters designed as a cascade of IIR sections
+ *
+ * Each section runs in an IIRFilterNode. IIRFilterNode coefficients are fixed
+ * once created, so a new design builds a new chain and crossfades to it
+ * instead of switching abruptly.
+ *
+ * Features:
+ * - input/output GainNodes for FilterChain routing
+ * - Click-free coefficient updates
+ * - Bypass without tearing down the chain
+ * - getFrequencyResponse like BiquadFilterNode
+ */
+
+class IIRCascadeNode {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+        this.sections = [];
+        this.chain = null;
+        this.isActive = true;
+
+        this.setSections([]);
+    }
+
+    /**
+     * Crossfade time in seconds when the sections change
+     */
+    static get CROSSFADE_TIME() {
+        return 0.02;
+    }
+
+    /**
+     * Replace the filter sections
+     * @param {Object[]} sections - CascadeDesign sections; empty for a flat response
+     */
+    setSections(sections) {
+        this.sections = sections;
+        this.switchChain(this.isActive ? sections : []);
+    }
+
+    /**
+     * Enable/disable filter processing (disabled passes the input unchanged)
+     * @param {boolean} active - Whether the sections are applied
+     */
+    setActive(active) {
+        if (this.isActive === active) return;
+
+        this.isActive = active;
+        this.switchChain(active ? this.sections : []);
+    }
+
+    /**
+     * Build a chain for the given sections and crossfade to it
+     * @param {Object[]} sections - CascadeDesign sections
+     */
+    switchChain(sections) {
+        const now = this.audioContext.currentTime;
+        const fadeTime = IIRCascadeNode.CROSSFADE_TIME;
+
+        const nodes = sections.map(section => {
+            const { b, a } = CascadeDesign.getPolynomials(section);
+            return this.audioContext.createIIRFilter(b, a);
+        });
+        const gain = this.audioContext.createGain();
+        [this.input, ...nodes, gain].reduce((from, to) => {
+            from.connect(to);
+            return to;
+        });
+        gain.connect(this.output);
+
+        const previous = this.chain;
+        if (previous) {
+            gain.gain.setValueAtTime(0, now);
+            gain.gain.linearRampToValueAtTime(1, now + fadeTime);
+            previous.gain.gain.cancelScheduledValues(now);
+            previous.gain.gain.setValueAtTime(previous.gain.gain.value, now);
+            previous.gain.gain.linearRampToValueAtTime(0, now + fadeTime);
+
+            // Release the old chain once it is silent (unless destroyed meanwhile)
+            setTimeout(() => {
+                if (!this.chain) return;
+                this.input.disconnect(previous.nodes.length > 0 ? previous.nodes[0] : previous.gain);
+                previous.nodes.forEach(node => node.disconnect());
+                previous.gain.disconnect();
+            }, fadeTime * 1000 + 50);
+        }
+
+        this.chain = { nodes, gain };
+    }
+
+    /**
+     * Frequency response of the active sections (flat when bypassed)
+     * @param {Float32Array} frequencyHz - Frequencies in Hz
+     * @param {Float32Array} magResponse - Receives the linear magnitude
+     * @param {Float32Array} phaseResponse - Receives the phase in radians
+     */
+    getFrequencyResponse(frequencyHz, magResponse, phaseResponse) {
+        const sections = this.isActive ? this.sections : [];
+        const sampleRate = this.audioContext.sampleRate;
+
+        for (let i = 0; i < frequencyHz.length; i++) {
+            const w = 2 * Math.PI * frequencyHz[i] / sampleRate;
+            let magnitude = 1;
+            let phase = 0;
+
+            sections.forEach(section => {
+                const { b, a } = CascadeDesign.getPolynomials(section);
+                const numerator = IIRCascadeNode.evaluate(b, w);
+                const denominator = IIRCascadeNode.evaluate(a, w);
+
+                magnitude *= Math.hypot(numerator.re, numerator.im) / Math.hypot(denominator.re, denominator.im);
+                phase += Math.atan2(numerator.im, numerator.re) - Math.atan2(denominator.im, denominator.re);
+            });
+
+            magResponse[i] = magnitude;
+            phaseResponse[i] = Math.atan2(Math.sin(phase), Math.cos(phase));
+        }
+    }
+
+    /**
+     * Evaluate a polynomial in z^-1 on the unit circle
+     * @param {number[]} coefficients - Coefficients of z^0, z^-1, ...
+     * @param {number} w - Normalized angular frequency
+     * @returns {Object} { re, im }
+     */
+    static evaluate(coefficients, w) {
+        let re = 0;
+        let im = 0;
+        coefficients.forEach((value, k) => {
+            re += value * Math.cos(k * w);
+            im -= value * Math.sin(k * w);
+        });
+        return { re, im };
+    }
+
+    /**
+     * Connect the node output to a destination
+     * @param {AudioNode} destination - Destination audio node
+     */
+    connect(destination) {
+        this.output.connect(destination);
+    }
+
+    /**
+     * Disconnect the node output
+     */
+    disconnect() {
+        this.output.disconnect();
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.input.disconnect();
+        if (this.chain) {
+            this.chain.nodes.forEach(node => node.disconnect());
+            this.chain.gain.disconnect();
+        }
+        this.output.disconnect();
+        this.chain = null;
+    }
+}
+
+// Export for use in other modules
+window.IIRCascadeNode = IIRCascadeNode;
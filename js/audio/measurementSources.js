@@ -0,0 +1,361 @@
+/**
+ * NoiseShaper Web - Periodic Measurement Sources
+ * Periodic excitation signals for loudspeaker and room measurements
+ *
+ * Shared by the noise AudioWorklet, SimpleAudioExporter and the FFT export
+ * worker. Every source is a fixed table read at (seed offset + position)
+ * modulo the period, so any sample can be reached directly and live playback,
+ * chunked exports and worker exports all produce the same signal.
+ *
+ * Features:
+ * - Maximum-length sequences (MLS) of order 10 to 20
+ * - Multichannel MLS as evenly rotated copies of one sequence, never mixed
+ * - Periodic pseudo-random noise with a flat (or colored) magnitude spectrum
+ *   and random phases, periodic in a chosen FFT size so analysis has no leakage
+ * - Same stream interface as SeededNoiseSource (next, seek, fill)
+ */
+
+class MlsSource {
+    /**
+     * Supported MLS orders (period = 2^order - 1 samples)
+     */
+    static get ORDER_RANGE() {
+        return { min: 10, max: 20, default: 16 };
+    }
+
+    /**
+     * Feedback taps of a maximal-length Fibonacci LFSR for each order
+     */
+    static get TAPS() {
+        return {
+            10: [10, 7],
+            11: [11, 9],
+            12: [12, 6, 4, 1],
+            13: [13, 4, 3, 1],
+            14: [14, 5, 3, 1],
+            15: [15, 14],
+            16: [16, 15, 13, 4],
+            17: [17, 14],
+            18: [18, 11],
+            19: [19, 6, 2, 1],
+            20: [20, 17]
+        };
+    }
+
+    /**
+     * Samples are only ever ±amplitude, so channels are never mixed
+     * (see MultichannelNoiseSource.getEffectiveCorrelation)
+     */
+    static get BINARY() {
+        return true;
+    }
+
+    /**
+     * Check that an MLS order is supported
+     * @param {number} order - MLS order
+     * @returns {boolean} True for integers in ORDER_RANGE
+     */
+    static isValidOrder(order) {
+        const { min, max } = MlsSource.ORDER_RANGE;
+        return Number.isInteger(order) && order >= min && order <= max;
+    }
+
+    /**
+     * Period of an MLS in samples
+     * @param {number} order - MLS order
+     * @returns {number} 2^order - 1
+     */
+    static getPeriod(order) {
+        return Math.pow(2, order) - 1;
+    }
+
+    /**
+     * Repetition period of an MLS source in samples
+     * @param {Object} options - { mlsOrder }
+     * @returns {number} Period in samples
+     */
+    static getPeriodLength(options) {
+        return MlsSource.getPeriod(options.mlsOrder || MlsSource.ORDER_RANGE.default);
+    }
+
+    /**
+     * Build (once) the ±1 sequence for an order
+     * @param {number} order - MLS order
+     * @returns {Int8Array} One full period of the sequence
+     */
+    static getSequence(order) {
+        if (!MlsSource.isValidOrder(order)) {
+            throw new Error(`Invalid MLS order: ${order}`);
+        }
+
+        if (!MlsSource.sequenceCache) {
+            MlsSource.sequenceCache = new Map();
+        }
+
+        if (!MlsSource.sequenceCache.has(order)) {
+            const period = MlsSource.getPeriod(order);
+            const full = period; // All-ones register, the usual starting state
+            let mask = 0;
+            MlsSource.TAPS[order].forEach(tap => {
+                mask |= 1 << (tap - 1);
+            });
+
+            const sequence = new Int8Array(period);
+            let state = full;
+            for (let i = 0; i < period; i++) {
+                sequence[i] = (state & 1) ? 1 : -1;
+
+                // Parity of the tapped bits feeds back into the register
+                let feedback = state & mask;
+                feedback ^= feedback >>> 16;
+                feedback ^= feedback >>> 8;
+                feedback ^= feedback >>> 4;
+                feedback ^= feedback >>> 2;
+                feedback ^= feedback >>> 1;
+                state = ((state << 1) | (feedback & 1)) & full;
+            }
+
+            MlsSource.sequenceCache.set(order, sequence);
+        }
+
+        return MlsSource.sequenceCache.get(order);
+    }
+
+    /**
+     * @param {number} seed - Unsigned 32-bit seed, selects the starting phase of the sequence
+     * @param {number} startSample - Absolute sample position to start from
+     * @param {Object} options - { mlsOrder }
+     */
+    constructor(seed, startSample = 0, options = {}) {
+        this.seed = seed >>> 0;
+        this.order = options.mlsOrder || MlsSource.ORDER_RANGE.default;
+        this.sequence = MlsSource.getSequence(this.order);
+        this.period = this.sequence.length;
+        this.offset = this.seed % this.period;
+
+        // Same RMS as uniform white noise, so switching sources keeps the level
+        this.amplitude = 1 / Math.sqrt(3);
+
+        this.seek(startSample);
+    }
+
+    /**
+     * Jump to an absolute sample position
+     * @param {number} position - Absolute sample position
+     */
+    seek(position) {
+        this.position = (this.offset + position) % this.period;
+    }
+
+    /**
+     * Next sample of the sequence
+     * @returns {number} ±amplitude
+     */
+    next() {
+        const sample = this.sequence[this.position] * this.amplitude;
+        this.position = this.position + 1 === this.period ? 0 : this.position + 1;
+        return sample;
+    }
+
+    /**
+     * Fill a buffer with the next samples
+     * @param {Float32Array} buffer - Buffer to fill
+     * @returns {Float32Array} The filled buffer
+     */
+    fill(buffer) {
+        for (let i = 0; i < buffer.length; i++) {
+            buffer[i] = this.next();
+        }
+        return buffer;
+    }
+}
+
+class PeriodicNoiseSource {
+    /**
+     * Supported periods (FFT sizes) in samples
+     */
+    static get PERIODS() {
+        return [1024, 2048, 4096, 8192, 16384, 32768, 65536];
+    }
+
+    /**
+     * Default period in samples
+     */
+    static get DEFAULT_PERIOD() {
+        return 4096;
+    }
+
+    /**
+     * Number of period tables kept in memory
+     */
+    static get CACHE_SIZE() {
+        return 16;
+    }
+
+    /**
+     * Repetition period of periodic noise in samples
+     * @param {Object} options - { period }
+     * @returns {number} Period in samples
+     */
+    static getPeriodLength(options) {
+        return options.period || PeriodicNoiseSource.DEFAULT_PERIOD;
+    }
+
+    /**
+     * Build (or fetch) one period of noise: flat magnitude shaped by the noise
+     * color, random phases from the seeded generator, no DC or Nyquist energy
+     * @param {number} seed - Unsigned 32-bit seed
+     * @param {Object} options - { period, noiseColor, generator, sampleRate }
+     * @returns {Float32Array} One period of samples
+     */
+    static getTable(seed, options) {
+        const period = options.period;
+        const color = options.noiseColor || 'white';
+        const generator = options.generator || 'park-miller';
+        const sampleRate = options.sampleRate || 44100;
+
+        if (!PeriodicNoiseSource.tableCache) {
+            PeriodicNoiseSource.tableCache = new Map();
+        }
+
+        const key = `${seed}:${period}:${color}:${generator}:${sampleRate}`;
+        const cache = PeriodicNoiseSource.tableCache;
+        if (cache.has(key)) {
+            return cache.get(key);
+        }
+
+        const rng = RandomGenerator.create(generator, seed);
+        const real = new Float64Array(period);
+        const imag = new Float64Array(period);
+
+        for (let k = 1; k < period / 2; k++) {
+            const frequency = k * sampleRate / period;
+            const magnitude = NoiseColorShaper.getMagnitude(color, frequency, sampleRate);
+            const phase = 2 * Math.PI * rng.next();
+
+            // Hermitian symmetry keeps the time signal real
+            real[k] = magnitude * Math.cos(phase);
+            imag[k] = magnitude * Math.sin(phase);
+            real[period - k] = real[k];
+            imag[period - k] = -imag[k];
+        }
+
+        PeriodicNoiseSource.inverseFFT(real, imag);
+
+        // Scale to the RMS of uniform white noise
+        let energy = 0;
+        for (let i = 0; i < period; i++) {
+            energy += real[i] * real[i];
+        }
+        const scale = energy > 0 ? (1 / Math.sqrt(3)) / Math.sqrt(energy / period) : 0;
+
+        const table = new Float32Array(period);
+        for (let i = 0; i < period; i++) {
+            table[i] = real[i] * scale;
+        }
+
+        // Drop the oldest table once the cache is full
+        if (cache.size >= PeriodicNoiseSource.CACHE_SIZE) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(key, table);
+
+        return table;
+    }
+
+    /**
+     * In-place iterative radix-2 inverse FFT (unnormalized, length must be a power of 2)
+     * @param {Float64Array} real - Real parts
+     * @param {Float64Array} imag - Imaginary parts
+     */
+    static inverseFFT(real, imag) {
+        const n = real.length;
+
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = 2 * Math.PI / size;
+            const wReal = Math.cos(angle);
+            const wImag = Math.sin(angle);
+            for (let start = 0; start < n; start += size) {
+                let tReal = 1;
+                let tImag = 0;
+                for (let k = 0; k < size / 2; k++) {
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const xReal = real[b] * tReal - imag[b] * tImag;
+                    const xImag = real[b] * tImag + imag[b] * tReal;
+                    real[b] = real[a] - xReal;
+                    imag[b] = imag[a] - xImag;
+                    real[a] += xReal;
+                    imag[a] += xImag;
+                    const nextReal = tReal * wReal - tImag * wImag;
+                    tImag = tReal * wImag + tImag * wReal;
+                    tReal = nextReal;
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {number} seed - Unsigned 32-bit seed (selects the phases)
+     * @param {number} startSample - Absolute sample position to start from
+     * @param {Object} options - { period, noiseColor, generator, sampleRate }
+     */
+    constructor(seed, startSample = 0, options = {}) {
+        const period = options.period || PeriodicNoiseSource.DEFAULT_PERIOD;
+        if (!PeriodicNoiseSource.PERIODS.includes(period)) {
+            throw new Error(`Invalid noise period: ${period}`);
+        }
+
+        this.seed = seed >>> 0;
+        this.period = period;
+        this.table = PeriodicNoiseSource.getTable(this.seed, { ...options, period });
+        this.seek(startSample);
+    }
+
+    /**
+     * Jump to an absolute sample position
+     * @param {number} position - Absolute sample position
+     */
+    seek(position) {
+        this.position = position % this.period;
+    }
+
+    /**
+     * Next sample of the periodic noise
+     * @returns {number} Noise sample
+     */
+    next() {
+        const sample = this.table[this.position];
+        this.position = this.position + 1 === this.period ? 0 : this.position + 1;
+        return sample;
+    }
+
+    /**
+     * Fill a buffer with the next samples
+     * @param {Float32Array} buffer - Buffer to fill
+     * @returns {Float32Array} The filled buffer
+     */
+    fill(buffer) {
+        for (let i = 0; i < buffer.length; i++) {
+            buffer[i] = this.next();
+        }
+        return buffer;
+    }
+}
+
+// Export for use in other modules (main thread, Web Workers and the AudioWorklet scope)
+globalThis.MlsSource = MlsSource;
+globalThis.PeriodicNoiseSource = PeriodicNoiseSource;
@@ -0,0 +1,268 @@
+/**
+ * NoiseShaper Web - Noise Color Shaping
+ * Turns a white noise stream into a colored noise stream, sample by sample
+ *
+ * Shared by the noise AudioWorklet, SimpleAudioExporter and the FFT export
+ * worker so live playback and exports use exactly the same shaping.
+ *
+ * Features:
+ * - Pink noise (-3 dB/oct) via Paul Kellet's refined filter
+ * - Brown noise (-6 dB/oct) via leaky integration
+ * - Blue (+3 dB/oct) and violet (+6 dB/oct) noise via differentiation
+ * - Grey noise via an inverse A-weighting approximation
+ * - Every color is scaled to the RMS level of the white input
+ */
+
+class NoiseColorShaper {
+    /**
+     * Supported noise colors
+     */
+    static get COLORS() {
+        return ['white', 'pink', 'brown', 'blue', 'violet', 'grey'];
+    }
+
+    /**
+     * @param {string} color - Noise color (see NoiseColorShaper.COLORS)
+     * @param {number} sampleRate - Sample rate in Hz
+     */
+    constructor(color = 'white', sampleRate = 44100) {
+        if (!NoiseColorShaper.COLORS.includes(color)) {
+            throw new Error(`Unknown noise color: ${color}`);
+        }
+
+        this.color = color;
+        this.sampleRate = sampleRate;
+
+        // Grey noise runs through two biquad sections
+        this.greySections = color === 'grey' ? NoiseColorShaper.designGreyFilter(sampleRate) : null;
+
+        // Output gain that brings the shaped signal back to the input RMS
+        this.outputGain = NoiseColorShaper.getUnitRmsGain(color, sampleRate);
+
+        this.reset();
+    }
+
+    /**
+     * Clear all filter state
+     */
+    reset() {
+        this.pinkState = new Float64Array(7);
+        this.lastPink = 0;
+        this.lastWhite = 0;
+        this.brownState = 0;
+
+        if (this.greySections) {
+            this.greySections.forEach(section => {
+                section.z1 = 0;
+                section.z2 = 0;
+            });
+        }
+    }
+
+    /**
+     * Shape a single white noise sample
+     * @param {number} white - White noise sample
+     * @returns {number} Colored noise sample
+     */
+    process(white) {
+        switch (this.color) {
+            case 'white':
+                return white;
+            case 'pink':
+                return this.processPink(white) * this.outputGain;
+            case 'brown':
+                // Leaky integrator - the leak keeps the output from drifting
+                this.brownState = (this.brownState + 0.02 * white) / 1.02;
+                return this.brownState * this.outputGain;
+            case 'blue': {
+                // Differentiated pink noise: -3 dB/oct + 6 dB/oct = +3 dB/oct
+                const pink = this.processPink(white);
+                const blue = pink - this.lastPink;
+                this.lastPink = pink;
+                return blue * this.outputGain;
+            }
+            case 'violet': {
+                // Differentiated white noise: +6 dB/oct
+                const violet = white - this.lastWhite;
+                this.lastWhite = white;
+                return violet * this.outputGain;
+            }
+            case 'grey':
+                return this.processGrey(white) * this.outputGain;
+        }
+    }
+
+    /**
+     * Shape a buffer of white noise in place
+     * @param {Float32Array} buffer - White noise samples
+     * @returns {Float32Array} The same buffer, now colored
+     */
+    processBuffer(buffer) {
+        if (this.color === 'white') {
+            return buffer;
+        }
+
+        for (let i = 0; i < buffer.length; i++) {
+            buffer[i] = this.process(buffer[i]);
+        }
+        return buffer;
+    }
+
+    /**
+     * Paul Kellet's refined pink noise filter (accurate to ±0.05 dB above 9.2 Hz at 44.1 kHz)
+     * @param {number} white - White noise sample
+     * @returns {number} Unscaled pink noise sample
+     */
+    processPink(white) {
+        const b = this.pinkState;
+        b[0] = 0.99886 * b[0] + white * 0.0555179;
+        b[1] = 0.99332 * b[1] + white * 0.0750759;
+        b[2] = 0.96900 * b[2] + white * 0.1538520;
+        b[3] = 0.86650 * b[3] + white * 0.3104856;
+        b[4] = 0.55000 * b[4] + white * 0.5329522;
+        b[5] = -0.7616 * b[5] - white * 0.0168980;
+        const pink = b[0] + b[1] + b[2] + b[3] + b[4] + b[5] + b[6] + white * 0.5362;
+        b[6] = white * 0.115926;
+        return pink;
+    }
+
+    /**
+     * Run the inverse A-weighting biquad cascade (transposed direct form II)
+     * @param {number} white - White noise sample
+     * @returns {number} Unscaled grey noise sample
+     */
+    processGrey(white) {
+        let x = white;
+        for (const s of this.greySections) {
+            const y = s.b0 * x + s.z1;
+            s.z1 = s.b1 * x - s.a1 * y + s.z2;
+            s.z2 = s.b2 * x - s.a2 * y;
+            x = y;
+        }
+        return x;
+    }
+
+    /**
+     * Design the grey noise filter as two biquads.
+     * Inverts the IEC 61672 A-weighting poles at 20.6, 107.7 and 737.9 Hz; the
+     * A-weighting zeros at DC are replaced by poles at 20 Hz so the bass boost
+     * levels off instead of growing without bound. The 12.2 kHz poles are left
+     * out, which keeps the top octave flat.
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Array<Object>} Biquad sections {b0, b1, b2, a1, a2}
+     */
+    static designGreyFilter(sampleRate) {
+        const f1 = 20.598997;
+        const f2 = 107.65265;
+        const f3 = 737.86223;
+        const fLimit = 20.0;
+
+        return [
+            NoiseColorShaper.bilinearSection([f1, f1], [fLimit, fLimit], sampleRate),
+            NoiseColorShaper.bilinearSection([f2, f3], [fLimit, fLimit], sampleRate)
+        ];
+    }
+
+    /**
+     * Bilinear transform of (s + a1)(s + a2) / ((s + b1)(s + b2)) with real roots,
+     * prewarping each root to its own corner frequency
+     * @param {number[]} zeroFreqs - Two zero corner frequencies in Hz
+     * @param {number[]} poleFreqs - Two pole corner frequencies in Hz
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} Biquad section {b0, b1, b2, a1, a2}
+     */
+    static bilinearSection(zeroFreqs, poleFreqs, sampleRate) {
+        const k = 2 * sampleRate;
+        const warp = (freq) => k * Math.tan(Math.PI * freq / sampleRate);
+        const root = (w) => (k - w) / (k + w);
+
+        const [za, zb] = zeroFreqs.map(warp);
+        const [pa, pb] = poleFreqs.map(warp);
+        const gain = ((k + za) * (k + zb)) / ((k + pa) * (k + pb));
+
+        const [z1, z2] = [root(za), root(zb)];
+        const [p1, p2] = [root(pa), root(pb)];
+
+        return {
+            b0: gain,
+            b1: -gain * (z1 + z2),
+            b2: gain * z1 * z2,
+            a1: -(p1 + p2),
+            a2: p1 * p2
+        };
+    }
+
+    /**
+     * Target magnitude of a color at a frequency, for sources that build their
+     * spectrum directly (relative to 1 kHz; grey uses the actual filter response)
+     * @param {string} color - Noise color
+     * @param {number} frequency - Frequency in Hz (> 0)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {number} Linear magnitude
+     */
+    static getMagnitude(color, frequency, sampleRate) {
+        const ratio = frequency / 1000;
+
+        switch (color) {
+            case 'pink':
+                return Math.pow(ratio, -0.5);
+            case 'brown':
+                return 1 / ratio;
+            case 'blue':
+                return Math.sqrt(ratio);
+            case 'violet':
+                return ratio;
+            case 'grey': {
+                // |H(e^jw)| of the grey biquad cascade
+                const w = 2 * Math.PI * frequency / sampleRate;
+                const [c1, s1, c2, s2] = [Math.cos(w), Math.sin(w), Math.cos(2 * w), Math.sin(2 * w)];
+                return NoiseColorShaper.designGreyFilter(sampleRate).reduce((magnitude, s) => {
+                    const numRe = s.b0 + s.b1 * c1 + s.b2 * c2;
+                    const numIm = -(s.b1 * s1 + s.b2 * s2);
+                    const denRe = 1 + s.a1 * c1 + s.a2 * c2;
+                    const denIm = -(s.a1 * s1 + s.a2 * s2);
+                    return magnitude * Math.hypot(numRe, numIm) / Math.hypot(denRe, denIm);
+                }, 1);
+            }
+            default:
+                return 1;
+        }
+    }
+
+    /**
+     * Gain that makes the shaped output have the same RMS as its white input.
+     * Measured from the impulse response energy and cached per color/sample rate.
+     * @param {string} color - Noise color
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {number} Linear output gain
+     */
+    static getUnitRmsGain(color, sampleRate) {
+        if (color === 'white') {
+            return 1.0;
+        }
+
+        if (!NoiseColorShaper.gainCache) {
+            NoiseColorShaper.gainCache = new Map();
+        }
+
+        const key = `${color}@${sampleRate}`;
+        if (!NoiseColorShaper.gainCache.has(key)) {
+            // Temporarily seed the cache so the probe shaper doesn't recurse
+            NoiseColorShaper.gainCache.set(key, 1.0);
+            const probe = new NoiseColorShaper(color, sampleRate);
+
+            // One second is long enough for every response here to decay
+            let energy = probe.process(1.0) ** 2;
+            for (let i = 1; i < sampleRate; i++) {
+                energy += probe.process(0.0) ** 2;
+            }
+
+            NoiseColorShaper.gainCache.set(key, energy > 0 ? 1 / Math.sqrt(energy) : 1.0);
+        }
+
+        return NoiseColorShaper.gainCache.get(key);
+    }
+}
+
+// Export for use in other modules (main thread, Web Workers and the AudioWorklet scope)
+globalThis.NoiseColorShaper = NoiseColorShaper;
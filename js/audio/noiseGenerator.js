@@ -4,6 +4,7 @@
  * 
  * Features:
  * - Professional gain control with dB conversion
+ * - Sample-accurate gain ramps on the processor's gain AudioParam
  * - Clean start/stop with fade in/out
  * - Real-time parameter updates
  * - Audio chain management
@@ -180,15 +181,14 @@ class NoiseGenerator {
         linearGain = Math.max(0, Math.min(1, linearGain));
         this.currentGain = linearGain;
         
-        // Update processor gain
-        this.noiseNode.port.postMessage({ 
-            type: 'setGain', 
-            value: linearGain 
-        });
+        // Glide the processor's a-rate gain to the new value
+        const currentTime = this.audioEngine.audioContext.currentTime;
+        const gainParam = this.noiseNode.parameters.get('gain');
+        gainParam.cancelScheduledValues(currentTime);
+        gainParam.setTargetAtTime(linearGain, currentTime, this.fadeTime / 3);
         
         // Update output gain node if playing
         if (this.isPlaying) {
-            const currentTime = this.audioEngine.audioContext.currentTime;
             this.gainNode.gain.linearRampToValueAtTime(linearGain, currentTime + 0.01);
         }
         
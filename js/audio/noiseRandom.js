@@ -0,0 +1,1067 @@
+/**
+ * NoiseShaper Web - Seeded Noise Source
+ * Reproducible white noise stream addressed by absolute sample position
+ *
+ * Shared by the noise AudioWorklet, SimpleAudioExporter and the FFT export
+ * worker. The stream is split into fixed-size blocks, and each block gets its
+ * own generator state. For the long-period backends the track seed seeds one
+ * generator and block n starts n jumps ahead of it, so blocks are disjoint
+ * pieces of a single sequence and never repeat each other. Park-Miller has
+ * no room for that and seeds every block from a hash of the seed and the
+ * block index. Any range of samples can therefore be rendered on its own
+ * (e.g. by a worker processing one export chunk) and still match a
+ * sequential render exactly.
+ *
+ * Features:
+ * - 32-bit seeds, random or user-supplied
+ * - Pluggable PRNG backends: Park-Miller LCG, xorshift128+, PCG32, xoshiro256**
+ * - Uniform, Gaussian (Box-Muller) or truncated Gaussian amplitude distribution
+ * - Random access via seek(), independent of chunking or worker count
+ * - Jump-ahead (jump polynomials, PCG32 advance) to non-overlapping block substreams
+ * - Multichannel streams with a controllable inter-channel correlation, mixed in
+ *   the Gaussian domain so every channel keeps the selected distribution and peak
+ *
+ * The 64-bit generators work on pairs of 32-bit words (hi, lo) so they run
+ * without BigInt allocations on the audio thread.
+ */
+
+/**
+ * Common interface for all PRNG backends.
+ * Subclasses take a 32-bit seed and implement nextUint32(); next() maps that
+ * to a float in [0, 1). Backends with a JUMP_LOG2 also implement jump().
+ */
+class RandomGenerator {
+    /**
+     * Available backends by id
+     */
+    static get TYPES() {
+        return {
+            'park-miller': ParkMillerGenerator,
+            'xorshift128plus': Xorshift128PlusGenerator,
+            'pcg32': Pcg32Generator,
+            'xoshiro256starstar': Xoshiro256StarStarGenerator
+        };
+    }
+
+    /**
+     * Display names for the UI
+     */
+    static get LABELS() {
+        return {
+            'park-miller': 'Park-Miller LCG',
+            'xorshift128plus': 'xorshift128+',
+            'pcg32': 'PCG32',
+            'xoshiro256starstar': 'xoshiro256**'
+        };
+    }
+
+    /**
+     * Create a generator by id
+     * @param {string} type - Generator id (see RandomGenerator.TYPES)
+     * @param {number} seed - Unsigned 32-bit seed
+     * @returns {RandomGenerator} Seeded generator
+     */
+    static create(type, seed) {
+        const GeneratorClass = RandomGenerator.TYPES[type];
+        if (!GeneratorClass) {
+            throw new Error(`Unknown noise generator: ${type}`);
+        }
+        return new GeneratorClass(seed);
+    }
+
+    /**
+     * log2 of the number of steps one jump() skips, null if the backend can't jump
+     */
+    static get JUMP_LOG2() {
+        return null;
+    }
+
+    /**
+     * Expand a 32-bit seed into several well-mixed 32-bit state words (SplitMix32)
+     * @param {number} seed - Unsigned 32-bit seed
+     * @param {number} count - Number of words
+     * @returns {Uint32Array} State words, never all zero
+     */
+    static seedWords(seed, count) {
+        const words = new Uint32Array(count);
+        let x = seed >>> 0;
+        for (let i = 0; i < count; i++) {
+            x = (x + 0x9E3779B9) >>> 0;
+            let z = x;
+            z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+            z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+            words[i] = (z ^ (z >>> 16)) >>> 0;
+        }
+
+        // xorshift-family generators must not start from the all-zero state
+        if (words.every(word => word === 0)) {
+            words[0] = 1;
+        }
+        return words;
+    }
+
+    /**
+     * Next raw 32-bit output
+     * @returns {number} Unsigned 32-bit integer
+     */
+    nextUint32() {
+        throw new Error('nextUint32() must be implemented by the generator');
+    }
+
+    /**
+     * Next uniform float
+     * @returns {number} Value in [0, 1)
+     */
+    next() {
+        return this.nextUint32() / 4294967296;
+    }
+
+    /**
+     * Skip ahead by count * 2^JUMP_LOG2 steps
+     * @param {number} count - Number of jumps
+     */
+    jump(count = 1) {
+        throw new Error('This noise generator cannot jump ahead');
+    }
+
+    /**
+     * Independent copy of the generator in its current state
+     * @returns {RandomGenerator} Copy
+     */
+    clone() {
+        const copy = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+        if (ArrayBuffer.isView(this.state)) {
+            copy.state = this.state.slice();
+        }
+        return copy;
+    }
+
+    /**
+     * Jump with a jump polynomial (Vigna): the new state is the XOR of the
+     * states after every step whose polynomial coefficient is set
+     * @param {Uint32Array} polynomial - Coefficients as 64-bit words (hi, lo), lowest word first
+     */
+    applyJumpPolynomial(polynomial) {
+        const result = new Uint32Array(this.state.length);
+        for (let i = 0; i < polynomial.length; i += 2) {
+            for (let bit = 0; bit < 64; bit++) {
+                const word = bit < 32 ? polynomial[i + 1] : polynomial[i];
+                if ((word >>> (bit & 31)) & 1) {
+                    for (let w = 0; w < result.length; w++) {
+                        result[w] ^= this.state[w];
+                    }
+                }
+                this.nextUint32();
+            }
+        }
+        this.state.set(result);
+    }
+}
+
+/**
+ * Park and Miller "minimal standard" Linear Congruential Generator.
+ * Period 2^31 - 2; kept as the default for continuity with earlier renders.
+ */
+class ParkMillerGenerator extends RandomGenerator {
+    constructor(seed) {
+        super();
+        this.multiplier = 16807;
+        this.modulus = 2147483647;
+
+        // LCG state must lie in [1, modulus - 1]
+        this.state = (seed % (this.modulus - 1)) + 1;
+    }
+
+    nextUint32() {
+        this.state = (this.multiplier * this.state) % this.modulus;
+        return this.state;
+    }
+
+    /**
+     * @returns {number} Value in (0, 1) - the LCG never outputs 0
+     */
+    next() {
+        this.state = (this.multiplier * this.state) % this.modulus;
+        return this.state / this.modulus;
+    }
+}
+
+/**
+ * xorshift128+ (Vigna 2014, shifts 23/18/5). Period 2^128 - 1.
+ * State: [s0.hi, s0.lo, s1.hi, s1.lo]; outputs the high word of s0 + s1.
+ */
+class Xorshift128PlusGenerator extends RandomGenerator {
+    constructor(seed) {
+        super();
+        this.state = RandomGenerator.seedWords(seed, 4);
+    }
+
+    static get JUMP_LOG2() {
+        return 64;
+    }
+
+    /**
+     * x^(2^64) modulo the characteristic polynomial
+     */
+    static get JUMP_POLYNOMIAL() {
+        return Uint32Array.of(0x8A5CD789, 0x635D2DFF, 0x121FD215, 0x5C472F96);
+    }
+
+    jump(count = 1) {
+        const polynomial = Xorshift128PlusGenerator.JUMP_POLYNOMIAL;
+        for (let i = 0; i < count; i++) {
+            this.applyJumpPolynomial(polynomial);
+        }
+    }
+
+    nextUint32() {
+        const s = this.state;
+        let aHi = s[0], aLo = s[1];
+        const bHi = s[2], bLo = s[3];
+
+        // result = s0 + s1 (only the high word is used)
+        const sumLo = aLo + bLo;
+        const result = (aHi + bHi + (sumLo > 0xFFFFFFFF ? 1 : 0)) >>> 0;
+
+        s[0] = bHi;
+        s[1] = bLo;
+
+        // a ^= a << 23
+        aHi = (aHi ^ ((aHi << 23) | (aLo >>> 9))) >>> 0;
+        aLo = (aLo ^ (aLo << 23)) >>> 0;
+
+        // s1 = a ^ b ^ (a >> 18) ^ (b >> 5)
+        s[2] = aHi ^ bHi ^ (aHi >>> 18) ^ (bHi >>> 5);
+        s[3] = aLo ^ bLo ^ ((aLo >>> 18) | (aHi << 14)) ^ ((bLo >>> 5) | (bHi << 27));
+
+        return result;
+    }
+}
+
+/**
+ * PCG32 (PCG-XSH-RR 64/32, O'Neill 2014). Period 2^64.
+ * State: [state.hi, state.lo, inc.hi, inc.lo].
+ */
+class Pcg32Generator extends RandomGenerator {
+    constructor(seed) {
+        super();
+        const words = RandomGenerator.seedWords(seed, 4);
+        this.state = new Uint32Array(4);
+
+        // pcg32_srandom(initstate, initseq): inc = (initseq << 1) | 1
+        this.state[2] = ((words[2] << 1) | (words[3] >>> 31)) >>> 0;
+        this.state[3] = ((words[3] << 1) | 1) >>> 0;
+        this.step();
+        this.add(words[0], words[1]);
+        this.step();
+    }
+
+    /**
+     * Jumps stay far apart within the 2^64 period (2^24 of them fit)
+     */
+    static get JUMP_LOG2() {
+        return 40;
+    }
+
+    /**
+     * (aHi, aLo) * (bHi, bLo) (mod 2^64)
+     * @returns {number[]} [hi, lo]
+     */
+    static multiply(aHi, aLo, bHi, bLo) {
+        // Full 32x32 -> 64 bit product of the low words, in 16-bit limbs
+        const a0 = aLo & 0xFFFF, a1 = aLo >>> 16;
+        const b0 = bLo & 0xFFFF, b1 = bLo >>> 16;
+        const p00 = a0 * b0, p01 = a0 * b1, p10 = a1 * b0, p11 = a1 * b1;
+        const mid = (p00 >>> 16) + (p01 & 0xFFFF) + (p10 & 0xFFFF);
+        const lo = (((mid & 0xFFFF) << 16) | (p00 & 0xFFFF)) >>> 0;
+        const hi = p11 + (p01 >>> 16) + (p10 >>> 16) + (mid >>> 16);
+        return [(hi + Math.imul(aHi, bLo) + Math.imul(aLo, bHi)) >>> 0, lo];
+    }
+
+    /**
+     * (aHi, aLo) + (bHi, bLo) (mod 2^64)
+     * @returns {number[]} [hi, lo]
+     */
+    static sum(aHi, aLo, bHi, bLo) {
+        const lo = aLo + bLo;
+        return [(aHi + bHi + (lo > 0xFFFFFFFF ? 1 : 0)) >>> 0, lo >>> 0];
+    }
+
+    /**
+     * Advance the LCG by (deltaHi, deltaLo) steps in O(log delta) (Brown 1994, as pcg32_advance)
+     * @param {number} deltaHi - High word of the step count
+     * @param {number} deltaLo - Low word of the step count
+     */
+    advance(deltaHi, deltaLo) {
+        const { multiply, sum } = Pcg32Generator;
+        let accMul = [0, 1], accPlus = [0, 0];
+        let curMul = [0x5851F42D, 0x4C957F2D], curPlus = [this.state[2], this.state[3]];
+
+        for (let bit = 0; bit < 64; bit++) {
+            const word = bit < 32 ? deltaLo : deltaHi;
+            if ((word >>> (bit & 31)) & 1) {
+                accMul = multiply(...accMul, ...curMul);
+                accPlus = sum(...multiply(...accPlus, ...curMul), ...curPlus);
+            }
+            curPlus = multiply(...sum(...curMul, 0, 1), ...curPlus);
+            curMul = multiply(...curMul, ...curMul);
+        }
+
+        const [hi, lo] = sum(...multiply(...accMul, this.state[0], this.state[1]), ...accPlus);
+        this.state[0] = hi;
+        this.state[1] = lo;
+    }
+
+    jump(count = 1) {
+        // count * 2^40 steps: the high word holds count * 2^8
+        this.advance(count * 256, 0);
+    }
+
+    /**
+     * state = state * 6364136223846793005 + inc (mod 2^64)
+     */
+    step() {
+        const s = this.state;
+        const hi = s[0], lo = s[1];
+        const mulHi = 0x5851F42D, mulLo = 0x4C957F2D;
+
+        // Full 32x32 -> 64 bit product of the low words, in 16-bit limbs
+        const a0 = lo & 0xFFFF, a1 = lo >>> 16;
+        const b0 = mulLo & 0xFFFF, b1 = mulLo >>> 16;
+        const p00 = a0 * b0, p01 = a0 * b1, p10 = a1 * b0, p11 = a1 * b1;
+        const mid = (p00 >>> 16) + (p01 & 0xFFFF) + (p10 & 0xFFFF);
+        const prodLo = (((mid & 0xFFFF) << 16) | (p00 & 0xFFFF)) >>> 0;
+        const prodHi = p11 + (p01 >>> 16) + (p10 >>> 16) + (mid >>> 16);
+
+        // Cross terms only affect the high word
+        s[0] = prodHi + Math.imul(hi, mulLo) + Math.imul(lo, mulHi);
+        s[1] = prodLo;
+        this.add(s[2], s[3]);
+    }
+
+    /**
+     * state += (hi, lo) (mod 2^64)
+     */
+    add(hi, lo) {
+        const s = this.state;
+        const sumLo = s[1] + lo;
+        s[0] = s[0] + hi + (sumLo > 0xFFFFFFFF ? 1 : 0);
+        s[1] = sumLo;
+    }
+
+    nextUint32() {
+        const oldHi = this.state[0], oldLo = this.state[1];
+        this.step();
+
+        // xorshifted = ((old >> 18) ^ old) >> 27, truncated to 32 bits
+        const xHi = (oldHi ^ (oldHi >>> 18)) >>> 0;
+        const xLo = (oldLo ^ ((oldLo >>> 18) | (oldHi << 14))) >>> 0;
+        const xorshifted = ((xLo >>> 27) | (xHi << 5)) >>> 0;
+
+        // rotate right by the top 5 bits of the old state
+        const rot = oldHi >>> 27;
+        return ((xorshifted >>> rot) | (xorshifted << ((32 - rot) & 31))) >>> 0;
+    }
+}
+
+/**
+ * xoshiro256** (Blackman and Vigna 2018). Period 2^256 - 1.
+ * State: [s0.hi, s0.lo, s1.hi, s1.lo, s2.hi, s2.lo, s3.hi, s3.lo].
+ */
+class Xoshiro256StarStarGenerator extends RandomGenerator {
+    constructor(seed) {
+        super();
+        this.state = RandomGenerator.seedWords(seed, 8);
+    }
+
+    static get JUMP_LOG2() {
+        return 128;
+    }
+
+    /**
+     * x^(2^128) modulo the characteristic polynomial
+     */
+    static get JUMP_POLYNOMIAL() {
+        return Uint32Array.of(
+            0x180EC6D3, 0x3CFD0ABA, 0xD5A61266, 0xF0C9392C,
+            0xA9582618, 0xE03FC9AA, 0x39ABDC45, 0x29B1661C);
+    }
+
+    jump(count = 1) {
+        const polynomial = Xoshiro256StarStarGenerator.JUMP_POLYNOMIAL;
+        for (let i = 0; i < count; i++) {
+            this.applyJumpPolynomial(polynomial);
+        }
+    }
+
+    nextUint32() {
+        const s = this.state;
+
+        // result = rotl(s1 * 5, 7) * 9 (only the high word is used)
+        let hi = s[2], lo = s[3];
+        let sumLo = ((lo << 2) >>> 0) + lo;
+        let rHi = ((((hi << 2) | (lo >>> 30)) >>> 0) + hi + (sumLo > 0xFFFFFFFF ? 1 : 0)) >>> 0;
+        let rLo = sumLo >>> 0;
+
+        hi = ((rHi << 7) | (rLo >>> 25)) >>> 0;
+        lo = ((rLo << 7) | (rHi >>> 25)) >>> 0;
+
+        sumLo = ((lo << 3) >>> 0) + lo;
+        const result = ((((hi << 3) | (lo >>> 29)) >>> 0) + hi + (sumLo > 0xFFFFFFFF ? 1 : 0)) >>> 0;
+
+        // t = s1 << 17
+        const tHi = ((s[2] << 17) | (s[3] >>> 15)) >>> 0;
+        const tLo = (s[3] << 17) >>> 0;
+
+        s[4] ^= s[0]; s[5] ^= s[1];   // s2 ^= s0
+        s[6] ^= s[2]; s[7] ^= s[3];   // s3 ^= s1
+        s[2] ^= s[4]; s[3] ^= s[5];   // s1 ^= s2
+        s[0] ^= s[6]; s[1] ^= s[7];   // s0 ^= s3
+        s[4] ^= tHi; s[5] ^= tLo;     // s2 ^= t
+
+        // s3 = rotl(s3, 45): swap words, then rotate left by 13
+        const h3 = s[6], l3 = s[7];
+        s[6] = (l3 << 13) | (h3 >>> 19);
+        s[7] = (h3 << 13) | (l3 >>> 19);
+
+        return result;
+    }
+}
+
+class SeededNoiseSource {
+    /**
+     * Samples per independently seeded block
+     */
+    static get BLOCK_SIZE() {
+        return 65536;
+    }
+
+    /**
+     * Largest valid seed (seeds are unsigned 32-bit integers)
+     */
+    static get MAX_SEED() {
+        return 4294967295;
+    }
+
+    /**
+     * Pick a fresh random seed
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * (SeededNoiseSource.MAX_SEED + 1));
+    }
+
+    /**
+     * Check whether a value is usable as a seed
+     * @param {*} seed - Candidate seed
+     * @returns {boolean} True for integers in [0, MAX_SEED]
+     */
+    static isValidSeed(seed) {
+        return Number.isInteger(seed) && seed >= 0 && seed <= SeededNoiseSource.MAX_SEED;
+    }
+
+    /**
+     * Derive an independent seed from a parent seed and an index
+     * (MurmurHash3 finalizer over the golden-ratio-spaced index)
+     * @param {number} seed - Parent seed
+     * @param {number} index - Sub-stream index (block, clip, ...)
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static deriveSeed(seed, index) {
+        let h = (seed ^ Math.imul(index + 1, 0x9E3779B9)) >>> 0;
+        h ^= h >>> 16;
+        h = Math.imul(h, 0x85EBCA6B);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0xC2B2AE35);
+        h ^= h >>> 16;
+        return h >>> 0;
+    }
+
+    /**
+     * Supported amplitude distributions
+     */
+    static get DISTRIBUTIONS() {
+        return ['uniform', 'gaussian', 'truncated-gaussian'];
+    }
+
+    /**
+     * Allowed sigma clip for the truncated Gaussian distribution (in standard deviations)
+     */
+    static get SIGMA_CLIP_RANGE() {
+        return { min: 1.0, max: 6.0, default: 3.0 };
+    }
+
+    /**
+     * Collect the noise source options from a track export configuration
+     * @param {Object} track - Track export configuration
+     * @returns {Object} Options for the SeededNoiseSource constructor
+     */
+    static optionsFromTrack(track) {
+        return {
+            generator: track.noiseGenerator || 'park-miller',
+            distribution: track.noiseDistribution || 'uniform',
+            sigmaClip: track.sigmaClip || SeededNoiseSource.SIGMA_CLIP_RANGE.default,
+            sourceType: track.sourceType || 'noise',
+            mlsOrder: track.mlsOrder,
+            period: track.period,
+            sweep: track.sweep,
+            multitone: track.multitone,
+            steppedSine: track.steppedSine,
+            file: track.file,
+            fileData: track.fileData,
+            noiseColor: track.noiseColor || 'white'
+        };
+    }
+
+    /**
+     * Channels of a multichannel noise stream are mixed in the Gaussian
+     * domain (nextNormal(), fromNormal()) rather than sample by sample
+     */
+    static get NORMAL_MIXING() {
+        return true;
+    }
+
+    /**
+     * Standard deviation of a unit Gaussian truncated to [-k, k]
+     * @param {number} k - Truncation point in standard deviations
+     * @returns {number} Standard deviation of the truncated distribution
+     */
+    static truncatedGaussianStd(k) {
+        const pdf = Math.exp(-0.5 * k * k) / Math.sqrt(2 * Math.PI);
+        const mass = SeededNoiseSource.erf(k / Math.SQRT2);
+        return Math.sqrt(1 - (2 * k * pdf) / mass);
+    }
+
+    /**
+     * Error function (Abramowitz and Stegun 7.1.26, |error| < 1.5e-7)
+     * @param {number} x - Input value
+     * @returns {number} erf(x)
+     */
+    static erf(x) {
+        const sign = x < 0 ? -1 : 1;
+        x = Math.abs(x);
+        const t = 1 / (1 + 0.3275911 * x);
+        const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return sign * y;
+    }
+
+    /**
+     * Standard normal CDF, from erfc with a fractional error below 1.2e-7
+     * (Numerical Recipes erfcc), so it stays accurate far into the tails
+     * @param {number} z - Input value
+     * @returns {number} P(Z <= z)
+     */
+    static normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.5 * x);
+        const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+            t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+        return z >= 0 ? 1 - 0.5 * erfc : 0.5 * erfc;
+    }
+
+    /**
+     * Inverse standard normal CDF (Acklam, relative error below 1.2e-9)
+     * @param {number} p - Probability in (0, 1)
+     * @returns {number} z with P(Z <= z) = p
+     */
+    static inverseNormalCdf(p) {
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+        const tail = 0.02425;
+
+        if (p < tail || p > 1 - tail) {
+            // Tails, mirrored for the upper one
+            const q = Math.sqrt(-2 * Math.log(p < tail ? p : 1 - p));
+            const z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+            return p < tail ? z : -z;
+        }
+
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * @param {number} seed - Unsigned 32-bit seed
+     * @param {number} startSample - Absolute sample position to start from
+     * @param {Object} options - Source options
+     * @param {string} options.generator - PRNG backend (see RandomGenerator.TYPES)
+     * @param {string} options.distribution - Amplitude distribution (see SeededNoiseSource.DISTRIBUTIONS)
+     * @param {number} options.sigmaClip - Truncation point for 'truncated-gaussian', in standard deviations
+     * @param {boolean} options.normal - The stream is read with nextNormal() (multichannel mixing)
+     */
+    constructor(seed, startSample = 0, options = {}) {
+        const {
+            generator = 'park-miller',
+            distribution = 'uniform',
+            sigmaClip = SeededNoiseSource.SIGMA_CLIP_RANGE.default,
+            normal = false
+        } = options;
+
+        if (!SeededNoiseSource.isValidSeed(seed)) {
+            throw new Error(`Invalid noise seed: ${seed}`);
+        }
+        if (!RandomGenerator.TYPES[generator]) {
+            throw new Error(`Unknown noise generator: ${generator}`);
+        }
+        if (!SeededNoiseSource.DISTRIBUTIONS.includes(distribution)) {
+            throw new Error(`Unknown noise distribution: ${distribution}`);
+        }
+
+        this.seed = seed;
+        this.generatorType = generator;
+        this.distribution = distribution;
+        this.normal = normal;
+        this.blockSize = SeededNoiseSource.BLOCK_SIZE;
+        this.generator = null;
+
+        // Generator at the start of the current block, for backends that jump from block to block
+        this.jumps = RandomGenerator.TYPES[generator].JUMP_LOG2 !== null;
+        this.blockStart = null;
+
+        // Gaussian modes are scaled to the RMS of uniform [-1, 1) noise (1/sqrt(3))
+        // so switching distribution doesn't change the level
+        const { min, max } = SeededNoiseSource.SIGMA_CLIP_RANGE;
+        this.sigmaClip = Math.max(min, Math.min(max, sigmaClip));
+        const unitStd = distribution === 'truncated-gaussian' ?
+            SeededNoiseSource.truncatedGaussianStd(this.sigmaClip) : 1.0;
+        this.gaussianScale = 1 / (Math.sqrt(3) * unitStd);
+
+        // Probability below -sigmaClip and inside the clip, for fromNormal()
+        this.clipTail = SeededNoiseSource.normalCdf(-this.sigmaClip);
+        this.clipMass = 1 - 2 * this.clipTail;
+        this.hermitePowers = null;
+
+        this.seek(startSample);
+    }
+
+    /**
+     * Move the stream to an absolute sample position
+     * @param {number} sampleOffset - Absolute sample position
+     */
+    seek(sampleOffset) {
+        this.blockIndex = Math.floor(sampleOffset / this.blockSize);
+        if (this.jumps) {
+            this.blockStart = RandomGenerator.create(this.generatorType, this.seed);
+            this.blockStart.jump(this.blockIndex);
+        }
+        this.startBlock();
+
+        // Advance to the requested position within the block. Gaussian modes
+        // use a variable number of uniforms per sample, so skip whole samples.
+        const skip = sampleOffset - this.blockIndex * this.blockSize;
+        for (let i = 0; i < skip; i++) {
+            if (this.normal) {
+                this.nextNormal();
+            } else {
+                this.next();
+            }
+        }
+    }
+
+    /**
+     * Set up the generator for the current block
+     */
+    startBlock() {
+        if (this.jumps) {
+            this.generator = this.blockStart.clone();
+        } else {
+            const blockSeed = SeededNoiseSource.deriveSeed(this.seed, this.blockIndex);
+            this.generator = RandomGenerator.create(this.generatorType, blockSeed);
+        }
+        this.spareGaussian = null;
+        this.position = 0;
+    }
+
+    /**
+     * Generate the next noise sample
+     * @returns {number} Noise sample; uniform mode is in range [-1, 1)
+     */
+    next() {
+        this.nextPosition();
+
+        switch (this.distribution) {
+            case 'gaussian':
+                return this.nextGaussian() * this.gaussianScale;
+            case 'truncated-gaussian': {
+                // Rejection keeps the shape of the distribution inside the clip
+                let z = this.nextGaussian();
+                while (Math.abs(z) > this.sigmaClip) {
+                    z = this.nextGaussian();
+                }
+                return z * this.gaussianScale;
+            }
+            default:
+                // Map [0, 1) to [-1, 1)
+                return (2.0 * this.generator.next()) - 1.0;
+        }
+    }
+
+    /**
+     * Move on by one sample, into the next block at the end of this one
+     */
+    nextPosition() {
+        if (this.position === this.blockSize) {
+            this.blockIndex++;
+            if (this.jumps) {
+                this.blockStart.jump();
+            }
+            this.startBlock();
+        }
+        this.position++;
+    }
+
+    /**
+     * Next sample as a standard normal value, for mixing in the Gaussian domain
+     * (map the mix to the stream's distribution with fromNormal())
+     * @returns {number} Gaussian sample with zero mean and unit variance
+     */
+    nextNormal() {
+        this.nextPosition();
+        return this.nextGaussian();
+    }
+
+    /**
+     * Map a standard normal value to the stream's distribution through the
+     * normal CDF: uniform noise keeps its [-1, 1] range, truncated Gaussian
+     * noise its clip
+     * @param {number} z - Standard normal value
+     * @returns {number} Noise sample at the level of next()
+     */
+    fromNormal(z) {
+        switch (this.distribution) {
+            case 'gaussian':
+                return z * this.gaussianScale;
+            case 'truncated-gaussian': {
+                const p = this.clipTail + this.clipMass * SeededNoiseSource.normalCdf(z);
+                const clipped = Math.max(-this.sigmaClip, Math.min(this.sigmaClip, SeededNoiseSource.inverseNormalCdf(p)));
+                return clipped * this.gaussianScale;
+            }
+            default:
+                return 2 * SeededNoiseSource.normalCdf(z) - 1;
+        }
+    }
+
+    /**
+     * Correlation of two standard normal streams that gives a correlation of
+     * `correlation` once both are mapped with fromNormal(). By Mehler's
+     * formula the mapped correlation is sum(p[n] * r^n), with p[n] the
+     * normalized power of the mapping's n-th Hermite coefficient.
+     * @param {number} correlation - Wanted correlation, 0 to 1
+     * @returns {number} Correlation in the Gaussian domain, 0 to 1
+     */
+    normalCorrelation(correlation) {
+        if (correlation <= 0 || correlation >= 1) {
+            return Math.max(0, Math.min(1, correlation));
+        }
+        if (!this.hermitePowers) {
+            this.hermitePowers = this.getHermitePowers();
+        }
+
+        // The mapped correlation rises monotonically from 0 to 1
+        const powers = this.hermitePowers;
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 50; i++) {
+            const r = (low + high) / 2;
+            let mapped = 0;
+            for (let n = powers.length - 1; n >= 1; n--) {
+                mapped = (mapped + powers[n]) * r;
+            }
+            if (mapped < correlation) {
+                low = r;
+            } else {
+                high = r;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Normalized powers of the Hermite coefficients of fromNormal()
+     * (trapezoidal rule over +-8 standard deviations)
+     * @returns {Float64Array} Power per order, summing to 1
+     */
+    getHermitePowers() {
+        const orders = 24;
+        const step = 1 / 32;
+        const coefficients = new Float64Array(orders);
+
+        for (let i = -256; i <= 256; i++) {
+            const z = i * step;
+            const weight = Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI) * step;
+            const value = this.fromNormal(z) * weight;
+
+            // Orthonormal Hermite polynomials He_n(z) / sqrt(n!)
+            let previous = 1;
+            let current = z;
+            for (let n = 1; n < orders; n++) {
+                coefficients[n] += value * current;
+                const next = (z * current - Math.sqrt(n) * previous) / Math.sqrt(n + 1);
+                previous = current;
+                current = next;
+            }
+        }
+
+        const powers = coefficients.map(coefficient => coefficient * coefficient);
+        const total = powers.reduce((sum, power) => sum + power, 0);
+        return powers.map(power => power / total);
+    }
+
+    /**
+     * Standard normal sample via the Box-Muller transform (pairs are cached)
+     * @returns {number} Gaussian sample with zero mean and unit variance
+     */
+    nextGaussian() {
+        if (this.spareGaussian !== null) {
+            const spare = this.spareGaussian;
+            this.spareGaussian = null;
+            return spare;
+        }
+
+        // 1 - u keeps the log argument in (0, 1]
+        const radius = Math.sqrt(-2.0 * Math.log(1.0 - this.generator.next()));
+        const angle = 2.0 * Math.PI * this.generator.next();
+        this.spareGaussian = radius * Math.sin(angle);
+        return radius * Math.cos(angle);
+    }
+
+    /**
+     * Fill a buffer with the next samples of the stream
+     * @param {Float32Array} buffer - Buffer to fill
+     * @returns {Float32Array} The filled buffer
+     */
+    fill(buffer) {
+        for (let i = 0; i < buffer.length; i++) {
+            buffer[i] = this.next();
+        }
+        return buffer;
+    }
+}
+
+/**
+ * Multichannel noise with a controllable correlation between channels.
+ * Every channel mixes one common stream with its own independent stream:
+ *   out[c] = sqrt(rho) * common + sqrt(1 - rho) * independent[c]
+ * which keeps the per-channel power constant and gives a correlation of rho
+ * between any two channels. Random noise is mixed as standard normal values
+ * and mapped back to its distribution afterwards (with rho adjusted so the
+ * mapped channels still correlate by the set amount): a plain sum of uniform
+ * samples would peak above full scale and no longer be uniform. Binary
+ * sequences (MLS) are never mixed: below correlation 1 their channels are
+ * evenly rotated copies of the sequence. A single channel is just the common
+ * stream, so mono output matches SeededNoiseSource with the same seed.
+ */
+class MultichannelNoiseSource {
+    /**
+     * Largest supported channel count
+     */
+    static get MAX_CHANNELS() {
+        return 8;
+    }
+
+    /**
+     * Source types a stream can be built from
+     * - noise: seeded random noise (SeededNoiseSource)
+     * - mls: maximum-length sequence (MlsSource)
+     * - periodic: periodic pseudo-random noise (PeriodicNoiseSource)
+     * - sweep: exponential sine sweep (SineSweepSource)
+     * - multitone: sum of sines on FFT bins (MultitoneSource)
+     * - stepped-sine: sine stepping through fractional-octave frequencies (SteppedSineSource)
+     * - file: decoded audio file (AudioFileSource)
+     */
+    static get SOURCE_TYPES() {
+        return ['noise', 'mls', 'periodic', 'sweep', 'multitone', 'stepped-sine', 'file'];
+    }
+
+    /**
+     * Stream class of a source type
+     * Other sources live in measurementSources.js, testSignals.js and audioFileSource.js, which must be loaded too.
+     * @param {string} sourceType - One of SOURCE_TYPES
+     * @returns {Function} Class with the (seed, startSample, options) stream constructor
+     */
+    static getSourceClass(sourceType) {
+        switch (sourceType) {
+            case 'mls':
+                return MlsSource;
+            case 'periodic':
+                return PeriodicNoiseSource;
+            case 'sweep':
+                return SineSweepSource;
+            case 'multitone':
+                return MultitoneSource;
+            case 'stepped-sine':
+                return SteppedSineSource;
+            case 'file':
+                return AudioFileSource;
+            default:
+                return SeededNoiseSource;
+        }
+    }
+
+    /**
+     * Create a single-channel stream for a source type
+     * @param {number} seed - Unsigned 32-bit seed
+     * @param {number} startSample - Absolute sample position to start from
+     * @param {Object} options - Source options (sourceType plus the type's own options)
+     * @returns {Object} Stream with next(), seek() and fill()
+     */
+    static createStream(seed, startSample, options) {
+        const SourceClass = MultichannelNoiseSource.getSourceClass(options.sourceType);
+        return new SourceClass(seed, startSample, options);
+    }
+
+    /**
+     * Repetition period of a source in samples
+     * @param {Object} options - Source options (sourceType, the type's own options and sampleRate)
+     * @returns {number|null} Period in samples, null for random noise
+     */
+    static getPeriodLength(options) {
+        const SourceClass = MultichannelNoiseSource.getSourceClass(options.sourceType);
+        return SourceClass.getPeriodLength ? SourceClass.getPeriodLength(options) : null;
+    }
+
+    /**
+     * Correlation a source type actually uses: binary sources only take 0
+     * (rotated copies) or 1 (identical channels), any other value is rounded
+     * @param {string} sourceType - One of SOURCE_TYPES
+     * @param {number} correlation - Requested correlation, 0 to 1
+     * @returns {number} Correlation in effect
+     */
+    static getEffectiveCorrelation(sourceType, correlation) {
+        const clamped = Math.max(0, Math.min(1, correlation));
+        return MultichannelNoiseSource.getSourceClass(sourceType).BINARY === true ? Math.round(clamped) : clamped;
+    }
+
+    /**
+     * Seed of a channel's independent stream
+     * @param {number} seed - Track seed
+     * @param {number} channel - Channel index
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static channelSeed(seed, channel) {
+        // Separate domain from the block and clip seeds derived from the same parent
+        return SeededNoiseSource.deriveSeed((seed ^ 0x6A09E667) >>> 0, channel);
+    }
+
+    /**
+     * @param {number} seed - Unsigned 32-bit seed
+     * @param {number} channels - Number of channels (1 to MAX_CHANNELS)
+     * @param {number} correlation - Inter-channel correlation (0 = independent, 1 = identical)
+     * @param {number} startSample - Absolute sample position to start from
+     * @param {Object} options - Stream options (sourceType, generator, distribution, sigmaClip, mlsOrder, period, ...)
+     */
+    constructor(seed, channels = 1, correlation = 0, startSample = 0, options = {}) {
+        if (!Number.isInteger(channels) || channels < 1 || channels > MultichannelNoiseSource.MAX_CHANNELS) {
+            throw new Error(`Invalid channel count: ${channels}`);
+        }
+
+        this.channels = channels;
+        this.sourceType = options.sourceType;
+        this.independent = [];
+
+        // Multichannel sources (audio files) supply every channel themselves, without mixing
+        if (MultichannelNoiseSource.getSourceClass(options.sourceType).MULTICHANNEL) {
+            this.direct = [];
+            for (let c = 0; c < channels; c++) {
+                this.direct.push(MultichannelNoiseSource.createStream(seed, startSample, { ...options, channel: c }));
+            }
+            this.setCorrelation(correlation);
+            return;
+        }
+
+        this.direct = null;
+        this.normalMixing = channels > 1 && MultichannelNoiseSource.getSourceClass(options.sourceType).NORMAL_MIXING === true;
+        const streamOptions = this.normalMixing ? { ...options, normal: true } : options;
+        this.common = MultichannelNoiseSource.createStream(seed, startSample, streamOptions);
+
+        if (channels > 1 && MultichannelNoiseSource.getSourceClass(options.sourceType).BINARY === true) {
+            // Shifted by an equal share of the period, so no two channels line up
+            const shift = Math.floor(MultichannelNoiseSource.getPeriodLength(options) / channels);
+            for (let c = 0; c < channels; c++) {
+                this.independent.push(MultichannelNoiseSource.createStream(seed, startSample + c * shift, options));
+            }
+        } else if (channels > 1 && this.common.seeded !== false) {
+            // Seed-independent signals (sweeps, Schroeder multitones) are the same on every channel
+            for (let c = 0; c < channels; c++) {
+                const channelSeed = MultichannelNoiseSource.channelSeed(seed, c);
+                this.independent.push(MultichannelNoiseSource.createStream(channelSeed, startSample, streamOptions));
+            }
+        }
+
+        this.setCorrelation(correlation);
+    }
+
+    /**
+     * Change the inter-channel correlation
+     * @param {number} correlation - 0 (independent) to 1 (identical)
+     */
+    setCorrelation(correlation) {
+        this.correlation = MultichannelNoiseSource.getEffectiveCorrelation(this.sourceType, correlation);
+        const mixing = this.normalMixing ? this.common.normalCorrelation(this.correlation) : this.correlation;
+        this.commonWeight = Math.sqrt(mixing);
+        this.independentWeight = Math.sqrt(1 - mixing);
+    }
+
+    /**
+     * Generate the next frame (one sample per channel)
+     * @param {Float32Array|Float64Array} frame - Receives `channels` samples
+     */
+    nextFrame(frame) {
+        if (this.direct) {
+            for (let c = 0; c < this.channels; c++) {
+                frame[c] = this.direct[c].next();
+            }
+            return;
+        }
+
+        if (this.normalMixing) {
+            const common = this.common.nextNormal();
+            for (let c = 0; c < this.channels; c++) {
+                const mixed = this.commonWeight * common + this.independentWeight * this.independent[c].nextNormal();
+                frame[c] = this.common.fromNormal(mixed);
+            }
+            return;
+        }
+
+        const common = this.common.next();
+
+        if (this.independent.length === 0) {
+            for (let c = 0; c < this.channels; c++) {
+                frame[c] = common;
+            }
+            return;
+        }
+
+        for (let c = 0; c < this.channels; c++) {
+            frame[c] = this.commonWeight * common + this.independentWeight * this.independent[c].next();
+        }
+    }
+
+    /**
+     * Fill one buffer per channel with the next samples of the stream
+     * @param {Float32Array[]} buffers - One buffer per channel, all the same length
+     * @returns {Float32Array[]} The filled buffers
+     */
+    fill(buffers) {
+        const frame = new Float64Array(this.channels);
+        const length = buffers[0].length;
+
+        for (let i = 0; i < length; i++) {
+            this.nextFrame(frame);
+            for (let c = 0; c < this.channels; c++) {
+                buffers[c][i] = frame[c];
+            }
+        }
+        return buffers;
+    }
+}
+
+// Export for use in other modules (main thread, Web Workers and the AudioWorklet scope)
+globalThis.RandomGenerator = RandomGenerator;
+globalThis.SeededNoiseSource = SeededNoiseSource;
+globalThis.MultichannelNoiseSource = MultichannelNoiseSource;
@@ -0,0 +1,355 @@
+/**
+ * NoiseShaper Web - Octave Band Design
+ * IEC 61260-1 fractional-octave band filters (1/1 to 1/24 octave)
+ *
+ * Bands follow the base-10 system of IEC 61260-1: exact mid-band
+ * frequencies 1000 * G^(x/b) for odd b and 1000 * G^((2x+1)/(2b)) for even
+ * b, with G = 10^(3/10), and band edges G^(±1/(2b)) around them. Each band
+ * is a Butterworth bandpass with its -3 dB points on the prewarped band
+ * edges, mapped with the bilinear transform. A third-order prototype (six
+ * poles) meets the class 1 acceptance limits at all but the highest bands,
+ * where the frequency warping squeezes the lower stopband; there the order
+ * is raised until the design passes. Upper edges past Nyquist are held just
+ * below it, which keeps the passband within the mask up to Nyquist. Bands
+ * centered at or above MAX_CENTER_RATIO of the sample rate have no passband
+ * left and are rejected. checkCompliance measures a design against the
+ * limits at their tabulated frequencies.
+ *
+ * Features:
+ * - 1/1, 1/3, 1/6, 1/12 and 1/24 octave bands from 16 Hz to 20 kHz
+ * - Nominal mid-band labels (ISO 266 for octaves and third octaves)
+ * - Class 1 tolerance mask, scaled to the fraction as the standard does
+ * - Bands too close to Nyquist for the sample rate are rejected
+ */
+
+class OctaveBandDesign {
+    /**
+     * Filter types with one standard band
+     */
+    static get TYPES() {
+        return ['octaveBand'];
+    }
+
+    /**
+     * Bandwidth designators b (1/b octave) and their labels
+     */
+    static get FRACTIONS() {
+        return {
+            1: '1/1 octave',
+            3: '1/3 octave',
+            6: '1/6 octave',
+            12: '1/12 octave',
+            24: '1/24 octave'
+        };
+    }
+
+    /**
+     * Octave frequency ratio of the base-10 system
+     */
+    static get OCTAVE_RATIO() {
+        return Math.pow(10, 0.3);
+    }
+
+    /**
+     * Orders of the Butterworth lowpass prototype (the lowest that meets class 1 is used)
+     */
+    static get PROTOTYPE_ORDER() {
+        return { min: 3, max: 6 };
+    }
+
+    /**
+     * Range of exact mid-band frequencies offered (16 Hz to 20 kHz nominal)
+     */
+    static get CENTER_RANGE() {
+        return { min: 15, max: 20500 };
+    }
+
+    /**
+     * Highest mid-band frequency relative to the sample rate
+     */
+    static get MAX_CENTER_RATIO() {
+        return 0.49;
+    }
+
+    /**
+     * Highest frequency relative to the sample rate a band edge is prewarped to
+     * (tan() has its pole at Nyquist)
+     */
+    static get MAX_EDGE_RATIO() {
+        return 0.495;
+    }
+
+    /**
+     * Class 1 acceptance limits on relative attenuation for octave bands
+     * (IEC 61260-1:2014, Table 1): normalized frequency as a power of G,
+     * minimum and maximum attenuation in dB
+     */
+    static get CLASS1_LIMITS() {
+        return [
+            { power: 0, min: -0.4, max: 0.4 },
+            { power: 1 / 8, min: -0.4, max: 0.6 },
+            { power: 1 / 4, min: -0.4, max: 0.8 },
+            { power: 3 / 8, min: -0.4, max: 1.6 },
+            { power: 1 / 2, min: 1.2, max: 5.5 },
+            { power: 1, min: 16, max: Infinity },
+            { power: 2, min: 40, max: Infinity },
+            { power: 3, min: 50, max: Infinity },
+            { power: 4, min: 70, max: Infinity }
+        ];
+    }
+
+    /**
+     * Check whether a filter type is an octave-band filter
+     * @param {string} type - Filter type
+     * @returns {boolean} True for octave-band filters
+     */
+    static isOctaveBandType(type) {
+        return OctaveBandDesign.TYPES.includes(type);
+    }
+
+    /**
+     * Default configuration: the 1 kHz third-octave band
+     * @returns {Object} { fraction, band }
+     */
+    static getDefaultConfig() {
+        return { fraction: 3, band: 0 };
+    }
+
+    /**
+     * Bandwidth designator of a configuration
+     * @param {number|string} fraction - b of a 1/b-octave band
+     * @returns {number} One of the FRACTIONS keys
+     */
+    static getFraction(fraction) {
+        const b = Number(fraction);
+        if (!OctaveBandDesign.FRACTIONS[b]) {
+            throw new Error(`Unsupported octave band fraction: 1/${fraction}`);
+        }
+        return b;
+    }
+
+    /**
+     * Exact mid-band frequency of a band
+     * @param {number} fraction - b of a 1/b-octave band
+     * @param {number} band - Band number x (0 is the band at or just above 1 kHz)
+     * @returns {number} Frequency in Hz
+     */
+    static getCenter(fraction, band) {
+        const b = OctaveBandDesign.getFraction(fraction);
+        const exponent = b % 2 === 1 ? band / b : (2 * band + 1) / (2 * b);
+        return 1000 * Math.pow(OctaveBandDesign.OCTAVE_RATIO, exponent);
+    }
+
+    /**
+     * Band edges of a band
+     * @param {number} fraction - b of a 1/b-octave band
+     * @param {number} band - Band number
+     * @returns {Object} { lower, center, upper } in Hz
+     */
+    static getEdges(fraction, band) {
+        const center = OctaveBandDesign.getCenter(fraction, band);
+        const ratio = Math.pow(OctaveBandDesign.OCTAVE_RATIO, 1 / (2 * OctaveBandDesign.getFraction(fraction)));
+        return { lower: center / ratio, center, upper: center * ratio };
+    }
+
+    /**
+     * Nominal mid-band frequency: ISO 266 preferred numbers for octaves and
+     * third octaves, three significant figures for narrower bands
+     * @param {number} fraction - b of a 1/b-octave band
+     * @param {number} center - Exact mid-band frequency in Hz
+     * @returns {number} Nominal frequency in Hz
+     */
+    static getNominal(fraction, center) {
+        const b = OctaveBandDesign.getFraction(fraction);
+        if (b === 1 || b === 3) {
+            const step = Math.round(10 * Math.log10(center));
+            const mantissas = [1, 1.25, 1.6, 2, 2.5, 3.15, 4, 5, 6.3, 8];
+            return mantissas[((step % 10) + 10) % 10] * Math.pow(10, Math.floor(step / 10));
+        }
+        return Number(center.toPrecision(3));
+    }
+
+    /**
+     * Bands of a fraction within CENTER_RANGE
+     * @param {number} fraction - b of a 1/b-octave band
+     * @returns {Object[]} { band, center, nominal } from low to high
+     */
+    static getBands(fraction) {
+        const b = OctaveBandDesign.getFraction(fraction);
+        const { min, max } = OctaveBandDesign.CENTER_RANGE;
+        const perDecade = 10 * b / 3;
+        const bands = [];
+        for (let band = Math.floor(perDecade * Math.log10(min / 1000)) - 1; ; band++) {
+            const center = OctaveBandDesign.getCenter(b, band);
+            if (center > max) break;
+            if (center >= min) {
+                bands.push({ band, center, nominal: OctaveBandDesign.getNominal(b, center) });
+            }
+        }
+        return bands;
+    }
+
+    /**
+     * Check whether a band can be designed at a sample rate
+     * @param {number} fraction - b of a 1/b-octave band
+     * @param {number} band - Band number
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {boolean} True when the band is centered below MAX_CENTER_RATIO of the sample rate
+     */
+    static isBandAvailable(fraction, band, sampleRate) {
+        return OctaveBandDesign.getCenter(fraction, band) < OctaveBandDesign.MAX_CENTER_RATIO * sampleRate;
+    }
+
+    /**
+     * Band of another fraction nearest to a band (for switching fractions)
+     * @param {number} fraction - Current b
+     * @param {number} band - Current band number
+     * @param {number} toFraction - New b
+     * @param {number} [sampleRate] - Only consider bands available at this sample rate
+     * @returns {number} Band number at the new fraction
+     */
+    static convertBand(fraction, band, toFraction, sampleRate = Infinity) {
+        const center = OctaveBandDesign.getCenter(fraction, band);
+        const bands = OctaveBandDesign.getBands(toFraction)
+            .filter(candidate => OctaveBandDesign.isBandAvailable(toFraction, candidate.band, sampleRate));
+        let nearest = bands[0];
+        bands.forEach(candidate => {
+            if (Math.abs(Math.log(candidate.center / center)) < Math.abs(Math.log(nearest.center / center))) {
+                nearest = candidate;
+            }
+        });
+        return nearest.band;
+    }
+
+    /**
+     * Band of a configuration
+     * @param {Object} filter - { fraction, band }
+     * @returns {Object} { fraction, band } as numbers
+     */
+    static getBand(filter) {
+        const defaults = OctaveBandDesign.getDefaultConfig();
+        return {
+            fraction: OctaveBandDesign.getFraction(filter.fraction !== undefined ? filter.fraction : defaults.fraction),
+            band: Math.round(Number(filter.band !== undefined ? filter.band : defaults.band)) || 0
+        };
+    }
+
+    /**
+     * Design the bandpass sections of a band with the lowest prototype order
+     * that meets the class 1 mask (the highest order when none does)
+     * @param {Object} filter - { fraction, band }
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object[]} Sections { b0, b1, b2, a1, a2 }
+     * @throws {Error} For a band that is not available at the sample rate (see isBandAvailable)
+     */
+    static designSections(filter, sampleRate) {
+        const { fraction, band } = OctaveBandDesign.getBand(filter);
+        const edges = OctaveBandDesign.getEdges(fraction, band);
+
+        if (!OctaveBandDesign.isBandAvailable(fraction, band, sampleRate)) {
+            const nominal = OctaveBandDesign.getNominal(fraction, edges.center);
+            const minRate = Math.ceil(edges.center / OctaveBandDesign.MAX_CENTER_RATIO);
+            throw new Error(`The ${nominal} Hz ${OctaveBandDesign.FRACTIONS[fraction]} band needs a sample rate above ${minRate} Hz (got ${sampleRate} Hz)`);
+        }
+
+        const { min, max } = OctaveBandDesign.PROTOTYPE_ORDER;
+        let sections = null;
+        for (let order = min; order <= max; order++) {
+            sections = OctaveBandDesign.designBandpass(edges, order, sampleRate);
+            if (OctaveBandDesign.measure(sections, fraction, band, sampleRate).compliant) {
+                break;
+            }
+        }
+        return sections;
+    }
+
+    /**
+     * Butterworth bandpass with its -3 dB points on the prewarped band edges
+     * @param {Object} edges - { lower, upper } in Hz
+     * @param {number} order - Prototype order (the bandpass has twice as many poles)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object[]} Sections { b0, b1, b2, a1, a2 }
+     */
+    static designBandpass(edges, order, sampleRate) {
+        const maxEdge = OctaveBandDesign.MAX_EDGE_RATIO * sampleRate;
+        const prewarp = frequency => 2 * sampleRate * Math.tan(Math.PI * Math.min(frequency, maxEdge) / sampleRate);
+        const prototype = FilterFamilyDesign.butterworthPrototype(order);
+        const analog = FilterFamilyDesign.toBandpass(prototype, prewarp(edges.lower), prewarp(edges.upper));
+
+        return FilterFamilyDesign.toSections(FilterFamilyDesign.bilinear(analog, sampleRate));
+    }
+
+    /**
+     * Class 1 tolerance mask of a band: the octave-band limits moved to the
+     * fraction's frequencies by the breakpoint mapping of IEC 61260-1
+     * (1 + (G^(1/2b) - 1) / (G^(1/2) - 1) * (Ω - 1) above mid-band, mirrored below)
+     * @param {number} fraction - b of a 1/b-octave band
+     * @param {number} band - Band number
+     * @returns {Object[]} { frequency (Hz), min, max (dB relative attenuation) } from low to high
+     */
+    static getToleranceMask(fraction, band) {
+        const b = OctaveBandDesign.getFraction(fraction);
+        const G = OctaveBandDesign.OCTAVE_RATIO;
+        const center = OctaveBandDesign.getCenter(b, band);
+        const scale = (Math.pow(G, 1 / (2 * b)) - 1) / (Math.pow(G, 0.5) - 1);
+
+        const upper = OctaveBandDesign.CLASS1_LIMITS.map(limit => ({
+            ratio: 1 + scale * (Math.pow(G, limit.power) - 1),
+            min: limit.min,
+            max: limit.max
+        }));
+        const lower = upper.slice(1).reverse().map(limit => ({ ...limit, ratio: 1 / limit.ratio }));
+
+        return [...lower, ...upper].map(limit => ({
+            frequency: center * limit.ratio,
+            min: limit.min,
+            max: limit.max
+        }));
+    }
+
+    /**
+     * Measure a design against its class 1 tolerance mask. Mask frequencies
+     * at or above Nyquist cannot be checked and are skipped.
+     * @param {Object} filter - { fraction, band }
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { compliant, points: [{ frequency, attenuation, min, max, pass }], skipped }
+     * @throws {Error} For a band that is not available at the sample rate
+     */
+    static checkCompliance(filter, sampleRate) {
+        const { fraction, band } = OctaveBandDesign.getBand(filter);
+        return OctaveBandDesign.measure(OctaveBandDesign.designSections(filter, sampleRate), fraction, band, sampleRate);
+    }
+
+    /**
+     * Measure sections against the class 1 tolerance mask of a band
+     * @param {Object[]} sections - Sections
+     * @param {number} fraction - b of a 1/b-octave band
+     * @param {number} band - Band number
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} See checkCompliance
+     */
+    static measure(sections, fraction, band, sampleRate) {
+        const mask = OctaveBandDesign.getToleranceMask(fraction, band);
+        const center = OctaveBandDesign.getCenter(fraction, band);
+
+        const checked = mask.filter(limit => limit.frequency < sampleRate / 2);
+        const magnitudes = CascadeDesign.getMagnitudeResponse(
+            sections, [center, ...checked.map(limit => limit.frequency)], sampleRate
+        );
+
+        // Attenuation relative to the exact mid-band frequency
+        const points = checked.map((limit, i) => {
+            const attenuation = 20 * Math.log10(magnitudes[0] / Math.max(magnitudes[i + 1], 1e-20));
+            return { ...limit, attenuation, pass: attenuation >= limit.min && attenuation <= limit.max };
+        });
+
+        return {
+            compliant: points.length > 0 && points.every(point => point.pass),
+            points,
+            skipped: mask.length - checked.length
+        };
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.OctaveBandDesign = OctaveBandDesign;
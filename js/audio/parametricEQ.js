@@ -0,0 +1,104 @@
+/**
+ * NoiseShaper Web - Parametric EQ Design
+ * Multi-band parametric equalizer as one filter in the chain
+ *
+ * Each band is a standard biquad (peaking, shelf or pass band) with its own
+ * frequency, Q and gain; the EQ runs its bands as one biquad cascade, live
+ * and in export.
+ *
+ * Features:
+ * - Up to MAX_BANDS bands per EQ
+ * - Per-band enable
+ * - Flat peaking/shelf bands are skipped (no processing cost)
+ */
+
+class ParametricEQDesign {
+    /**
+     * Filter types made of parametric bands
+     */
+    static get TYPES() {
+        return ['parametricEQ'];
+    }
+
+    /**
+     * Band types (BiquadFilterNode types)
+     */
+    static get BAND_TYPES() {
+        return ['peaking', 'lowshelf', 'highshelf', 'lowpass', 'highpass'];
+    }
+
+    /**
+     * Most bands per EQ
+     */
+    static get MAX_BANDS() {
+        return 12;
+    }
+
+    /**
+     * Band gain range in dB
+     */
+    static get GAIN_RANGE() {
+        return 24;
+    }
+
+    /**
+     * Check whether a filter type is a parametric EQ
+     * @param {string} type - Filter type
+     * @returns {boolean} True for parametric EQs
+     */
+    static isEQType(type) {
+        return ParametricEQDesign.TYPES.includes(type);
+    }
+
+    /**
+     * Check whether a band type has a gain (pass bands do not)
+     * @param {string} type - Band type
+     * @returns {boolean} True for peaking and shelf bands
+     */
+    static hasGain(type) {
+        return type === 'peaking' || type === 'lowshelf' || type === 'highshelf';
+    }
+
+    /**
+     * Default configuration: six flat bands (low shelf, four peaks, high shelf)
+     * @returns {Object} { bands }
+     */
+    static getDefaultConfig() {
+        return {
+            bands: [
+                ParametricEQDesign.createBand('lowshelf', 80),
+                ParametricEQDesign.createBand('peaking', 250),
+                ParametricEQDesign.createBand('peaking', 700),
+                ParametricEQDesign.createBand('peaking', 2000),
+                ParametricEQDesign.createBand('peaking', 5000),
+                ParametricEQDesign.createBand('highshelf', 10000)
+            ]
+        };
+    }
+
+    /**
+     * A new flat band
+     * @param {string} type - Band type
+     * @param {number} frequency - Frequency in Hz
+     * @returns {Object} { type, frequency, Q, gain, enabled }
+     */
+    static createBand(type = 'peaking', frequency = 1000) {
+        return { type, frequency, Q: type === 'peaking' ? 1 : 0.707, gain: 0, enabled: true };
+    }
+
+    /**
+     * Design the biquad sections of an EQ
+     * @param {Object} filter - { bands }
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object[]} Sections { b0, b1, b2, a1, a2 }, one per active band
+     */
+    static designSections(filter, sampleRate) {
+        return (filter.bands || [])
+            .filter(band => band.enabled !== false)
+            .filter(band => !ParametricEQDesign.hasGain(band.type) || band.gain !== 0)
+            .map(band => BiquadDesign.fromConfig(band, sampleRate));
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.ParametricEQDesign = ParametricEQDesign;
@@ -1,5 +1,5 @@
 // Simple Audio Exporter - Python version approach
-// Generates samples directly and applies filters via FFT
+// Generates samples directly and renders each track as a continuous stream (TrackRenderStream)
 
 class SimpleAudioExporter {
     constructor() {
@@ -9,6 +9,7 @@ class SimpleAudioExporter {
         this.exportSettings = {
             enableNormalization: true,
             normalizeValue: 0.5,  // Python default
+            normalizeMeasure: 'peak',  // 'peak' or 'rms'
             exportAmplitude: 1.0,  // Separate from UI master gain
             enableFadeIn: true,   // Python default
             enableFadeOut: true,  // Python default
@@ -19,6 +20,9 @@ class SimpleAudioExporter {
             fadeBeforeNorm: false // Default to "Normalize then Fade" (Python default)
         };
 
+        // Audio files and impulse responses resampled to export rates (decoded data → Map of rate → data)
+        this.resampledFiles = new WeakMap();
+
         // Web Workers integration
         this.workerPool = null;
         this.workersSupported = false;
@@ -143,12 +147,270 @@ class SimpleAudioExporter {
         return normalizedSignal;
     }
 
+    /**
+     * Normalize all channels together so their balance is preserved
+     * @param {Float32Array[]} channels - One buffer per channel
+     * @param {number} targetAmplitude - Target peak (or RMS) level
+     * @param {string} measure - 'peak' or 'rms'
+     * @returns {Float32Array[]} Normalized channels
+     */
+    normalizeChannels(channels, targetAmplitude = 0.5, measure = 'peak') {
+        if (channels.length === 1 && measure === 'peak') {
+            return [this.normalizeSignal(channels[0], targetAmplitude)];
+        }
+        
+        console.log('🎵 NORMALIZE: Target', measure, 'level:', targetAmplitude, 'across', channels.length, 'channels');
+        
+        // One level over every channel - normalizing channels separately would change the pan
+        const scaleFactor = this.getNormalizationGain([channels], targetAmplitude, measure);
+        if (scaleFactor === null) {
+            console.log('🎵 NORMALIZE: Signal is silent, returning unchanged');
+            return channels;
+        }
+        
+        console.log('🎵 NORMALIZE: Normalizing with scale factor:', scaleFactor);
+        return this.scaleChannels(channels, scaleFactor);
+    }
+
+    /**
+     * Gain that brings a set of clips to a target level together
+     * Used for per-clip normalization (one clip) and global normalization
+     * (all clips of an export share one gain, keeping their level differences).
+     * @param {Float32Array[][]} clips - Clips, each one buffer per channel
+     * @param {number} targetAmplitude - Target peak (or RMS) level
+     * @param {string} measure - 'peak' (largest sample) or 'rms' (over every sample of every clip)
+     * @returns {number|null} Scale factor, null when everything is silent
+     */
+    getNormalizationGain(clips, targetAmplitude = 0.5, measure = 'peak') {
+        let level = 0;
+        
+        if (measure === 'rms') {
+            let sumSquares = 0;
+            let count = 0;
+            clips.forEach(clip => clip.forEach(channel => {
+                for (let i = 0; i < channel.length; i++) {
+                    sumSquares += channel[i] * channel[i];
+                }
+                count += channel.length;
+            }));
+            level = count > 0 ? Math.sqrt(sumSquares / count) : 0;
+        } else {
+            clips.forEach(clip => clip.forEach(channel => {
+                level = Math.max(level, this.findMaxAbs(channel));
+            }));
+        }
+        
+        if (level === 0) {
+            return null;
+        }
+        
+        const scaleFactor = targetAmplitude / level;
+        if (measure === 'rms') {
+            const peak = Math.max(...clips.map(clip => Math.max(...clip.map(channel => this.findMaxAbs(channel)))));
+            if (peak * scaleFactor > 1) {
+                console.warn('🎵 NORMALIZE: RMS normalization pushes the peak to', (peak * scaleFactor).toFixed(3), '- output will clip');
+            }
+        }
+        
+        return scaleFactor;
+    }
+
+    /**
+     * Scale every channel by one gain
+     * @param {Float32Array[]} channels - One buffer per channel
+     * @param {number} gain - Linear gain
+     * @returns {Float32Array[]} Scaled copies
+     */
+    scaleChannels(channels, gain) {
+        return channels.map(channel => channel.map(sample => sample * gain));
+    }
+
+    /**
+     * Number of output channels needed for a set of tracks.
+     * Mono and stereo tracks land on the first two channels (a panned mono
+     * track needs both); wider tracks map one-to-one onto the output.
+     * @param {Object} trackConfig - Track configuration
+     * @returns {number} Output channel count (1 when every track is an unpanned mono track)
+     */
+    getOutputChannelCount(trackConfig) {
+        if (!trackConfig.tracks) {
+            return 1;
+        }
+        
+        return trackConfig.tracks
+            .filter(track => track.enabled)
+            .reduce((count, track) => {
+                const channels = track.channels || 1;
+                return Math.max(count, channels === 1 && track.pan ? 2 : channels);
+            }, 1);
+    }
+
+    /**
+     * Describe the periodic content of an export (measurement sources and test signals)
+     * @param {Object} trackConfig - Track configuration
+     * @param {number} sampleRate - Export sample rate (sweep and stepped sine periods depend on it)
+     * @returns {Object} { periods: [{ trackId, sourceType, period, description }], mixPeriod, comment }
+     *   mixPeriod is set when every enabled track is periodic; comment is null without periodic tracks
+     */
+    getExportMetadata(trackConfig, sampleRate = this.exportSettings.exportSampleRate) {
+        const tracks = (trackConfig.tracks || []).filter(track => track.enabled);
+        
+        const periods = tracks.map(track => {
+            const options = { ...SeededNoiseSource.optionsFromTrack(track), fileName: track.fileName, sampleRate };
+            return {
+                trackId: track.id,
+                sourceType: options.sourceType,
+                period: MultichannelNoiseSource.getPeriodLength(options),
+                description: this.describeSource(options)
+            };
+        }).filter(entry => entry.period !== null);
+        
+        // The mix repeats after the least common multiple of all track periods
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        const mixPeriod = periods.length > 0 && periods.length === tracks.length
+            ? periods.reduce((lcm, entry) => lcm / gcd(lcm, entry.period) * entry.period, 1)
+            : null;
+        
+        const lines = periods.map(entry => 
+            `Track ${entry.trackId + 1}: ${entry.description}, period ${entry.period} samples`);
+        if (mixPeriod !== null) {
+            lines.push(`Mix period ${mixPeriod} samples`);
+        }
+        
+        return {
+            periods,
+            mixPeriod,
+            comment: lines.length > 0 ? lines.join('; ') : null
+        };
+    }
+
+    /**
+     * Short human-readable description of a track source for file metadata
+     * @param {Object} options - Stream options (see SeededNoiseSource.optionsFromTrack)
+     * @returns {string} Description, e.g. "log sweep 20-20000 Hz over 5 s"
+     */
+    describeSource(options) {
+        switch (options.sourceType) {
+            case 'mls':
+                return `MLS order ${options.mlsOrder || MlsSource.ORDER_RANGE.default}`;
+            case 'periodic':
+                return 'periodic noise';
+            case 'sweep': {
+                const sweep = SineSweepSource.validateSettings(options.sweep);
+                return `log sweep ${sweep.startFrequency}-${sweep.endFrequency} Hz over ${sweep.duration} s`;
+            }
+            case 'multitone': {
+                const multitone = MultitoneSource.validateSettings(options.multitone);
+                return `${multitone.phases} multitone, ${multitone.frequencies.length} tones`;
+            }
+            case 'stepped-sine': {
+                const steppedSine = SteppedSineSource.validateSettings(options.steppedSine);
+                return `stepped sine ${steppedSine.startFrequency}-${steppedSine.endFrequency} Hz, 1/${steppedSine.stepsPerOctave} octave steps`;
+            }
+            case 'file':
+                return `audio file ${options.fileName || ''}`.trim();
+            default:
+                return 'noise';
+        }
+    }
+
+    /**
+     * Give every track a concrete seed for this render.
+     * Locked seeds are reproducible: clip 0 uses the track seed itself (matching
+     * live playback) and later clips use seeds derived from it. Unlocked tracks
+     * get a fresh random seed, like pressing play again.
+     * @param {Object} trackConfig - Track configuration
+     * @param {number} clipIndex - Index of the clip being rendered
+     * @returns {Object} Copy of the track configuration with resolved seeds
+     */
+    resolveTrackSeeds(trackConfig, clipIndex = 0) {
+        if (!trackConfig.tracks) {
+            return trackConfig;
+        }
+        
+        const tracks = trackConfig.tracks.map((track, trackIndex) => {
+            let seed;
+            if (track.seedLocked && SeededNoiseSource.isValidSeed(track.seed)) {
+                seed = clipIndex === 0 ? track.seed : SeededNoiseSource.deriveSeed(track.seed, clipIndex);
+            } else {
+                seed = SeededNoiseSource.randomSeed();
+            }
+            
+            console.log('🎵 SIMPLE EXPORT: Track', trackIndex, 'noise seed:', seed, track.seedLocked ? '(locked)' : '(random)');
+            return { ...track, seed };
+        });
+        
+        return { ...trackConfig, tracks };
+    }
+
+    /**
+     * Bring the decoded data of audio file tracks and convolution impulse
+     * responses to the export sample rate
+     * Both are decoded at the AudioContext rate; every export path reads them
+     * sample by sample, so they are resampled once per rate and cached.
+     * @param {Object} trackConfig - Track configuration
+     * @param {number} sampleRate - Export sample rate in Hz
+     * @returns {Promise<Object>} Copy of the track configuration with file data at the export rate
+     */
+    async prepareAudioFiles(trackConfig, sampleRate) {
+        if (!trackConfig.tracks) {
+            return trackConfig;
+        }
+        
+        const tracks = await Promise.all(trackConfig.tracks.map(async track => {
+            if (!track.enabled) {
+                return track;
+            }
+            
+            const filters = await Promise.all((track.filters || []).map(async filter => {
+                if (!filter.enabled || !ConvolutionFilterDesign.isConvolutionType(filter.type) || !filter.impulse) {
+                    return filter;
+                }
+                // Resampling changes the sum of the response; impulseGain restores its level
+                return {
+                    ...filter,
+                    impulse: await this.resampleData(filter.impulse, sampleRate, filter.impulseName),
+                    impulseGain: filter.impulse.sampleRate / sampleRate
+                };
+            }));
+            
+            const prepared = track.filters ? { ...track, filters } : track;
+            if (track.sourceType !== 'file' || !track.fileData) {
+                return prepared;
+            }
+            return { ...prepared, fileData: await this.resampleData(track.fileData, sampleRate, track.fileName) };
+        }));
+        
+        return { ...trackConfig, tracks };
+    }
+
+    /**
+     * Resample decoded channel data to an export rate (cached per data and rate)
+     * @param {Object} data - { sampleRate, channels: Float32Array[] }
+     * @param {number} sampleRate - Export sample rate in Hz
+     * @param {string} name - File name for the log
+     * @returns {Promise<Object>} Channel data at the export rate
+     */
+    async resampleData(data, sampleRate, name) {
+        if (!this.resampledFiles.has(data)) {
+            this.resampledFiles.set(data, new Map());
+        }
+        const byRate = this.resampledFiles.get(data);
+        
+        if (!byRate.has(sampleRate)) {
+            console.log('🎵 SIMPLE EXPORT: Resampling', name, 'from', data.sampleRate, 'to', sampleRate, 'Hz');
+            byRate.set(sampleRate, await AudioFileSource.resample(data, sampleRate));
+        }
+        
+        return byRate.get(sampleRate);
+    }
+
     /**
      * Main export function - automatically chooses chunked or direct processing
      * @param {number} durationSeconds - Duration in seconds
      * @param {Object} trackConfig - Track configuration
      * @param {Object} settings - Export settings
-     * @returns {Promise<Float32Array>} Exported audio data
+     * @returns {Promise<Float32Array[]>} Exported audio data, one buffer per channel
      */
     async exportSimple(durationSeconds, trackConfig, settings = {}) {
         console.log('🎵 SIMPLE EXPORT: Starting with duration:', durationSeconds, 'seconds');
@@ -163,6 +425,12 @@ class SimpleAudioExporter {
         const sampleRate = mergedSettings.exportSampleRate || 44100;
         const totalSamples = Math.floor(durationSeconds * sampleRate);
         
+        // Fix the noise seed of every track for this render
+        trackConfig = this.resolveTrackSeeds(trackConfig, mergedSettings.clipIndex || 0);
+        trackConfig = await this.prepareAudioFiles(trackConfig, sampleRate);
+        mergedSettings.outputChannels = this.getOutputChannelCount(trackConfig);
+        console.log('🎵 SIMPLE EXPORT: Output channels:', mergedSettings.outputChannels);
+        
         console.log('🎵 SIMPLE EXPORT: Sample rate:', sampleRate, 'Hz');
         console.log('🎵 SIMPLE EXPORT: Duration:', durationSeconds, 'seconds');
         console.log('🎵 SIMPLE EXPORT: Total samples needed:', totalSamples);
@@ -183,7 +451,7 @@ class SimpleAudioExporter {
      * @param {number} durationSeconds - Duration in seconds
      * @param {Object} trackConfig - Track configuration
      * @param {Object} settings - Export settings
-     * @returns {Promise<Float32Array>} Exported audio data
+     * @returns {Promise<Float32Array[]>} Exported audio data, one buffer per channel
      */
     async exportDirect(durationSeconds, trackConfig, settings) {
         console.log('🎵 DIRECT EXPORT: Starting direct export with duration:', durationSeconds, 'seconds');
@@ -191,74 +459,75 @@ class SimpleAudioExporter {
         const sampleRate = settings.exportSampleRate || 44100;
         const totalSamples = Math.floor(durationSeconds * sampleRate);
         
-        // Initialize mix buffer
-        let mixedData = new Float32Array(totalSamples);
+        // Initialize one mix buffer per output channel
+        let mixedData = this.createChannelBuffers(settings.outputChannels || 1, totalSamples);
         
-        // Process each track and mix them together
+        // Render each track in one pass and mix them together
         if (trackConfig.tracks && trackConfig.tracks.length > 0) {
             console.log('🎵 SIMPLE EXPORT: Processing', trackConfig.tracks.length, 'tracks');
             
-            for (let trackIndex = 0; trackIndex < trackConfig.tracks.length; trackIndex++) {
-                const track = trackConfig.tracks[trackIndex];
-                
-                if (!track.enabled) {
-                    console.log('🎵 SIMPLE EXPORT: Track', trackIndex, 'disabled, skipping');
-                    continue;
-                }
-                
-                console.log('🎵 SIMPLE EXPORT: Processing track', trackIndex);
-                
-                // Generate white noise for this track
-                const trackNoise = this.generateWhiteNoise(totalSamples);
-                console.log('🎵 SIMPLE EXPORT: Track', trackIndex, 'generated', totalSamples, 'noise samples');
-                
-                // Apply filters to this track
-                let trackData = trackNoise;
-                
-                if (track.filters && track.filters.length > 0) {
-                    console.log('🎵 SIMPLE EXPORT: Track', trackIndex, 'applying', track.filters.length, 'filters');
-                    
-                    for (let i = 0; i < track.filters.length; i++) {
-                        const filter = track.filters[i];
-                        if (filter.enabled) {
-                            console.log('🎵 SIMPLE EXPORT: Track', trackIndex, 'applying filter:', filter.type, 'gain:', filter.gain, 'dB', 'centerFreq:', filter.centerFreq, 'Hz');
-                            trackData = this.applyFilterFFT(trackData, filter, sampleRate);
-                            console.log('🎵 SIMPLE EXPORT: Track', trackIndex, 'applied', filter.type, 'filter');
-                        }
-                    }
-                }
-                
-                // Apply track gain
-                if (track.gain !== undefined && track.gain !== 1.0) {
-                    const trackGainLinear = typeof track.gain === 'number' && track.gain > 0 && track.gain < 10
-                        ? track.gain  // Already linear
-                        : Math.pow(10, (track.gain || 0) / 20);  // Convert dB to linear
-                    
-                    console.log('🎵 SIMPLE EXPORT: Track', trackIndex, 'applying track gain:', trackGainLinear);
-                    trackData = trackData.map(sample => sample * trackGainLinear);
-                }
-                
-                // Mix this track into the final mix
-                for (let i = 0; i < totalSamples; i++) {
-                    mixedData[i] += trackData[i];
-                }
-                
-                console.log('🎵 SIMPLE EXPORT: Track', trackIndex, 'mixed into final output');
-            }
+            const streams = this.createTrackStreams(trackConfig, sampleRate, 0);
+            this.mixTrackStreams(mixedData, trackConfig, streams, totalSamples);
         } else {
             console.log('🎵 SIMPLE EXPORT: No tracks configured, generating single white noise');
             // Fallback: generate single white noise if no tracks
-            mixedData = this.generateWhiteNoise(totalSamples);
+            mixedData = [this.generateWhiteNoise(totalSamples, SeededNoiseSource.randomSeed(), 0)];
         }
         
-        console.log('🎵 SIMPLE EXPORT: Final mixed data ready,', mixedData.length, 'samples');
+        console.log('🎵 SIMPLE EXPORT: Final mixed data ready,', totalSamples, 'samples ×', mixedData.length, 'channel(s)');
         
         // Apply export-specific amplitude (like Python version)
         if (settings.exportAmplitude !== 1.0) {
             console.log('🎵 SIMPLE EXPORT: Applying export amplitude:', settings.exportAmplitude);
-            mixedData = mixedData.map(sample => sample * settings.exportAmplitude);
+            mixedData = mixedData.map(channel => channel.map(sample => sample * settings.exportAmplitude));
         }
 
+        mixedData = this.applyFinalProcessing(mixedData, settings, sampleRate, '🎵 SIMPLE EXPORT');
+        
+        console.log('🎵 DIRECT EXPORT: Export complete,', totalSamples, 'samples ×', mixedData.length, 'channel(s) ready');
+        
+        return mixedData;
+    }
+
+    /**
+     * Apply fades and normalization to the complete signal, in the order set by
+     * settings.fadeBeforeNorm (matching Python version)
+     * @param {Float32Array[]} channels - Complete signal, one buffer per channel
+     * @param {Object} settings - Export settings
+     * @param {number} sampleRate - Sample rate
+     * @param {string} logPrefix - Prefix for console output
+     * @returns {Float32Array[]} Processed channels
+     */
+    applyFinalProcessing(channels, settings, sampleRate, logPrefix) {
+        const applyFades = (data) => this.applyFades(data, settings, sampleRate, logPrefix);
+        
+        const applyNormalization = (data) => {
+            if (settings.enableNormalization) {
+                console.log(logPrefix + ': Applying normalization...');
+                return this.normalizeChannels(data, settings.normalizeValue, settings.normalizeMeasure);
+            }
+            return data;
+        };
+        
+        // Apply fade and normalization in the correct order
+        if (settings.fadeBeforeNorm) {
+            console.log(logPrefix + ': Processing order: Fade then Normalize');
+            return applyNormalization(applyFades(channels));
+        }
+        
+        console.log(logPrefix + ': Processing order: Normalize then Fade');
+        return applyFades(applyNormalization(channels));
+    }
+
+    /**
+     * Apply the fade-in / fade-out envelopes from the export settings
+     * @param {Float32Array[]} channels - One buffer per channel
+     * @param {Object} settings - Export settings (enableFadeIn, fadeInDuration, fadeInPower, ...)
+     * @param {number} sampleRate - Sample rate
+     * @param {string} logPrefix - Prefix for log messages
+     * @returns {Float32Array[]} Faded channels (the input when no fade is enabled)
+     */
+    applyFades(channels, settings, sampleRate, logPrefix) {
         // Calculate fade samples
         const fadeInSamples = settings.enableFadeIn ? 
             Math.floor(settings.fadeInDuration * sampleRate) : 0;
@@ -269,47 +538,15 @@ class SimpleAudioExporter {
         console.log('🎵 FADE CALC: Fade-out duration:', settings.fadeOutDuration, 'seconds');
         console.log('🎵 FADE CALC: Fade-in samples:', fadeInSamples, '(' + settings.fadeInDuration + ' × ' + sampleRate + ')');
         console.log('🎵 FADE CALC: Fade-out samples:', fadeOutSamples, '(' + settings.fadeOutDuration + ' × ' + sampleRate + ')');
-
-        // Apply fade and normalization in the correct order (matching Python version)
-        if (settings.fadeBeforeNorm) {
-            console.log('🎵 SIMPLE EXPORT: Processing order: Fade then Normalize');
-            
-            // Apply fades first
-            if (fadeInSamples > 0 || fadeOutSamples > 0) {
-                console.log('🎵 SIMPLE EXPORT: Applying fades...');
-                mixedData = this.applyFadeEnvelope(
-                    mixedData, fadeInSamples, fadeOutSamples,
-                    settings.fadeInPower, settings.fadeOutPower
-                );
-            }
-            
-            // Then normalize
-            if (settings.enableNormalization) {
-                console.log('🎵 SIMPLE EXPORT: Applying normalization...');
-                mixedData = this.normalizeSignal(mixedData, settings.normalizeValue);
-            }
-        } else {
-            console.log('🎵 SIMPLE EXPORT: Processing order: Normalize then Fade');
-            
-            // Normalize first
-            if (settings.enableNormalization) {
-                console.log('🎵 SIMPLE EXPORT: Applying normalization...');
-                mixedData = this.normalizeSignal(mixedData, settings.normalizeValue);
-            }
-            
-            // Then apply fades
-            if (fadeInSamples > 0 || fadeOutSamples > 0) {
-                console.log('🎵 SIMPLE EXPORT: Applying fades...');
-                mixedData = this.applyFadeEnvelope(
-                    mixedData, fadeInSamples, fadeOutSamples,
-                    settings.fadeInPower, settings.fadeOutPower
-                );
-            }
-        }
-        
-        console.log('🎵 DIRECT EXPORT: Export complete,', mixedData.length, 'samples ready');
         
-        return new Float32Array(mixedData);
+        if (fadeInSamples > 0 || fadeOutSamples > 0) {
+            console.log(logPrefix + ': Applying fades...');
+            return channels.map(channel => this.applyFadeEnvelope(
+                channel, fadeInSamples, fadeOutSamples,
+                settings.fadeInPower, settings.fadeOutPower
+            ));
+        }
+        return channels;
     }
 
     /**
@@ -317,7 +554,7 @@ class SimpleAudioExporter {
      * @param {number} durationSeconds - Duration in seconds
      * @param {Object} trackConfig - Track configuration
      * @param {Object} settings - Export settings
-     * @returns {Promise<Float32Array>} Exported audio data
+     * @returns {Promise<Float32Array[]>} Exported audio data, one buffer per channel
      */
     async exportChunked(durationSeconds, trackConfig, settings) {
         console.log('🎵 CHUNKED EXPORT: Starting chunked export with duration:', durationSeconds, 'seconds');
@@ -325,8 +562,8 @@ class SimpleAudioExporter {
         const sampleRate = settings.exportSampleRate || 44100;
         const totalSamples = Math.floor(durationSeconds * sampleRate);
         
-        // Optimized chunk size: 30 seconds = ~1.3M samples = ~2M FFT size
-        // This is ~4x faster per chunk than 90 seconds due to FFT complexity O(N log N)
+        // Chunks only bound memory per step and set the progress granularity;
+        // track streams carry all filter state, so chunk size does not change the output
         const chunkDurationSeconds = 30;
         const chunkSamples = Math.floor(chunkDurationSeconds * sampleRate);
         
@@ -344,7 +581,14 @@ class SimpleAudioExporter {
                                      this.workerPool.isAvailable() &&
                                      numChunks >= 2; // Only worth it for multiple chunks
         
-        if (useParallelProcessing) {
+        // Independent chunks are only exact for tracks without recursive state;
+        // noise color and IIR filters need the carried state of the sequential path
+        const seekable = this.isSeekableConfig(trackConfig, sampleRate);
+        if (useParallelProcessing && !seekable) {
+            console.log('🎵 CHUNKED EXPORT: Noise color or IIR filters present, rendering sequentially for an exact result');
+        }
+        
+        if (useParallelProcessing && seekable) {
             console.log('🎯 CHUNKED EXPORT: Using PARALLEL processing with Web Workers');
             return await this.exportChunkedParallel(durationSeconds, trackConfig, settings);
         } else {
@@ -362,8 +606,8 @@ class SimpleAudioExporter {
         const sampleRate = settings.exportSampleRate || 44100;
         const totalSamples = Math.floor(durationSeconds * sampleRate);
         
-        // Use smaller chunks for parallel processing to avoid memory issues in workers
-        // 10 seconds = ~441K samples = ~1M FFT size (manageable for workers)
+        // Use smaller chunks for parallel processing to spread the work over the workers
+        // (each worker chunk starts exactly where the previous one ends, see TrackRenderStream.startingAt)
         const chunkDurationSeconds = 10;
         const chunkSamples = Math.floor(chunkDurationSeconds * sampleRate);
         const numChunks = Math.ceil(totalSamples / chunkSamples);
@@ -412,13 +656,13 @@ class SimpleAudioExporter {
         console.log(`🎯 PARALLEL EXPORT: Average time per chunk: ${(processingTime / numChunks).toFixed(2)}ms`);
         
         // Assemble final result
-        const finalResult = new Float32Array(totalSamples);
+        const finalResult = this.createChannelBuffers(settings.outputChannels || 1, totalSamples);
         let outputOffset = 0;
         
         for (let i = 0; i < chunkResults.length; i++) {
             const chunkResult = chunkResults[i];
-            finalResult.set(chunkResult, outputOffset);
-            outputOffset += chunkResult.length;
+            chunkResult.forEach((channel, c) => finalResult[c].set(channel, outputOffset));
+            outputOffset += chunkResult[0].length;
         }
         
         // Apply final processing (normalization and fade) to complete signal
@@ -437,48 +681,9 @@ class SimpleAudioExporter {
             }
         }
         
-        let finalData = finalResult;
-        
-        // Calculate fade samples
-        const fadeInSamples = settings.enableFadeIn ? 
-            Math.floor(settings.fadeInDuration * sampleRate) : 0;
-        const fadeOutSamples = settings.enableFadeOut ? 
-            Math.floor(settings.fadeOutDuration * sampleRate) : 0;
-        
-        // Apply fade and normalization in the correct order
-        if (settings.fadeBeforeNorm) {
-            // Apply fades first
-            if (fadeInSamples > 0 || fadeOutSamples > 0) {
-                console.log('🎯 PARALLEL EXPORT: Applying fades to complete signal...');
-                finalData = this.applyFadeEnvelope(
-                    finalData, fadeInSamples, fadeOutSamples,
-                    settings.fadeInPower, settings.fadeOutPower
-                );
-            }
-            
-            // Then normalize
-            if (settings.enableNormalization) {
-                console.log('🎯 PARALLEL EXPORT: Applying normalization to complete signal...');
-                finalData = this.normalizeSignal(finalData, settings.normalizeValue);
-            }
-        } else {
-            // Normalize first
-            if (settings.enableNormalization) {
-                console.log('🎯 PARALLEL EXPORT: Applying normalization to complete signal...');
-                finalData = this.normalizeSignal(finalData, settings.normalizeValue);
-            }
-            
-            // Then apply fades
-            if (fadeInSamples > 0 || fadeOutSamples > 0) {
-                console.log('🎯 PARALLEL EXPORT: Applying fades to complete signal...');
-                finalData = this.applyFadeEnvelope(
-                    finalData, fadeInSamples, fadeOutSamples,
-                    settings.fadeInPower, settings.fadeOutPower
-                );
-            }
-        }
+        const finalData = this.applyFinalProcessing(finalResult, settings, sampleRate, '🎯 PARALLEL EXPORT');
         
-        console.log('🎯 PARALLEL EXPORT: Export complete,', finalData.length, 'samples ready');
+        console.log('🎯 PARALLEL EXPORT: Export complete,', totalSamples, 'samples ×', finalData.length, 'channel(s) ready');
         return finalData;
     }
 
@@ -494,10 +699,15 @@ class SimpleAudioExporter {
         const chunkSamples = Math.floor(chunkDurationSeconds * sampleRate);
         const numChunks = Math.ceil(totalSamples / chunkSamples);
         
-        // Initialize result array
-        const finalResult = new Float32Array(totalSamples);
+        // Initialize one result array per output channel
+        const finalResult = this.createChannelBuffers(settings.outputChannels || 1, totalSamples);
         let outputOffset = 0;
         
+        // One continuous stream per track, carried from chunk to chunk
+        const streams = trackConfig.tracks && trackConfig.tracks.length > 0
+            ? this.createTrackStreams(trackConfig, sampleRate, 0)
+            : null;
+        
         // Check if export was cancelled
         if (settings.onProgress) {
             const shouldContinue = settings.onProgress({
@@ -522,12 +732,12 @@ class SimpleAudioExporter {
             // Create chunk duration and process it using existing direct export logic
             const chunkDuration = currentChunkSamples / sampleRate;
             
-            // Use direct export for this chunk (no recursion - direct call to processing logic)
-            const chunkResult = await this.processChunk(chunkDuration, trackConfig, settings);
+            // Render this chunk from the carried track streams (no recursion - direct call to processing logic)
+            const chunkResult = await this.processChunk(chunkDuration, trackConfig, settings, chunkStart, streams);
             
-            // Copy chunk result to final array
-            finalResult.set(chunkResult, outputOffset);
-            outputOffset += chunkResult.length;
+            // Copy chunk result to final arrays
+            chunkResult.forEach((channel, c) => finalResult[c].set(channel, outputOffset));
+            outputOffset += currentChunkSamples;
             
             const progress = Math.round((chunkIndex + 1) / numChunks * 100);
             console.log(`🎵 SEQUENTIAL CHUNK ${chunkIndex + 1}/${numChunks}: Completed, progress: ${progress}%`);
@@ -566,290 +776,179 @@ class SimpleAudioExporter {
             }
         }
         
-        let finalData = finalResult;
+        const finalData = this.applyFinalProcessing(finalResult, settings, sampleRate, '🎵 SEQUENTIAL EXPORT');
         
-        // Calculate fade samples
-        const fadeInSamples = settings.enableFadeIn ? 
-            Math.floor(settings.fadeInDuration * sampleRate) : 0;
-        const fadeOutSamples = settings.enableFadeOut ? 
-            Math.floor(settings.fadeOutDuration * sampleRate) : 0;
-        
-        // Apply fade and normalization in the correct order
-        if (settings.fadeBeforeNorm) {
-            // Apply fades first
-            if (fadeInSamples > 0 || fadeOutSamples > 0) {
-                console.log('🎵 SEQUENTIAL EXPORT: Applying fades to complete signal...');
-                finalData = this.applyFadeEnvelope(
-                    finalData, fadeInSamples, fadeOutSamples,
-                    settings.fadeInPower, settings.fadeOutPower
-                );
-            }
-            
-            // Then normalize
-            if (settings.enableNormalization) {
-                console.log('🎵 SEQUENTIAL EXPORT: Applying normalization to complete signal...');
-                finalData = this.normalizeSignal(finalData, settings.normalizeValue);
-            }
-        } else {
-            // Normalize first
-            if (settings.enableNormalization) {
-                console.log('🎵 SEQUENTIAL EXPORT: Applying normalization to complete signal...');
-                finalData = this.normalizeSignal(finalData, settings.normalizeValue);
-            }
-            
-            // Then apply fades
-            if (fadeInSamples > 0 || fadeOutSamples > 0) {
-                console.log('🎵 SEQUENTIAL EXPORT: Applying fades to complete signal...');
-                finalData = this.applyFadeEnvelope(
-                    finalData, fadeInSamples, fadeOutSamples,
-                    settings.fadeInPower, settings.fadeOutPower
-                );
-            }
-        }
-        
-        console.log('🎵 SEQUENTIAL EXPORT: Export complete,', finalData.length, 'samples ready');
+        console.log('🎵 SEQUENTIAL EXPORT: Export complete,', totalSamples, 'samples ×', finalData.length, 'channel(s) ready');
         return finalData;
     }
 
+    /**
+     * Check whether every enabled track can be rendered in independent chunks
+     * (see TrackRenderStream.isSeekable)
+     * @param {Object} trackConfig - Track configuration
+     * @param {number} sampleRate - Sample rate
+     * @returns {boolean} True when chunks may start anywhere
+     */
+    isSeekableConfig(trackConfig, sampleRate) {
+        return (trackConfig.tracks || [])
+            .filter(track => track.enabled)
+            .every(track => TrackRenderStream.isSeekable(track, sampleRate));
+    }
+
     /**
      * Process a single chunk (internal method for chunked export)
      * @param {number} chunkDuration - Duration of chunk in seconds
      * @param {Object} trackConfig - Track configuration
      * @param {Object} settings - Export settings  
-     * @returns {Promise<Float32Array>} Processed chunk data
+     * @param {number} startSample - Absolute position of the chunk's first sample
+     * @param {Array<TrackRenderStream|null>} streams - Track streams positioned at startSample
+     *   (carried over from the previous chunk); created with TrackRenderStream.startingAt when omitted
+     * @returns {Promise<Float32Array[]>} Processed chunk data, one buffer per channel
      */
-    async processChunk(chunkDuration, trackConfig, settings) {
+    async processChunk(chunkDuration, trackConfig, settings, startSample = 0, streams = null) {
         const sampleRate = settings.exportSampleRate || 44100;
-        const chunkSamples = Math.floor(chunkDuration * sampleRate);
+        const chunkSamples = Math.round(chunkDuration * sampleRate);
         
-        // Initialize chunk mix buffer
-        let mixedData = new Float32Array(chunkSamples);
+        // Initialize one chunk mix buffer per output channel
+        let mixedData = this.createChannelBuffers(settings.outputChannels || 1, chunkSamples);
         
-        // Process each track and mix them together (same logic as direct export)
+        // Render each track's next samples and mix them together (same logic as direct export)
         if (trackConfig.tracks && trackConfig.tracks.length > 0) {
-            for (let trackIndex = 0; trackIndex < trackConfig.tracks.length; trackIndex++) {
-                const track = trackConfig.tracks[trackIndex];
-                
-                if (!track.enabled) {
-                    continue;
-                }
-                
-                // Generate white noise for this track chunk
-                const trackNoise = this.generateWhiteNoise(chunkSamples);
-                
-                // Apply filters to this track chunk
-                let trackData = trackNoise;
-                
-                if (track.filters && track.filters.length > 0) {
-                    for (let i = 0; i < track.filters.length; i++) {
-                        const filter = track.filters[i];
-                        if (filter.enabled) {
-                            trackData = this.applyFilterFFT(trackData, filter, sampleRate);
-                        }
-                    }
-                }
-                
-                // Apply track gain
-                if (track.gain !== undefined && track.gain !== 1.0) {
-                    const trackGainLinear = typeof track.gain === 'number' && track.gain > 0 && track.gain < 10
-                        ? track.gain  // Already linear
-                        : Math.pow(10, (track.gain || 0) / 20);  // Convert dB to linear
-                    
-                    trackData = trackData.map(sample => sample * trackGainLinear);
-                }
-                
-                // Mix this track into the chunk
-                for (let i = 0; i < chunkSamples; i++) {
-                    mixedData[i] += trackData[i];
-                }
-            }
+            const trackStreams = streams || this.createTrackStreams(trackConfig, sampleRate, startSample);
+            this.mixTrackStreams(mixedData, trackConfig, trackStreams, chunkSamples);
         } else {
             // Fallback: generate single white noise if no tracks
-            mixedData = this.generateWhiteNoise(chunkSamples);
+            mixedData = [this.generateWhiteNoise(chunkSamples, SeededNoiseSource.randomSeed(), startSample)];
         }
         
         // Apply export-specific amplitude (like Python version)
         if (settings.exportAmplitude !== 1.0) {
-            mixedData = mixedData.map(sample => sample * settings.exportAmplitude);
+            mixedData = mixedData.map(channel => channel.map(sample => sample * settings.exportAmplitude));
         }
         
         return mixedData;
     }
 
     /**
-     * Generate white noise samples directly (no AudioWorklet)
-     * @param {number} numSamples - Number of samples to generate
-     * @returns {Float32Array} White noise samples
+     * Create a render stream for every enabled track
+     * @param {Object} trackConfig - Track configuration (with resolved seeds)
+     * @param {number} sampleRate - Sample rate
+     * @param {number} startSample - Absolute position of the first rendered sample
+     * @returns {Array<TrackRenderStream|null>} One stream per track, null for disabled tracks
      */
-    generateWhiteNoise(numSamples) {
-        const samples = new Float32Array(numSamples);
-        for (let i = 0; i < numSamples; i++) {
-            // Generate white noise: random values between -1 and 1
-            samples[i] = (Math.random() - 0.5) * 2.0;
-        }
-        return samples;
+    createTrackStreams(trackConfig, sampleRate, startSample = 0) {
+        return trackConfig.tracks.map(track => track.enabled
+            ? TrackRenderStream.startingAt(track, sampleRate, startSample)
+            : null);
     }
 
     /**
-     * Apply filter using FFT approach (like Python version)
-     * @param {Float32Array} data - Input audio data
-     * @param {Object} filter - Filter configuration
-     * @param {number} sampleRate - Sample rate
-     * @returns {Float32Array} Filtered audio data
+     * Render the next samples of every track stream, apply track gain and pan,
+     * and mix them into the output channels
+     * @param {Float32Array[]} mix - Output channels, mixed into in place
+     * @param {Object} trackConfig - Track configuration
+     * @param {Array<TrackRenderStream|null>} streams - Streams from createTrackStreams
+     * @param {number} numSamples - Number of samples to render
      */
-    applyFilterFFT(data, filter, sampleRate) {
-        // Reduced logging for performance - only log filter type, not sample count
-        console.log('🎵 FFT FILTER:', filter.type);
-        
-        // For now, implement plateau filter (most common in our tests)
-        if (filter.type === 'plateau') {
-            return this.applyPlateauFilter(data, filter, sampleRate);
-        }
-        
-        // For other filters, return data unchanged for now
-        console.log('🎵 FFT FILTER: Filter type', filter.type, 'not implemented yet, returning unchanged');
-        return data;
+    mixTrackStreams(mix, trackConfig, streams, numSamples) {
+        trackConfig.tracks.forEach((track, trackIndex) => {
+            if (!streams[trackIndex]) {
+                return;
+            }
+            
+            let trackData = streams[trackIndex].render(numSamples);
+            
+            // Apply track gain
+            if (track.gain !== undefined && track.gain !== 1.0) {
+                const trackGainLinear = typeof track.gain === 'number' && track.gain > 0 && track.gain < 10
+                    ? track.gain  // Already linear
+                    : Math.pow(10, (track.gain || 0) / 20);  // Convert dB to linear
+                
+                trackData = trackData.map(channel => channel.map(sample => sample * trackGainLinear));
+            }
+            
+            // Pan and mix this track into the output
+            this.mixTrack(mix, trackData, track.pan || 0);
+        });
     }
 
     /**
-     * Apply plateau filter using FFT (Python-style)
-     * @param {Float32Array} data - Input audio data
-     * @param {Object} filter - Plateau filter configuration
-     * @param {number} sampleRate - Sample rate
-     * @returns {Float32Array} Filtered audio data
+     * Generate white noise samples directly (no AudioWorklet)
+     * @param {number} numSamples - Number of samples to generate
+     * @param {number} seed - Noise seed
+     * @param {number} startSample - Absolute position of the first sample in the seeded stream
+     * @param {Object} sourceOptions - Generator and distribution (see SeededNoiseSource)
+     * @returns {Float32Array} White noise samples
      */
-    applyPlateauFilter(data, filter, sampleRate) {
-        // Create FFT-friendly size (power of 2)
-        const fftSize = Math.pow(2, Math.ceil(Math.log2(data.length)));
-        
-        // Pad data to FFT size
-        const paddedData = new Float32Array(fftSize);
-        paddedData.set(data);
-        
-        // Convert to complex numbers for FFT
-        const complexData = new Array(fftSize);
-        for (let i = 0; i < fftSize; i++) {
-            complexData[i] = [paddedData[i], 0]; // [real, imaginary]
-        }
-        
-        // Apply FFT
-        const spectrum = this.fft(complexData);
-        
-        // Create frequency mask (plateau shape)
-        const mask = this.createPlateauMask(fftSize, filter.centerFreq, filter.width, filter.flatWidth, sampleRate);
-        
-        // Convert filter gain from dB to linear
-        const gainLinear = Math.pow(10, (filter.gain || 0) / 20);
-        
-        // Apply filter mask with gain
-        for (let i = 0; i < fftSize; i++) {
-            const maskValue = mask[i] * gainLinear;
-            spectrum[i][0] *= maskValue; // real part
-            spectrum[i][1] *= maskValue; // imaginary part
-        }
-        
-        // Apply inverse FFT
-        const filteredComplex = this.ifft(spectrum);
-        
-        // Convert back to real values and trim to original size
-        const result = new Float32Array(data.length);
-        for (let i = 0; i < data.length; i++) {
-            result[i] = filteredComplex[i][0]; // Take real part
-        }
-        
-        return result;
+    generateWhiteNoise(numSamples, seed, startSample = 0, sourceOptions = {}) {
+        // Same seeded stream as the AudioWorklet, so any chunk can be rendered on its own
+        return new SeededNoiseSource(seed, startSample, sourceOptions).fill(new Float32Array(numSamples));
     }
 
     /**
-     * Create plateau frequency mask (improved to match Python version)
-     * @param {number} fftSize - FFT size
-     * @param {number} centerFreq - Center frequency in Hz
-     * @param {number} width - Total filter width in Hz
-     * @param {number} flatWidth - Flat section width in Hz
-     * @param {number} sampleRate - Sample rate
-     * @returns {Float32Array} Frequency mask
+     * Allocate silent buffers, one per channel
+     * @param {number} channelCount - Number of channels
+     * @param {number} numSamples - Samples per channel
+     * @returns {Float32Array[]} Channel buffers
      */
-    createPlateauMask(fftSize, centerFreq, width, flatWidth = width * 0.5, sampleRate) {
-        const mask = new Float32Array(fftSize);
-        
-        for (let i = 0; i < fftSize; i++) {
-            // Calculate frequency for this bin (handle positive and negative frequencies)
-            const freq = i <= fftSize / 2 
-                ? (i * sampleRate) / fftSize 
-                : ((i - fftSize) * sampleRate) / fftSize;
-            
-            // Calculate distance from center frequency
-            const freqDiff = Math.abs(freq - centerFreq);
-            
-            // Plateau filter logic (matching Python version)
-            if (freqDiff < flatWidth / 2) {
-                // Flat plateau region
-                mask[i] = 1.0;
-            } else if (freqDiff <= width / 2) {
-                // Cosine rolloff from plateau to zero
-                const rolloffDistance = freqDiff - flatWidth / 2;
-                const rolloffRange = width / 2 - flatWidth / 2;
-                
-                if (rolloffRange > 0) {
-                    const rolloffPosition = rolloffDistance / rolloffRange;
-                    mask[i] = 0.5 * (1 + Math.cos(Math.PI * rolloffPosition));
-                } else {
-                    mask[i] = 1.0; // No rolloff range
-                }
-            } else {
-                // Outside filter width
-                mask[i] = 0.0;
-            }
-        }
-        
-        return mask;
+    createChannelBuffers(channelCount, numSamples) {
+        return Array.from({ length: channelCount }, () => new Float32Array(numSamples));
     }
 
     /**
-     * Simple FFT implementation (Cooley-Tukey)
-     * @param {Array} x - Complex input array [[real, imag], ...]
-     * @returns {Array} Complex output array
+     * Mix a rendered track into the output channels.
+     * Mono and stereo tracks go to the first two channels through the same pan
+     * law as the track's StereoPannerNode (mono is treated as L = R, so an
+     * unpanned mono track is unchanged); wider tracks map one-to-one.
+     * @param {Float32Array[]} mix - Output channels, mixed into in place
+     * @param {Float32Array[]} trackData - Track channels
+     * @param {number} pan - Track pan, -1 (left) to 1 (right)
      */
-    fft(x) {
-        const N = x.length;
-        if (N <= 1) return x;
-        
-        // Divide
-        const even = this.fft(x.filter((_, i) => i % 2 === 0));
-        const odd = this.fft(x.filter((_, i) => i % 2 === 1));
-        
-        // Combine
-        const combined = new Array(N);
-        for (let k = 0; k < N / 2; k++) {
-            const angle = -2 * Math.PI * k / N;
-            const cos = Math.cos(angle);
-            const sin = Math.sin(angle);
-            
-            // Complex multiplication: odd[k] * e^(-2πik/N)
-            const tReal = cos * odd[k][0] - sin * odd[k][1];
-            const tImag = cos * odd[k][1] + sin * odd[k][0];
-            
-            combined[k] = [even[k][0] + tReal, even[k][1] + tImag];
-            combined[k + N/2] = [even[k][0] - tReal, even[k][1] - tImag];
+    mixTrack(mix, trackData, pan = 0) {
+        if (trackData.length <= 2 && mix.length >= 2) {
+            trackData = this.panStereo(trackData[0], trackData[trackData.length - 1], pan);
         }
         
-        return combined;
+        const channels = Math.min(trackData.length, mix.length);
+        for (let c = 0; c < channels; c++) {
+            const output = mix[c];
+            const input = trackData[c];
+            for (let i = 0; i < output.length; i++) {
+                output[i] += input[i];
+            }
+        }
     }
 
     /**
-     * Inverse FFT
-     * @param {Array} X - Complex input array
-     * @returns {Array} Complex output array
+     * Pan a stereo pair like StereoPannerNode does for stereo input
+     * @param {Float32Array} left - Left channel
+     * @param {Float32Array} right - Right channel
+     * @param {number} pan - -1 (left) to 1 (right)
+     * @returns {Float32Array[]} Panned [left, right]
      */
-    ifft(X) {
-        // Conjugate the complex numbers
-        const conjugated = X.map(([real, imag]) => [real, -imag]);
+    panStereo(left, right, pan) {
+        if (pan === 0) {
+            return [left, right];
+        }
         
-        // Apply FFT
-        const result = this.fft(conjugated);
+        // Web Audio stereo panning: the far channel is folded into the near one with equal-power gains
+        const x = pan <= 0 ? pan + 1 : pan;
+        const gainL = Math.cos(x * Math.PI / 2);
+        const gainR = Math.sin(x * Math.PI / 2);
+        const outL = new Float32Array(left.length);
+        const outR = new Float32Array(right.length);
+        
+        for (let i = 0; i < left.length; i++) {
+            if (pan <= 0) {
+                outL[i] = left[i] + right[i] * gainL;
+                outR[i] = right[i] * gainR;
+            } else {
+                outL[i] = left[i] * gainL;
+                outR[i] = right[i] + left[i] * gainR;
+            }
+        }
         
-        // Conjugate and normalize
-        return result.map(([real, imag]) => [real / X.length, -imag / X.length]);
+        return [outL, outR];
     }
 
     /**
@@ -903,16 +1002,20 @@ class SimpleAudioExporter {
     }
 
     /**
-     * Create WAV blob from audio data
-     * @param {Float32Array} audioData - Audio samples
+     * Create WAV blob from audio data (16-bit PCM, channels interleaved)
+     * @param {Float32Array|Float32Array[]} audioData - Mono samples, or one buffer per channel
      * @param {number} sampleRate - Sample rate
+     * @param {Object} metadata - Optional export metadata; its comment is written to a LIST/INFO chunk
      * @returns {Blob} WAV file blob
      */
-    createWavBlob(audioData, sampleRate) {
-        const length = audioData.length;
-        console.log('🎵 WAV CREATION: Input audio data length:', length, 'samples');
+    createWavBlob(audioData, sampleRate, metadata = null) {
+        const channels = Array.isArray(audioData) ? audioData : [audioData];
+        const numChannels = channels.length;
+        const frames = channels[0].length;
+        const length = frames * numChannels;
+        console.log('🎵 WAV CREATION: Input audio data length:', frames, 'samples ×', numChannels, 'channel(s)');
         console.log('🎵 WAV CREATION: Sample rate:', sampleRate, 'Hz');
-        console.log('🎵 WAV CREATION: Duration:', length / sampleRate, 'seconds');
+        console.log('🎵 WAV CREATION: Duration:', frames / sampleRate, 'seconds');
         
         const buffer = new ArrayBuffer(44 + length * 2);
         const view = new DataView(buffer);
@@ -930,10 +1033,10 @@ class SimpleAudioExporter {
         writeString(12, 'fmt ');
         view.setUint32(16, 16, true);
         view.setUint16(20, 1, true);
-        view.setUint16(22, 1, true);
+        view.setUint16(22, numChannels, true);
         view.setUint32(24, sampleRate, true);
-        view.setUint32(28, sampleRate * 2, true);
-        view.setUint16(32, 2, true);
+        view.setUint32(28, sampleRate * numChannels * 2, true);
+        view.setUint16(32, numChannels * 2, true);
         view.setUint16(34, 16, true);
         writeString(36, 'data');
         view.setUint32(40, length * 2, true);
@@ -943,16 +1046,67 @@ class SimpleAudioExporter {
         
         // Audio data
         const offset = 44;
-        for (let i = 0; i < length; i++) {
-            const sample = Math.max(-1, Math.min(1, audioData[i]));
-            view.setInt16(offset + i * 2, sample * 0x7FFF, true);
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < numChannels; c++) {
+                const sample = Math.max(-1, Math.min(1, channels[c][i]));
+                view.setInt16(offset + (i * numChannels + c) * 2, sample * 0x7FFF, true);
+            }
         }
         
-        console.log('🎵 WAV CREATION: Audio data written:', length, 'samples');
+        console.log('🎵 WAV CREATION: Audio data written:', frames, 'frames');
+        
+        if (metadata && metadata.comment) {
+            const infoChunk = this.createInfoChunk({ ISFT: 'NoiseShaper Web', ICMT: metadata.comment });
+            
+            // RIFF size now covers the LIST chunk appended after the data
+            view.setUint32(4, 36 + length * 2 + infoChunk.byteLength, true);
+            console.log('🎵 WAV CREATION: Metadata written:', metadata.comment);
+            
+            return new Blob([buffer, infoChunk], { type: 'audio/wav' });
+        }
         
         return new Blob([buffer], { type: 'audio/wav' });
     }
 
+    /**
+     * Build a RIFF LIST/INFO chunk
+     * @param {Object} fields - Four-character INFO ids mapped to text values
+     * @returns {ArrayBuffer} Complete LIST chunk
+     */
+    createInfoChunk(fields) {
+        // Each text is null-terminated; odd-sized chunks get a pad byte that isn't counted in their size
+        const entries = Object.entries(fields).map(([id, text]) => {
+            const bytes = Array.from(text, char => char.charCodeAt(0) & 0x7F);
+            bytes.push(0);
+            const size = bytes.length;
+            if (bytes.length % 2) bytes.push(0);
+            return { id, size, bytes };
+        });
+        
+        const listSize = 4 + entries.reduce((sum, entry) => sum + 8 + entry.bytes.length, 0);
+        const chunk = new ArrayBuffer(8 + listSize);
+        const view = new DataView(chunk);
+        const writeString = (offset, string) => {
+            for (let i = 0; i < string.length; i++) {
+                view.setUint8(offset + i, string.charCodeAt(i));
+            }
+        };
+        
+        writeString(0, 'LIST');
+        view.setUint32(4, listSize, true);
+        writeString(8, 'INFO');
+        
+        let offset = 12;
+        for (const entry of entries) {
+            writeString(offset, entry.id);
+            view.setUint32(offset + 4, entry.size, true);
+            entry.bytes.forEach((byte, i) => view.setUint8(offset + 8 + i, byte));
+            offset += 8 + entry.bytes.length;
+        }
+        
+        return chunk;
+    }
+
     /**
      * Download WAV file
      * @param {Blob} blob - WAV blob
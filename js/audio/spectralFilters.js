@@ -0,0 +1,320 @@
+/**
+ * NoiseShaper Web - Spectral Export Filters
+ * FFT mask rendering of the advanced filter types for offline export
+ *
+ * Shared by SimpleAudioExporter and the FFT export worker, so the sequential
+ * fallback and the parallel worker path render advanced filters identically.
+ * Each mask becomes a fixed linear-phase FIR kernel, which TrackRenderStream
+ * runs by overlap-save convolution, so the filter response does not depend on
+ * how an export is split into chunks.
+ *
+ * Features:
+ * - Plateau, gaussian and parabolic masks (skew, kurtosis, flatness) and drawn curves
+ * - Windowed FIR kernel design with the filter gain applied
+ * - In-place radix-2 FFT on Float64Array pairs
+ */
+
+class SpectralFilters {
+    /**
+     * Advanced filter types rendered with a frequency mask
+     */
+    static get TYPES() {
+        return ['plateau', 'gaussian', 'parabolic', ...CurveFilterDesign.TYPES];
+    }
+
+    /**
+     * Check whether a filter type is rendered with a spectral mask
+     * @param {string} type - Filter type
+     * @returns {boolean} True for advanced filter types
+     */
+    static isSpectralType(type) {
+        return SpectralFilters.TYPES.includes(type);
+    }
+
+    /**
+     * FIR kernel length for a sample rate: the power of two covering KERNEL_DURATION
+     * @param {number} sampleRate - Sample rate
+     * @returns {number} Kernel length in samples
+     */
+    static getKernelSize(sampleRate) {
+        return Math.pow(2, Math.ceil(Math.log2(sampleRate * SpectralFilters.KERNEL_DURATION)));
+    }
+
+    /**
+     * Kernel duration in seconds (about 1.5 Hz mask resolution)
+     */
+    static get KERNEL_DURATION() {
+        return 0.5;
+    }
+
+    /**
+     * Design the linear-phase FIR kernel of an advanced filter.
+     * The mask is sampled on |f| so the kernel is real and symmetric, then
+     * centred and Blackman windowed; the kernel delays its input by half its length.
+     * @param {Object} filter - Advanced filter configuration
+     * @param {number} sampleRate - Sample rate
+     * @returns {Float64Array} Kernel with the filter gain applied
+     */
+    static designKernel(filter, sampleRate) {
+        const size = SpectralFilters.getKernelSize(sampleRate);
+        const mask = SpectralFilters.createMask(filter, size, sampleRate);
+        const gainLinear = Math.pow(10, (filter.gain || 0) / 20);
+
+        // Zero-phase spectrum: negative frequencies mirror the positive ones
+        const real = new Float64Array(size);
+        const imag = new Float64Array(size);
+        for (let i = 0; i <= size / 2; i++) {
+            real[i] = mask[i] * gainLinear;
+            if (i > 0 && i < size / 2) {
+                real[size - i] = real[i];
+            }
+        }
+
+        SpectralFilters.fft(real, imag, true);
+
+        // Centre the impulse response and taper it
+        const kernel = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / size) + 0.08 * Math.cos(4 * Math.PI * i / size);
+            kernel[i] = real[(i + size / 2) % size] * window;
+        }
+
+        return kernel;
+    }
+
+    /**
+     * Create the frequency mask for an advanced filter configuration
+     * @param {Object} filter - Advanced filter configuration
+     * @param {number} fftSize - FFT size
+     * @param {number} sampleRate - Sample rate
+     * @returns {Float32Array} Frequency mask
+     */
+    static createMask(filter, fftSize, sampleRate) {
+        switch (filter.type) {
+            case 'plateau':
+                return SpectralFilters.createPlateauMask(fftSize, filter.centerFreq, filter.width, filter.flatWidth, sampleRate);
+            case 'gaussian':
+                return SpectralFilters.createGaussianMask(fftSize, filter.centerFreq, filter.width, filter.skew, filter.kurtosis, sampleRate);
+            case 'parabolic':
+                return SpectralFilters.createParabolicMask(fftSize, filter.centerFreq, filter.width, filter.flatness, filter.skew, sampleRate);
+            case 'curve':
+                return CurveFilterDesign.createMask(filter, fftSize, sampleRate);
+            default:
+                throw new Error(`Unknown spectral filter type: ${filter.type}`);
+        }
+    }
+
+    /**
+     * Create plateau frequency mask (improved to match Python version)
+     * @param {number} fftSize - FFT size
+     * @param {number} centerFreq - Center frequency in Hz
+     * @param {number} width - Total filter width in Hz
+     * @param {number} flatWidth - Flat section width in Hz
+     * @param {number} sampleRate - Sample rate
+     * @returns {Float32Array} Frequency mask
+     */
+    static createPlateauMask(fftSize, centerFreq, width, flatWidth = width * 0.5, sampleRate) {
+        const mask = new Float32Array(fftSize);
+
+        for (let i = 0; i < fftSize; i++) {
+            // Calculate frequency for this bin (handle positive and negative frequencies)
+            const freq = i <= fftSize / 2
+                ? (i * sampleRate) / fftSize
+                : ((i - fftSize) * sampleRate) / fftSize;
+
+            // Calculate distance from center frequency
+            const freqDiff = Math.abs(freq - centerFreq);
+
+            // Plateau filter logic (matching Python version)
+            if (freqDiff < flatWidth / 2) {
+                // Flat plateau region
+                mask[i] = 1.0;
+            } else if (freqDiff <= width / 2) {
+                // Cosine rolloff from plateau to zero
+                const rolloffDistance = freqDiff - flatWidth / 2;
+                const rolloffRange = width / 2 - flatWidth / 2;
+
+                if (rolloffRange > 0) {
+                    const rolloffPosition = rolloffDistance / rolloffRange;
+                    mask[i] = 0.5 * (1 + Math.cos(Math.PI * rolloffPosition));
+                } else {
+                    mask[i] = 1.0; // No rolloff range
+                }
+            } else {
+                // Outside filter width
+                mask[i] = 0.0;
+            }
+        }
+
+        return mask;
+    }
+
+    /**
+     * Create Gaussian frequency mask
+     * @param {number} fftSize - FFT size
+     * @param {number} centerFreq - Center frequency in Hz
+     * @param {number} width - Standard deviation of the curve in Hz
+     * @param {number} skew - Asymmetry of the curve
+     * @param {number} kurtosis - Exponent applied to the curve (peakedness)
+     * @param {number} sampleRate - Sample rate
+     * @returns {Float32Array} Frequency mask
+     */
+    static createGaussianMask(fftSize, centerFreq, width, skew = 0, kurtosis = 1, sampleRate) {
+        const mask = new Float32Array(fftSize);
+
+        for (let i = 0; i < fftSize; i++) {
+            // Calculate frequency for this bin
+            const freq = i <= fftSize / 2
+                ? (i * sampleRate) / fftSize
+                : ((i - fftSize) * sampleRate) / fftSize;
+
+            // Calculate distance from center frequency
+            const freqDiff = freq - centerFreq;
+            const normalizedDist = freqDiff / width;
+
+            // Basic Gaussian curve
+            let magnitude = Math.exp(-0.5 * Math.pow(normalizedDist, 2.0));
+
+            // Apply skew
+            if (skew !== 0) {
+                const skewFactor = 1.0 + skew * normalizedDist;
+                if (skewFactor > 0) {
+                    magnitude *= Math.pow(skewFactor, 0.5);
+                }
+            }
+
+            // Apply kurtosis
+            if (kurtosis !== 1) {
+                magnitude = Math.pow(magnitude, kurtosis);
+            }
+
+            mask[i] = Math.max(0, Math.min(1, magnitude));
+        }
+
+        return mask;
+    }
+
+    /**
+     * Create Parabolic frequency mask
+     * @param {number} fftSize - FFT size
+     * @param {number} centerFreq - Center frequency in Hz
+     * @param {number} width - Half width of the curve in Hz
+     * @param {number} flatness - Flatness of the top (1 = parabola)
+     * @param {number} skew - Asymmetry of the curve
+     * @param {number} sampleRate - Sample rate
+     * @returns {Float32Array} Frequency mask
+     */
+    static createParabolicMask(fftSize, centerFreq, width, flatness = 1, skew = 0, sampleRate) {
+        const mask = new Float32Array(fftSize);
+
+        for (let i = 0; i < fftSize; i++) {
+            // Calculate frequency for this bin
+            const freq = i <= fftSize / 2
+                ? (i * sampleRate) / fftSize
+                : ((i - fftSize) * sampleRate) / fftSize;
+
+            // Calculate distance from center frequency
+            const freqDiff = freq - centerFreq;
+            const normalizedDist = Math.abs(freqDiff) / width;
+
+            if (normalizedDist > 1.0) {
+                mask[i] = 0.0;
+                continue;
+            }
+
+            // Base parabolic curve
+            let magnitude = 1 - Math.pow(normalizedDist, 2.0 / flatness);
+
+            // Apply skew asymmetrically
+            if (skew !== 0) {
+                const skewFactor = 1.0 + Math.abs(skew) / 5.0;
+
+                if ((skew > 0 && freqDiff >= 0) || (skew < 0 && freqDiff < 0)) {
+                    magnitude = 1 - Math.pow(normalizedDist, 2.0 * skewFactor / flatness);
+                } else {
+                    magnitude = 1 - Math.pow(normalizedDist, 2.0 / (flatness * skewFactor));
+                }
+            }
+
+            mask[i] = Math.max(0, magnitude);
+        }
+
+        return mask;
+    }
+
+    /**
+     * In-place iterative FFT (radix-2, Cooley-Tukey)
+     * @param {Float64Array} real - Real parts, length a power of two
+     * @param {Float64Array} imag - Imaginary parts
+     * @param {boolean} inverse - Inverse transform (scaled by 1/N)
+     */
+    static fft(real, imag, inverse = false) {
+        const N = real.length;
+        const { cos, sin } = SpectralFilters.getTwiddles(N);
+
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < N; i++) {
+            let bit = N >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        // Butterflies
+        const direction = inverse ? 1 : -1;
+        for (let size = 2; size <= N; size <<= 1) {
+            const half = size >> 1;
+            const step = N / size;
+            for (let start = 0; start < N; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const wr = cos[k * step];
+                    const wi = direction * sin[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = wr * real[b] - wi * imag[b];
+                    const ti = wr * imag[b] + wi * real[b];
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+
+        if (inverse) {
+            for (let i = 0; i < N; i++) {
+                real[i] /= N;
+                imag[i] /= N;
+            }
+        }
+    }
+
+    /**
+     * Twiddle factors cos/sin(2πk/N) for k < N/2, cached per FFT size
+     * @param {number} N - FFT size
+     * @returns {Object} { cos: Float64Array, sin: Float64Array }
+     */
+    static getTwiddles(N) {
+        if (!SpectralFilters.twiddleCache) {
+            SpectralFilters.twiddleCache = new Map();
+        }
+        if (!SpectralFilters.twiddleCache.has(N)) {
+            const cos = new Float64Array(N / 2);
+            const sin = new Float64Array(N / 2);
+            for (let k = 0; k < N / 2; k++) {
+                cos[k] = Math.cos(2 * Math.PI * k / N);
+                sin[k] = Math.sin(2 * Math.PI * k / N);
+            }
+            SpectralFilters.twiddleCache.set(N, { cos, sin });
+        }
+        return SpectralFilters.twiddleCache.get(N);
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.SpectralFilters = SpectralFilters;
@@ -0,0 +1,480 @@
+/**
+ * NoiseShaper Web - Deterministic Test Signals
+ * Sweep and tone stimuli that share the track source interface with noise
+ *
+ * Shared by the noise AudioWorklet, SimpleAudioExporter and the FFT export
+ * worker (load after measurementSources.js). Every sample is a function of its
+ * absolute position, so live playback, chunked exports and worker exports all
+ * produce the same signal and the filter chain sees it exactly like noise.
+ *
+ * Features:
+ * - Exponential sine sweep (Farina) with a silent gap between repetitions
+ * - Multitone with a configurable frequency list and Schroeder or random phases,
+ *   snapped to FFT bins so every period analyzes without leakage
+ * - Stepped sine at fractional-octave steps with click-free transitions
+ * - Same stream interface as SeededNoiseSource (next, seek, fill)
+ */
+
+// Sine peak giving the same RMS as uniform white noise, so switching sources keeps the level
+const TEST_SIGNAL_PEAK = Math.sqrt(2 / 3);
+
+class SineSweepSource {
+    /**
+     * Default sweep settings
+     * - startFrequency / endFrequency: sweep range in Hz
+     * - duration: sweep length in seconds
+     * - gap: silence after each sweep in seconds
+     */
+    static get DEFAULTS() {
+        return { startFrequency: 20, endFrequency: 20000, duration: 5, gap: 1 };
+    }
+
+    /**
+     * Fade applied to the end of each sweep, in seconds
+     */
+    static get FADE_TIME() {
+        return 0.01;
+    }
+
+    /**
+     * Merge sweep settings with the defaults and check them
+     * @param {Object} settings - Partial sweep settings
+     * @returns {Object} Complete sweep settings
+     */
+    static validateSettings(settings = {}) {
+        const merged = { ...SineSweepSource.DEFAULTS, ...settings };
+        const { startFrequency, endFrequency, duration, gap } = merged;
+
+        if (!(startFrequency > 0) || !(endFrequency > startFrequency)) {
+            throw new Error(`Invalid sweep range: ${startFrequency}-${endFrequency} Hz`);
+        }
+        if (!(duration >= 0.1 && duration <= 60)) {
+            throw new Error(`Invalid sweep duration: ${duration} s (0.1-60 s)`);
+        }
+        if (!(gap >= 0 && gap <= 10)) {
+            throw new Error(`Invalid sweep gap: ${gap} s (0-10 s)`);
+        }
+
+        return merged;
+    }
+
+    /**
+     * Repetition period of a sweep (sweep plus gap) in samples
+     * @param {Object} options - { sweep, sampleRate }
+     * @returns {number} Period in samples
+     */
+    static getPeriodLength(options) {
+        const sweep = SineSweepSource.validateSettings(options.sweep);
+        const sampleRate = options.sampleRate || 44100;
+        return Math.round(sweep.duration * sampleRate) + Math.round(sweep.gap * sampleRate);
+    }
+
+    /**
+     * @param {number} seed - Unused, sweeps are identical for every seed
+     * @param {number} startSample - Absolute sample position to start from
+     * @param {Object} options - { sweep, sampleRate }
+     */
+    constructor(seed, startSample = 0, options = {}) {
+        const sweep = SineSweepSource.validateSettings(options.sweep);
+        const sampleRate = options.sampleRate || 44100;
+
+        // Never sweep past Nyquist
+        const endFrequency = Math.min(sweep.endFrequency, sampleRate / 2);
+        const rate = Math.log(endFrequency / sweep.startFrequency);
+
+        this.seeded = false;
+        this.sweepLength = Math.round(sweep.duration * sampleRate);
+        this.period = SineSweepSource.getPeriodLength(options);
+        this.fadeLength = Math.min(Math.round(SineSweepSource.FADE_TIME * sampleRate), Math.floor(this.sweepLength / 10));
+
+        // Farina: x(t) = sin(K * (e^(t * L / T) - 1)), K = 2π f1 T / L, L = ln(f2 / f1)
+        this.phaseScale = 2 * Math.PI * sweep.startFrequency * sweep.duration / rate;
+        this.rateScale = rate / this.sweepLength;
+
+        this.seek(startSample);
+    }
+
+    /**
+     * Jump to an absolute sample position
+     * @param {number} position - Absolute sample position
+     */
+    seek(position) {
+        this.position = position % this.period;
+    }
+
+    /**
+     * Next sample of the sweep
+     * @returns {number} Sweep sample
+     */
+    next() {
+        const n = this.position;
+        this.position = n + 1 === this.period ? 0 : n + 1;
+
+        if (n >= this.sweepLength) {
+            return 0;
+        }
+
+        let sample = TEST_SIGNAL_PEAK * Math.sin(this.phaseScale * (Math.exp(n * this.rateScale) - 1));
+
+        // Half-Hann fade so the sweep does not end on a click
+        const remaining = this.sweepLength - n;
+        if (remaining < this.fadeLength) {
+            sample *= 0.5 - 0.5 * Math.cos(Math.PI * remaining / this.fadeLength);
+        }
+
+        return sample;
+    }
+
+    /**
+     * Fill a buffer with the next samples
+     * @param {Float32Array} buffer - Buffer to fill
+     * @returns {Float32Array} The filled buffer
+     */
+    fill(buffer) {
+        for (let i = 0; i < buffer.length; i++) {
+            buffer[i] = this.next();
+        }
+        return buffer;
+    }
+}
+
+class MultitoneSource {
+    /**
+     * Phase strategies
+     * - schroeder: low crest factor, identical for every seed
+     * - random: phases from the seeded generator
+     */
+    static get PHASE_MODES() {
+        return ['schroeder', 'random'];
+    }
+
+    /**
+     * Default multitone settings
+     * - frequencies: tone frequencies in Hz (octave band centres by default)
+     * - phases: one of PHASE_MODES
+     * - period: FFT size the tones are snapped to (see PeriodicNoiseSource.PERIODS)
+     */
+    static get DEFAULTS() {
+        return {
+            frequencies: [31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000],
+            phases: 'schroeder',
+            period: 65536
+        };
+    }
+
+    /**
+     * Largest number of tones
+     */
+    static get MAX_TONES() {
+        return 512;
+    }
+
+    /**
+     * Number of tone tables kept in memory
+     */
+    static get CACHE_SIZE() {
+        return 16;
+    }
+
+    /**
+     * Merge multitone settings with the defaults and check them
+     * @param {Object} settings - Partial multitone settings
+     * @returns {Object} Complete multitone settings
+     */
+    static validateSettings(settings = {}) {
+        const merged = { ...MultitoneSource.DEFAULTS, ...settings };
+        const { frequencies, phases, period } = merged;
+
+        if (!Array.isArray(frequencies) || frequencies.length === 0 || frequencies.length > MultitoneSource.MAX_TONES) {
+            throw new Error(`Multitone needs 1-${MultitoneSource.MAX_TONES} frequencies`);
+        }
+        const invalid = frequencies.find(frequency => !(frequency > 0) || !Number.isFinite(frequency));
+        if (invalid !== undefined) {
+            throw new Error(`Invalid multitone frequency: ${invalid}`);
+        }
+        if (!MultitoneSource.PHASE_MODES.includes(phases)) {
+            throw new Error(`Unknown multitone phase mode: ${phases}`);
+        }
+        if (!PeriodicNoiseSource.PERIODS.includes(period)) {
+            throw new Error(`Invalid multitone period: ${period}`);
+        }
+
+        return { ...merged, frequencies: frequencies.slice() };
+    }
+
+    /**
+     * Repetition period of a multitone in samples
+     * @param {Object} options - { multitone }
+     * @returns {number} Period in samples
+     */
+    static getPeriodLength(options) {
+        return MultitoneSource.validateSettings(options.multitone).period;
+    }
+
+    /**
+     * FFT bins of the tones: nearest bin to each frequency, below Nyquist, without duplicates
+     * @param {number[]} frequencies - Tone frequencies in Hz
+     * @param {number} period - FFT size
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {number[]} Sorted bin indices
+     */
+    static getBins(frequencies, period, sampleRate) {
+        const bins = new Set();
+        frequencies.forEach(frequency => {
+            const bin = Math.max(1, Math.round(frequency * period / sampleRate));
+            if (bin < period / 2) {
+                bins.add(bin);
+            }
+        });
+        return Array.from(bins).sort((a, b) => a - b);
+    }
+
+    /**
+     * Build (or fetch) one period of the multitone
+     * @param {number} seed - Unsigned 32-bit seed (used by random phases)
+     * @param {Object} multitone - Complete multitone settings
+     * @param {Object} options - { generator, sampleRate }
+     * @returns {Float32Array} One period of samples
+     */
+    static getTable(seed, multitone, options) {
+        const { period, phases } = multitone;
+        const generator = options.generator || 'park-miller';
+        const sampleRate = options.sampleRate || 44100;
+        const bins = MultitoneSource.getBins(multitone.frequencies, period, sampleRate);
+
+        if (!MultitoneSource.tableCache) {
+            MultitoneSource.tableCache = new Map();
+        }
+
+        const key = `${phases === 'random' ? `${seed}:${generator}` : 'schroeder'}:${period}:${sampleRate}:${bins.join(',')}`;
+        const cache = MultitoneSource.tableCache;
+        if (cache.has(key)) {
+            return cache.get(key);
+        }
+
+        const rng = phases === 'random' ? RandomGenerator.create(generator, seed) : null;
+        const count = bins.length;
+        const real = new Float64Array(period);
+        const imag = new Float64Array(period);
+
+        bins.forEach((bin, index) => {
+            // Schroeder (1970): phi_k = -pi k (k - 1) / N keeps the crest factor low
+            const phase = rng
+                ? 2 * Math.PI * rng.next()
+                : -Math.PI * (index + 1) * index / count;
+
+            real[bin] = Math.cos(phase);
+            imag[bin] = Math.sin(phase);
+            real[period - bin] = real[bin];
+            imag[period - bin] = -imag[bin];
+        });
+
+        PeriodicNoiseSource.inverseFFT(real, imag);
+
+        // Each unit bin pair is a cosine of amplitude 2 (RMS √2), scale every tone to the sine peak
+        const scale = count > 0 ? TEST_SIGNAL_PEAK / 2 / Math.sqrt(count) : 0;
+
+        const table = new Float32Array(period);
+        for (let i = 0; i < period; i++) {
+            table[i] = real[i] * scale;
+        }
+
+        // Drop the oldest table once the cache is full
+        if (cache.size >= MultitoneSource.CACHE_SIZE) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(key, table);
+
+        return table;
+    }
+
+    /**
+     * @param {number} seed - Unsigned 32-bit seed (selects random phases)
+     * @param {number} startSample - Absolute sample position to start from
+     * @param {Object} options - { multitone, generator, sampleRate }
+     */
+    constructor(seed, startSample = 0, options = {}) {
+        const multitone = MultitoneSource.validateSettings(options.multitone);
+
+        this.seed = seed >>> 0;
+        this.seeded = multitone.phases === 'random';
+        this.period = multitone.period;
+        this.table = MultitoneSource.getTable(this.seed, multitone, options);
+        this.seek(startSample);
+    }
+
+    /**
+     * Jump to an absolute sample position
+     * @param {number} position - Absolute sample position
+     */
+    seek(position) {
+        this.position = position % this.period;
+    }
+
+    /**
+     * Next sample of the multitone
+     * @returns {number} Multitone sample
+     */
+    next() {
+        const sample = this.table[this.position];
+        this.position = this.position + 1 === this.period ? 0 : this.position + 1;
+        return sample;
+    }
+
+    /**
+     * Fill a buffer with the next samples
+     * @param {Float32Array} buffer - Buffer to fill
+     * @returns {Float32Array} The filled buffer
+     */
+    fill(buffer) {
+        for (let i = 0; i < buffer.length; i++) {
+            buffer[i] = this.next();
+        }
+        return buffer;
+    }
+}
+
+class SteppedSineSource {
+    /**
+     * Default stepped sine settings
+     * - startFrequency / endFrequency: step range in Hz
+     * - stepsPerOctave: frequency resolution (1 = octaves, 3 = third octaves, ...)
+     * - stepDuration: time on each frequency in seconds
+     */
+    static get DEFAULTS() {
+        return { startFrequency: 100, endFrequency: 10000, stepsPerOctave: 3, stepDuration: 0.5 };
+    }
+
+    /**
+     * Ramp at both ends of each step, in seconds
+     */
+    static get RAMP_TIME() {
+        return 0.005;
+    }
+
+    /**
+     * Merge stepped sine settings with the defaults and check them
+     * @param {Object} settings - Partial stepped sine settings
+     * @returns {Object} Complete stepped sine settings
+     */
+    static validateSettings(settings = {}) {
+        const merged = { ...SteppedSineSource.DEFAULTS, ...settings };
+        const { startFrequency, endFrequency, stepsPerOctave, stepDuration } = merged;
+
+        if (!(startFrequency > 0) || !(endFrequency >= startFrequency)) {
+            throw new Error(`Invalid stepped sine range: ${startFrequency}-${endFrequency} Hz`);
+        }
+        if (!Number.isInteger(stepsPerOctave) || stepsPerOctave < 1 || stepsPerOctave > 48) {
+            throw new Error(`Invalid steps per octave: ${stepsPerOctave} (1-48)`);
+        }
+        if (!(stepDuration >= 0.05 && stepDuration <= 10)) {
+            throw new Error(`Invalid step duration: ${stepDuration} s (0.05-10 s)`);
+        }
+
+        return merged;
+    }
+
+    /**
+     * Step frequencies from the start frequency up to the end frequency (and below Nyquist)
+     * @param {Object} steppedSine - Complete stepped sine settings
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {number[]} Frequencies in Hz
+     */
+    static getFrequencies(steppedSine, sampleRate) {
+        const { startFrequency, endFrequency, stepsPerOctave } = steppedSine;
+        const limit = Math.min(endFrequency * (1 + 1e-9), sampleRate / 2);
+        const frequencies = [];
+
+        for (let step = 0; ; step++) {
+            const frequency = startFrequency * Math.pow(2, step / stepsPerOctave);
+            if (frequency > limit) {
+                break;
+            }
+            frequencies.push(frequency);
+        }
+
+        return frequencies;
+    }
+
+    /**
+     * Repetition period of a stepped sine in samples
+     * @param {Object} options - { steppedSine, sampleRate }
+     * @returns {number} Period in samples
+     */
+    static getPeriodLength(options) {
+        const steppedSine = SteppedSineSource.validateSettings(options.steppedSine);
+        const sampleRate = options.sampleRate || 44100;
+        const steps = Math.max(1, SteppedSineSource.getFrequencies(steppedSine, sampleRate).length);
+        return steps * Math.round(steppedSine.stepDuration * sampleRate);
+    }
+
+    /**
+     * @param {number} seed - Unused, stepped sines are identical for every seed
+     * @param {number} startSample - Absolute sample position to start from
+     * @param {Object} options - { steppedSine, sampleRate }
+     */
+    constructor(seed, startSample = 0, options = {}) {
+        const steppedSine = SteppedSineSource.validateSettings(options.steppedSine);
+        const sampleRate = options.sampleRate || 44100;
+
+        this.seeded = false;
+        this.increments = SteppedSineSource.getFrequencies(steppedSine, sampleRate)
+            .map(frequency => 2 * Math.PI * frequency / sampleRate);
+        this.stepLength = Math.round(steppedSine.stepDuration * sampleRate);
+        this.rampLength = Math.min(Math.round(SteppedSineSource.RAMP_TIME * sampleRate), Math.floor(this.stepLength / 4));
+        this.period = SteppedSineSource.getPeriodLength(options);
+
+        this.seek(startSample);
+    }
+
+    /**
+     * Jump to an absolute sample position
+     * @param {number} position - Absolute sample position
+     */
+    seek(position) {
+        this.position = position % this.period;
+    }
+
+    /**
+     * Next sample of the stepped sine
+     * @returns {number} Sine sample
+     */
+    next() {
+        const n = this.position;
+        this.position = n + 1 === this.period ? 0 : n + 1;
+
+        if (this.increments.length === 0) {
+            return 0;
+        }
+
+        // Every step starts at zero phase so it only depends on its own position
+        const step = Math.floor(n / this.stepLength);
+        const local = n - step * this.stepLength;
+        let sample = TEST_SIGNAL_PEAK * Math.sin(this.increments[step] * local);
+
+        // Raised-cosine ramps keep the frequency changes click-free
+        const edge = Math.min(local, this.stepLength - 1 - local);
+        if (edge < this.rampLength) {
+            sample *= 0.5 - 0.5 * Math.cos(Math.PI * edge / this.rampLength);
+        }
+
+        return sample;
+    }
+
+    /**
+     * Fill a buffer with the next samples
+     * @param {Float32Array} buffer - Buffer to fill
+     * @returns {Float32Array} The filled buffer
+     */
+    fill(buffer) {
+        for (let i = 0; i < buffer.length; i++) {
+            buffer[i] = this.next();
+        }
+        return buffer;
+    }
+}
+
+// Export for use in other modules (main thread, Web Workers and the AudioWorklet scope)
+globalThis.SineSweepSource = SineSweepSource;
+globalThis.MultitoneSource = MultitoneSource;
+globalThis.SteppedSineSource = SteppedSineSource;
@@ -3,9 +3,15 @@
  * Represents a single audio track with noise generation and filter chain
  * 
  * Features:
- * - Independent noise generation
+ * - Independent noise generation with selectable noise color
+ * - MLS and periodic pseudo-random noise sources for measurements
+ * - Log sweep, multitone and stepped sine test signals
+ * - Decoded audio files as a source (loop, start offset, level trim)
+ * - Per-track noise seed with optional seed lock for reproducible output
+ * - Mono, stereo or multichannel noise with inter-channel correlation and pan
  * - Multiple filters per track (filter chain)
  * - Individual gain and mute controls
+ * - Sample-accurate gain automation (ramps and curves) in the noise processor
  * - Real-time parameter updates
  */
 
@@ -18,12 +24,31 @@ class Track {
         // Audio nodes
         this.noiseNode = null;
         this.gainNode = null;
+        this.pannerNode = null;
         this.filterChain = null;
         
         // State
         this.isPlaying = false;
         this.isMuted = false;
         this.currentGain = 1.0; // 100% linear gain (0dB) - matches Python default
+        this.noiseColor = 'white';
+        this.sourceType = 'noise'; // One of MultichannelNoiseSource.SOURCE_TYPES
+        this.mlsOrder = MlsSource.ORDER_RANGE.default;
+        this.period = PeriodicNoiseSource.DEFAULT_PERIOD; // Periodic noise period (FFT size) in samples
+        this.sweep = SineSweepSource.DEFAULTS;
+        this.multitone = MultitoneSource.DEFAULTS;
+        this.steppedSine = SteppedSineSource.DEFAULTS;
+        this.file = AudioFileSource.DEFAULTS; // Loop, offset and level trim of the audio file source
+        this.fileData = null; // Decoded file at the context sample rate: { sampleRate, channels }
+        this.fileName = null;
+        this.seed = SeededNoiseSource.randomSeed();
+        this.seedLocked = false; // Locked seeds replay the same noise on every start and export
+        this.noiseGenerator = 'park-miller';
+        this.noiseDistribution = 'uniform';
+        this.sigmaClip = SeededNoiseSource.SIGMA_CLIP_RANGE.default;
+        this.channels = 1;
+        this.correlation = 0; // 0 = independent channels, 1 = identical channels
+        this.pan = 0; // -1 (left) to 1 (right), applied to mono and stereo tracks
         this.listeners = new Map();
         
         // Audio parameters
@@ -34,7 +59,7 @@ class Track {
     
     /**
      * Set up the audio processing chain for this track
-     * NoiseWorklet → FilterChain → GainNode → MasterGain
+     * NoiseWorklet → FilterChain → GainNode → StereoPanner → MasterGain
      */
     setupAudioChain() {
         if (!this.audioEngine.isInitialized) {
@@ -42,33 +67,24 @@ class Track {
         }
         
         try {
-            // Create noise generator node
-            this.noiseNode = this.audioEngine.createNoiseGenerator();
-            
             // Create track gain node
             this.gainNode = this.audioEngine.audioContext.createGain();
             this.gainNode.gain.value = 0; // Start with silence
             
+            // Create track panner node
+            // Explicit stereo input: mono is upmixed to L = R first, so an unpanned
+            // mono track keeps its level and pans with the same law as stereo
+            this.pannerNode = this.audioEngine.audioContext.createStereoPanner();
+            this.pannerNode.channelCountMode = 'explicit';
+            this.pannerNode.pan.value = this.pan;
+            
             // Create filter chain
             this.filterChain = new FilterChain(this.audioEngine.audioContext);
             
-            // Connect audio chain: Noise → FilterChain → TrackGain → MasterMix
-            this.noiseNode.connect(this.filterChain.getInputNode());
+            // Connect audio chain: Noise → FilterChain → TrackGain → Panner → MasterMix
+            this.createNoiseNode();
             this.filterChain.connect(this.gainNode);
-            this.gainNode.connect(this.masterMixNode);
-            
-            // Handle messages from the noise processor
-            this.noiseNode.port.onmessage = (event) => {
-                const { type, data } = event.data;
-                
-                switch (type) {
-                    case 'ready':
-                        this.emit('ready');
-                        break;
-                    default:
-                        this.emit('processorMessage', { type, data });
-                }
-            };
+            this.connectOutput();
             
             // Forward filter chain events
             this.filterChain.on('filterAdded', (data) => {
@@ -98,6 +114,45 @@ class Track {
         }
     }
     
+    /**
+     * Create the noise generator node for the current channel count and
+     * connect it to the filter chain
+     */
+    createNoiseNode() {
+        this.noiseNode = this.audioEngine.createNoiseGenerator(this.channels);
+        this.noiseNode.connect(this.filterChain.getInputNode());
+        
+        // Handle messages from the noise processor
+        this.noiseNode.port.onmessage = (event) => {
+            const { type, data } = event.data;
+            
+            switch (type) {
+                case 'ready':
+                    this.emit('ready');
+                    break;
+                default:
+                    this.emit('processorMessage', { type, data });
+            }
+        };
+    }
+    
+    /**
+     * Route the track gain to the master mix
+     * The stereo panner downmixes anything wider than stereo, so tracks with
+     * more than two channels bypass it and are not panned
+     */
+    connectOutput() {
+        this.gainNode.disconnect();
+        this.pannerNode.disconnect();
+        
+        if (this.channels <= 2) {
+            this.gainNode.connect(this.pannerNode);
+            this.pannerNode.connect(this.masterMixNode);
+        } else {
+            this.gainNode.connect(this.masterMixNode);
+        }
+    }
+    
     /**
      * Start noise generation for this track
      */
@@ -107,8 +162,14 @@ class Track {
         }
         
         try {
+            // Fresh noise on each start unless the seed is locked
+            if (!this.seedLocked) {
+                this.seed = SeededNoiseSource.randomSeed();
+                this.emit('sourceChanged', { seed: this.seed });
+            }
+            
             // Start the noise processor
-            this.noiseNode.port.postMessage({ type: 'start' });
+            this.noiseNode.port.postMessage({ type: 'start', value: this.seed });
             
             // Smooth fade-in
             const currentTime = this.audioEngine.audioContext.currentTime;
@@ -163,15 +224,14 @@ class Track {
         linearGain = Math.max(0, Math.min(1, linearGain));
         this.currentGain = linearGain;
         
-        // Update processor gain
-        this.noiseNode.port.postMessage({ 
-            type: 'setGain', 
-            value: linearGain 
-        });
+        // Glide the processor gain to the new value (replaces any scheduled automation)
+        const currentTime = this.audioEngine.audioContext.currentTime;
+        const gainParam = this.getGainParam();
+        gainParam.cancelScheduledValues(currentTime);
+        gainParam.setTargetAtTime(linearGain, currentTime, this.fadeTime / 3);
         
         // Update output gain node if playing and not muted
         if (this.isPlaying && !this.isMuted) {
-            const currentTime = this.audioEngine.audioContext.currentTime;
             this.gainNode.gain.linearRampToValueAtTime(linearGain, currentTime + 0.01);
         }
         
@@ -190,6 +250,59 @@ class Track {
         this.setGain(linearGain);
     }
     
+    /**
+     * Get the noise processor's a-rate gain AudioParam
+     * @returns {AudioParam} Gain parameter (0-1)
+     */
+    getGainParam() {
+        return this.noiseNode.parameters.get('gain');
+    }
+    
+    /**
+     * Schedule an exponential approach to a gain value at a given time
+     * @param {number} linearGain - Target gain 0-1
+     * @param {number} startTime - AudioContext time to start the approach
+     * @param {number} timeConstant - Time constant in seconds (~63% of the way after one constant)
+     */
+    scheduleGain(linearGain, startTime, timeConstant = this.fadeTime / 3) {
+        linearGain = Math.max(0, Math.min(1, linearGain));
+        this.getGainParam().setTargetAtTime(linearGain, startTime, timeConstant);
+        this.emit('gainScheduled', { linearGain, startTime, timeConstant });
+    }
+    
+    /**
+     * Schedule a gain envelope, played back sample by sample in the noise processor
+     * @param {Float32Array|number[]} values - Gain values 0-1, spread evenly over the duration
+     * @param {number} startTime - AudioContext time the envelope starts
+     * @param {number} duration - Envelope duration in seconds
+     */
+    scheduleGainCurve(values, startTime, duration) {
+        if (!values || values.length < 2 || !(duration > 0)) {
+            const error = new Error('Gain curve needs at least two values and a positive duration');
+            this.emit('error', error.message);
+            throw error;
+        }
+        
+        const curve = Float32Array.from(values, value => Math.max(0, Math.min(1, value)));
+        const gainParam = this.getGainParam();
+        
+        // A curve may not overlap other automation events
+        gainParam.cancelScheduledValues(startTime);
+        gainParam.setValueCurveAtTime(curve, startTime, duration);
+        
+        this.emit('gainScheduled', { curveLength: curve.length, startTime, duration });
+    }
+    
+    /**
+     * Cancel scheduled gain automation and hold the gain where it is
+     */
+    cancelGainAutomation() {
+        const currentTime = this.audioEngine.audioContext.currentTime;
+        const gainParam = this.getGainParam();
+        gainParam.cancelScheduledValues(currentTime);
+        gainParam.setValueAtTime(gainParam.value, currentTime);
+    }
+    
     /**
      * Set mute state
      * @param {boolean} muted - Whether track should be muted
@@ -206,6 +319,311 @@ class Track {
         this.emit('muteChanged', { isMuted: muted });
     }
     
+    /**
+     * Set the noise color for this track
+     * @param {string} color - Noise color (white, pink, brown, blue, violet, grey)
+     */
+    setNoiseColor(color) {
+        if (!NoiseColorShaper.COLORS.includes(color)) {
+            const error = new Error(`Unknown noise color: ${color}`);
+            this.emit('error', error.message);
+            throw error;
+        }
+        
+        this.noiseColor = color;
+        
+        // Update processor
+        this.noiseNode.port.postMessage({ 
+            type: 'setColor', 
+            value: color 
+        });
+        
+        this.emit('sourceChanged', { noiseColor: color });
+    }
+    
+    /**
+     * Select the signal source for this track
+     * Every source runs through the same filter chain and export pipeline.
+     * @param {string} sourceType - One of MultichannelNoiseSource.SOURCE_TYPES:
+     *   noise, mls (maximum-length sequence), periodic (periodic pseudo-random noise),
+     *   sweep (exponential sine sweep), multitone, stepped-sine or file (see loadAudioFile)
+     * @param {Object} settings - Settings to change, the rest keep their current values:
+     *   { mlsOrder (10-20), period (see PeriodicNoiseSource.PERIODS),
+     *     sweep (see SineSweepSource.DEFAULTS), multitone (see MultitoneSource.DEFAULTS),
+     *     steppedSine (see SteppedSineSource.DEFAULTS), file (see AudioFileSource.DEFAULTS) }
+     */
+    setSource(sourceType, settings = {}) {
+        const { mlsOrder = this.mlsOrder, period = this.period } = settings;
+        let sweep, multitone, steppedSine, file;
+        
+        try {
+            if (!MultichannelNoiseSource.SOURCE_TYPES.includes(sourceType)) {
+                throw new Error(`Unknown source type: ${sourceType}`);
+            }
+            if (!MlsSource.isValidOrder(mlsOrder)) {
+                throw new Error(`Invalid MLS order: ${mlsOrder}`);
+            }
+            if (!PeriodicNoiseSource.PERIODS.includes(period)) {
+                throw new Error(`Invalid noise period: ${period}`);
+            }
+            if (sourceType === 'file' && !this.fileData) {
+                throw new Error('No audio file loaded');
+            }
+            
+            sweep = SineSweepSource.validateSettings({ ...this.sweep, ...settings.sweep });
+            multitone = MultitoneSource.validateSettings({ ...this.multitone, ...settings.multitone });
+            steppedSine = SteppedSineSource.validateSettings({ ...this.steppedSine, ...settings.steppedSine });
+            file = AudioFileSource.validateSettings({ ...this.file, ...settings.file });
+        } catch (error) {
+            this.emit('error', error.message);
+            throw error;
+        }
+        
+        this.sourceType = sourceType;
+        this.mlsOrder = mlsOrder;
+        this.period = period;
+        this.sweep = sweep;
+        this.multitone = multitone;
+        this.steppedSine = steppedSine;
+        this.file = file;
+        
+        // Update processor
+        this.noiseNode.port.postMessage({ 
+            type: 'setSource', 
+            value: this.getSourceSettings() 
+        });
+        
+        this.emit('sourceChanged', this.getSourceSettings());
+    }
+    
+    /**
+     * Load a local audio file (WAV, FLAC, MP3, ...) as this track's source
+     * The track takes the file's channel count (up to MultichannelNoiseSource.MAX_CHANNELS)
+     * and switches to the file source.
+     * @param {File|Blob} file - Audio file chosen by the user
+     * @param {Object} settings - Playback settings (see AudioFileSource.DEFAULTS)
+     */
+    async loadAudioFile(file, settings = {}) {
+        let audioBuffer;
+        try {
+            const arrayBuffer = await file.arrayBuffer();
+            audioBuffer = await this.audioEngine.audioContext.decodeAudioData(arrayBuffer);
+        } catch (error) {
+            const decodeError = new Error(`Failed to decode audio file ${file.name || ''}: ${error.message}`);
+            this.emit('error', decodeError.message);
+            throw decodeError;
+        }
+        
+        this.fileData = AudioFileSource.fromAudioBuffer(audioBuffer);
+        this.fileName = file.name || 'audio file';
+        console.log(`🎵 Track ${this.id} loaded ${this.fileName}: ${audioBuffer.numberOfChannels} ch, ${audioBuffer.duration.toFixed(2)} s`);
+        
+        this.noiseNode.port.postMessage({ type: 'setFileData', value: this.fileData });
+        this.setChannelCount(Math.min(audioBuffer.numberOfChannels, MultichannelNoiseSource.MAX_CHANNELS));
+        this.setSource('file', { file: settings });
+    }
+    
+    /**
+     * Get the signal source settings
+     * @returns {Object} { sourceType, mlsOrder, period, sweep, multitone, steppedSine, file }
+     */
+    getSourceSettings() {
+        return {
+            sourceType: this.sourceType,
+            mlsOrder: this.mlsOrder,
+            period: this.period,
+            sweep: { ...this.sweep },
+            multitone: { ...this.multitone, frequencies: this.multitone.frequencies.slice() },
+            steppedSine: { ...this.steppedSine },
+            file: { ...this.file }
+        };
+    }
+    
+    /**
+     * Period of the track's signal in samples at the audio context sample rate
+     * @returns {number|null} Period for periodic sources and test signals, null for random noise
+     */
+    getPeriodLength() {
+        return MultichannelNoiseSource.getPeriodLength({
+            ...this.getSourceSettings(),
+            fileData: this.fileData,
+            sampleRate: this.audioEngine.audioContext.sampleRate
+        });
+    }
+    
+    /**
+     * Set the noise seed for this track
+     * Restarts the noise stream immediately if the track is playing
+     * @param {number} seed - Unsigned 32-bit seed
+     */
+    setSeed(seed) {
+        if (!SeededNoiseSource.isValidSeed(seed)) {
+            const error = new Error(`Invalid noise seed: ${seed}`);
+            this.emit('error', error.message);
+            throw error;
+        }
+        
+        this.seed = seed;
+        
+        if (this.isPlaying) {
+            this.noiseNode.port.postMessage({ 
+                type: 'setSeed', 
+                value: seed 
+            });
+        }
+        
+        this.emit('sourceChanged', { seed });
+    }
+    
+    /**
+     * Lock or unlock the noise seed
+     * @param {boolean} locked - Whether the seed is kept across starts and exports
+     */
+    setSeedLocked(locked) {
+        this.seedLocked = locked;
+        this.emit('sourceChanged', { seedLocked: locked });
+    }
+    
+    /**
+     * Select the PRNG backend for this track
+     * @param {string} type - Generator id (park-miller, xorshift128plus, pcg32, xoshiro256starstar)
+     */
+    setNoiseGenerator(type) {
+        if (!RandomGenerator.TYPES[type]) {
+            const error = new Error(`Unknown noise generator: ${type}`);
+            this.emit('error', error.message);
+            throw error;
+        }
+        
+        this.noiseGenerator = type;
+        
+        // Update processor
+        this.noiseNode.port.postMessage({ 
+            type: 'setGenerator', 
+            value: type 
+        });
+        
+        this.emit('sourceChanged', { noiseGenerator: type });
+    }
+    
+    /**
+     * Select the amplitude distribution for this track
+     * @param {string} distribution - uniform, gaussian or truncated-gaussian
+     * @param {number} sigmaClip - Truncation point in standard deviations (truncated-gaussian only)
+     */
+    setNoiseDistribution(distribution, sigmaClip = this.sigmaClip) {
+        if (!SeededNoiseSource.DISTRIBUTIONS.includes(distribution)) {
+            const error = new Error(`Unknown noise distribution: ${distribution}`);
+            this.emit('error', error.message);
+            throw error;
+        }
+        
+        const { min, max } = SeededNoiseSource.SIGMA_CLIP_RANGE;
+        this.noiseDistribution = distribution;
+        this.sigmaClip = Math.max(min, Math.min(max, sigmaClip));
+        
+        // Update processor
+        this.noiseNode.port.postMessage({ 
+            type: 'setDistribution', 
+            value: { distribution, sigmaClip: this.sigmaClip } 
+        });
+        
+        this.emit('sourceChanged', { 
+            noiseDistribution: distribution, 
+            sigmaClip: this.sigmaClip 
+        });
+    }
+    
+    /**
+     * Set the number of noise channels for this track
+     * Replaces the noise processor, carrying over all source settings
+     * @param {number} channels - Channel count (1 = mono, 2 = stereo, up to MultichannelNoiseSource.MAX_CHANNELS)
+     */
+    setChannelCount(channels) {
+        if (!Number.isInteger(channels) || channels < 1 || channels > MultichannelNoiseSource.MAX_CHANNELS) {
+            const error = new Error(`Invalid channel count: ${channels}`);
+            this.emit('error', error.message);
+            throw error;
+        }
+        
+        if (channels === this.channels) {
+            return;
+        }
+        
+        this.channels = channels;
+        
+        // The processor's channel count is fixed at creation, so swap in a new one
+        // (scheduled gain automation does not carry over, only the current gain)
+        const oldNoiseNode = this.noiseNode;
+        const oldGain = oldNoiseNode.parameters.get('gain').value;
+        this.createNoiseNode();
+        oldNoiseNode.port.postMessage({ type: 'stop' });
+        oldNoiseNode.disconnect();
+        
+        this.getGainParam().value = oldGain;
+        this.noiseNode.port.postMessage({ type: 'setColor', value: this.noiseColor });
+        if (this.fileData) {
+            this.noiseNode.port.postMessage({ type: 'setFileData', value: this.fileData });
+        }
+        this.noiseNode.port.postMessage({ type: 'setSource', value: this.getSourceSettings() });
+        this.noiseNode.port.postMessage({ type: 'setGenerator', value: this.noiseGenerator });
+        this.noiseNode.port.postMessage({ 
+            type: 'setDistribution', 
+            value: { distribution: this.noiseDistribution, sigmaClip: this.sigmaClip } 
+        });
+        this.noiseNode.port.postMessage({ type: 'setCorrelation', value: this.correlation });
+        
+        if (this.isPlaying) {
+            this.noiseNode.port.postMessage({ type: 'start', value: this.seed });
+        }
+        
+        this.filterChain.setChannelCount(channels);
+        this.connectOutput();
+        
+        this.emit('sourceChanged', { channels });
+    }
+    
+    /**
+     * Set the correlation between this track's noise channels
+     * @param {number} correlation - 0 (independent) to 1 (identical)
+     */
+    setCorrelation(correlation) {
+        if (typeof correlation !== 'number' || isNaN(correlation)) {
+            const error = new Error(`Invalid channel correlation: ${correlation}`);
+            this.emit('error', error.message);
+            throw error;
+        }
+        
+        this.correlation = Math.max(0, Math.min(1, correlation));
+        
+        // Update processor
+        this.noiseNode.port.postMessage({ 
+            type: 'setCorrelation', 
+            value: this.correlation 
+        });
+        
+        this.emit('sourceChanged', { correlation: this.correlation });
+    }
+    
+    /**
+     * Set the stereo position of this track (mono and stereo tracks only)
+     * @param {number} pan - -1 (left) to 1 (right)
+     */
+    setPan(pan) {
+        if (typeof pan !== 'number' || isNaN(pan)) {
+            const error = new Error(`Invalid pan: ${pan}`);
+            this.emit('error', error.message);
+            throw error;
+        }
+        
+        this.pan = Math.max(-1, Math.min(1, pan));
+        
+        const currentTime = this.audioEngine.audioContext.currentTime;
+        this.pannerNode.pan.setTargetAtTime(this.pan, currentTime, this.fadeTime / 3);
+        
+        this.emit('sourceChanged', { pan: this.pan });
+    }
+    
     /**
      * Get the filter chain instance
      * @returns {FilterChain} The filter chain instance
@@ -242,6 +660,19 @@ class Track {
             currentGain: this.currentGain,
             gainDb: this.linearToDb(this.currentGain),
             gainPercentage: this.currentGain * 100,
+            noiseColor: this.noiseColor,
+            ...this.getSourceSettings(),
+            periodLength: this.getPeriodLength(),
+            fileName: this.fileName,
+            fileDuration: this.fileData ? this.fileData.channels[0].length / this.fileData.sampleRate : null,
+            seed: this.seed,
+            seedLocked: this.seedLocked,
+            noiseGenerator: this.noiseGenerator,
+            noiseDistribution: this.noiseDistribution,
+            sigmaClip: this.sigmaClip,
+            channels: this.channels,
+            correlation: this.correlation,
+            pan: this.pan,
             filterCount: this.filterChain ? this.filterChain.getFilterCount() : 0,
             filters: this.filterChain ? this.filterChain.getAllFilters() : [],
             hasAudioChain: this.noiseNode !== null && this.gainNode !== null,
@@ -257,6 +688,18 @@ class Track {
             id: this.id,
             enabled: !this.isMuted,
             gain: this.currentGain,
+            noiseColor: this.noiseColor,
+            ...this.getSourceSettings(),
+            fileName: this.fileName,
+            fileData: this.fileData,
+            seed: this.seed,
+            seedLocked: this.seedLocked,
+            noiseGenerator: this.noiseGenerator,
+            noiseDistribution: this.noiseDistribution,
+            sigmaClip: this.sigmaClip,
+            channels: this.channels,
+            correlation: this.correlation,
+            pan: this.pan,
             filters: this.filterChain ? this.filterChain.getExportConfig() : []
         };
     }
@@ -308,6 +751,11 @@ class Track {
             this.gainNode = null;
         }
         
+        if (this.pannerNode) {
+            this.pannerNode.disconnect();
+            this.pannerNode = null;
+        }
+        
         this.listeners.clear();
         this.emit('destroyed');
     }
@@ -74,6 +74,12 @@ class TrackManager {
             this.masterAnalyzer.connect(this.masterMixNode);
             this.masterGainNode.connect(this.audioEngine.audioContext.destination);
             
+            // Open every hardware channel so multichannel tracks aren't downmixed to stereo
+            const destination = this.audioEngine.audioContext.destination;
+            if (destination.maxChannelCount > destination.channelCount) {
+                destination.channelCount = destination.maxChannelCount;
+            }
+            
             console.log('Master audio chain corrected: Tracks → MasterMix → [FFT (pre-volume) + MasterGain → Output]');
             
             // Forward analyzer events
@@ -119,6 +125,10 @@ class TrackManager {
                 this.emit('trackMuteChanged', { trackId, ...data });
             });
             
+            track.on('sourceChanged', (data) => {
+                this.emit('trackSourceChanged', { trackId, ...data });
+            });
+            
             track.on('filterChanged', (data) => {
                 this.emit('trackFilterChanged', { trackId, ...data });
             });
@@ -209,6 +219,16 @@ class TrackManager {
         return [...this.tracks];
     }
     
+    /**
+     * Select the signal source of a track (noise, measurement sequence or test signal)
+     * @param {number} trackId - ID of the track
+     * @param {string} sourceType - One of MultichannelNoiseSource.SOURCE_TYPES
+     * @param {Object} settings - Source settings, see Track.setSource
+     */
+    setTrackSource(trackId, sourceType, settings = {}) {
+        this.getTrack(trackId).setSource(sourceType, settings);
+    }
+    
     /**
      * Start all unmuted tracks
      */
@@ -0,0 +1,370 @@
+/**
+ * NoiseShaper Web - Track Render Stream
+ * Renders one track (source, color, filter chain) as a continuous stream
+ *
+ * Shared by SimpleAudioExporter and the FFT export worker. All filter and
+ * color shaping state is carried from one render() call to the next, so a
+ * track rendered in many chunks is identical to the same track rendered in
+ * one pass. Advanced, FIR and convolution filters run as FIR kernels by
+ * overlap-save convolution with their delay compensated, so output sample n
+ * always belongs to absolute position n of the source.
+ *
+ * Features:
+ * - Continuous rendering in blocks of any size
+ * - Standard filters as biquads, tilt, filter families, custom IIR coefficients and
+ *   parametric/graphic EQs as IIR section cascades, advanced and FIR filters as linear-phase FIR kernels,
+ *   convolution filters as their impulse responses (one kernel per IR channel)
+ * - Exact start at any position for independent (parallel) chunks of tracks
+ *   without recursive state (see isSeekable)
+ */
+
+/**
+ * Source stage: the track's sample source plus noise color shaping
+ */
+class RenderSourceStage {
+    /**
+     * @param {Object} track - Track export configuration (with a resolved seed)
+     * @param {number} sampleRate - Sample rate
+     * @param {number} startSample - Absolute position of the first sample
+     */
+    constructor(track, sampleRate, startSample) {
+        this.channelCount = track.channels || 1;
+        this.source = new MultichannelNoiseSource(
+            track.seed, this.channelCount, track.correlation || 0, startSample,
+            { ...SeededNoiseSource.optionsFromTrack(track), sampleRate }
+        );
+
+        // Only random noise is color shaped; MLS stays binary, periodic noise is colored in its spectrum
+        const noiseColor = track.noiseColor || 'white';
+        this.shapers = noiseColor !== 'white' && (track.sourceType || 'noise') === 'noise'
+            ? Array.from({ length: this.channelCount }, () => new NoiseColorShaper(noiseColor, sampleRate))
+            : null;
+    }
+
+    /**
+     * Render the next samples
+     * @param {number} numSamples - Number of samples
+     * @returns {Float32Array[]} One buffer per track channel
+     */
+    pull(numSamples) {
+        const channels = Array.from({ length: this.channelCount }, () => new Float32Array(numSamples));
+        this.source.fill(channels);
+
+        if (this.shapers) {
+            // Each channel gets its own shaper, like the AudioWorklet
+            channels.forEach((channel, c) => this.shapers[c].processBuffer(channel));
+        }
+
+        return channels;
+    }
+}
+
+/**
+ * IIR filter stage: a cascade of IIR sections per channel with carried state
+ */
+class RenderBiquadStage {
+    /**
+     * @param {Object} upstream - Stage to pull input from
+     * @param {Object[]} sections - CascadeDesign sections
+     * @param {number} channelCount - Number of channels
+     */
+    constructor(upstream, sections, channelCount) {
+        this.upstream = upstream;
+        this.sections = sections;
+        this.states = Array.from({ length: channelCount }, () => CascadeDesign.createStates(sections));
+    }
+
+    /**
+     * Render the next samples
+     * @param {number} numSamples - Number of samples
+     * @returns {Float32Array[]} One buffer per channel
+     */
+    pull(numSamples) {
+        const channels = this.upstream.pull(numSamples);
+        channels.forEach((channel, c) => CascadeDesign.process(channel, this.sections, this.states[c]));
+        return channels;
+    }
+}
+
+/**
+ * FIR kernel stage: overlap-save convolution per channel.
+ * The kernel's delay is removed by dropping the first outputs, so the stage
+ * reads ahead of what it returns.
+ */
+class RenderConvolutionStage {
+    /**
+     * @param {Object} upstream - Stage to pull input from
+     * @param {Float64Array[]} kernels - FIR kernels (channel c uses kernel c, wrapping)
+     * @param {number} delay - Kernel delay in samples
+     * @param {number} channelCount - Number of channels
+     */
+    constructor(upstream, kernels, delay, channelCount) {
+        this.upstream = upstream;
+
+        this.blockSize = RenderConvolutionStage.getBlockSize(Math.max(...kernels.map(kernel => kernel.length)));
+        this.fftSize = this.blockSize * 2;
+
+        // Kernel spectra, zero padded to the FFT size
+        this.spectra = kernels.slice(0, channelCount).map(kernel => {
+            const real = new Float64Array(this.fftSize);
+            const imag = new Float64Array(this.fftSize);
+            real.set(kernel);
+            SpectralFilters.fft(real, imag);
+            return { real, imag };
+        });
+
+        // Previous input block per channel (the overlap)
+        this.history = Array.from({ length: channelCount }, () => new Float64Array(this.blockSize));
+
+        // Rendered output not returned yet
+        this.pending = null;
+        this.pendingOffset = 0;
+        this.delay = delay;
+    }
+
+    /**
+     * Block size for a kernel: at least as long as the kernel, a power of two for the FFT
+     * @param {number} kernelLength - Longest kernel in samples
+     * @returns {number} Block size in samples
+     */
+    static getBlockSize(kernelLength) {
+        return Math.pow(2, Math.ceil(Math.log2(kernelLength)));
+    }
+
+    /**
+     * Render the next samples
+     * @param {number} numSamples - Number of samples
+     * @returns {Float32Array[]} One buffer per channel
+     */
+    pull(numSamples) {
+        const output = this.history.map(() => new Float32Array(numSamples));
+        let written = 0;
+
+        while (written < numSamples) {
+            if (!this.pending || this.pendingOffset >= this.pending[0].length) {
+                this.pending = this.convolveBlock();
+                this.pendingOffset = 0;
+
+                // Drop the kernel delay once, at the start of the stream
+                if (this.delay > 0) {
+                    this.pendingOffset = this.delay;
+                    this.delay = 0;
+                    continue;
+                }
+            }
+
+            const count = Math.min(numSamples - written, this.pending[0].length - this.pendingOffset);
+            output.forEach((channel, c) => {
+                channel.set(this.pending[c].subarray(this.pendingOffset, this.pendingOffset + count), written);
+            });
+            this.pendingOffset += count;
+            written += count;
+        }
+
+        return output;
+    }
+
+    /**
+     * Convolve the next input block with the kernel
+     * @returns {Float32Array[]} One block of causal filter output per channel
+     */
+    convolveBlock() {
+        const input = this.upstream.pull(this.blockSize);
+        const real = new Float64Array(this.fftSize);
+        const imag = new Float64Array(this.fftSize);
+
+        return input.map((block, c) => {
+            const history = this.history[c];
+            const kernel = this.spectra[c % this.spectra.length];
+            real.set(history);
+            real.set(block, this.blockSize);
+            imag.fill(0);
+            history.set(block);
+
+            SpectralFilters.fft(real, imag);
+            for (let i = 0; i < this.fftSize; i++) {
+                const re = real[i] * kernel.real[i] - imag[i] * kernel.imag[i];
+                imag[i] = real[i] * kernel.imag[i] + imag[i] * kernel.real[i];
+                real[i] = re;
+            }
+            SpectralFilters.fft(real, imag, true);
+
+            // The second half holds the valid (non-wrapped) convolution output
+            return Float32Array.from(real.subarray(this.blockSize));
+        });
+    }
+}
+
+class TrackRenderStream {
+    /**
+     * @param {Object} track - Track export configuration (with a resolved seed)
+     * @param {number} sampleRate - Sample rate
+     * @param {number} startSample - Absolute position of the first sample
+     */
+    constructor(track, sampleRate, startSample = 0) {
+        const channelCount = track.channels || 1;
+        let stage = new RenderSourceStage(track, sampleRate, startSample);
+
+        (track.filters || []).filter(filter => filter.enabled).forEach(filter => {
+            const sections = TrackRenderStream.getSections(filter, sampleRate);
+            const convolution = sections ? null : TrackRenderStream.getKernel(filter, sampleRate);
+            if (sections) {
+                stage = new RenderBiquadStage(stage, sections, channelCount);
+            } else if (convolution) {
+                stage = new RenderConvolutionStage(stage, convolution.kernels, convolution.delay, channelCount);
+            } else if (!ConvolutionFilterDesign.isConvolutionType(filter.type)) {
+                // (Convolution filters without an impulse response pass through)
+                console.warn(`🎵 RENDER STREAM: Filter type ${filter.type} not implemented, passing through`);
+            }
+        });
+
+        this.output = stage;
+    }
+
+    /**
+     * Create a stream whose output from startSample is identical to a stream started at 0.
+     * Only seekable tracks (see isSeekable) can start after 0; they begin rendering
+     * at getRenderStart() so every FIR block matches the single-pass render.
+     * @param {Object} track - Track export configuration (with a resolved seed)
+     * @param {number} sampleRate - Sample rate
+     * @param {number} startSample - Absolute position of the first returned sample
+     * @returns {TrackRenderStream} Stream positioned at startSample
+     * @throws {Error} For a start after 0 on a track with recursive state
+     */
+    static startingAt(track, sampleRate, startSample = 0) {
+        if (startSample > 0 && !TrackRenderStream.isSeekable(track, sampleRate)) {
+            throw new Error('Tracks with noise color or IIR filters can only be rendered from the start');
+        }
+
+        const renderStart = TrackRenderStream.getRenderStart(track, sampleRate, startSample);
+        const stream = new TrackRenderStream(track, sampleRate, renderStart);
+        stream.skip(startSample - renderStart);
+        return stream;
+    }
+
+    /**
+     * Check whether a track can start at any position with exactly the samples
+     * of a render from 0. Sources are addressed by absolute position and FIR
+     * kernels only reach back a finite length, but noise color shaping and IIR
+     * filters carry state that depends on the whole history.
+     * @param {Object} track - Track export configuration
+     * @param {number} sampleRate - Sample rate
+     * @returns {boolean} True when the track has no recursive state
+     */
+    static isSeekable(track, sampleRate) {
+        const noiseColor = track.noiseColor || 'white';
+        if (noiseColor !== 'white' && (track.sourceType || 'noise') === 'noise') {
+            return false;
+        }
+
+        return (track.filters || []).filter(filter => filter.enabled).every(filter => {
+            const sections = TrackRenderStream.getSections(filter, sampleRate);
+            return !sections || sections.length === 0;
+        });
+    }
+
+    /**
+     * Position a seekable track starts rendering from to return startSample
+     * exactly: at least two blocks of every FIR stage earlier (one block to fill
+     * the overlap, one for the upstream stage to become exact), on a multiple of
+     * the largest block so each stage convolves the same blocks as a render from 0
+     * @param {Object} track - Track export configuration
+     * @param {number} sampleRate - Sample rate
+     * @param {number} startSample - Absolute position of the first returned sample
+     * @returns {number} Absolute render start (0 to startSample)
+     */
+    static getRenderStart(track, sampleRate, startSample) {
+        const blockSizes = (track.filters || [])
+            .filter(filter => filter.enabled)
+            .map(filter => TrackRenderStream.getKernelLength(filter, sampleRate))
+            .filter(length => length > 0)
+            .map(length => RenderConvolutionStage.getBlockSize(length));
+        if (blockSizes.length === 0) {
+            return startSample;
+        }
+
+        const span = blockSizes.reduce((sum, blockSize) => sum + 2 * blockSize, 0);
+        const grid = Math.max(...blockSizes);
+        return Math.max(0, Math.floor((startSample - span) / grid) * grid);
+    }
+
+    /**
+     * IIR sections of a filter (standard or cascade type)
+     * @param {Object} filter - Filter export configuration
+     * @param {number} sampleRate - Sample rate
+     * @returns {Object[]|null} Sections, or null for filters that are not IIR
+     */
+    static getSections(filter, sampleRate) {
+        if (BiquadDesign.isBiquadType(filter.type)) {
+            return [BiquadDesign.fromConfig(filter, sampleRate)];
+        }
+        if (CascadeDesign.isCascadeType(filter.type)) {
+            return CascadeDesign.designSections(filter, sampleRate);
+        }
+        return null;
+    }
+
+    /**
+     * FIR kernels of a filter (advanced, FIR or convolution type) and their delay
+     * @param {Object} filter - Filter export configuration
+     * @param {number} sampleRate - Sample rate
+     * @returns {Object|null} { kernels, delay }, or null for filters that are not FIR
+     *   (and convolution filters without an impulse response)
+     */
+    static getKernel(filter, sampleRate) {
+        if (SpectralFilters.isSpectralType(filter.type)) {
+            const kernel = SpectralFilters.designKernel(filter, sampleRate);
+            return { kernels: [kernel], delay: kernel.length / 2 };
+        }
+        if (FIRDesign.isFIRType(filter.type)) {
+            return { kernels: [FIRDesign.design(filter, sampleRate)], delay: FIRDesign.getDelay(filter) };
+        }
+        if (ConvolutionFilterDesign.isConvolutionType(filter.type)) {
+            const kernels = ConvolutionFilterDesign.createKernels(filter, sampleRate);
+            return kernels ? { kernels, delay: 0 } : null;
+        }
+        return null;
+    }
+
+    /**
+     * Longest FIR kernel of a filter, without designing it
+     * @param {Object} filter - Filter export configuration
+     * @param {number} sampleRate - Sample rate
+     * @returns {number} Kernel length in samples (0 for filters that are not FIR)
+     */
+    static getKernelLength(filter, sampleRate) {
+        if (SpectralFilters.isSpectralType(filter.type)) {
+            return SpectralFilters.getKernelSize(sampleRate);
+        }
+        if (FIRDesign.isFIRType(filter.type)) {
+            return FIRDesign.getTapCount(filter);
+        }
+        if (ConvolutionFilterDesign.isConvolutionType(filter.type)) {
+            return ConvolutionFilterDesign.getKernelLength(filter, sampleRate);
+        }
+        return 0;
+    }
+
+    /**
+     * Render the next samples of the track (before gain and pan)
+     * @param {number} numSamples - Number of samples
+     * @returns {Float32Array[]} One buffer per track channel
+     */
+    render(numSamples) {
+        return this.output.pull(numSamples);
+    }
+
+    /**
+     * Advance the stream without keeping the output
+     * @param {number} numSamples - Number of samples to skip
+     */
+    skip(numSamples) {
+        const blockSize = 65536;
+        for (let remaining = numSamples; remaining > 0; remaining -= blockSize) {
+            this.render(Math.min(blockSize, remaining));
+        }
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.TrackRenderStream = TrackRenderStream;
@@ -0,0 +1,376 @@
+/**
+ * NoiseShaper Web - Weighting Design
+ * A, C and Z frequency weightings (IEC 61672-1) and ITU-R 468 noise weighting
+ *
+ * The curves are defined by analog networks: the IEC 61672-1 pole
+ * frequencies f1..f4 for A and C, and the passive network polynomial of
+ * ITU-R BS.468-4. getResponseDb gives the exact curves (the analyzer
+ * display uses them per FFT bin). For filtering, each analog section is
+ * turned into a biquad with its poles matched (z = e^(sT)) and its numerator
+ * fitted to the analog magnitude: a double zero at DC is kept exact and
+ * scaled at the pole frequency; other low sections match at DC, Nyquist and
+ * the pole frequency (Vicanek's matched second-order method), and sections
+ * near Nyquist are fitted by least squares over the upper band, where the
+ * bilinear transform would bend the curve away. At 44.1 kHz A and C stay
+ * within 0.3 dB of the curve up to 20 kHz and ITU-R 468 within 0.8 dB (on its
+ * steep top end); from 22.05 kHz up all curves are inside the class 1
+ * (IEC 61672-1) and ITU-R 468 tolerances, which checkTolerance measures.
+ *
+ * Features:
+ * - A, C, Z and ITU-R 468 curves (A and C 0 dB at 1 kHz, 468 +12.2 dB at 6.3 kHz)
+ * - Same sections live and in export (as a section cascade)
+ * - Tolerance tables and a check of a design against them
+ */
+
+class WeightingDesign {
+    /**
+     * Filter types that apply a weighting curve
+     */
+    static get TYPES() {
+        return ['weighting'];
+    }
+
+    /**
+     * Weighting curves and their labels
+     */
+    static get CURVES() {
+        return {
+            A: 'A (IEC 61672)',
+            C: 'C (IEC 61672)',
+            Z: 'Z (flat)',
+            ITU468: 'ITU-R 468'
+        };
+    }
+
+    /**
+     * Pole frequencies of the A and C weightings in Hz (IEC 61672-1, Annex E)
+     */
+    static get POLE_FREQUENCIES() {
+        return { f1: 20.598997, f2: 107.65265, f3: 737.86223, f4: 12194.217 };
+    }
+
+    /**
+     * Gains that bring the A and C weightings to 0 dB at 1 kHz (-A1000, -C1000)
+     */
+    static get NORMALIZATION() {
+        return { A: 2.0, C: 0.062 };
+    }
+
+    /**
+     * Class 1 tolerance limits in dB at the exact third-octave frequencies
+     * 1000 * 10^(n/10), n = -20..13 (10 Hz to 20 kHz; IEC 61672-1:2013, Table 3)
+     */
+    static get IEC_TOLERANCES() {
+        return [
+            [3.0, -Infinity], [2.5, -Infinity], [2.0, -4.0], [2.0, -2.0], [2.0, -1.5],
+            [1.5, -1.5], [1.0, -1.0], [1.0, -1.0], [1.0, -1.0], [1.0, -1.0],
+            [1.0, -1.0], [1.0, -1.0], [1.0, -1.0], [1.0, -1.0], [1.0, -1.0],
+            [1.0, -1.0], [1.0, -1.0], [1.0, -1.0], [1.0, -1.0], [1.0, -1.0],
+            [0.7, -0.7], [1.0, -1.0], [1.0, -1.0], [1.0, -1.0], [1.0, -1.0],
+            [1.0, -1.0], [1.0, -1.0], [1.5, -1.5], [1.5, -2.0], [1.5, -2.5],
+            [2.0, -3.0], [2.0, -5.0], [2.5, -16.0], [3.0, -Infinity]
+        ].map(([upper, lower], i) => ({ frequency: 1000 * Math.pow(10, (i - 20) / 10), upper, lower }));
+    }
+
+    /**
+     * ITU-R BS.468-4 response table: frequency, response and tolerance in dB
+     */
+    static get ITU468_TOLERANCES() {
+        return [
+            [31.5, -29.9, 2.0], [63, -23.9, 1.4], [100, -19.8, 1.0], [200, -13.8, 0.85],
+            [400, -7.8, 0.7], [800, -1.9, 0.55], [1000, 0, 0.5], [2000, 5.6, 0.5],
+            [3150, 9.0, 0.5], [4000, 10.5, 0.5], [5000, 11.7, 0.5], [6300, 12.2, 0],
+            [7100, 12.0, 0.2], [8000, 11.4, 0.4], [9000, 10.1, 0.6], [10000, 8.1, 0.8],
+            [12500, 0, 1.2], [14000, -5.3, 1.4], [16000, -11.7, 1.65], [20000, -22.2, 2.0]
+        ].map(([frequency, goal, tolerance]) => ({ frequency, goal, upper: tolerance, lower: -tolerance }));
+    }
+
+    /**
+     * Check whether a filter type is a weighting filter
+     * @param {string} type - Filter type
+     * @returns {boolean} True for weighting filters
+     */
+    static isWeightingType(type) {
+        return WeightingDesign.TYPES.includes(type);
+    }
+
+    /**
+     * Default configuration: A-weighting
+     * @returns {Object} { curve }
+     */
+    static getDefaultConfig() {
+        return { curve: 'A' };
+    }
+
+    /**
+     * Curve of a configuration
+     * @param {string} curve - One of the CURVES keys
+     * @returns {string} The curve
+     */
+    static getCurve(curve) {
+        if (!WeightingDesign.CURVES[curve]) {
+            throw new Error(`Unknown weighting curve: ${curve}`);
+        }
+        return curve;
+    }
+
+    /**
+     * Exact weighting of a curve at one frequency (the analog definition)
+     * @param {string} curve - One of the CURVES keys
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} Weighting in dB (-Infinity at DC for A, C and ITU-R 468)
+     */
+    static getResponseDb(curve, frequency) {
+        const { f1, f2, f3, f4 } = WeightingDesign.POLE_FREQUENCIES;
+        const fSquared = frequency * frequency;
+
+        switch (WeightingDesign.getCurve(curve)) {
+            case 'A':
+                return 20 * Math.log10(f4 * f4 * fSquared * fSquared / (
+                    (fSquared + f1 * f1) * Math.sqrt((fSquared + f2 * f2) * (fSquared + f3 * f3)) * (fSquared + f4 * f4)
+                )) + WeightingDesign.NORMALIZATION.A;
+            case 'C':
+                return 20 * Math.log10(f4 * f4 * fSquared / ((fSquared + f1 * f1) * (fSquared + f4 * f4))) +
+                    WeightingDesign.NORMALIZATION.C;
+            case 'Z':
+                return 0;
+            case 'ITU468': {
+                const h1 = -4.737338981378384e-24 * Math.pow(frequency, 6) + 2.043828333606125e-15 * Math.pow(frequency, 4) -
+                    1.363894795463638e-7 * fSquared + 1;
+                const h2 = 1.306612257412824e-19 * Math.pow(frequency, 5) - 2.118150887518656e-11 * Math.pow(frequency, 3) +
+                    5.559488023498642e-4 * frequency;
+                return 18.2 + 20 * Math.log10(1.246332637532143e-4 * frequency / Math.hypot(h1, h2));
+            }
+        }
+    }
+
+    /**
+     * Analog sections of a curve (cached): each has up to two poles (rad/s),
+     * a number of zeros at DC and a gain
+     * @param {string} curve - One of the CURVES keys
+     * @returns {Object[]} Sections { poles: [{ re, im }], zeros, gain }
+     */
+    static getAnalogSections(curve) {
+        if (!WeightingDesign.analogCache) {
+            WeightingDesign.analogCache = new Map();
+        }
+        if (WeightingDesign.analogCache.has(curve)) {
+            return WeightingDesign.analogCache.get(curve);
+        }
+
+        const { f1, f2, f3, f4 } = WeightingDesign.POLE_FREQUENCIES;
+        const real = frequency => ({ re: -2 * Math.PI * frequency, im: 0 });
+        const highpass = { poles: [real(f1), real(f1)], zeros: 2, gain: 1 };
+        const lowpass = { poles: [real(f4), real(f4)], zeros: 0, gain: Math.pow(2 * Math.PI * f4, 2) };
+
+        let sections;
+        switch (WeightingDesign.getCurve(curve)) {
+            case 'A':
+                sections = [highpass, { poles: [real(f2), real(f3)], zeros: 2, gain: 1 }, lowpass];
+                break;
+            case 'C':
+                sections = [highpass, lowpass];
+                break;
+            case 'Z':
+                sections = [];
+                break;
+            case 'ITU468': {
+                // Denominator of the network in x = s/(2π * 10 kHz), constant term first
+                const roots = FilterFamilyDesign.findRoots([
+                    1, 5.559488023498642, 13.63894795463638, 21.18150887518656,
+                    20.43828333606125, 13.06612257412824, 4.737338981378384
+                ]).map(root => ({ re: root.re * 2e4 * Math.PI, im: root.im * 2e4 * Math.PI }));
+
+                const magnitudeSquared = root => root.re * root.re + root.im * root.im;
+                sections = roots.filter(root => root.im > 1e-6).map(root => ({
+                    poles: [root, { re: root.re, im: -root.im }],
+                    zeros: 0,
+                    gain: magnitudeSquared(root)
+                }));
+                const realPoles = roots.filter(root => Math.abs(root.im) <= 1e-6).map(root => ({ re: root.re, im: 0 }));
+                sections.push({ poles: realPoles, zeros: 1, gain: Math.abs(realPoles[0].re * realPoles[1].re) });
+                break;
+            }
+        }
+
+        WeightingDesign.analogCache.set(curve, sections);
+        return sections;
+    }
+
+    /**
+     * Magnitude of an analog section
+     * @param {Object} section - { poles, zeros, gain }
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} Linear magnitude
+     */
+    static getAnalogMagnitude(section, frequency) {
+        const w = 2 * Math.PI * frequency;
+        let magnitude = section.gain * Math.pow(w, section.zeros);
+        section.poles.forEach(pole => {
+            magnitude /= Math.hypot(pole.re, w - pole.im);
+        });
+        return magnitude;
+    }
+
+    /**
+     * Reference point of a curve, where the design is exact: 0 dB at 1 kHz for
+     * A and C, +12.2 dB at 6.3 kHz for ITU-R 468 (its zero-tolerance point)
+     * @param {string} curve - One of the CURVES keys
+     * @returns {Object} { frequency, gain } in Hz and dB
+     */
+    static getReference(curve) {
+        return WeightingDesign.getCurve(curve) === 'ITU468' ? { frequency: 6300, gain: 12.2 } : { frequency: 1000, gain: 0 };
+    }
+
+    /**
+     * Design the biquad sections of a weighting filter, exact at the curve's reference point
+     * @param {Object} filter - { curve }
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object[]} Sections { b0, b1, b2, a1, a2 }; empty for Z
+     */
+    static designSections(filter, sampleRate) {
+        const curve = WeightingDesign.getCurve(filter.curve || WeightingDesign.getDefaultConfig().curve);
+        const sections = WeightingDesign.getAnalogSections(curve)
+            .map(section => WeightingDesign.matchSection(section, sampleRate));
+        if (sections.length === 0) {
+            return sections;
+        }
+
+        const reference = WeightingDesign.getReference(curve);
+        const scale = Math.pow(10, reference.gain / 20) /
+            CascadeDesign.getMagnitudeResponse(sections, [reference.frequency], sampleRate)[0];
+        sections[0].b0 *= scale;
+        sections[0].b1 *= scale;
+        sections[0].b2 *= scale;
+        return sections;
+    }
+
+    /**
+     * Digital biquad matching the magnitude of an analog section.
+     * |B(e^jw)|^2 of a numerator b0 + b1/z + b2/z^2 is B0 (1 - φ) + B1 φ + B2 4φ(1 - φ)
+     * with φ = sin^2(w/2), B0 = (b0 + b1 + b2)^2, B1 = (b0 - b1 + b2)^2 and
+     * B2 = -4 b0 b2, so the targets are linear in B0..B2.
+     * @param {Object} section - Analog section { poles, zeros, gain }
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} Section { b0, b1, b2, a1, a2 }
+     */
+    static matchSection(section, sampleRate) {
+        // Matched poles
+        const poles = section.poles.map(pole => {
+            const radius = Math.exp(pole.re / sampleRate);
+            return { re: radius * Math.cos(pole.im / sampleRate), im: radius * Math.sin(pole.im / sampleRate) };
+        });
+        const a1 = -poles.reduce((sum, pole) => sum + pole.re, 0);
+        const a2 = poles.length === 2 ? poles[0].re * poles[1].re - poles[0].im * poles[1].im : 0;
+
+        const A0 = Math.pow(1 + a1 + a2, 2);
+        const A1 = Math.pow(1 - a1 + a2, 2);
+        const A2 = -4 * a2;
+        const phiAt = frequency => Math.pow(Math.sin(Math.PI * frequency / sampleRate), 2);
+        const target = frequency => {
+            const phi = phiAt(frequency);
+            const denominator = A0 * (1 - phi) + A1 * phi + A2 * 4 * phi * (1 - phi);
+            return Math.pow(WeightingDesign.getAnalogMagnitude(section, frequency), 2) * denominator;
+        };
+
+        const B0 = target(0);
+        const poleFrequency = Math.max(...section.poles.map(pole => Math.hypot(pole.re, pole.im))) / (2 * Math.PI);
+        let B1;
+        let B2;
+
+        if (section.zeros === 2) {
+            // Double zero at DC: the numerator is k (1 - 1/z)^2 (B0 = 0, B2 = -B1 / 4),
+            // with k exact at the pole frequency so the low-frequency slope stays exact
+            const phi = phiAt(poleFrequency);
+            B1 = target(poleFrequency) / (phi - phi * (1 - phi));
+            const k = Math.sqrt(B1) / 4;
+            return { b0: k, b1: -2 * k, b2: k, a1, a2 };
+        } else if (poleFrequency < sampleRate / 16) {
+            // Exact at DC, Nyquist and the pole frequency
+            const phi = phiAt(poleFrequency);
+            B1 = target(sampleRate / 2);
+            B2 = (target(poleFrequency) - B0 * (1 - phi) - B1 * phi) / (4 * phi * (1 - phi));
+        } else {
+            // Exact at DC; B1 and B2 by least squares in relative error from three
+            // octaves below the pole to Nyquist
+            let s11 = 0, s12 = 0, s22 = 0, r1 = 0, r2 = 0;
+            for (let frequency = poleFrequency / 8; frequency < 0.49 * sampleRate; frequency *= 1.05) {
+                const phi = phiAt(frequency);
+                const value = target(frequency);
+                if (!(value > 0)) continue;
+                const c1 = phi / value;
+                const c2 = 4 * phi * (1 - phi) / value;
+                const residual = (value - B0 * (1 - phi)) / value;
+                s11 += c1 * c1;
+                s12 += c1 * c2;
+                s22 += c2 * c2;
+                r1 += c1 * residual;
+                r2 += c2 * residual;
+            }
+            const determinant = s11 * s22 - s12 * s12;
+            B1 = Math.max(0, (r1 * s22 - r2 * s12) / determinant);
+            B2 = (s11 * r2 - s12 * r1) / determinant;
+        }
+
+        // Back to coefficients (b0 + b2 = W, b0 * b2 = -B2 / 4)
+        const W = (Math.sqrt(B0) + Math.sqrt(B1)) / 2;
+        const discriminant = Math.max(0, W * W + B2);
+        const b0 = (W + Math.sqrt(discriminant)) / 2;
+        return {
+            b0,
+            b1: (Math.sqrt(B0) - Math.sqrt(B1)) / 2,
+            b2: b0 > 0 ? -B2 / (4 * b0) : 0,
+            a1,
+            a2
+        };
+    }
+
+    /**
+     * Tolerance points of a curve: IEC 61672-1 class 1 for A, C and Z,
+     * the ITU-R BS.468-4 table for ITU-R 468
+     * @param {string} curve - One of the CURVES keys
+     * @returns {Object[]} { frequency, goal, upper, lower } in Hz and dB
+     */
+    static getTolerances(curve) {
+        if (WeightingDesign.getCurve(curve) === 'ITU468') {
+            return WeightingDesign.ITU468_TOLERANCES;
+        }
+        return WeightingDesign.IEC_TOLERANCES.map(point => ({
+            ...point,
+            goal: WeightingDesign.getResponseDb(curve, point.frequency)
+        }));
+    }
+
+    /**
+     * Measure a weighting design against its tolerances. Deviations are
+     * compared at the 0.1 dB resolution of the tables; points at or above
+     * Nyquist are skipped.
+     * @param {Object} filter - { curve }
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { compliant, maxDeviation, points: [{ frequency, goal, response, deviation, pass }], skipped }
+     */
+    static checkTolerance(filter, sampleRate) {
+        const curve = WeightingDesign.getCurve(filter.curve || WeightingDesign.getDefaultConfig().curve);
+        const sections = WeightingDesign.designSections({ curve }, sampleRate);
+        const tolerances = WeightingDesign.getTolerances(curve);
+        const checked = tolerances.filter(point => point.frequency < sampleRate / 2);
+        const magnitudes = CascadeDesign.getMagnitudeResponse(sections, checked.map(point => point.frequency), sampleRate);
+
+        const points = checked.map((point, i) => {
+            const response = 20 * Math.log10(magnitudes[i]);
+            const deviation = response - point.goal;
+            const rounded = Math.round(deviation * 10) / 10;
+            return { ...point, response, deviation, pass: rounded <= point.upper && rounded >= point.lower };
+        });
+
+        return {
+            compliant: points.every(point => point.pass),
+            maxDeviation: points.reduce((max, point) => Math.max(max, Math.abs(point.deviation)), 0),
+            points,
+            skipped: tolerances.length - checked.length
+        };
+    }
+}
+
+// Export for use in other modules (main thread and Web Workers)
+globalThis.WeightingDesign = WeightingDesign;
@@ -158,6 +158,7 @@ class WorkerPool {
             chunkIndex: index,
             chunkData: chunkData.samples,
             chunkDuration: chunkData.duration,
+            startSample: chunkData.startSample,
             trackConfig: trackConfig,
             settings: settings,
             sampleRate: settings.exportSampleRate || 44100
@@ -248,7 +249,8 @@ class WorkerPool {
             fadeOutDuration: job.settings.fadeOutDuration,
             fadeInPower: job.settings.fadeInPower,
             fadeOutPower: job.settings.fadeOutPower,
-            fadeBeforeNorm: job.settings.fadeBeforeNorm
+            fadeBeforeNorm: job.settings.fadeBeforeNorm,
+            outputChannels: job.settings.outputChannels
             // Exclude onProgress callback - workers don't need it
         };
         
@@ -258,6 +260,7 @@ class WorkerPool {
             jobId: job.id,
             chunkData: new Float32Array(chunkBuffer),
             chunkDuration: job.chunkDuration,
+            startSample: job.startSample,
             trackConfig: job.trackConfig,
             settings: cleanSettings,
             sampleRate: job.sampleRate
@@ -306,8 +309,8 @@ class WorkerPool {
         // Mark worker as available
         this.releaseWorker(worker);
         
-        // Resolve job promise
-        job.resolve(new Float32Array(resultData));
+        // Resolve job promise with one Float32Array per channel
+        job.resolve(resultData.map(buffer => new Float32Array(buffer)));
         
         // Clean up
         this.activeJobs.delete(jobId);
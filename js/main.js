@@ -323,6 +323,10 @@ class NoiseShaperweb {
                 this.updateTrackMuteDisplay(data.trackId, data.isMuted);
             });
             
+            this.trackManager.on('trackSourceChanged', (data) => {
+                this.updateTrackSourceDisplay(data.trackId);
+            });
+            
             this.trackManager.on('trackFilterChanged', (data) => {
                 console.log('trackFilterChanged event:', data.action, 'for track', data.trackId);
                 // Only update UI for structural changes
@@ -366,6 +370,22 @@ class NoiseShaperweb {
             // Create spectrum visualizer
             this.spectrumVisualizer = new SpectrumVisualizer(this.elements.spectrumCanvas);
             
+            // Dragging a parametric EQ band handle edits that band of the selected track
+            this.spectrumVisualizer.on('bandDragged', ({ filterIndex, bandIndex, changes }) => {
+                const trackId = this.state.selectedTrackId;
+                if (trackId !== null && this.handleEQBandChange(trackId, filterIndex, bandIndex, changes)) {
+                    this.updateEQBandControls(filterIndex, bandIndex, changes);
+                }
+            });
+            
+            // Drawing on the spectrum edits the breakpoints of the selected track's drawn curve
+            this.spectrumVisualizer.on('curveEdited', ({ filterIndex, points }) => {
+                const trackId = this.state.selectedTrackId;
+                if (trackId !== null && this.handleFilterParameterChange(trackId, filterIndex, 'points', points)) {
+                    this.updateCurvePointsControls(filterIndex, points);
+                }
+            });
+            
             // Create analyzer controls manager
             this.analyzerControls = new AnalyzerControlsManager();
             
@@ -482,6 +502,14 @@ class NoiseShaperweb {
                 </span>
             </div>
             
+            <select class="track-color" data-track-id="${trackId}" title="Noise Color">
+                ${NoiseColorShaper.COLORS.map(color => `
+                    <option value="${color}" ${color === trackState.noiseColor ? 'selected' : ''}>
+                        ${this.capitalizeFilterType(color)}
+                    </option>
+                `).join('')}
+            </select>
+            
             <button class="track-mute" data-track-id="${trackId}" title="Mute Track">
                 🔇
             </button>
@@ -527,12 +555,19 @@ class NoiseShaperweb {
         
         // Track item click for selection
         trackItem.addEventListener('click', (event) => {
-            // Don't select if clicking on buttons or sliders
-            if (!event.target.closest('button, input')) {
+            // Don't select if clicking on buttons, selects or sliders
+            if (!event.target.closest('button, input, select')) {
                 this.selectTrack(trackId);
             }
         });
         
+        // Noise color select
+        const colorSelect = trackItem.querySelector('.track-color');
+        colorSelect.addEventListener('change', (event) => {
+            event.stopPropagation();
+            this.handleTrackColorChange(trackId, event.target.value);
+        });
+        
         // Mute button
         const muteBtn = trackItem.querySelector('.track-mute');
         muteBtn.addEventListener('click', (event) => {
@@ -631,7 +666,10 @@ class NoiseShaperweb {
      */
     updateFilterEditor(trackId) {
         if (trackId === null) {
-            // No track selected - show placeholder
+            // No track selected - show placeholder (and no filter response)
+            if (this.spectrumVisualizer) {
+                this.spectrumVisualizer.connectFilterChain(null);
+            }
             this.elements.filterEditorTitle.textContent = 'Select a Track';
             this.elements.filterEditor.innerHTML = `
                 <div class="filter-editor-placeholder">
@@ -649,6 +687,11 @@ class NoiseShaperweb {
             // Create filter editor controls
             this.renderFilterEditor(trackId);
             
+            // Overlay the track's filter response on the spectrum
+            if (this.spectrumVisualizer) {
+                this.spectrumVisualizer.connectFilterChain(this.trackManager.getTrack(trackId).getFilterChain());
+            }
+            
         } catch (error) {
             console.error(`Failed to update filter editor for track ${trackId}:`, error);
             this.showError(`Failed to update filter editor: ${error.message}`);
@@ -663,8 +706,9 @@ class NoiseShaperweb {
             const track = this.trackManager.getTrack(trackId);
             const filters = track.getFilterChain().getAllFilters();
             
-            // Create filter editor content
-            let editorHTML = `
+            // Create filter editor content (noise source settings first, then the filter chain)
+            let editorHTML = this.createTrackSourceHTML(trackId, track.getState());
+            editorHTML += `
                 <div class="filter-editor-controls">
                     <div class="filter-editor-actions">
                         <button class="add-filter-btn" data-track-id="${trackId}">
@@ -698,6 +742,7 @@ class NoiseShaperweb {
             this.elements.filterEditor.innerHTML = editorHTML;
             
             // Set up event listeners for the filter editor
+            this.setupTrackSourceEventListeners(trackId);
             this.setupFilterEditorEventListeners(trackId);
             
         } catch (error) {
@@ -711,6 +756,573 @@ class NoiseShaperweb {
         }
     }
     
+    /**
+     * Create the noise source settings HTML for a track
+     */
+    createTrackSourceHTML(trackId, trackState) {
+        return `
+            <div class="track-source-editor" data-track-id="${trackId}">
+                <div class="track-source-row">
+                    <label class="track-source-label" for="trackSourceType${trackId}">Source</label>
+                    <select id="trackSourceType${trackId}" class="track-source-type-select">
+                        <option value="noise" ${trackState.sourceType === 'noise' ? 'selected' : ''}>Random noise</option>
+                        <option value="mls" ${trackState.sourceType === 'mls' ? 'selected' : ''}>MLS</option>
+                        <option value="periodic" ${trackState.sourceType === 'periodic' ? 'selected' : ''}>Periodic noise</option>
+                        <option value="sweep" ${trackState.sourceType === 'sweep' ? 'selected' : ''}>Log sweep</option>
+                        <option value="multitone" ${trackState.sourceType === 'multitone' ? 'selected' : ''}>Multitone</option>
+                        <option value="stepped-sine" ${trackState.sourceType === 'stepped-sine' ? 'selected' : ''}>Stepped sine</option>
+                        <option value="file" ${trackState.sourceType === 'file' ? 'selected' : ''}>Audio file</option>
+                    </select>
+                    <select class="track-mls-order-select" title="MLS order" ${trackState.sourceType === 'mls' ? '' : 'hidden'}>
+                        ${Array.from({ length: MlsSource.ORDER_RANGE.max - MlsSource.ORDER_RANGE.min + 1 }, (_, i) => MlsSource.ORDER_RANGE.min + i).map(order => `
+                            <option value="${order}" ${order === trackState.mlsOrder ? 'selected' : ''}>Order ${order}</option>
+                        `).join('')}
+                    </select>
+                    <select class="track-period-select" title="Period (FFT size)" ${trackState.sourceType === 'periodic' ? '' : 'hidden'}>
+                        ${PeriodicNoiseSource.PERIODS.map(period => `
+                            <option value="${period}" ${period === trackState.period ? 'selected' : ''}>${period}</option>
+                        `).join('')}
+                    </select>
+                    <span class="track-source-hint track-period-length">${trackState.periodLength ? `${trackState.periodLength} samples` : ''}</span>
+                </div>
+                <div class="track-source-row track-signal-row" data-source-type="sweep" ${trackState.sourceType === 'sweep' ? '' : 'hidden'}>
+                    <label class="track-source-label">Sweep</label>
+                    <input type="number" class="track-signal-input" data-signal="sweep" data-field="startFrequency"
+                           min="1" step="1" value="${trackState.sweep.startFrequency}" title="Start frequency (Hz)">
+                    <span class="track-source-hint">to</span>
+                    <input type="number" class="track-signal-input" data-signal="sweep" data-field="endFrequency"
+                           min="1" step="1" value="${trackState.sweep.endFrequency}" title="End frequency (Hz)">
+                    <span class="track-source-hint">Hz in</span>
+                    <input type="number" class="track-signal-input" data-signal="sweep" data-field="duration"
+                           min="0.1" max="60" step="0.1" value="${trackState.sweep.duration}" title="Sweep duration (s)">
+                    <span class="track-source-hint">s, gap</span>
+                    <input type="number" class="track-signal-input" data-signal="sweep" data-field="gap"
+                           min="0" max="10" step="0.1" value="${trackState.sweep.gap}" title="Silence between sweeps (s)">
+                    <span class="track-source-hint">s</span>
+                </div>
+                <div class="track-source-row track-signal-row" data-source-type="multitone" ${trackState.sourceType === 'multitone' ? '' : 'hidden'}>
+                    <label class="track-source-label">Tones</label>
+                    <input type="text" class="track-multitone-frequencies" 
+                           value="${trackState.multitone.frequencies.join(', ')}" 
+                           title="Tone frequencies in Hz, separated by commas">
+                    <select class="track-multitone-phases" title="Phase strategy">
+                        <option value="schroeder" ${trackState.multitone.phases === 'schroeder' ? 'selected' : ''}>Schroeder</option>
+                        <option value="random" ${trackState.multitone.phases === 'random' ? 'selected' : ''}>Random</option>
+                    </select>
+                    <select class="track-multitone-period" title="Period (FFT size)">
+                        ${PeriodicNoiseSource.PERIODS.map(period => `
+                            <option value="${period}" ${period === trackState.multitone.period ? 'selected' : ''}>${period}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="track-source-row track-signal-row" data-source-type="file" ${trackState.sourceType === 'file' ? '' : 'hidden'}>
+                    <label class="track-source-label">File</label>
+                    <label class="track-file-button" title="Load a WAV, FLAC or MP3 file">
+                        Load…
+                        <input type="file" class="track-file-input" accept="audio/*,.wav,.flac,.mp3,.ogg" hidden>
+                    </label>
+                    <span class="track-source-hint track-file-name">${trackState.fileName ? `${this.escapeHTML(trackState.fileName)} (${trackState.fileDuration.toFixed(2)} s)` : 'No file loaded'}</span>
+                </div>
+                <div class="track-source-row track-signal-row" data-source-type="file" ${trackState.sourceType === 'file' ? '' : 'hidden'}>
+                    <label class="track-source-label">Playback</label>
+                    <label class="toggle-switch track-file-loop" title="Loop from the start offset">
+                        <input type="checkbox" ${trackState.file.loop ? 'checked' : ''}>
+                        <span class="toggle-slider"></span>
+                    </label>
+                    <span class="track-source-hint">Loop, start at</span>
+                    <input type="number" class="track-signal-input" data-signal="file" data-field="offset"
+                           min="0" step="0.1" value="${trackState.file.offset}" title="Start offset (s)">
+                    <span class="track-source-hint">s, trim</span>
+                    <input type="number" class="track-signal-input" data-signal="file" data-field="gain"
+                           min="${AudioFileSource.GAIN_RANGE.min}" max="${AudioFileSource.GAIN_RANGE.max}" step="0.5" 
+                           value="${trackState.file.gain}" title="Level trim (dB)">
+                    <span class="track-source-hint">dB</span>
+                </div>
+                <div class="track-source-row track-signal-row" data-source-type="stepped-sine" ${trackState.sourceType === 'stepped-sine' ? '' : 'hidden'}>
+                    <label class="track-source-label">Steps</label>
+                    <input type="number" class="track-signal-input" data-signal="steppedSine" data-field="startFrequency"
+                           min="1" step="1" value="${trackState.steppedSine.startFrequency}" title="Start frequency (Hz)">
+                    <span class="track-source-hint">to</span>
+                    <input type="number" class="track-signal-input" data-signal="steppedSine" data-field="endFrequency"
+                           min="1" step="1" value="${trackState.steppedSine.endFrequency}" title="End frequency (Hz)">
+                    <span class="track-source-hint">Hz, 1/</span>
+                    <input type="number" class="track-signal-input" data-signal="steppedSine" data-field="stepsPerOctave"
+                           min="1" max="48" step="1" value="${trackState.steppedSine.stepsPerOctave}" title="Steps per octave">
+                    <span class="track-source-hint">oct,</span>
+                    <input type="number" class="track-signal-input" data-signal="steppedSine" data-field="stepDuration"
+                           min="0.05" max="10" step="0.05" value="${trackState.steppedSine.stepDuration}" title="Time per step (s)">
+                    <span class="track-source-hint">s each</span>
+                </div>
+                <div class="track-source-row">
+                    <label class="track-source-label" for="trackSeed${trackId}">Seed</label>
+                    <input type="number" 
+                           id="trackSeed${trackId}"
+                           class="track-seed-input" 
+                           min="0" 
+                           max="${SeededNoiseSource.MAX_SEED}" 
+                           step="1" 
+                           value="${trackState.seed}">
+                    <label class="toggle-switch track-seed-lock" title="Lock seed for reproducible playback and export">
+                        <input type="checkbox" ${trackState.seedLocked ? 'checked' : ''}>
+                        <span class="toggle-slider"></span>
+                    </label>
+                    <span class="track-source-hint">Lock</span>
+                </div>
+                <div class="track-source-row">
+                    <label class="track-source-label" for="trackGenerator${trackId}">Generator</label>
+                    <select id="trackGenerator${trackId}" class="track-generator-select">
+                        ${Object.entries(RandomGenerator.LABELS).map(([type, label]) => `
+                            <option value="${type}" ${type === trackState.noiseGenerator ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="track-source-row">
+                    <label class="track-source-label" for="trackDistribution${trackId}">Distribution</label>
+                    <select id="trackDistribution${trackId}" class="track-distribution-select" ${trackState.sourceType === 'noise' ? '' : 'disabled'}>
+                        <option value="uniform" ${trackState.noiseDistribution === 'uniform' ? 'selected' : ''}>Uniform</option>
+                        <option value="gaussian" ${trackState.noiseDistribution === 'gaussian' ? 'selected' : ''}>Gaussian</option>
+                        <option value="truncated-gaussian" ${trackState.noiseDistribution === 'truncated-gaussian' ? 'selected' : ''}>Truncated Gaussian</option>
+                    </select>
+                    <input type="number" 
+                           class="track-sigma-clip-input" 
+                           title="Clip at ± this many standard deviations"
+                           min="${SeededNoiseSource.SIGMA_CLIP_RANGE.min}" 
+                           max="${SeededNoiseSource.SIGMA_CLIP_RANGE.max}" 
+                           step="0.1" 
+                           value="${trackState.sigmaClip}"
+                           ${trackState.sourceType === 'noise' && trackState.noiseDistribution === 'truncated-gaussian' ? '' : 'disabled'}>
+                    <span class="track-source-hint">σ</span>
+                </div>
+                <div class="track-source-row">
+                    <label class="track-source-label" for="trackChannels${trackId}">Channels</label>
+                    <select id="trackChannels${trackId}" class="track-channels-select">
+                        ${Array.from({ length: MultichannelNoiseSource.MAX_CHANNELS }, (_, i) => i + 1).map(channels => `
+                            <option value="${channels}" ${channels === trackState.channels ? 'selected' : ''}>${this.formatChannelCount(channels)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="track-source-row">
+                    <label class="track-source-label" for="trackCorrelation${trackId}">Correlation</label>
+                    <input type="range" 
+                           id="trackCorrelation${trackId}"
+                           class="track-correlation-input" 
+                           title="0 = independent channels, 1 = identical channels"
+                           min="0" 
+                           max="1" 
+                           step="${this.getCorrelationStep(trackState.sourceType)}" 
+                           value="${trackState.correlation}"
+                           ${trackState.channels > 1 ? '' : 'disabled'}>
+                    <span class="track-source-hint track-correlation-value">${MultichannelNoiseSource.getEffectiveCorrelation(trackState.sourceType, trackState.correlation).toFixed(2)}</span>
+                </div>
+                <div class="track-source-row">
+                    <label class="track-source-label" for="trackPan${trackId}">Pan</label>
+                    <input type="range" 
+                           id="trackPan${trackId}"
+                           class="track-pan-input" 
+                           title="Mono and stereo tracks only"
+                           min="-1" 
+                           max="1" 
+                           step="0.01" 
+                           value="${trackState.pan}"
+                           ${trackState.channels > 2 ? 'disabled' : ''}>
+                    <span class="track-source-hint track-pan-value">${this.formatPan(trackState.pan)}</span>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Format a channel count for display
+     */
+    formatChannelCount(channels) {
+        if (channels === 1) return 'Mono';
+        if (channels === 2) return 'Stereo';
+        return `${channels} channels`;
+    }
+    
+    /**
+     * Step of the correlation slider: MLS channels are either rotated copies (0) or identical (1)
+     */
+    getCorrelationStep(sourceType) {
+        return MultichannelNoiseSource.getSourceClass(sourceType).BINARY === true ? 1 : 0.01;
+    }
+    
+    /**
+     * Format a pan position for display (L50, C, R25, ...)
+     */
+    formatPan(pan) {
+        const percentage = Math.round(Math.abs(pan) * 100);
+        if (percentage === 0) return 'C';
+        return `${pan < 0 ? 'L' : 'R'}${percentage}`;
+    }
+
+    /**
+     * Escape text for use in generated HTML (file names, imported columns, free text)
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Set up event listeners for the noise source settings
+     */
+    setupTrackSourceEventListeners(trackId) {
+        const sourceEditor = this.elements.filterEditor.querySelector('.track-source-editor');
+        if (!sourceEditor) {
+            return;
+        }
+        
+        const sourceTypeSelect = sourceEditor.querySelector('.track-source-type-select');
+        const mlsOrderSelect = sourceEditor.querySelector('.track-mls-order-select');
+        const periodSelect = sourceEditor.querySelector('.track-period-select');
+        const multitoneFrequencies = sourceEditor.querySelector('.track-multitone-frequencies');
+        const multitonePhases = sourceEditor.querySelector('.track-multitone-phases');
+        const multitonePeriod = sourceEditor.querySelector('.track-multitone-period');
+        const signalInputs = sourceEditor.querySelectorAll('.track-signal-input');
+        const fileInput = sourceEditor.querySelector('.track-file-input');
+        const fileLoopToggle = sourceEditor.querySelector('.track-file-loop input');
+        const applySource = () => {
+            // Audio file source needs a file first: show the file row and wait for one
+            if (sourceTypeSelect.value === 'file' && !this.trackManager.getTrack(trackId).fileData) {
+                sourceEditor.querySelectorAll('.track-signal-row').forEach(row => {
+                    row.hidden = row.dataset.sourceType !== 'file';
+                });
+                return;
+            }
+            
+            const settings = {
+                mlsOrder: parseInt(mlsOrderSelect.value, 10),
+                period: parseInt(periodSelect.value, 10),
+                sweep: {},
+                steppedSine: {},
+                file: { loop: fileLoopToggle.checked },
+                multitone: {
+                    frequencies: multitoneFrequencies.value.split(/[\s,;]+/).filter(Boolean).map(Number),
+                    phases: multitonePhases.value,
+                    period: parseInt(multitonePeriod.value, 10)
+                }
+            };
+            signalInputs.forEach(input => {
+                settings[input.dataset.signal][input.dataset.field] = Number(input.value);
+            });
+            this.handleTrackSourceChange(trackId, sourceTypeSelect.value, settings);
+        };
+        [sourceTypeSelect, mlsOrderSelect, periodSelect, multitoneFrequencies, multitonePhases, multitonePeriod, fileLoopToggle, ...signalInputs]
+            .forEach(control => control.addEventListener('change', applySource));
+        
+        fileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                this.handleTrackAudioFileLoad(trackId, file);
+            }
+            event.target.value = '';
+        });
+        
+        const seedInput = sourceEditor.querySelector('.track-seed-input');
+        seedInput.addEventListener('change', (event) => {
+            this.handleTrackSeedChange(trackId, Number(event.target.value));
+        });
+        
+        const lockToggle = sourceEditor.querySelector('.track-seed-lock input');
+        lockToggle.addEventListener('change', (event) => {
+            this.handleTrackSeedLockChange(trackId, event.target.checked);
+        });
+        
+        const generatorSelect = sourceEditor.querySelector('.track-generator-select');
+        generatorSelect.addEventListener('change', (event) => {
+            this.handleTrackGeneratorChange(trackId, event.target.value);
+        });
+        
+        const distributionSelect = sourceEditor.querySelector('.track-distribution-select');
+        const sigmaClipInput = sourceEditor.querySelector('.track-sigma-clip-input');
+        const applyDistribution = () => {
+            sigmaClipInput.disabled = distributionSelect.value !== 'truncated-gaussian';
+            this.handleTrackDistributionChange(trackId, distributionSelect.value, parseFloat(sigmaClipInput.value));
+        };
+        distributionSelect.addEventListener('change', applyDistribution);
+        sigmaClipInput.addEventListener('change', applyDistribution);
+        
+        const channelsSelect = sourceEditor.querySelector('.track-channels-select');
+        channelsSelect.addEventListener('change', (event) => {
+            this.handleTrackChannelsChange(trackId, parseInt(event.target.value, 10));
+        });
+        
+        const correlationInput = sourceEditor.querySelector('.track-correlation-input');
+        correlationInput.addEventListener('input', (event) => {
+            this.handleTrackCorrelationChange(trackId, parseFloat(event.target.value));
+        });
+        
+        const panInput = sourceEditor.querySelector('.track-pan-input');
+        panInput.addEventListener('input', (event) => {
+            this.handleTrackPanChange(trackId, parseFloat(event.target.value));
+        });
+        
+        // Double-click re-centers the pan
+        panInput.addEventListener('dblclick', () => {
+            panInput.value = 0;
+            this.handleTrackPanChange(trackId, 0);
+        });
+    }
+    
+    /**
+     * Reflect source changes (e.g. a new seed picked on start) in the source editor
+     */
+    updateTrackSourceDisplay(trackId) {
+        if (this.state.selectedTrackId !== trackId) {
+            return;
+        }
+        
+        const sourceEditor = this.elements.filterEditor.querySelector(`.track-source-editor[data-track-id="${trackId}"]`);
+        if (!sourceEditor) {
+            return;
+        }
+        
+        const trackState = this.trackManager.getTrack(trackId).getState();
+        
+        const sourceTypeSelect = sourceEditor.querySelector('.track-source-type-select');
+        if (sourceTypeSelect) {
+            sourceTypeSelect.value = trackState.sourceType;
+            sourceEditor.querySelector('.track-mls-order-select').hidden = trackState.sourceType !== 'mls';
+            sourceEditor.querySelector('.track-period-select').hidden = trackState.sourceType !== 'periodic';
+            sourceEditor.querySelectorAll('.track-signal-row').forEach(row => {
+                row.hidden = row.dataset.sourceType !== trackState.sourceType;
+            });
+            sourceEditor.querySelectorAll('.track-signal-input').forEach(input => {
+                input.value = trackState[input.dataset.signal][input.dataset.field];
+            });
+            sourceEditor.querySelector('.track-multitone-frequencies').value = trackState.multitone.frequencies.join(', ');
+            sourceEditor.querySelector('.track-multitone-phases').value = trackState.multitone.phases;
+            sourceEditor.querySelector('.track-multitone-period').value = trackState.multitone.period;
+            sourceEditor.querySelector('.track-file-loop input').checked = trackState.file.loop;
+            sourceEditor.querySelector('.track-file-name').textContent = trackState.fileName
+                ? `${trackState.fileName} (${trackState.fileDuration.toFixed(2)} s)`
+                : 'No file loaded';
+            sourceEditor.querySelector('.track-period-length').textContent = 
+                trackState.periodLength ? `${trackState.periodLength} samples` : '';
+            
+            // Amplitude distribution only applies to random noise
+            const distributionSelect = sourceEditor.querySelector('.track-distribution-select');
+            distributionSelect.disabled = trackState.sourceType !== 'noise';
+            sourceEditor.querySelector('.track-sigma-clip-input').disabled = 
+                distributionSelect.disabled || trackState.noiseDistribution !== 'truncated-gaussian';
+        }
+        
+        const seedInput = sourceEditor.querySelector('.track-seed-input');
+        if (seedInput && document.activeElement !== seedInput) {
+            seedInput.value = trackState.seed;
+        }
+        
+        const lockToggle = sourceEditor.querySelector('.track-seed-lock input');
+        if (lockToggle) {
+            lockToggle.checked = trackState.seedLocked;
+        }
+        
+        const sigmaClipInput = sourceEditor.querySelector('.track-sigma-clip-input');
+        if (sigmaClipInput && document.activeElement !== sigmaClipInput) {
+            sigmaClipInput.value = trackState.sigmaClip;
+        }
+        
+        const channelsSelect = sourceEditor.querySelector('.track-channels-select');
+        if (channelsSelect) {
+            channelsSelect.value = trackState.channels;
+        }
+        
+        const correlationInput = sourceEditor.querySelector('.track-correlation-input');
+        if (correlationInput) {
+            correlationInput.disabled = trackState.channels === 1;
+            correlationInput.step = this.getCorrelationStep(trackState.sourceType);
+            correlationInput.value = trackState.correlation;
+            sourceEditor.querySelector('.track-correlation-value').textContent =
+                MultichannelNoiseSource.getEffectiveCorrelation(trackState.sourceType, trackState.correlation).toFixed(2);
+        }
+        
+        const panInput = sourceEditor.querySelector('.track-pan-input');
+        if (panInput) {
+            panInput.disabled = trackState.channels > 2;
+            panInput.value = trackState.pan;
+            sourceEditor.querySelector('.track-pan-value').textContent = this.formatPan(trackState.pan);
+        }
+    }
+    
+    /**
+     * Handle track signal source change
+     */
+    handleTrackSourceChange(trackId, sourceType, settings) {
+        try {
+            if (!this.trackManager) {
+                this.showError('Track system not ready');
+                return;
+            }
+            
+            this.trackManager.setTrackSource(trackId, sourceType, settings);
+            
+        } catch (error) {
+            console.error(`Failed to change source for track ${trackId}:`, error);
+            this.showError(`Failed to change source: ${error.message}`);
+            this.updateTrackSourceDisplay(trackId);
+        }
+    }
+    
+    /**
+     * Handle loading an audio file as a track source
+     */
+    async handleTrackAudioFileLoad(trackId, file) {
+        try {
+            if (!this.trackManager) {
+                this.showError('Track system not ready');
+                return;
+            }
+            
+            this.updateStatus(`Decoding ${file.name}...`, 'ready');
+            await this.trackManager.getTrack(trackId).loadAudioFile(file);
+            this.updateStatus(`Track ${trackId + 1}: ${file.name} loaded`, 'ready');
+            
+        } catch (error) {
+            console.error(`Failed to load audio file for track ${trackId}:`, error);
+            this.showError(`Failed to load audio file: ${error.message}`);
+            this.updateTrackSourceDisplay(trackId);
+        }
+    }
+    
+    /**
+     * Handle track seed change
+     */
+    handleTrackSeedChange(trackId, seed) {
+        try {
+            if (!this.trackManager) {
+                this.showError('Track system not ready');
+                return;
+            }
+            
+            const track = this.trackManager.getTrack(trackId);
+            track.setSeed(seed);
+            
+        } catch (error) {
+            console.error(`Failed to change seed for track ${trackId}:`, error);
+            this.showError(`Failed to change seed: ${error.message}`);
+            this.updateTrackSourceDisplay(trackId);
+        }
+    }
+    
+    /**
+     * Handle track seed lock toggle
+     */
+    handleTrackSeedLockChange(trackId, locked) {
+        try {
+            if (!this.trackManager) {
+                this.showError('Track system not ready');
+                return;
+            }
+            
+            const track = this.trackManager.getTrack(trackId);
+            track.setSeedLocked(locked);
+            
+        } catch (error) {
+            console.error(`Failed to toggle seed lock for track ${trackId}:`, error);
+            this.showError(`Failed to toggle seed lock: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Handle track PRNG backend change
+     */
+    handleTrackGeneratorChange(trackId, type) {
+        try {
+            if (!this.trackManager) {
+                this.showError('Track system not ready');
+                return;
+            }
+            
+            const track = this.trackManager.getTrack(trackId);
+            track.setNoiseGenerator(type);
+            
+        } catch (error) {
+            console.error(`Failed to change noise generator for track ${trackId}:`, error);
+            this.showError(`Failed to change noise generator: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Handle track amplitude distribution change
+     */
+    handleTrackDistributionChange(trackId, distribution, sigmaClip) {
+        try {
+            if (!this.trackManager) {
+                this.showError('Track system not ready');
+                return;
+            }
+            
+            const track = this.trackManager.getTrack(trackId);
+            track.setNoiseDistribution(distribution, sigmaClip);
+            
+        } catch (error) {
+            console.error(`Failed to change noise distribution for track ${trackId}:`, error);
+            this.showError(`Failed to change noise distribution: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Handle track channel count change
+     */
+    handleTrackChannelsChange(trackId, channels) {
+        try {
+            if (!this.trackManager) {
+                this.showError('Track system not ready');
+                return;
+            }
+            
+            const track = this.trackManager.getTrack(trackId);
+            track.setChannelCount(channels);
+            
+        } catch (error) {
+            console.error(`Failed to change channel count for track ${trackId}:`, error);
+            this.showError(`Failed to change channel count: ${error.message}`);
+            this.updateTrackSourceDisplay(trackId);
+        }
+    }
+    
+    /**
+     * Handle track inter-channel correlation change
+     */
+    handleTrackCorrelationChange(trackId, correlation) {
+        try {
+            if (!this.trackManager) {
+                this.showError('Track system not ready');
+                return;
+            }
+            
+            const track = this.trackManager.getTrack(trackId);
+            track.setCorrelation(correlation);
+            
+        } catch (error) {
+            console.error(`Failed to change channel correlation for track ${trackId}:`, error);
+            this.showError(`Failed to change channel correlation: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Handle track pan change
+     */
+    handleTrackPanChange(trackId, pan) {
+        try {
+            if (!this.trackManager) {
+                this.showError('Track system not ready');
+                return;
+            }
+            
+            const track = this.trackManager.getTrack(trackId);
+            track.setPan(pan);
+            
+        } catch (error) {
+            console.error(`Failed to change pan for track ${trackId}:`, error);
+            this.showError(`Failed to change pan: ${error.message}`);
+        }
+    }
+    
     /**
      * Handle track mute toggle
      */
@@ -731,6 +1343,25 @@ class NoiseShaperweb {
         }
     }
     
+    /**
+     * Handle track noise color change
+     */
+    handleTrackColorChange(trackId, color) {
+        try {
+            if (!this.trackManager) {
+                this.showError('Track system not ready');
+                return;
+            }
+            
+            const track = this.trackManager.getTrack(trackId);
+            track.setNoiseColor(color);
+            
+        } catch (error) {
+            console.error(`Failed to change noise color for track ${trackId}:`, error);
+            this.showError(`Failed to change noise color: ${error.message}`);
+        }
+    }
+    
     /**
      * Handle track gain change
      */
@@ -791,14 +1422,42 @@ class NoiseShaperweb {
                     currentValue = param.default || param.min;
                 }
             }
-            return this.createParameterSliderHTML(param, currentValue);
-        }).join('');
-
-        return `
-            <div class="filter-item-editor" data-filter-index="${filterIndex}">
-                <div class="filter-header-editor">
-                    <span class="filter-type-editor">${this.capitalizeFilterType(filterData.config.type)}</span>
-                    <div class="filter-controls-editor">
+            if (param.text) {
+                return this.createParameterTextHTML(param, currentValue);
+            }
+            if (param.bands) {
+                return this.createEQBandsHTML(currentValue);
+            }
+            if (param.graphicBands) {
+                return this.createGraphicEQHTML(filterData.config.bandwidth, currentValue);
+            }
+            if (param.curvePoints) {
+                return this.createCurvePointsHTML(filterData.config);
+            }
+            if (param.firPreview) {
+                return this.createFIRPreviewHTML();
+            }
+            if (param.impulseFile) {
+                return this.createImpulseResponseHTML(filterData.config);
+            }
+            if (param.octaveCompliance) {
+                const sampleRate = this.trackManager.getTrack(trackId).getFilterChain().audioContext.sampleRate;
+                return this.createOctaveBandComplianceHTML(filterData.config, sampleRate);
+            }
+            if (param.weightingTolerance) {
+                const sampleRate = this.trackManager.getTrack(trackId).getFilterChain().audioContext.sampleRate;
+                return this.createWeightingToleranceHTML(filterData.config, sampleRate);
+            }
+            return param.options
+                ? this.createParameterSelectHTML(param, currentValue)
+                : this.createParameterSliderHTML(param, currentValue);
+        }).join('');
+
+        return `
+            <div class="filter-item-editor" data-filter-index="${filterIndex}">
+                <div class="filter-header-editor">
+                    <span class="filter-type-editor">${this.capitalizeFilterType(filterData.config.type)}</span>
+                    <div class="filter-controls-editor">
                         <label class="toggle-switch filter-enabled-editor">
                             <input type="checkbox" ${filterData.enabled ? 'checked' : ''}>
                             <span class="toggle-slider"></span>
@@ -844,9 +1503,11 @@ class NoiseShaperweb {
                 });
             }
             
-            // Parameter sliders
+            // Parameter sliders (EQ band sliders are handled per band below)
             const paramSliders = filterItem.querySelectorAll('.filter-param-slider-editor');
             paramSliders.forEach(slider => {
+                if (slider.closest('.eq-band-editor')) return;
+                
                 const parameter = slider.getAttribute('data-param');
                 const valueDisplay = slider.parentElement.querySelector('.filter-param-value-editor');
                 
@@ -862,6 +1523,201 @@ class NoiseShaperweb {
                     
                     // Update filter parameter
                     this.handleFilterParameterChange(trackId, filterIndex, parameter, value);
+                    this.updateFIRPreview(trackId, filterIndex, filterItem);
+                });
+            });
+            
+            // Parameter selects (e.g. lowpass/highpass response)
+            const paramSelects = filterItem.querySelectorAll('.filter-param-select-editor');
+            paramSelects.forEach(select => {
+                if (select.closest('.eq-band-editor')) return;
+                
+                const parameter = select.getAttribute('data-param');
+                
+                select.addEventListener('change', (event) => {
+                    if (parameter === 'bandwidth') {
+                        // Graphic EQ: the band layout changes, so the sliders are rebuilt
+                        this.handleGraphicEQBandwidthChange(trackId, filterIndex, event.target.value);
+                        return;
+                    }
+                    if (filterItem.querySelector('.octave-band-compliance')) {
+                        // Octave band: the band list and the compliance check follow the selection
+                        this.handleOctaveBandChange(trackId, filterIndex, parameter, Number(event.target.value));
+                        return;
+                    }
+                    this.handleFilterParameterChange(trackId, filterIndex, parameter, event.target.value);
+                    
+                    if (filterItem.querySelector('.fir-preview') || filterItem.querySelector('.weighting-tolerance') ||
+                        parameter === 'widthMode') {
+                        // FIR: the response sets which cutoffs show and the method the tap limit;
+                        // weighting: the tolerance check follows the curve; harmonic notch: Q or Hz slider
+                        this.updateFilterEditor(trackId);
+                    }
+                });
+            });
+            
+            // FIR designer preview (taps and response of the live design)
+            const firPreview = filterItem.querySelector('.fir-preview');
+            if (firPreview) {
+                this.updateFIRPreview(trackId, filterIndex, filterItem);
+                
+                firPreview.querySelector('.fir-copy-btn').addEventListener('click', async () => {
+                    const status = firPreview.querySelector('.fir-copy-status');
+                    try {
+                        await navigator.clipboard.writeText(firPreview.querySelector('.fir-taps-text').value);
+                        status.textContent = 'Copied';
+                    } catch (error) {
+                        status.textContent = 'Copy failed';
+                    }
+                });
+            }
+            
+            // Convolution: load an impulse response file
+            const impulseInput = filterItem.querySelector('.impulse-file-input');
+            if (impulseInput) {
+                impulseInput.addEventListener('change', (event) => {
+                    const file = event.target.files[0];
+                    event.target.value = '';
+                    if (file) {
+                        this.handleImpulseResponseFile(trackId, filterIndex, file);
+                    }
+                });
+            }
+            
+            // Graphic EQ band sliders (double-click resets a band, Flat resets all)
+            filterItem.querySelectorAll('.geq-band-slider').forEach(slider => {
+                const bandIndex = Number(slider.getAttribute('data-band-index'));
+                const valueDisplay = slider.parentElement.querySelector('.geq-band-value');
+                const setGain = (gain) => {
+                    slider.value = gain;
+                    valueDisplay.textContent = gain.toFixed(1);
+                    this.handleGraphicEQGainChange(trackId, filterIndex, bandIndex, gain);
+                };
+                
+                slider.addEventListener('input', (event) => setGain(parseFloat(event.target.value)));
+                slider.addEventListener('dblclick', () => setGain(0));
+            });
+            
+            const flatBtn = filterItem.querySelector('.geq-flat-btn');
+            if (flatBtn) {
+                flatBtn.addEventListener('click', () => {
+                    const gains = this.trackManager.getTrack(trackId).getFilterChain().getFilter(filterIndex).config.gains;
+                    this.handleFilterParameterChange(trackId, filterIndex, 'gains', gains.map(() => 0));
+                    this.updateFilterEditor(trackId);
+                });
+            }
+            
+            // Drawn curve: back to the default breakpoints (dropping an imported file)
+            const curveResetBtn = filterItem.querySelector('.curve-reset-btn');
+            if (curveResetBtn) {
+                curveResetBtn.addEventListener('click', () => {
+                    const points = CurveFilterDesign.getDefaultConfig().points;
+                    if (this.handleFilterParameterChange(trackId, filterIndex, 'points', points)) {
+                        this.handleFilterParameterChange(trackId, filterIndex, 'importSource', null);
+                        this.updateFilterEditor(trackId);
+                    }
+                });
+            }
+            
+            // Curve import: the options apply when a file loads and re-apply to the loaded file when changed
+            const curveImport = filterItem.querySelector('.curve-import-editor');
+            if (curveImport) {
+                const readOptions = () => ({
+                    smoothing: Number(curveImport.querySelector('.curve-import-smoothing').value),
+                    invert: curveImport.querySelector('.curve-import-invert').checked,
+                    offset: Number(curveImport.querySelector('.curve-import-offset').value)
+                });
+                
+                curveImport.querySelector('.curve-import-file').addEventListener('change', (event) => {
+                    const file = event.target.files[0];
+                    event.target.value = '';
+                    if (file) {
+                        this.handleCurveImportFile(trackId, filterIndex, file, readOptions());
+                    }
+                });
+                
+                const offsetValue = curveImport.querySelector('.curve-import-offset-value');
+                curveImport.querySelector('.curve-import-offset').addEventListener('input', (event) => {
+                    offsetValue.textContent = `${Number(event.target.value).toFixed(1)} dB`;
+                    this.handleCurveImportOptionsChange(trackId, filterIndex, readOptions());
+                });
+                curveImport.querySelectorAll('.curve-import-smoothing, .curve-import-invert').forEach(control => {
+                    control.addEventListener('change', () => this.handleCurveImportOptionsChange(trackId, filterIndex, readOptions()));
+                });
+                
+                const columnSelect = curveImport.querySelector('.curve-import-column');
+                if (columnSelect) {
+                    columnSelect.addEventListener('change', (event) => {
+                        this.handleCurveImportOptionsChange(trackId, filterIndex, { column: Number(event.target.value) });
+                    });
+                }
+            }
+            
+            // Parametric EQ bands
+            filterItem.querySelectorAll('.eq-band-editor').forEach(bandEditor => {
+                const bandIndex = Number(bandEditor.getAttribute('data-band-index'));
+                
+                bandEditor.querySelectorAll('.filter-param-slider-editor').forEach(slider => {
+                    const parameter = slider.getAttribute('data-param');
+                    const valueDisplay = slider.parentElement.querySelector('.filter-param-value-editor');
+                    
+                    slider.addEventListener('input', (event) => {
+                        const value = parseFloat(event.target.value);
+                        valueDisplay.textContent = this.formatParameterValue(this.getParameterDefinition(parameter, slider), value);
+                        this.handleEQBandChange(trackId, filterIndex, bandIndex, { [parameter]: value });
+                    });
+                });
+                
+                bandEditor.querySelector('.eq-band-type').addEventListener('change', (event) => {
+                    // The band's controls depend on its type (pass bands have no gain, shelves no Q)
+                    this.handleEQBandChange(trackId, filterIndex, bandIndex, { type: event.target.value });
+                    this.updateFilterEditor(trackId);
+                });
+                
+                bandEditor.querySelector('.eq-band-enabled input').addEventListener('change', (event) => {
+                    this.handleEQBandChange(trackId, filterIndex, bandIndex, { enabled: event.target.checked });
+                });
+                
+                bandEditor.querySelector('.eq-band-remove').addEventListener('click', () => {
+                    this.handleEQBandsChange(trackId, filterIndex, bands => bands.filter((band, i) => i !== bandIndex));
+                    this.updateFilterEditor(trackId);
+                });
+            });
+            
+            const addBandBtn = filterItem.querySelector('.eq-add-band-btn');
+            if (addBandBtn) {
+                addBandBtn.addEventListener('click', () => {
+                    this.handleEQBandsChange(trackId, filterIndex, bands => [...bands, ParametricEQDesign.createBand()]);
+                    this.updateFilterEditor(trackId);
+                });
+            }
+            
+            // Text parameters (custom IIR coefficients), applied on demand or loaded from a file
+            const paramTexts = filterItem.querySelectorAll('.filter-param-text-editor');
+            paramTexts.forEach(textarea => {
+                const parameter = textarea.getAttribute('data-param');
+                const container = textarea.closest('.filter-param-text-block');
+                const status = container.querySelector('.filter-param-status-editor');
+                const applyText = () => {
+                    const applied = this.handleFilterParameterChange(trackId, filterIndex, parameter, textarea.value);
+                    status.textContent = applied
+                        ? (textarea.value.trim() ? 'Applied' : 'No coefficients (flat)')
+                        : 'Not applied';
+                };
+                
+                container.querySelector('.filter-param-apply-editor').addEventListener('click', applyText);
+                
+                container.querySelector('.filter-param-file-input').addEventListener('change', async (event) => {
+                    const file = event.target.files[0];
+                    event.target.value = '';
+                    if (!file) return;
+                    
+                    try {
+                        textarea.value = await file.text();
+                        applyText();
+                    } catch (error) {
+                        this.showError(`Failed to read ${file.name}: ${error.message}`);
+                    }
                 });
             });
         });
@@ -1056,15 +1912,205 @@ class NoiseShaperweb {
     
     /**
      * Handle filter parameter change
+     * @returns {boolean} Whether the filter accepted the value
      */
     handleFilterParameterChange(trackId, filterIndex, parameter, value) {
         try {
             const track = this.trackManager.getTrack(trackId);
             track.getFilterChain().setFilterParameter(filterIndex, parameter, value);
+            return true;
             
         } catch (error) {
             console.error(`Failed to change filter parameter:`, error);
             this.showError(`Failed to change filter parameter: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Handle a change to the bands of a parametric EQ
+     * @param {Function} update - Maps the current bands to the new bands
+     * @returns {boolean} Whether the EQ accepted the bands
+     */
+    handleEQBandsChange(trackId, filterIndex, update) {
+        try {
+            const filterData = this.trackManager.getTrack(trackId).getFilterChain().getFilter(filterIndex);
+            return this.handleFilterParameterChange(trackId, filterIndex, 'bands', update(filterData.config.bands));
+            
+        } catch (error) {
+            console.error(`Failed to change EQ bands:`, error);
+            this.showError(`Failed to change EQ bands: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Handle a change to one band of a parametric EQ
+     * @param {Object} changes - Band fields to change (type, frequency, Q, gain, enabled)
+     * @returns {boolean} Whether the EQ accepted the change
+     */
+    handleEQBandChange(trackId, filterIndex, bandIndex, changes) {
+        return this.handleEQBandsChange(trackId, filterIndex, bands =>
+            bands.map((band, i) => (i === bandIndex ? { ...band, ...changes } : band))
+        );
+    }
+    
+    /**
+     * Handle a graphic EQ slider change
+     */
+    handleGraphicEQGainChange(trackId, filterIndex, bandIndex, gain) {
+        try {
+            const filterData = this.trackManager.getTrack(trackId).getFilterChain().getFilter(filterIndex);
+            const gains = filterData.config.gains.map((value, i) => (i === bandIndex ? gain : value));
+            this.handleFilterParameterChange(trackId, filterIndex, 'gains', gains);
+            
+        } catch (error) {
+            console.error(`Failed to change graphic EQ band:`, error);
+            this.showError(`Failed to change graphic EQ band: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Handle switching a graphic EQ between third-octave and octave bands
+     * (the new bands take the gains of the nearest old bands)
+     */
+    handleGraphicEQBandwidthChange(trackId, filterIndex, bandwidth) {
+        try {
+            const config = this.trackManager.getTrack(trackId).getFilterChain().getFilter(filterIndex).config;
+            const gains = GraphicEQDesign.convertGains(config.gains, config.bandwidth, bandwidth);
+            this.handleFilterParameterChange(trackId, filterIndex, 'gains', gains);
+            this.handleFilterParameterChange(trackId, filterIndex, 'bandwidth', bandwidth);
+            this.updateFilterEditor(trackId);
+            
+        } catch (error) {
+            console.error(`Failed to change graphic EQ bands:`, error);
+            this.showError(`Failed to change graphic EQ bands: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Handle an octave band selection (a new bandwidth moves to its band nearest the old one)
+     */
+    handleOctaveBandChange(trackId, filterIndex, parameter, value) {
+        try {
+            const filterChain = this.trackManager.getTrack(trackId).getFilterChain();
+            const config = filterChain.getFilter(filterIndex).config;
+            if (parameter === 'fraction') {
+                const { fraction, band } = OctaveBandDesign.getBand(config);
+                const toBand = OctaveBandDesign.convertBand(fraction, band, value, filterChain.audioContext.sampleRate);
+                this.handleFilterParameterChange(trackId, filterIndex, 'band', toBand);
+            }
+            this.handleFilterParameterChange(trackId, filterIndex, parameter, value);
+            this.updateFilterEditor(trackId);
+            
+        } catch (error) {
+            console.error(`Failed to change octave band:`, error);
+            this.showError(`Failed to change octave band: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Show band values changed elsewhere (e.g. dragged on the spectrum) in the open EQ editor
+     */
+    updateEQBandControls(filterIndex, bandIndex, changes) {
+        const bandEditor = this.elements.filterEditor.querySelector(
+            `.filter-item-editor[data-filter-index="${filterIndex}"] .eq-band-editor[data-band-index="${bandIndex}"]`
+        );
+        if (!bandEditor) return;
+        
+        Object.entries(changes).forEach(([parameter, value]) => {
+            const slider = bandEditor.querySelector(`.filter-param-slider-editor[data-param="${parameter}"]`);
+            if (slider) {
+                slider.value = value;
+                slider.parentElement.querySelector('.filter-param-value-editor').textContent =
+                    this.formatParameterValue(this.getParameterDefinition(parameter, slider), value);
+            }
+        });
+    }
+    
+    /**
+     * Handle loading a frequency-response file into a drawn curve
+     * (imported curves switch to linear interpolation, which their breakpoints are reduced for)
+     */
+    async handleCurveImportFile(trackId, filterIndex, file, options) {
+        try {
+            const parsed = CurveImport.parse(await file.text());
+            const source = { name: file.name, ...parsed, column: parsed.defaultColumn, ...options };
+            
+            if (this.applyCurveImport(trackId, filterIndex, source)) {
+                this.handleFilterParameterChange(trackId, filterIndex, 'interpolation', 'linear');
+                this.updateFilterEditor(trackId);
+            }
+            
+        } catch (error) {
+            console.error(`Failed to import curve:`, error);
+            this.showError(`Failed to import ${file.name}: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Handle loading an impulse response file into a convolution filter
+     * (the length slider is rebuilt for the new response)
+     */
+    async handleImpulseResponseFile(trackId, filterIndex, file) {
+        try {
+            await this.trackManager.getTrack(trackId).getFilterChain().loadImpulseResponse(filterIndex, file);
+            this.updateFilterEditor(trackId);
+            
+        } catch (error) {
+            console.error(`Failed to load impulse response:`, error);
+            this.showError(`Failed to load ${file.name}: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Handle a change to the import options of a drawn curve (re-applied to its imported file)
+     * @param {Object} changes - Import options to change (column, smoothing, invert, offset)
+     */
+    handleCurveImportOptionsChange(trackId, filterIndex, changes) {
+        const filterChain = this.trackManager.getTrack(trackId).getFilterChain();
+        const source = filterChain.getFilter(filterIndex).config.importSource;
+        if (!source || !this.applyCurveImport(trackId, filterIndex, { ...source, ...changes })) return;
+        
+        const config = filterChain.getFilter(filterIndex).config;
+        this.updateCurvePointsControls(filterIndex, config.points);
+        const status = this.elements.filterEditor.querySelector(
+            `.filter-item-editor[data-filter-index="${filterIndex}"] .curve-import-status`
+        );
+        if (status) {
+            status.textContent = this.formatCurveImportStatus(config.importSource);
+        }
+    }
+    
+    /**
+     * Turn an imported file into the breakpoints of a drawn curve and keep the file with the filter
+     * @param {Object} source - Parsed file (CurveImport.parse) with its name and import options
+     * @returns {boolean} Whether the curve accepted the breakpoints
+     */
+    applyCurveImport(trackId, filterIndex, source) {
+        try {
+            const result = CurveImport.createPoints(source.columns[source.column].points, source);
+            const importSource = { ...source, deviation: result.deviation, clamped: result.clamped };
+            
+            return this.handleFilterParameterChange(trackId, filterIndex, 'points', result.points) &&
+                this.handleFilterParameterChange(trackId, filterIndex, 'importSource', importSource);
+            
+        } catch (error) {
+            console.error(`Failed to apply imported curve:`, error);
+            this.showError(`Failed to apply imported curve: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Show the breakpoint count of a drawn curve edited on the spectrum in the open editor
+     */
+    updateCurvePointsControls(filterIndex, points) {
+        const count = this.elements.filterEditor.querySelector(
+            `.filter-item-editor[data-filter-index="${filterIndex}"] .curve-points-count`
+        );
+        if (count) {
+            count.textContent = this.formatCurvePointCount(points);
         }
     }
     
@@ -1131,7 +2177,7 @@ class NoiseShaperweb {
             console.log(`DEBUG: Got track:`, { id: track.id, isPlaying: track.isPlaying });
             
             // Show loading state while adding advanced filter
-            if (['gaussian', 'parabolic', 'plateau'].includes(filterType)) {
+            if (SpectralFilters.isSpectralType(filterType)) {
                 this.updateStatus(`Adding ${filterType} filter...`, 'loading');
             }
             
@@ -1488,7 +2534,8 @@ class NoiseShaperweb {
         if (frequency >= 1000) {
             return `${(frequency / 1000).toFixed(1)}k Hz`;
         }
-        return `${frequency.toFixed(0)} Hz`;
+        // Fractional settings (harmonic notch fundamentals and widths) keep a decimal
+        return `${frequency.toFixed(Number.isInteger(frequency) ? 0 : 1)} Hz`;
     }
     
     /**
@@ -1541,6 +2588,16 @@ class NoiseShaperweb {
             const params = this.getAdvancedFilterParameters(filterData.config.type);
             console.log(`DEBUG: Advanced filter parameters:`, params);
             return params;
+        } else if (filterData.isCascade) {
+            const params = this.getCascadeFilterParameters(filterData.config.type, filterData.config);
+            console.log(`DEBUG: Cascade filter parameters:`, params);
+            return params;
+        } else if (filterData.isFIR) {
+            const params = ConvolutionFilterDesign.isConvolutionType(filterData.config.type)
+                ? this.getConvolutionFilterParameters(filterData.config)
+                : this.getFIRFilterParameters(filterData.config);
+            console.log(`DEBUG: FIR filter parameters:`, params);
+            return params;
         } else {
             const params = this.getStandardFilterParameters(filterData.config.type);
             console.log(`DEBUG: Standard filter parameters:`, params);
@@ -1552,6 +2609,7 @@ class NoiseShaperweb {
      * Get standard filter parameters based on type
      */
     getStandardFilterParameters(filterType) {
+        const isShelf = filterType === 'lowshelf' || filterType === 'highshelf';
         const baseParams = [
             {
                 name: 'frequency',
@@ -1573,8 +2631,13 @@ class NoiseShaperweb {
             }
         ];
 
-        // Add gain parameter for peaking filters
-        if (filterType === 'peaking') {
+        // Shelving filters have a fixed slope; BiquadFilterNode ignores their Q
+        if (isShelf) {
+            baseParams.pop();
+        }
+
+        // Add gain parameter for peaking and shelving filters
+        if (filterType === 'peaking' || isShelf) {
             baseParams.push({
                 name: 'gain',
                 label: 'Gain',
@@ -1589,6 +2652,348 @@ class NoiseShaperweb {
         return baseParams;
     }
 
+    /**
+     * Get cascade filter parameters (tilt, higher-order filter families, custom IIR, parametric EQ) based on type
+     */
+    getCascadeFilterParameters(filterType, config = {}) {
+        // Parametric EQs edit their bands in one block
+        if (filterType === 'parametricEQ') {
+            return [{ name: 'bands', label: 'Bands', bands: true }];
+        }
+
+        // Octave bands: bandwidth, a band picked by its nominal center and the class 1 check
+        // (bands too close to Nyquist at the live sample rate cannot be picked)
+        if (filterType === 'octaveBand') {
+            const { fraction } = OctaveBandDesign.getBand(config);
+            const sampleRate = this.audioEngine.audioContext.sampleRate;
+            return [
+                {
+                    name: 'fraction',
+                    label: 'Bandwidth',
+                    options: Object.entries(OctaveBandDesign.FRACTIONS).map(([value, label]) => ({ value: Number(value), label }))
+                },
+                {
+                    name: 'band',
+                    label: 'Band',
+                    options: OctaveBandDesign.getBands(fraction).map(band => ({
+                        value: band.band,
+                        label: band.nominal >= 1000 ? `${Number((band.nominal / 1000).toPrecision(4))}k Hz` : `${band.nominal} Hz`,
+                        disabled: !OctaveBandDesign.isBandAvailable(fraction, band.band, sampleRate)
+                    }))
+                },
+                { name: 'compliance', label: 'IEC 61260', octaveCompliance: true }
+            ];
+        }
+
+        // Weightings: the curve and its tolerance check
+        if (filterType === 'weighting') {
+            return [
+                {
+                    name: 'curve',
+                    label: 'Curve',
+                    options: Object.entries(WeightingDesign.CURVES).map(([value, label]) => ({ value, label }))
+                },
+                { name: 'tolerance', label: 'Tolerance', weightingTolerance: true }
+            ];
+        }
+
+        // Harmonic notches: the series, the depth and a Q or a width in Hz
+        if (filterType === 'harmonicNotch') {
+            const { min, max } = HarmonicNotchDesign.DEPTH_RANGE;
+            const width = (config.widthMode || HarmonicNotchDesign.getDefaultConfig().widthMode) === 'q'
+                ? { name: 'Q', label: 'Q Factor', min: 1, max: 100, step: 0.5, scale: 'linear', unit: '' }
+                : { name: 'notchWidth', label: 'Width', min: 0.1, max: 100, step: 0.1, scale: 'logarithmic', unit: 'Hz' };
+            return [
+                {
+                    name: 'fundamental',
+                    label: 'Fundamental',
+                    min: 20,
+                    max: 2000,
+                    step: 0.1,
+                    scale: 'logarithmic',
+                    unit: 'Hz'
+                },
+                {
+                    name: 'harmonics',
+                    label: 'Harmonics',
+                    min: 1,
+                    max: HarmonicNotchDesign.MAX_HARMONICS,
+                    step: 1,
+                    scale: 'linear',
+                    unit: ''
+                },
+                {
+                    name: 'depth',
+                    label: 'Depth',
+                    min,
+                    max,
+                    step: 1,
+                    scale: 'linear',
+                    unit: 'dB'
+                },
+                {
+                    name: 'widthMode',
+                    label: 'Width',
+                    options: Object.entries(HarmonicNotchDesign.WIDTH_MODES).map(([value, label]) => ({ value, label }))
+                },
+                width
+            ];
+        }
+
+        // Graphic EQs: band layout, Q behavior and a row of band sliders
+        if (filterType === 'graphicEQ') {
+            return [
+                {
+                    name: 'bandwidth',
+                    label: 'Bands',
+                    options: Object.entries(GraphicEQDesign.BANDWIDTHS).map(([value, layout]) => ({ value, label: layout.label }))
+                },
+                {
+                    name: 'qMode',
+                    label: 'Q',
+                    options: [
+                        { value: 'constant', label: 'Constant Q' },
+                        { value: 'proportional', label: 'Proportional Q' }
+                    ]
+                },
+                { name: 'gains', label: 'Gains', graphicBands: true }
+            ];
+        }
+
+        // Custom IIR filters take pasted or loaded coefficients instead of sliders
+        if (filterType === 'customIIR') {
+            return [
+                {
+                    name: 'coefficients',
+                    label: 'Coefficients',
+                    text: true,
+                    placeholder: 'b = [b0, b1, ...]\na = [1, a1, ...]\nor SOS rows: b0 b1 b2 a0 a1 a2',
+                    accept: '.txt,.csv,.json'
+                }
+            ];
+        }
+
+        // Tilt is set by its slope and the frequency it pivots around
+        if (filterType === 'tilt') {
+            return [
+                {
+                    name: 'slope',
+                    label: 'Slope',
+                    min: -12,
+                    max: 12,
+                    step: 0.1,
+                    scale: 'linear',
+                    unit: 'dB/oct'
+                },
+                {
+                    name: 'pivot',
+                    label: 'Pivot',
+                    min: 20,
+                    max: 20000,
+                    step: 1,
+                    scale: 'logarithmic',
+                    unit: 'Hz'
+                }
+            ];
+        }
+
+        const isLinkwitzRiley = filterType === 'linkwitzRiley';
+        const baseParams = [
+            {
+                name: 'response',
+                label: 'Response',
+                options: [
+                    { value: 'lowpass', label: 'Low Pass' },
+                    { value: 'highpass', label: 'High Pass' }
+                ]
+            },
+            {
+                name: 'frequency',
+                label: filterType === 'chebyshev2' ? 'Stop Freq' : 'Frequency',
+                min: 20,
+                max: 20000,
+                step: 1,
+                scale: 'logarithmic',
+                unit: 'Hz'
+            },
+            {
+                name: 'order',
+                label: 'Order',
+                // Linkwitz-Riley filters only exist in even orders
+                min: isLinkwitzRiley ? 2 : 1,
+                max: 8,
+                step: isLinkwitzRiley ? 2 : 1,
+                scale: 'linear',
+                unit: ''
+            }
+        ];
+
+        if (filterType === 'chebyshev1') {
+            baseParams.push({
+                name: 'ripple',
+                label: 'Ripple',
+                min: 0.1,
+                max: 6,
+                step: 0.1,
+                scale: 'linear',
+                unit: 'dB'
+            });
+        } else if (filterType === 'chebyshev2') {
+            baseParams.push({
+                name: 'attenuation',
+                label: 'Stop Atten',
+                min: 20,
+                max: 100,
+                step: 1,
+                scale: 'linear',
+                unit: 'dB'
+            });
+        }
+
+        return baseParams;
+    }
+
+    /**
+     * Get FIR filter parameters (band edges, ripple/attenuation spec, taps) and the designer preview
+     */
+    getFIRFilterParameters(config) {
+        const isBand = config.response === 'bandpass' || config.response === 'bandstop';
+        const params = [
+            {
+                name: 'method',
+                label: 'Method',
+                options: Object.entries(FIRDesign.METHODS).map(([value, label]) => ({ value, label }))
+            },
+            {
+                name: 'response',
+                label: 'Response',
+                options: Object.entries(FIRDesign.RESPONSES).map(([value, label]) => ({ value, label }))
+            },
+            {
+                name: 'frequency',
+                label: isBand ? 'Low Cutoff' : 'Cutoff',
+                min: 20,
+                max: 20000,
+                step: 1,
+                scale: 'logarithmic',
+                unit: 'Hz'
+            }
+        ];
+
+        if (isBand) {
+            params.push({
+                name: 'frequency2',
+                label: 'High Cutoff',
+                min: 20,
+                max: 20000,
+                step: 1,
+                scale: 'logarithmic',
+                unit: 'Hz'
+            });
+        }
+
+        params.push(
+            {
+                name: 'transition',
+                label: 'Transition',
+                min: 10,
+                max: 5000,
+                step: 1,
+                scale: 'logarithmic',
+                unit: 'Hz'
+            },
+            {
+                name: 'ripple',
+                label: 'Ripple',
+                min: 0.1,
+                max: 3,
+                step: 0.1,
+                scale: 'linear',
+                unit: 'dB'
+            },
+            {
+                name: 'attenuation',
+                label: 'Stop Atten',
+                min: 20,
+                max: 120,
+                step: 1,
+                scale: 'linear',
+                unit: 'dB'
+            },
+            {
+                name: 'taps',
+                label: 'Taps',
+                min: FIRDesign.TAP_RANGE.min,
+                max: config.method === 'equiripple' ? FIRDesign.MAX_EQUIRIPPLE_TAPS : FIRDesign.TAP_RANGE.max,
+                step: 2,
+                scale: 'linear',
+                unit: ''
+            },
+            { name: 'preview', label: 'Preview', firPreview: true }
+        );
+
+        return params;
+    }
+
+    /**
+     * Get convolution filter parameters (impulse response file, normalization, tail, mix and predelay)
+     */
+    getConvolutionFilterParameters(config) {
+        const params = [
+            { name: 'impulse', label: 'Impulse', impulseFile: true },
+            {
+                name: 'normalize',
+                label: 'Normalize',
+                options: Object.entries(ConvolutionFilterDesign.NORMALIZATIONS).map(([value, label]) => ({ value, label }))
+            }
+        ];
+
+        if (config.impulse) {
+            // The length slider trims the tail of the loaded response
+            params.push({
+                name: 'length',
+                label: 'Length',
+                min: 1,
+                max: Math.max(1, Math.round(ConvolutionFilterDesign.getDuration(config))),
+                step: 1,
+                scale: 'linear',
+                unit: 'ms'
+            });
+        }
+
+        params.push(
+            {
+                name: 'fade',
+                label: 'Tail Fade',
+                min: 0,
+                max: 1000,
+                step: 1,
+                scale: 'linear',
+                unit: 'ms'
+            },
+            {
+                name: 'mix',
+                label: 'Mix',
+                min: 0,
+                max: 100,
+                step: 1,
+                scale: 'linear',
+                unit: '%'
+            },
+            {
+                name: 'predelay',
+                label: 'Predelay',
+                min: 0,
+                max: ConvolutionFilterDesign.MAX_PREDELAY,
+                step: 1,
+                scale: 'linear',
+                unit: 'ms'
+            }
+        );
+
+        return params;
+    }
+
     /**
      * Get advanced filter parameters based on type
      */
@@ -1623,6 +3028,19 @@ class NoiseShaperweb {
             }
         ];
 
+        // Drawn curves are shaped on the spectrum; the editor keeps the interpolation and an overall gain
+        if (CurveFilterDesign.isCurveType(filterType)) {
+            return [
+                {
+                    name: 'interpolation',
+                    label: 'Interpolation',
+                    options: Object.entries(CurveFilterDesign.INTERPOLATIONS).map(([value, label]) => ({ value, label }))
+                },
+                baseParams.find(param => param.name === 'gain'),
+                { name: 'points', label: 'Points', curvePoints: true }
+            ];
+        }
+
         // Add type-specific parameters
         switch (filterType) {
             case 'gaussian':
@@ -1706,16 +3124,442 @@ class NoiseShaperweb {
         `;
     }
 
+    /**
+     * Create HTML for a parameter with a fixed set of options
+     */
+    createParameterSelectHTML(param, currentValue) {
+        const options = param.options.map(option => `
+                    <option value="${option.value}" ${option.value === currentValue ? 'selected' : ''} ${option.disabled ? 'disabled' : ''}>${option.label}</option>`).join('');
+
+        return `
+            <div class="filter-param-editor">
+                <span class="filter-param-label-editor">${param.label}</span>
+                <select class="filter-param-select-editor" data-param="${param.name}">${options}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Get the parameters of a parametric EQ band based on its type
+     */
+    getEQBandParameters(bandType) {
+        const params = [
+            {
+                name: 'frequency',
+                label: 'Frequency',
+                min: 20,
+                max: 20000,
+                step: 1,
+                scale: 'logarithmic',
+                unit: 'Hz'
+            }
+        ];
+
+        // Shelves have a fixed slope, like the standard shelving filters
+        if (bandType !== 'lowshelf' && bandType !== 'highshelf') {
+            params.push({
+                name: 'Q',
+                label: 'Q Factor',
+                min: 0.1,
+                max: 30,
+                step: 0.1,
+                scale: 'linear',
+                unit: ''
+            });
+        }
+
+        if (ParametricEQDesign.hasGain(bandType)) {
+            params.push({
+                name: 'gain',
+                label: 'Gain',
+                min: -ParametricEQDesign.GAIN_RANGE,
+                max: ParametricEQDesign.GAIN_RANGE,
+                step: 0.1,
+                scale: 'linear',
+                unit: 'dB'
+            });
+        }
+
+        return params;
+    }
+
+    /**
+     * Create HTML for the bands of a parametric EQ
+     */
+    createEQBandsHTML(bands) {
+        const bandTypeLabels = {
+            peaking: 'Peak',
+            lowshelf: 'Low Shelf',
+            highshelf: 'High Shelf',
+            lowpass: 'Low Pass',
+            highpass: 'High Pass'
+        };
+
+        const bandsHTML = bands.map((band, bandIndex) => {
+            const options = ParametricEQDesign.BAND_TYPES.map(type => `
+                            <option value="${type}" ${type === band.type ? 'selected' : ''}>${bandTypeLabels[type]}</option>`).join('');
+            const slidersHTML = this.getEQBandParameters(band.type)
+                .map(param => this.createParameterSliderHTML(param, band[param.name]))
+                .join('');
+
+            return `
+                <div class="eq-band-editor" data-band-index="${bandIndex}">
+                    <div class="eq-band-header">
+                        <span class="eq-band-number">${bandIndex + 1}</span>
+                        <select class="filter-param-select-editor eq-band-type">${options}
+                        </select>
+                        <label class="toggle-switch eq-band-enabled">
+                            <input type="checkbox" ${band.enabled !== false ? 'checked' : ''}>
+                            <span class="toggle-slider"></span>
+                        </label>
+                        <button class="eq-band-remove" title="Remove Band">×</button>
+                    </div>
+                    ${slidersHTML}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="eq-bands-editor">
+                ${bandsHTML}
+                <button class="eq-add-band-btn" ${bands.length >= ParametricEQDesign.MAX_BANDS ? 'disabled' : ''}>+ Add Band</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the band sliders of a graphic EQ
+     */
+    createGraphicEQHTML(bandwidth, gains) {
+        const range = GraphicEQDesign.GAIN_RANGE;
+        const slidersHTML = GraphicEQDesign.getLayout(bandwidth).nominal.map((frequency, bandIndex) => {
+            const gain = gains[bandIndex] || 0;
+            const label = frequency >= 1000 ? `${frequency / 1000}k` : String(frequency);
+            return `
+                    <div class="geq-band">
+                        <span class="geq-band-value">${gain.toFixed(1)}</span>
+                        <input type="range" class="geq-band-slider" data-band-index="${bandIndex}"
+                               min="${-range}" max="${range}" step="0.5" value="${gain}"
+                               title="${label} Hz (double-click for 0 dB)">
+                        <span class="geq-band-label">${label}</span>
+                    </div>`;
+        }).join('');
+
+        return `
+            <div class="geq-editor">
+                <div class="geq-bands">${slidersHTML}
+                </div>
+                <div class="geq-actions">
+                    <span class="geq-range">±${range} dB</span>
+                    <button class="geq-flat-btn">Flat</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the breakpoints of a drawn curve (edited on the spectrum) and curve import
+     */
+    createCurvePointsHTML(config) {
+        const source = config.importSource;
+        const options = { smoothing: 0, invert: false, offset: 0, ...source };
+        const range = CurveFilterDesign.GAIN_RANGE;
+        const smoothingOptions = CurveImport.SMOOTHINGS.map(choice => `
+                        <option value="${choice.value}" ${choice.value === options.smoothing ? 'selected' : ''}>${choice.label}</option>`).join('');
+        const columnOptions = source && source.columns.length > 1
+            ? source.columns.map((column, i) => `
+                        <option value="${i}" ${i === source.column ? 'selected' : ''}>${this.escapeHTML(column.name)}</option>`).join('')
+            : '';
+
+        return `
+            <div class="filter-param-editor curve-points-editor">
+                <span class="filter-param-label-editor">Points</span>
+                <span class="curve-points-count">${this.formatCurvePointCount(config.points)}</span>
+                <button class="curve-reset-btn">Reset</button>
+            </div>
+            <div class="curve-points-hint">
+                Click the spectrum to add a point, drag across it to draw, drag a point to move it, double-click a point to remove it.
+            </div>
+            <div class="curve-import-editor">
+                <div class="filter-param-editor">
+                    <span class="filter-param-label-editor">Import</span>
+                    <label class="track-file-button" title="Load a frequency response: CSV/TXT, REW export, AutoEQ response CSV or EQ file">
+                        Load…
+                        <input type="file" class="curve-import-file" accept=".csv,.txt,.frd,.tsv" hidden>
+                    </label>
+                    <span class="curve-import-status">${this.escapeHTML(this.formatCurveImportStatus(source))}</span>
+                </div>${columnOptions ? `
+                <div class="filter-param-editor">
+                    <span class="filter-param-label-editor">Column</span>
+                    <select class="curve-import-select curve-import-column">${columnOptions}
+                    </select>
+                </div>` : ''}
+                <div class="filter-param-editor">
+                    <span class="filter-param-label-editor">Smoothing</span>
+                    <select class="curve-import-select curve-import-smoothing">${smoothingOptions}
+                    </select>
+                </div>
+                <div class="filter-param-editor">
+                    <span class="filter-param-label-editor">Invert</span>
+                    <label class="toggle-switch" title="Invert the imported levels (e.g. a measurement into its compensation)">
+                        <input type="checkbox" class="curve-import-invert" ${options.invert ? 'checked' : ''}>
+                        <span class="toggle-slider"></span>
+                    </label>
+                </div>
+                <div class="filter-param-editor">
+                    <span class="filter-param-label-editor">Offset</span>
+                    <input type="range" class="curve-import-offset" min="${-range}" max="${range}" step="0.5" value="${options.offset}">
+                    <span class="filter-param-value-editor curve-import-offset-value">${options.offset.toFixed(1)} dB</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Imported file summary of a drawn curve for display
+     */
+    formatCurveImportStatus(source) {
+        if (!source) return '';
+        const column = source.columns.length > 1 ? `, ${source.columns[source.column].name}` : '';
+        const clamped = source.clamped ? `, levels clamped to ±${CurveFilterDesign.GAIN_RANGE} dB` : '';
+        return `${source.name} (${source.format}${column}): within ${source.deviation.toFixed(2)} dB${clamped}`;
+    }
+
+    /**
+     * Breakpoint count of a drawn curve for display
+     */
+    formatCurvePointCount(points) {
+        return `${points.length} ${points.length === 1 ? 'point' : 'points'}`;
+    }
+
+    /**
+     * Create HTML for the band edges of an octave band filter and its class 1 check at the live sample rate
+     */
+    createOctaveBandComplianceHTML(config, sampleRate) {
+        const { fraction, band } = OctaveBandDesign.getBand(config);
+        const edges = OctaveBandDesign.getEdges(fraction, band);
+        const available = OctaveBandDesign.isBandAvailable(fraction, band, sampleRate);
+        const result = available ? OctaveBandDesign.checkCompliance(config, sampleRate) : { compliant: false, points: [] };
+        const failed = result.points.filter(point => !point.pass).length;
+        const status = !available
+            ? `Too close to Nyquist at ${sampleRate} Hz`
+            : result.compliant
+                ? `Class 1 met at ${sampleRate} Hz`
+                : `Class 1 not met at ${sampleRate} Hz (${failed} of ${result.points.length} mask points)`;
+
+        return `
+            <div class="octave-band-compliance">
+                <div class="octave-band-edges">${edges.lower.toFixed(1)} – ${edges.upper.toFixed(1)} Hz (center ${edges.center.toFixed(1)} Hz)</div>
+                <div class="octave-band-status ${result.compliant ? 'pass' : 'fail'}">${status}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the tolerance check of a weighting filter at the live sample rate
+     */
+    createWeightingToleranceHTML(config, sampleRate) {
+        const curve = config.curve || WeightingDesign.getDefaultConfig().curve;
+        const result = WeightingDesign.checkTolerance(config, sampleRate);
+        const standard = curve === 'ITU468' ? 'ITU-R 468' : 'Class 1';
+        const failed = result.points.filter(point => !point.pass).length;
+        const skipped = result.skipped > 0 ? `, ${result.skipped} above Nyquist not checked` : '';
+        const status = result.compliant
+            ? `${standard} met at ${sampleRate} Hz (within ${result.maxDeviation.toFixed(2)} dB${skipped})`
+            : `${standard} not met at ${sampleRate} Hz (${failed} of ${result.points.length} points${skipped})`;
+
+        return `
+            <div class="weighting-tolerance">
+                <div class="weighting-status ${result.compliant ? 'pass' : 'fail'}">${status}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the FIR designer preview (filled in by updateFIRPreview)
+     */
+    createFIRPreviewHTML() {
+        return `
+            <div class="fir-preview">
+                <canvas class="fir-preview-canvas" width="320" height="180"></canvas>
+                <div class="fir-preview-stats"></div>
+                <div class="fir-preview-hint"></div>
+                <div class="filter-param-editor">
+                    <span class="filter-param-label-editor">Coefficients</span>
+                    <button class="fir-copy-btn" title="Copy the taps, one per line">Copy</button>
+                    <span class="fir-copy-status"></span>
+                </div>
+                <textarea class="fir-taps-text" rows="4" readonly spellcheck="false"></textarea>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the taps and response of an FIR filter's current design in its preview
+     */
+    updateFIRPreview(trackId, filterIndex, filterItem) {
+        const preview = filterItem.querySelector('.fir-preview');
+        if (!preview) return;
+
+        const filterChain = this.trackManager.getTrack(trackId).getFilterChain();
+        const config = filterChain.getFilter(filterIndex).config;
+        const sampleRate = filterChain.audioContext.sampleRate;
+
+        // Same (cached) design the live filter runs
+        const taps = FIRDesign.design(config, sampleRate);
+        const { ripple, attenuation, transition } = FIRDesign.analyze(taps, config, sampleRate);
+        const delay = (taps.length - 1) / 2 / sampleRate * 1000;
+        const estimate = FIRDesign.estimateTaps(config, sampleRate);
+
+        preview.querySelector('.fir-preview-stats').textContent =
+            `${taps.length} taps, ${delay.toFixed(2)} ms delay · ripple ${ripple.toFixed(2)} dB, ` +
+            `stop band -${attenuation.toFixed(1)} dB with ${transition.toFixed(0)} Hz transitions · ` +
+            `spec needs about ${estimate} taps`;
+        preview.querySelector('.fir-preview-hint').textContent = {
+            kaiser: 'Kaiser window set by the ripple/attenuation spec; the cutoff is the -6 dB point.',
+            blackman: 'Fixed Blackman window (about 74 dB stop band); the cutoff is the -6 dB point.',
+            frequencySampling: 'Ideal response sampled at the taps\' DFT frequencies, with linear transitions.',
+            equiripple: 'Equal ripple in every band; the stop band is weighted by the ripple/attenuation spec.'
+        }[config.method] || '';
+        preview.querySelector('.fir-taps-text').value = Array.from(taps, tap => tap.toPrecision(8)).join('\n');
+        preview.querySelector('.fir-copy-status').textContent = '';
+
+        this.drawFIRPreview(preview.querySelector('.fir-preview-canvas'), taps, config, sampleRate);
+    }
+
+    /**
+     * Draw FIR taps (top) and magnitude response on a log frequency axis (bottom)
+     */
+    drawFIRPreview(canvas, taps, config, sampleRate) {
+        canvas.width = canvas.clientWidth || canvas.width;
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const tapsHeight = Math.round(height * 0.35);
+        const responseTop = tapsHeight + 8;
+        const responseHeight = height - responseTop;
+        const minDb = -Math.max(100, Math.ceil((Number(config.attenuation) || 60) / 20) * 20 + 20);
+        const maxDb = 6;
+        const minFreq = 20;
+        const maxFreq = Math.min(20000, sampleRate / 2);
+
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(0, 0, width, height);
+
+        // Grid: tap zero line, 0 dB, every 20 dB, decades
+        ctx.strokeStyle = '#404040';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, tapsHeight / 2);
+        ctx.lineTo(width, tapsHeight / 2);
+        const dbToY = db => responseTop + (maxDb - Math.max(minDb, Math.min(maxDb, db))) / (maxDb - minDb) * responseHeight;
+        for (let db = 0; db >= minDb; db -= 20) {
+            ctx.moveTo(0, dbToY(db));
+            ctx.lineTo(width, dbToY(db));
+        }
+        const freqToX = frequency => Math.log(frequency / minFreq) / Math.log(maxFreq / minFreq) * width;
+        [100, 1000, 10000].filter(frequency => frequency < maxFreq).forEach(frequency => {
+            ctx.moveTo(freqToX(frequency), responseTop);
+            ctx.lineTo(freqToX(frequency), height);
+        });
+        ctx.stroke();
+
+        // Attenuation spec
+        ctx.strokeStyle = '#fbbf24';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, dbToY(-(Number(config.attenuation) || 60)));
+        ctx.lineTo(width, dbToY(-(Number(config.attenuation) || 60)));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Taps, scaled to the largest
+        const peak = taps.reduce((max, tap) => Math.max(max, Math.abs(tap)), 0) || 1;
+        ctx.strokeStyle = '#4a9eff';
+        ctx.beginPath();
+        taps.forEach((tap, n) => {
+            const x = taps.length > 1 ? n / (taps.length - 1) * width : width / 2;
+            const y = tapsHeight / 2 - tap / peak * (tapsHeight / 2 - 2);
+            if (n === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+
+        // Magnitude response
+        const frequencies = Array.from({ length: width }, (_, x) => minFreq * Math.pow(maxFreq / minFreq, x / Math.max(1, width - 1)));
+        const magnitudes = FIRDesign.getMagnitudeResponse(taps, frequencies, sampleRate);
+        ctx.strokeStyle = '#4ade80';
+        ctx.beginPath();
+        magnitudes.forEach((magnitude, x) => {
+            const y = dbToY(20 * Math.log10(Math.max(magnitude, 1e-10)));
+            if (x === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Create HTML for the impulse response of a convolution filter (file button and what is loaded)
+     */
+    createImpulseResponseHTML(config) {
+        const impulse = config.impulse;
+        const name = this.escapeHTML(config.impulseName || '');
+        const info = impulse
+            ? `${name} · ${impulse.channels.length} ch · ${(ConvolutionFilterDesign.getDuration(config) / 1000).toFixed(2)} s`
+            : 'No impulse response (passes the input unchanged)';
+
+        return `
+            <div class="filter-param-editor impulse-file-editor">
+                <span class="filter-param-label-editor">Impulse</span>
+                <label class="track-file-button" title="Load an impulse response (WAV, FLAC, ...)">
+                    Load IR…
+                    <input type="file" class="impulse-file-input" accept="audio/*,.wav,.flac" hidden>
+                </label>
+                <span class="impulse-file-info">${info}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a free-text parameter with an Apply button and file loading
+     */
+    createParameterTextHTML(param, currentValue) {
+        const text = this.escapeHTML(currentValue || '');
+
+        return `
+            <div class="filter-param-editor filter-param-text-block">
+                <span class="filter-param-label-editor">${param.label}</span>
+                <textarea class="filter-param-text-editor" data-param="${param.name}" rows="4"
+                          spellcheck="false" placeholder="${param.placeholder.replace(/\n/g, '&#10;')}">${text}</textarea>
+                <div class="filter-param-text-actions">
+                    <button class="filter-param-apply-editor">Apply</button>
+                    <label class="track-file-button" title="Load coefficients from a text, CSV or JSON file">
+                        Load…
+                        <input type="file" class="filter-param-file-input" accept="${param.accept}" hidden>
+                    </label>
+                    <span class="filter-param-status-editor"></span>
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Get parameter definition from slider element
      */
     getParameterDefinition(paramName, sliderElement) {
         // Determine unit based on parameter name and slider attributes
         let unit = '';
-        if (paramName.includes('freq') || paramName.includes('frequency') || paramName.includes('Width')) {
+        if (paramName.includes('freq') || paramName.includes('frequency') || paramName.includes('Width') || paramName === 'pivot' || paramName === 'transition' || paramName === 'fundamental') {
             unit = 'Hz';
-        } else if (paramName === 'gain') {
+        } else if (paramName === 'gain' || paramName === 'ripple' || paramName === 'attenuation' || paramName === 'depth') {
             unit = 'dB';
+        } else if (paramName === 'slope') {
+            unit = 'dB/oct';
+        } else if (paramName === 'length' || paramName === 'fade' || paramName === 'predelay') {
+            unit = 'ms';
+        } else if (paramName === 'mix') {
+            unit = '%';
         }
 
         return {
@@ -1736,7 +3580,16 @@ class NoiseShaperweb {
                 return this.formatFrequency(value);
             case 'dB':
                 return this.formatDbValue(value);
+            case 'dB/oct':
+                return `${value.toFixed(1)} dB/oct`;
+            case 'ms':
+                return `${value.toFixed(0)} ms`;
+            case '%':
+                return `${value.toFixed(0)} %`;
             case '':
+                if (param.name === 'order' || param.name === 'taps' || param.name === 'harmonics') {
+                    return value.toFixed(0);
+                }
                 if (param.name === 'Q' || param.name === 'kurtosis' || param.name === 'flatness') {
                     return value.toFixed(1);
                 } else {
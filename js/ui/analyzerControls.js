@@ -6,6 +6,7 @@
  * - FFT size configuration (512-8192)
  * - Window function selection (Hann, Hamming, Blackman, Rectangle)
  * - Scale type selection (Logarithmic/Linear)
+ * - Weighting selection (Z, A, C, ITU-R 468)
  * - Averaging control (1-10 frames)
  * - Smoothing control (0-0.95)
  * - Real-time parameter updates
@@ -24,6 +25,7 @@ class AnalyzerControlsManager {
             fftSizeSelect: null,
             windowTypeSelect: null,
             scaleTypeSelect: null,
+            weightingSelect: null,
             averagingSlider: null,
             averagingValue: null,
             smoothingSlider: null,
@@ -43,6 +45,7 @@ class AnalyzerControlsManager {
         this.elements.fftSizeSelect = document.getElementById('fftSizeSelect');
         this.elements.windowTypeSelect = document.getElementById('windowTypeSelect');
         this.elements.scaleTypeSelect = document.getElementById('scaleTypeSelect');
+        this.elements.weightingSelect = document.getElementById('weightingSelect');
         this.elements.averagingSlider = document.getElementById('averagingSlider');
         this.elements.averagingValue = document.getElementById('averagingValue');
         this.elements.smoothingSlider = document.getElementById('smoothingSlider');
@@ -86,6 +89,13 @@ class AnalyzerControlsManager {
             console.log('Scale Type changed to:', scaleType);
         });
         
+        // Weighting of the spectrum and level readout
+        this.elements.weightingSelect?.addEventListener('change', (e) => {
+            const weighting = e.target.value;
+            this.updateAnalyzerConfig({ weighting });
+            console.log('Weighting changed to:', weighting);
+        });
+        
         // Averaging
         this.elements.averagingSlider?.addEventListener('input', (e) => {
             const averagingCount = parseInt(e.target.value);
@@ -146,6 +156,10 @@ class AnalyzerControlsManager {
             this.elements.scaleTypeSelect.value = config.scaleType;
         }
         
+        if (this.elements.weightingSelect) {
+            this.elements.weightingSelect.value = config.weighting;
+        }
+        
         // Update sliders and their value displays
         if (this.elements.averagingSlider) {
             this.elements.averagingSlider.value = config.averagingCount;
@@ -228,6 +242,7 @@ class AnalyzerControlsManager {
             fftSize: parseInt(this.elements.fftSizeSelect?.value || '2048'),
             windowType: this.elements.windowTypeSelect?.value || 'hann',
             scaleType: this.elements.scaleTypeSelect?.value || 'logarithmic',
+            weighting: this.elements.weightingSelect?.value || 'Z',
             averagingCount: parseInt(this.elements.averagingSlider?.value || '1'),
             smoothingTimeConstant: parseFloat(this.elements.smoothingSlider?.value || '0.8')
         };
@@ -250,6 +265,10 @@ class AnalyzerControlsManager {
             this.elements.scaleTypeSelect.value = config.scaleType;
         }
         
+        if (config.weighting && this.elements.weightingSelect) {
+            this.elements.weightingSelect.value = config.weighting;
+        }
+        
         if (config.averagingCount !== undefined && this.elements.averagingSlider) {
             this.elements.averagingSlider.value = config.averagingCount;
             this.elements.averagingValue.textContent = config.averagingCount;
@@ -9,6 +9,10 @@
  * - Frequency and amplitude grid markers
  * - Gradient spectrum fills matching audio software standards
  * - Responsive design with automatic scaling
+ * - Filter response overlay for the selected track's filter chain
+ * - Draggable parametric EQ band handles and graphic EQ slider marks
+ * - Drawn curve filters edited on the plot (breakpoints and freehand strokes)
+ * - Weighted level readout (the analyzer's weighting)
  */
 
 class SpectrumVisualizer {
@@ -49,6 +53,14 @@ class SpectrumVisualizer {
                 linear: [0, 2000, 4000, 6000, 8000, 10000, 12000, 14000, 16000, 18000, 20000]
             },
             decibelMarkers: [-120, -100, -80, -60, -40, -20, 0],
+            // Filter response overlay scale (labelled on the right)
+            responseColor: '#4ade80',
+            responseMinDecibels: -24,
+            responseMaxDecibels: 24,
+            responseDecibelMarkers: [-24, -12, 0, 12, 24],
+            bandHandleRadius: 7,
+            curveHandleRadius: 4,
+            curveStrokeSpacing: 1 / 24, // octaves between freehand stroke samples
             ...options
         };
         
@@ -65,6 +77,10 @@ class SpectrumVisualizer {
         this.filterResponse = null;
         this.analyzer = null;
         this.filterManager = null;
+        this.filterChainListener = () => this.updateFilterResponse();
+        this.draggedBand = null;
+        this.curveEdit = null;
+        this.listeners = new Map();
         
         // Performance optimization
         this.lastFrameTime = 0;
@@ -138,6 +154,55 @@ class SpectrumVisualizer {
         });
         resizeObserver.observe(this.canvas);
         
+        // Parametric EQ band dragging and drawn curve editing
+        this.canvas.addEventListener('mousedown', (event) => {
+            const handle = this.getBandHandleAt(event.offsetX, event.offsetY);
+            if (handle) {
+                this.draggedBand = handle;
+                this.canvas.style.cursor = 'grabbing';
+                event.preventDefault();
+            } else if (this.startCurveEdit(event.offsetX, event.offsetY)) {
+                event.preventDefault();
+            }
+        });
+        
+        this.canvas.addEventListener('mousemove', (event) => {
+            const { offsetX: x, offsetY: y } = event;
+            if (this.draggedBand) {
+                this.dragBand(x, y);
+            } else if (this.curveEdit) {
+                if (this.curveEdit.stroke) {
+                    this.drawCurveStroke(x, y);
+                } else {
+                    this.dragCurvePoint(x, y);
+                }
+            } else if (this.getBandHandleAt(x, y) || this.getCurveHandleAt(x, y)) {
+                this.canvas.style.cursor = 'grab';
+            } else {
+                this.canvas.style.cursor = this.getCurveFilter() && this.isInPlot(x, y) ? 'crosshair' : '';
+            }
+        });
+        
+        window.addEventListener('mouseup', () => {
+            if (this.draggedBand || this.curveEdit) {
+                this.draggedBand = null;
+                this.curveEdit = null;
+                this.canvas.style.cursor = '';
+            }
+        });
+        
+        // Double-clicking a curve breakpoint removes it
+        this.canvas.addEventListener('dblclick', (event) => {
+            const handle = this.getCurveHandleAt(event.offsetX, event.offsetY);
+            if (handle) {
+                const curve = this.getCurveFilter();
+                this.emit('curveEdited', {
+                    filterIndex: handle.filterIndex,
+                    points: curve.points.filter((point, i) => i !== handle.pointIndex)
+                });
+            }
+        });
+        
         // Handle visibility changes for performance
         document.addEventListener('visibilitychange', () => {
             if (document.hidden && this.isActive) {
@@ -197,6 +262,26 @@ class SpectrumVisualizer {
         });
     }
     
+    /**
+     * Connect to a track's filter chain for response overlay (null disconnects)
+     * @param {FilterChain|null} filterChain - Filter chain instance
+     */
+    connectFilterChain(filterChain) {
+        if (this.filterManager === filterChain) return;
+        
+        const events = ['filterAdded', 'filterRemoved', 'filterMoved', 'filterParameterChanged', 'filterEnabledChanged'];
+        if (this.filterManager) {
+            events.forEach(event => this.filterManager.off(event, this.filterChainListener));
+        }
+        
+        this.filterManager = filterChain;
+        if (filterChain) {
+            events.forEach(event => filterChain.on(event, this.filterChainListener));
+        }
+        
+        this.updateFilterResponse();
+    }
+    
     /**
      * Start real-time visualization
      */
@@ -283,6 +368,25 @@ class SpectrumVisualizer {
         
         // Draw filter response overlay
         this.drawFilterResponse();
+        
+        // Draw weighted level
+        this.drawLevel();
+    }
+    
+    /**
+     * Draw the analyzer's weighted level in the top-left corner of the plot
+     */
+    drawLevel() {
+        const level = this.analyzer.getLevel();
+        if (level === null) return;
+        
+        const weighting = this.analyzer.weighting === 'ITU468' ? '468' : this.analyzer.weighting;
+        const text = Number.isFinite(level) ? `${level.toFixed(1)} dBFS` : '-∞ dBFS';
+        
+        this.ctx.fillStyle = this.config.textColor;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText(`L(${weighting}) ${text}`, this.plotX + 8, this.plotY + 6);
     }
     
     /**
@@ -515,34 +619,385 @@ class SpectrumVisualizer {
     }
     
     /**
-     * Draw filter response overlay
+     * Draw filter response overlay (on its own dB scale) with EQ band handles
      */
     drawFilterResponse() {
         if (!this.filterResponse || !this.filterResponse.magnitudeDB) return;
         
-        const dbRange = this.config.maxDecibels - this.config.minDecibels;
         const responseData = this.filterResponse.magnitudeDB;
+        const frequencies = this.filterResponse.frequencies;
+        
+        // Response scale labels on the right
+        this.ctx.fillStyle = this.config.responseColor;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.config.responseDecibelMarkers.forEach(db => {
+            this.ctx.fillText(`${db > 0 ? '+' : ''}${db} dB`, this.plotX + this.plotWidth + 8, this.responseDbToY(db));
+        });
         
         // Draw filter response curve
         this.ctx.beginPath();
-        for (let x = 0; x < responseData.length && x < this.plotWidth; x++) {
-            const db = responseData[x];
-            const clampedDb = Math.max(this.config.minDecibels, Math.min(this.config.maxDecibels, db));
-            const y = this.plotY + this.plotHeight - ((clampedDb - this.config.minDecibels) / dbRange) * this.plotHeight;
+        for (let i = 0; i < responseData.length; i++) {
+            const x = frequencies ? this.frequencyToX(frequencies[i]) : this.plotX + i;
+            const y = this.responseDbToY(responseData[i]);
             
-            if (x === 0) {
-                this.ctx.moveTo(this.plotX + x, y);
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
             } else {
-                this.ctx.lineTo(this.plotX + x, y);
+                this.ctx.lineTo(x, y);
             }
         }
         
         // Style filter response line
-        this.ctx.strokeStyle = '#4ade80'; // Green color for filter response
+        this.ctx.strokeStyle = this.config.responseColor; // Green color for filter response
         this.ctx.lineWidth = 2;
         this.ctx.setLineDash([5, 5]); // Dashed line
         this.ctx.stroke();
         this.ctx.setLineDash([]); // Reset line dash
+        
+        this.drawGraphicEQTargets();
+        this.drawBandHandles();
+        this.drawCurveHandles();
+    }
+    
+    /**
+     * Mark the slider settings of the chain's graphic EQs at their band centers
+     */
+    drawGraphicEQTargets() {
+        if (!this.filterManager || !this.filterManager.getAllFilters) return;
+        
+        this.ctx.fillStyle = this.config.responseColor;
+        this.filterManager.getAllFilters().forEach(filterData => {
+            if (!filterData.enabled || !GraphicEQDesign.isGraphicEQType(filterData.config.type)) return;
+            
+            GraphicEQDesign.getCenters(filterData.config.bandwidth).forEach((center, i) => {
+                const x = this.frequencyToX(center);
+                if (x < this.plotX || x > this.plotX + this.plotWidth) return;
+                const y = this.responseDbToY(filterData.config.gains[i] || 0);
+                this.ctx.fillRect(x - 2, y - 2, 4, 4);
+            });
+        });
+    }
+    
+    /**
+     * Draw a numbered handle for each band of the chain's parametric EQs
+     */
+    drawBandHandles() {
+        const radius = this.config.bandHandleRadius;
+        
+        this.ctx.font = `${this.config.fontSize - 2}px ${this.config.fontFamily}`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        
+        this.getBandHandles().forEach(handle => {
+            const isDragged = this.draggedBand &&
+                this.draggedBand.filterIndex === handle.filterIndex &&
+                this.draggedBand.bandIndex === handle.bandIndex;
+            
+            this.ctx.beginPath();
+            this.ctx.arc(handle.x, handle.y, radius, 0, 2 * Math.PI);
+            this.ctx.fillStyle = isDragged ? this.config.responseColor : this.config.backgroundColor;
+            this.ctx.fill();
+            this.ctx.strokeStyle = this.config.responseColor;
+            this.ctx.lineWidth = 2;
+            this.ctx.stroke();
+            
+            this.ctx.fillStyle = isDragged ? this.config.backgroundColor : this.config.responseColor;
+            this.ctx.fillText(String(handle.bandIndex + 1), handle.x, handle.y);
+        });
+        
+        this.ctx.font = `${this.config.fontSize}px ${this.config.fontFamily}`;
+    }
+    
+    /**
+     * Handle positions of the enabled bands of enabled parametric EQs
+     * @returns {Object[]} { filterIndex, bandIndex, band, x, y }
+     */
+    getBandHandles() {
+        if (!this.filterManager || !this.filterManager.getAllFilters || !this.filterResponse) return [];
+        
+        const handles = [];
+        this.filterManager.getAllFilters().forEach((filterData, filterIndex) => {
+            if (!filterData.enabled || !ParametricEQDesign.isEQType(filterData.config.type)) return;
+            
+            filterData.config.bands.forEach((band, bandIndex) => {
+                if (band.enabled === false) return;
+                handles.push({
+                    filterIndex,
+                    bandIndex,
+                    band,
+                    x: this.frequencyToX(band.frequency),
+                    // Pass bands have no gain: their handles sit on the 0 dB line
+                    y: this.responseDbToY(ParametricEQDesign.hasGain(band.type) ? band.gain : 0)
+                });
+            });
+        });
+        return handles;
+    }
+    
+    /**
+     * Band handle under a canvas position
+     * @param {number} x - X coordinate in CSS pixels
+     * @param {number} y - Y coordinate in CSS pixels
+     * @returns {Object|null} Handle (see getBandHandles), topmost first
+     */
+    getBandHandleAt(x, y) {
+        const handles = this.getBandHandles();
+        const reach = this.config.bandHandleRadius + 3;
+        for (let i = handles.length - 1; i >= 0; i--) {
+            if (Math.hypot(handles[i].x - x, handles[i].y - y) <= reach) {
+                return handles[i];
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Move the dragged band to a canvas position and report its new frequency and gain
+     * @param {number} x - X coordinate in CSS pixels
+     * @param {number} y - Y coordinate in CSS pixels
+     */
+    dragBand(x, y) {
+        const { filterIndex, bandIndex, band } = this.draggedBand;
+        const plotX = Math.max(this.plotX, Math.min(this.plotX + this.plotWidth, x));
+        const gainRange = ParametricEQDesign.GAIN_RANGE;
+        
+        const changes = { frequency: Math.round(this.xToFrequency(plotX)) };
+        if (ParametricEQDesign.hasGain(band.type)) {
+            const gain = Math.max(-gainRange, Math.min(gainRange, this.yToResponseDb(y)));
+            changes.gain = Math.round(gain * 10) / 10;
+        }
+        
+        this.emit('bandDragged', { filterIndex, bandIndex, changes });
+    }
+    
+    /**
+     * The drawn curve edited on the plot: the first enabled curve filter of the chain
+     * @returns {Object|null} { filterIndex, points, interpolation }
+     */
+    getCurveFilter() {
+        if (!this.filterManager || !this.filterManager.getAllFilters || !this.filterResponse) return null;
+        
+        const filters = this.filterManager.getAllFilters();
+        const filterIndex = filters.findIndex(filterData =>
+            filterData.enabled && CurveFilterDesign.isCurveType(filterData.config.type)
+        );
+        if (filterIndex < 0) return null;
+        
+        const { points, interpolation } = filters[filterIndex].config;
+        return { filterIndex, points, interpolation };
+    }
+    
+    /**
+     * Draw the edited curve (its breakpoint levels, without the filter gain) and its breakpoints
+     */
+    drawCurveHandles() {
+        const curve = this.getCurveFilter();
+        if (!curve) return;
+        
+        const level = CurveFilterDesign.createCurve(curve);
+        this.ctx.beginPath();
+        for (let x = this.plotX; x <= this.plotX + this.plotWidth; x += 2) {
+            const y = this.responseDbToY(level(this.xToFrequency(x)));
+            if (x === this.plotX) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        }
+        this.ctx.strokeStyle = this.config.responseColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+        
+        const radius = this.config.curveHandleRadius;
+        this.getCurveHandles().forEach(handle => {
+            const isDragged = this.curveEdit && this.curveEdit.pointIndex === handle.pointIndex;
+            
+            this.ctx.beginPath();
+            this.ctx.arc(handle.x, handle.y, radius, 0, 2 * Math.PI);
+            this.ctx.fillStyle = isDragged ? this.config.responseColor : this.config.backgroundColor;
+            this.ctx.fill();
+            this.ctx.lineWidth = 2;
+            this.ctx.stroke();
+        });
+    }
+    
+    /**
+     * Handle positions of the breakpoints of the edited curve
+     * @returns {Object[]} { filterIndex, pointIndex, point, x, y }
+     */
+    getCurveHandles() {
+        const curve = this.getCurveFilter();
+        if (!curve) return [];
+        
+        return curve.points.map((point, pointIndex) => ({
+            filterIndex: curve.filterIndex,
+            pointIndex,
+            point,
+            x: this.frequencyToX(point.frequency),
+            y: this.responseDbToY(point.gain)
+        }));
+    }
+    
+    /**
+     * Curve breakpoint handle under a canvas position
+     * @param {number} x - X coordinate in CSS pixels
+     * @param {number} y - Y coordinate in CSS pixels
+     * @returns {Object|null} Handle (see getCurveHandles)
+     */
+    getCurveHandleAt(x, y) {
+        const reach = this.config.curveHandleRadius + 3;
+        return this.getCurveHandles().find(handle => Math.hypot(handle.x - x, handle.y - y) <= reach) || null;
+    }
+    
+    /**
+     * Start editing the curve at a canvas position: a breakpoint is dragged,
+     * anywhere else a point is added and dragging on draws a freehand stroke
+     * @param {number} x - X coordinate in CSS pixels
+     * @param {number} y - Y coordinate in CSS pixels
+     * @returns {boolean} True when a curve edit started
+     */
+    startCurveEdit(x, y) {
+        const curve = this.getCurveFilter();
+        if (!curve || !this.isInPlot(x, y)) return false;
+        
+        const handle = this.getCurveHandleAt(x, y);
+        if (handle) {
+            this.curveEdit = { filterIndex: curve.filterIndex, points: curve.points, pointIndex: handle.pointIndex };
+            this.canvas.style.cursor = 'grabbing';
+        } else {
+            this.curveEdit = { filterIndex: curve.filterIndex, points: curve.points, stroke: [] };
+            this.drawCurveStroke(x, y);
+        }
+        return true;
+    }
+    
+    /**
+     * Move the dragged breakpoint to a canvas position (it stays between its
+     * neighbours) and report the new breakpoints
+     * @param {number} x - X coordinate in CSS pixels
+     * @param {number} y - Y coordinate in CSS pixels
+     */
+    dragCurvePoint(x, y) {
+        const { filterIndex, points, pointIndex } = this.curveEdit;
+        const point = this.getCurvePointAt(x, y);
+        
+        // 1% frequency margin, so rounding never merges the point into a neighbour
+        const lower = points[pointIndex - 1];
+        const upper = points[pointIndex + 1];
+        if (lower) point.frequency = Math.max(point.frequency, lower.frequency * 1.01);
+        if (upper) point.frequency = Math.min(point.frequency, upper.frequency / 1.01);
+        point.frequency = Number(point.frequency.toPrecision(4));
+        
+        this.emit('curveEdited', {
+            filterIndex,
+            points: points.map((existing, i) => (i === pointIndex ? point : existing))
+        });
+    }
+    
+    /**
+     * Extend the freehand stroke to a canvas position and report the
+     * breakpoints with the stroke merged in
+     * @param {number} x - X coordinate in CSS pixels
+     * @param {number} y - Y coordinate in CSS pixels
+     */
+    drawCurveStroke(x, y) {
+        const { filterIndex, points } = this.curveEdit;
+        const sample = this.getCurvePointAt(x, y);
+        const previous = this.curveEdit.stroke[this.curveEdit.stroke.length - 1];
+        
+        if (previous && Math.abs(Math.log2(sample.frequency / previous.frequency)) < this.config.curveStrokeSpacing) {
+            // Too close for a new sample: only the level follows the pointer
+            previous.gain = sample.gain;
+        } else {
+            if (previous) {
+                // Drawing back over the stroke replaces what was drawn there
+                const low = Math.min(previous.frequency, sample.frequency);
+                const high = Math.max(previous.frequency, sample.frequency);
+                this.curveEdit.stroke = this.curveEdit.stroke.filter(existing =>
+                    existing === previous || existing.frequency <= low || existing.frequency >= high
+                );
+            }
+            this.curveEdit.stroke.push(sample);
+        }
+        
+        this.emit('curveEdited', { filterIndex, points: CurveFilterDesign.applyStroke(points, this.curveEdit.stroke) });
+    }
+    
+    /**
+     * Curve breakpoint at a canvas position (rounded, within the curve ranges)
+     * @param {number} x - X coordinate in CSS pixels
+     * @param {number} y - Y coordinate in CSS pixels
+     * @returns {Object} { frequency, gain }
+     */
+    getCurvePointAt(x, y) {
+        const { min, max } = CurveFilterDesign.FREQUENCY_RANGE;
+        const gainRange = CurveFilterDesign.GAIN_RANGE;
+        const frequency = Math.max(min, Math.min(max, this.xToFrequency(x)));
+        const gain = Math.max(-gainRange, Math.min(gainRange, this.yToResponseDb(y)));
+        
+        return {
+            frequency: Number(frequency.toPrecision(4)),
+            gain: Math.round(gain * 10) / 10
+        };
+    }
+    
+    /**
+     * Check whether a canvas position is inside the plot area
+     * @param {number} x - X coordinate in CSS pixels
+     * @param {number} y - Y coordinate in CSS pixels
+     * @returns {boolean} True inside the plot
+     */
+    isInPlot(x, y) {
+        return x >= this.plotX && x <= this.plotX + this.plotWidth &&
+            y >= this.plotY && y <= this.plotY + this.plotHeight;
+    }
+    
+    /**
+     * X coordinate of a frequency on the current frequency scale
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} X coordinate in CSS pixels
+     */
+    frequencyToX(frequency) {
+        const { minFrequency, maxFrequency } = this.config;
+        const position = this.config.scaleType === 'logarithmic'
+            ? Math.log10(frequency / minFrequency) / Math.log10(maxFrequency / minFrequency)
+            : (frequency - minFrequency) / (maxFrequency - minFrequency);
+        return this.plotX + position * this.plotWidth;
+    }
+    
+    /**
+     * Frequency at an X coordinate on the current frequency scale
+     * @param {number} x - X coordinate in CSS pixels
+     * @returns {number} Frequency in Hz
+     */
+    xToFrequency(x) {
+        const { minFrequency, maxFrequency } = this.config;
+        const position = (x - this.plotX) / this.plotWidth;
+        return this.config.scaleType === 'logarithmic'
+            ? minFrequency * Math.pow(maxFrequency / minFrequency, position)
+            : minFrequency + position * (maxFrequency - minFrequency);
+    }
+    
+    /**
+     * Y coordinate of a filter response level (clamped to the plot)
+     * @param {number} db - Level in dB
+     * @returns {number} Y coordinate in CSS pixels
+     */
+    responseDbToY(db) {
+        const { responseMinDecibels, responseMaxDecibels } = this.config;
+        const clampedDb = Math.max(responseMinDecibels, Math.min(responseMaxDecibels, db));
+        return this.plotY + this.plotHeight - ((clampedDb - responseMinDecibels) / (responseMaxDecibels - responseMinDecibels)) * this.plotHeight;
+    }
+    
+    /**
+     * Filter response level at a Y coordinate
+     * @param {number} y - Y coordinate in CSS pixels
+     * @returns {number} Level in dB
+     */
+    yToResponseDb(y) {
+        const { responseMinDecibels, responseMaxDecibels } = this.config;
+        return responseMinDecibels + ((this.plotY + this.plotHeight - y) / this.plotHeight) * (responseMaxDecibels - responseMinDecibels);
     }
     
     /**
@@ -571,6 +1026,38 @@ class SpectrumVisualizer {
         return this.analyzer.getFrequencyAtPosition(normalizedX * this.plotWidth, this.plotWidth);
     }
     
+    /**
+     * Event emitter functionality
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+    
+    off(event, callback) {
+        if (this.listeners.has(event)) {
+            const callbacks = this.listeners.get(event);
+            const index = callbacks.indexOf(callback);
+            if (index > -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+    
+    emit(event, data) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in spectrum visualizer event listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+    
     /**
      * Clean up resources
      */
@@ -582,6 +1069,7 @@ class SpectrumVisualizer {
         }
         
         this.spectrumData = null;
+        this.listeners.clear();
     }
 }
 
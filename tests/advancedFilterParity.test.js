@@ -0,0 +1,82 @@
+/**
+ * Advanced filters (plateau, gaussian, parabolic, curve) through the FFT
+ * worker and through SimpleAudioExporter
+ *
+ * Worker chunks at several positions must hold exactly the samples of the
+ * exporter's single-pass render, and both must actually filter the noise.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { installWorkers, getRawExportSettings, averagePowerSpectrum } = require('./helpers/browser');
+
+const SAMPLE_RATE = 44100;
+const DURATION = 3;
+const CHUNK_SAMPLES = 40000;
+
+// Advanced filter parameters as FilterChain exports them
+const ADVANCED_DEFAULTS = { enabled: true, isAdvanced: true, centerFreq: 1000, width: 500, gain: 0, skew: 0, kurtosis: 1, flatness: 1, flatWidth: 100 };
+
+const CASES = [
+    { type: 'plateau', centerFreq: 2000, width: 1500, flatWidth: 600 },
+    { type: 'gaussian', centerFreq: 1000, width: 800, skew: 0.5, kurtosis: 1.5, gain: -6 },
+    { type: 'parabolic', centerFreq: 4000, width: 3000, flatness: 2, skew: -0.3 },
+    {
+        type: 'curve', interpolation: 'cubic',
+        points: [{ frequency: 100, gain: -12 }, { frequency: 1000, gain: 6 }, { frequency: 8000, gain: -18 }]
+    }
+];
+
+function createConfig(filter) {
+    return {
+        tracks: [{
+            enabled: true, channels: 2, seed: 2024, noiseColor: 'white', gain: 0.7, pan: 0.25,
+            filters: filter ? [{ ...ADVANCED_DEFAULTS, ...filter }] : []
+        }]
+    };
+}
+
+let workerPool;
+
+test.before(async () => {
+    installWorkers();
+    workerPool = new WorkerPool(2);
+    assert.ok(await workerPool.initPromise, 'worker pool initialized');
+});
+
+test.after(() => workerPool.terminate());
+
+for (const filter of CASES) {
+    test(`${filter.type}: worker chunks match the exporter render`, async () => {
+        const exporter = new SimpleAudioExporter();
+        const settings = getRawExportSettings(SAMPLE_RATE);
+        const config = createConfig(filter);
+
+        const direct = await exporter.exportDirect(DURATION, config, settings);
+        const dry = await exporter.exportDirect(DURATION, createConfig(null), settings);
+
+        // Chunks of unequal position and length, the last one running to the end
+        const totalSamples = direct[0].length;
+        const starts = [0, CHUNK_SAMPLES, 2 * CHUNK_SAMPLES + 123];
+        const chunks = starts.map((startSample, i) => {
+            const end = i + 1 < starts.length ? starts[i + 1] : totalSamples;
+            return { samples: new Float32Array(end - startSample), duration: (end - startSample) / SAMPLE_RATE, startSample };
+        });
+        const results = await workerPool.processChunksParallel(chunks, config, settings);
+
+        results.forEach((channels, i) => {
+            assert.strictEqual(channels.length, direct.length, 'channel count');
+            channels.forEach((channel, c) => {
+                const expected = direct[c].subarray(starts[i], starts[i] + channel.length);
+                const index = expected.findIndex((sample, n) => !Object.is(sample, channel[n]));
+                assert.strictEqual(index, -1, `chunk ${i} channel ${c} differs from sample ${index}`);
+            });
+        });
+
+        // The filter shapes the spectrum (no silent pass-through on either path)
+        const wetSpectrum = averagePowerSpectrum(direct[0], 4096);
+        const drySpectrum = averagePowerSpectrum(dry[0], 4096);
+        const maxChange = Math.max(...wetSpectrum.map((power, k) => Math.abs(10 * Math.log10(power / drySpectrum[k]))));
+        assert.ok(maxChange > 6, `spectrum changes by up to ${maxChange.toFixed(1)} dB`);
+    });
+}
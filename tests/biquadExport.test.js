@@ -0,0 +1,95 @@
+/**
+ * Offline rendering of the standard biquad types against the response the
+ * filter chain displays (FilterChain.getFrequencyResponse, which asks the
+ * BiquadFilterNode; the test AudioContext answers with the Web Audio
+ * specification's formulas)
+ *
+ * The rendered magnitude is the H1 transfer estimate between the same seeded
+ * white noise rendered without and with the filter.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAudioContext } = require('./helpers/browser');
+
+const SAMPLE_RATE = 48000;
+const SAMPLES = 1 << 19;
+const FFT_SIZE = 16384;
+
+// Compared where the response is above FLOOR_DB, between 30 Hz and 20 kHz. Window
+// leakage limits the estimate on steep slopes and near nulls, hence the wider
+// tolerance below -20 dB.
+const FLOOR_DB = -40;
+const TOLERANCE_DB = 0.05;
+const TOLERANCE_LOW_DB = 0.5;
+
+const CASES = [
+    { type: 'lowpass', frequency: 1000, Q: 3 },
+    { type: 'lowpass', frequency: 8000, Q: -3 },
+    { type: 'highpass', frequency: 500, Q: 6 },
+    { type: 'bandpass', frequency: 2000, Q: 2 },
+    { type: 'notch', frequency: 3000, Q: 1 },
+    { type: 'allpass', frequency: 1000, Q: 0.7 },
+    { type: 'peaking', frequency: 1500, Q: 2, gain: 9 },
+    { type: 'peaking', frequency: 6000, Q: 0.5, gain: -12 },
+    { type: 'lowshelf', frequency: 300, gain: 6 },
+    { type: 'highshelf', frequency: 4000, gain: -9 }
+];
+
+function renderNoise(filters) {
+    const track = { enabled: true, channels: 1, seed: 99, noiseColor: 'white', gain: 1, pan: 0, filters };
+    return new TrackRenderStream(track, SAMPLE_RATE, 0).render(SAMPLES)[0];
+}
+
+// H1 estimate |Sxy / Sxx| per bin (Hann window, 50% overlap)
+function transferMagnitude(input, output) {
+    const bins = FFT_SIZE / 2 + 1;
+    const cross = { re: new Float64Array(bins), im: new Float64Array(bins) };
+    const inputPower = new Float64Array(bins);
+    const window = Float64Array.from({ length: FFT_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FFT_SIZE));
+
+    for (let start = 0; start + FFT_SIZE <= input.length; start += FFT_SIZE / 2) {
+        const spectra = [input, output].map(signal => {
+            const real = Float64Array.from({ length: FFT_SIZE }, (_, i) => signal[start + i] * window[i]);
+            const imag = new Float64Array(FFT_SIZE);
+            SpectralFilters.fft(real, imag);
+            return { real, imag };
+        });
+        const [x, y] = spectra;
+        for (let k = 0; k < bins; k++) {
+            cross.re[k] += y.real[k] * x.real[k] + y.imag[k] * x.imag[k];
+            cross.im[k] += y.imag[k] * x.real[k] - y.real[k] * x.imag[k];
+            inputPower[k] += x.real[k] * x.real[k] + x.imag[k] * x.imag[k];
+        }
+    }
+
+    return inputPower.map((power, k) => Math.hypot(cross.re[k], cross.im[k]) / power);
+}
+
+const dry = renderNoise([]);
+
+for (const config of CASES) {
+    const label = `${config.type} ${config.frequency} Hz` + (config.Q !== undefined ? ` Q ${config.Q}` : '') + (config.gain ? ` ${config.gain} dB` : '');
+
+    test(`${label}: rendered magnitude matches the chain response`, async () => {
+        const chain = new FilterChain(createAudioContext(SAMPLE_RATE));
+        await chain.addFilter(config.type, config);
+
+        const wet = renderNoise(chain.getExportConfig());
+        const measured = transferMagnitude(dry, wet);
+
+        const frequencies = Float32Array.from(measured, (_, k) => k * SAMPLE_RATE / FFT_SIZE);
+        const expected = chain.getFrequencyResponse(frequencies);
+
+        let compared = 0;
+        frequencies.forEach((frequency, k) => {
+            if (frequency < 30 || frequency > 20000 || expected[k] < FLOOR_DB) return;
+            const measuredDb = 20 * Math.log10(measured[k]);
+            const tolerance = expected[k] > -20 ? TOLERANCE_DB : TOLERANCE_LOW_DB;
+            assert.ok(Math.abs(measuredDb - expected[k]) < tolerance,
+                `${frequency.toFixed(1)} Hz: rendered ${measuredDb.toFixed(3)} dB, chain ${expected[k].toFixed(3)} dB`);
+            compared++;
+        });
+        assert.ok(compared > 500, `${compared} frequencies compared`);
+    });
+}
@@ -0,0 +1,155 @@
+/**
+ * Chunked exports against a single-pass render
+ *
+ * Sequential chunks carry every track stream, worker chunks start each stream
+ * afresh with TrackRenderStream.startingAt; both must return exactly the
+ * samples of SimpleAudioExporter.exportDirect.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { installWorkers, getRawExportSettings } = require('./helpers/browser');
+
+const SAMPLE_RATE = 16000;
+
+// More than two chunks on both paths (30 s sequential, 10 s parallel chunks)
+const DURATION = 65;
+
+function decayingNoise(length, seed) {
+    const random = RandomGenerator.create('pcg32', seed);
+    return Float32Array.from({ length }, (_, i) => (random.next() * 2 - 1) * Math.exp(-i / (length / 6)));
+}
+
+// White noise through two FIR stages of different block sizes, an IR and a sweep
+const SEEKABLE_CONFIG = {
+    tracks: [
+        {
+            enabled: true, channels: 2, seed: 11, noiseColor: 'white', gain: 0.5, pan: 0.3,
+            filters: [
+                { enabled: true, type: 'plateau', centerFreq: 1500, width: 2000, flatWidth: 800, gain: 0 },
+                { enabled: true, type: 'fir', ...FIRDesign.getDefaultConfig(), taps: 301 }
+            ]
+        },
+        {
+            enabled: true, channels: 1, seed: 12, noiseColor: 'white', noiseGenerator: 'xoshiro256starstar', gain: 0.3, pan: -0.5,
+            filters: [{
+                enabled: true, type: 'convolution', ...ConvolutionFilterDesign.getDefaultConfig(),
+                impulse: { sampleRate: SAMPLE_RATE, channels: [decayingNoise(3000, 1)] }
+            }]
+        },
+        { enabled: true, channels: 1, seed: 13, sourceType: 'sweep', gain: 0.2, pan: 0, filters: [] }
+    ]
+};
+
+// Noise color and IIR filters: recursive state from the first sample on
+const STATEFUL_CONFIG = {
+    tracks: [
+        {
+            enabled: true, channels: 2, seed: 21, noiseColor: 'pink', gain: 0.5, pan: 0,
+            filters: [{ enabled: true, type: 'lowpass', frequency: 500, Q: 0.7, gain: 0 }]
+        },
+        {
+            enabled: true, channels: 1, seed: 22, noiseColor: 'brown', gain: 0.4, pan: 0.2,
+            filters: [{ enabled: true, type: 'fir', ...FIRDesign.getDefaultConfig() }]
+        },
+        {
+            enabled: true, channels: 1, seed: 23, noiseColor: 'white', gain: 0.4, pan: -0.2,
+            filters: [{ enabled: true, type: 'peaking', frequency: 2000, Q: 2, gain: 6 }]
+        }
+    ]
+};
+
+async function createExporter(workerCount) {
+    const exporter = new SimpleAudioExporter();
+    if (workerCount) {
+        installWorkers();
+        exporter.workerPool = new WorkerPool(workerCount);
+        exporter.workersSupported = await exporter.workerPool.initPromise;
+        exporter.workersInitialized = exporter.workersSupported;
+    }
+    return exporter;
+}
+
+function assertSameSamples(actual, expected) {
+    assert.strictEqual(actual.length, expected.length, 'channel count');
+    expected.forEach((channel, c) => {
+        assert.strictEqual(actual[c].length, channel.length, `channel ${c} length`);
+        const index = channel.findIndex((sample, i) => !Object.is(sample, actual[c][i]));
+        assert.strictEqual(index, -1, `channel ${c} differs from sample ${index}`);
+    });
+}
+
+test('sequential chunks of stateful tracks match the single-pass render', async () => {
+    const exporter = await createExporter(0);
+    const settings = getRawExportSettings(SAMPLE_RATE);
+
+    const direct = await exporter.exportDirect(DURATION, STATEFUL_CONFIG, settings);
+    const chunked = await exporter.exportChunkedSequential(DURATION, STATEFUL_CONFIG, settings);
+    assertSameSamples(chunked, direct);
+});
+
+test('worker chunks of seekable tracks match the single-pass render', async () => {
+    const exporter = await createExporter(3);
+    const settings = getRawExportSettings(SAMPLE_RATE);
+
+    const direct = await exporter.exportDirect(DURATION, SEEKABLE_CONFIG, settings);
+    const parallel = await exporter.exportChunkedParallel(DURATION, SEEKABLE_CONFIG, settings);
+    assertSameSamples(parallel, direct);
+
+    exporter.workerPool.terminate();
+});
+
+test('worker count does not change the output for a locked seed', async () => {
+    const settings = getRawExportSettings(SAMPLE_RATE);
+    const locked = { tracks: SEEKABLE_CONFIG.tracks.map(track => ({ ...track, seedLocked: true })) };
+    const reference = await createExporter(0);
+    const sequential = await reference.exportChunkedSequential(DURATION, reference.resolveTrackSeeds(locked), settings);
+
+    for (const workerCount of [1, 2, 4]) {
+        const exporter = await createExporter(workerCount);
+        const parallel = await exporter.exportChunkedParallel(DURATION, exporter.resolveTrackSeeds(locked), settings);
+        assertSameSamples(parallel, sequential);
+        exporter.workerPool.terminate();
+    }
+});
+
+test('chunked export renders stateful tracks sequentially even with workers', async () => {
+    const exporter = await createExporter(2);
+    const settings = getRawExportSettings(SAMPLE_RATE);
+    let parallelCalls = 0;
+    exporter.exportChunkedParallel = () => {
+        parallelCalls++;
+        return [];
+    };
+
+    const direct = await exporter.exportDirect(DURATION, STATEFUL_CONFIG, settings);
+    const chunked = await exporter.exportChunked(DURATION, STATEFUL_CONFIG, settings);
+    assert.strictEqual(parallelCalls, 0);
+    assertSameSamples(chunked, direct);
+
+    await exporter.exportChunked(DURATION, SEEKABLE_CONFIG, settings);
+    assert.strictEqual(parallelCalls, 1);
+
+    exporter.workerPool.terminate();
+});
+
+test('startingAt returns the samples of a render from 0 at any position', () => {
+    const track = SEEKABLE_CONFIG.tracks[0];
+    const length = 100000;
+    const reference = new TrackRenderStream(track, SAMPLE_RATE, 0).render(length);
+
+    for (const start of [1, 511, 8192, 20001, 40960, 65537]) {
+        const stream = TrackRenderStream.startingAt(track, SAMPLE_RATE, start);
+        const rendered = stream.render(length - start);
+        assertSameSamples(rendered, reference.map(channel => channel.subarray(start)));
+    }
+});
+
+test('startingAt rejects positions after 0 for tracks with recursive state', () => {
+    assert.strictEqual(TrackRenderStream.isSeekable(SEEKABLE_CONFIG.tracks[0], SAMPLE_RATE), true);
+    STATEFUL_CONFIG.tracks.forEach(track => {
+        assert.strictEqual(TrackRenderStream.isSeekable(track, SAMPLE_RATE), false);
+        assert.throws(() => TrackRenderStream.startingAt(track, SAMPLE_RATE, 1000), /only be rendered from the start/);
+        assert.ok(TrackRenderStream.startingAt(track, SAMPLE_RATE, 0));
+    });
+});
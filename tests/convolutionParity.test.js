@@ -0,0 +1,43 @@
+/**
+ * Live convolution (FIRFilterNode in a FilterChain) against the export
+ * (TrackRenderStream) for impulse responses with fewer, as many and more
+ * channels than the track
+ *
+ * The live graph is rendered offline by the Web Audio channel rules; it must
+ * output the track's channels with the same samples as the export.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAudioContext, renderGraph } = require('./helpers/browser');
+
+const SAMPLE_RATE = 16000;
+const LENGTH = 4000;
+
+function decayingNoise(length, seed) {
+    const random = RandomGenerator.create('pcg32', seed);
+    return Float32Array.from({ length }, (_, i) => (random.next() * 2 - 1) * Math.exp(-i / (length / 6)));
+}
+
+for (const [trackChannels, irChannels] of [[1, 2], [1, 1], [2, 1], [2, 2], [3, 2]]) {
+    test(`${trackChannels}-channel track, ${irChannels}-channel impulse response: live output matches the export`, async () => {
+        const impulse = { sampleRate: SAMPLE_RATE, channels: Array.from({ length: irChannels }, (_, c) => decayingNoise(300, c + 1)) };
+        const chain = new FilterChain(createAudioContext(SAMPLE_RATE));
+        chain.setChannelCount(trackChannels);
+        await chain.addFilter('convolution', { impulse });
+
+        const track = { enabled: true, channels: trackChannels, seed: 3, noiseColor: 'white', gain: 1, pan: 0, filters: [] };
+        const dry = new TrackRenderStream(track, SAMPLE_RATE, 0).render(LENGTH);
+        const exported = new TrackRenderStream({ ...track, filters: chain.getExportConfig() }, SAMPLE_RATE, 0).render(LENGTH);
+
+        const node = chain.filters[0].node;
+        const live = renderGraph(node.input, node.output, dry.map(channel => Float64Array.from(channel)));
+
+        assert.strictEqual(live.length, trackChannels, 'live channel count');
+        assert.strictEqual(exported.length, trackChannels, 'exported channel count');
+        live.forEach((channel, c) => {
+            const error = channel.reduce((max, sample, i) => Math.max(max, Math.abs(sample - exported[c][i])), 0);
+            assert.ok(error < 1e-5, `channel ${c} differs by up to ${error}`);
+        });
+    });
+}
@@ -0,0 +1,28 @@
+/**
+ * Table parsing of frequency-response files (CurveImport.parseTable)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/browser');
+
+test('REW exports offer the level column, not the phase', () => {
+    const text = [
+        '* Measurement data measured by REW V5.20',
+        '* Source: Speaker, 1/48 smoothing',
+        '* Freq(Hz) SPL(dB) Phase(degrees)',
+        '20.000 78.512 -120.25',
+        '100.000 84.100 35.50',
+        '1000.000 85.000 -2.75',
+        '10000.000 81.250 170.00'
+    ].join('\n');
+
+    const result = CurveImport.parse(text);
+    assert.strictEqual(result.format, 'REW export');
+    assert.deepStrictEqual(result.columns.map(column => column.name), ['SPL(dB)']);
+    assert.deepStrictEqual(result.columns[0].points.map(point => point.gain), [78.512, 84.1, 85, 81.25]);
+});
+
+test('a table with only phase data is rejected', () => {
+    assert.throws(() => CurveImport.parse('Frequency,Phase\n100,10\n1000,20\n'), /No frequency\/level data/);
+});
@@ -0,0 +1,133 @@
+/**
+ * Global vs per-clip normalization of multi-clip exports (ExportManager)
+ *
+ * Clips are rendered from a track whose gain changes from clip to clip, so
+ * they come out at different levels. Global normalization must keep those
+ * differences, per-clip normalization must bring every clip to the target.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/browser');
+
+// ExportManager binds to the export dialog once the DOM is ready; the tests run without it
+globalThis.document = { readyState: 'loading', addEventListener() {} };
+
+const CLIP_GAINS = [0.2, 0.8, 0.4];
+
+function createManager() {
+    const manager = new ExportManager(null, {
+        clipCount: 0,
+        getExportConfig() {
+            const gain = CLIP_GAINS[this.clipCount++ % CLIP_GAINS.length];
+            return { tracks: [{ enabled: true, channels: 2, seed: 7, seedLocked: true, noiseColor: 'white', gain, pan: 0, filters: [] }] };
+        }
+    });
+    manager.updateProgress = () => {};
+    return manager;
+}
+
+function getSettings(overrides) {
+    return {
+        ...new ExportManager(null, null).getDefaultSettings(),
+        duration: 1000,
+        clips: CLIP_GAINS.length,
+        exportSampleRate: 8000,
+        fadeInEnabled: false,
+        fadeOutEnabled: false,
+        wavEnabled: false,
+        cppEnabled: true,
+        ...overrides
+    };
+}
+
+// Run the whole export and return the clips handed to the output stage
+async function exportClips(settings) {
+    const manager = createManager();
+    let exported = null;
+    manager.exportCppSeparateClips = async (clips) => {
+        exported = clips;
+    };
+    await manager.performExport(settings);
+    return exported;
+}
+
+function level(clip, measure) {
+    const samples = clip.flatMap(channel => Array.from(channel));
+    if (measure === 'rms') {
+        return Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+    }
+    return samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+}
+
+for (const measure of ['peak', 'rms']) {
+    test(`global ${measure} normalization keeps the level ratios between clips`, async () => {
+        const target = measure === 'rms' ? 0.1 : 0.5;
+        const settings = getSettings({ normalizationType: 'global', normalizationMeasure: measure, normalizationValue: target });
+        const clips = await exportClips(settings);
+
+        // The same clips without normalization
+        const raw = await exportClips({ ...settings, normalizationEnabled: false });
+        const gains = clips.map((clip, i) => level(clip, measure) / level(raw[i], measure));
+        gains.forEach(gain => assert.ok(Math.abs(gain / gains[0] - 1) < 1e-6, `clip gains ${gains} are equal`));
+
+        // Level ratios follow the track gain of each clip
+        const ratio = level(clips[1], measure) / level(clips[0], measure);
+        assert.ok(Math.abs(ratio / (CLIP_GAINS[1] / CLIP_GAINS[0]) - 1) < 0.2, `level ratio ${ratio}`);
+
+        // Together the clips meet the target: the loudest peak, or the RMS over all clips
+        const overall = measure === 'rms'
+            ? Math.sqrt(clips.reduce((sum, clip) => sum + level(clip, 'rms') ** 2, 0) / clips.length)
+            : Math.max(...clips.map(clip => level(clip, 'peak')));
+        assert.ok(Math.abs(overall - target) < 1e-6, `overall ${measure} ${overall} is ${target}`);
+    });
+
+    test(`per-clip ${measure} normalization brings every clip to the target`, async () => {
+        const target = measure === 'rms' ? 0.1 : 0.5;
+        const clips = await exportClips(getSettings({ normalizationType: 'per-clip', normalizationMeasure: measure, normalizationValue: target }));
+
+        clips.forEach((clip, i) => {
+            const clipLevel = level(clip, measure);
+            assert.ok(Math.abs(clipLevel - target) < 1e-6, `clip ${i} ${measure} ${clipLevel} is ${target}`);
+        });
+    });
+}
+
+test('global normalization applies normalize-then-fade fades after the shared gain', async () => {
+    const settings = getSettings({
+        normalizationType: 'global', processOrder: 'normalize-then-fade',
+        fadeInEnabled: true, fadeInDuration: 100, fadeOutEnabled: true, fadeOutDuration: 100
+    });
+    const clips = await exportClips(settings);
+    const raw = await exportClips({ ...settings, normalizationEnabled: false, fadeInEnabled: false, fadeOutEnabled: false });
+
+    const manager = createManager();
+    const exporterSettings = manager.getExporterSettings(settings);
+    const exporter = manager.simpleExporter;
+    const gain = exporter.getNormalizationGain(raw, exporterSettings.normalizeValue, exporterSettings.normalizeMeasure);
+
+    clips.forEach((clip, i) => {
+        const expected = exporter.applyFades(exporter.scaleChannels(raw[i], gain), exporterSettings, 8000, 'TEST');
+        assert.deepStrictEqual(clip, expected);
+    });
+});
+
+test('getExporterSettings maps the dialog settings', () => {
+    const manager = createManager();
+    const settings = manager.getExporterSettings(getSettings({
+        normalizationValue: 0.3, normalizationMeasure: 'rms', fadeInEnabled: true, fadeInDuration: 2500,
+        fadeOutDuration: 500, processOrder: 'fade-then-normalize'
+    }), 2);
+
+    assert.strictEqual(settings.enableNormalization, true);
+    assert.strictEqual(settings.normalizeValue, 0.3);
+    assert.strictEqual(settings.normalizeMeasure, 'rms');
+    assert.strictEqual(settings.enableFadeIn, true);
+    assert.strictEqual(settings.enableFadeOut, false);
+    assert.strictEqual(settings.fadeInDuration, 2.5);
+    assert.strictEqual(settings.fadeOutDuration, 0.5);
+    assert.strictEqual(settings.fadeBeforeNorm, true);
+    assert.strictEqual(settings.exportAmplitude, 1);
+    assert.strictEqual(settings.exportSampleRate, 8000);
+    assert.strictEqual(settings.clipIndex, 2);
+});
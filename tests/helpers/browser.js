@@ -0,0 +1,406 @@
+/**
+ * NoiseShaper Web - Test Harness
+ * Runs the browser scripts in Node
+ *
+ * The audio scripts are classic scripts that share one global scope, so they
+ * are run with vm.runInThisContext in the order index.html loads them: the
+ * classes they declare become globals for the tests as they do in the page.
+ *
+ * Features:
+ * - Audio scripts loaded once, in page order
+ * - In-process Web Worker running workers/fft-processor-worker.js (for WorkerPool)
+ * - Minimal AudioContext for FilterChain (node graph, BiquadFilterNode response)
+ *   and an offline renderer for its gain, convolver, splitter and merger nodes
+ * - Console logging silenced (the exporters log every step)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+globalThis.window = globalThis;
+console.log = () => {};
+console.info = () => {};
+console.warn = () => {};
+
+/**
+ * Run a script from the repository in the global scope
+ * @param {string} file - Path relative to the repository root
+ */
+function runScript(file) {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+}
+
+/**
+ * Audio scripts in the order index.html loads them
+ * @returns {string[]} Paths relative to the repository root
+ */
+function getAudioScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return [...html.matchAll(/<script src="(js\/audio\/[^"]+)"/g)].map(match => match[1]);
+}
+
+getAudioScripts().forEach(runScript);
+
+/**
+ * In-process stand-in for a Web Worker. The worker script runs in its own
+ * function scope with its own `self`; messages are cloned and delivered
+ * asynchronously in both directions, as between threads.
+ */
+class TestWorker {
+    /**
+     * Worker scripts compiled once, by path
+     */
+    static compile(file) {
+        TestWorker.factories = TestWorker.factories || new Map();
+        if (!TestWorker.factories.has(file)) {
+            // The audio scripts it imports are already loaded
+            const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+            TestWorker.factories.set(file, vm.runInThisContext(
+                `(function (self, importScripts) {\n${source}\n})`, { filename: file }));
+        }
+        return TestWorker.factories.get(file);
+    }
+
+    /**
+     * @param {string} url - Worker script, relative to the page
+     */
+    constructor(url) {
+        this.onmessage = null;
+        this.onerror = null;
+        this.onmessageerror = null;
+        this.terminated = false;
+
+        this.scope = {
+            onmessage: null,
+            postMessage: (message) => this.deliver(() => this.onmessage && this.onmessage({ data: structuredClone(message) }))
+        };
+        TestWorker.compile(url)(this.scope, () => {});
+    }
+
+    postMessage(message) {
+        const data = structuredClone(message);
+        this.deliver(() => this.scope.onmessage && this.scope.onmessage({ data }));
+    }
+
+    deliver(callback) {
+        setImmediate(() => {
+            if (!this.terminated) {
+                callback();
+            }
+        });
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+/**
+ * Make `new Worker()` available to WorkerPool
+ */
+function installWorkers() {
+    globalThis.Worker = TestWorker;
+}
+
+/**
+ * Audio parameter with a value and no-op automation
+ */
+function createParam(value = 0) {
+    return {
+        value,
+        setValueAtTime(v) { this.value = v; },
+        linearRampToValueAtTime(v) { this.value = v; },
+        setTargetAtTime(v) { this.value = v; },
+        cancelScheduledValues() {}
+    };
+}
+
+/**
+ * Node that records its connections (with output and input index in routes)
+ */
+function createNode(kind, properties = {}) {
+    return Object.assign({
+        kind,
+        connections: [],
+        routes: [],
+        connect(destination, output = 0, input = 0) {
+            this.connections.push(destination);
+            this.routes.push({ destination, output, input });
+            return destination;
+        },
+        disconnect(destination) {
+            this.routes = destination ? this.routes.filter(route => route.destination !== destination) : [];
+            this.connections = this.routes.map(route => route.destination);
+        }
+    }, properties);
+}
+
+/**
+ * Up- or down-mix one connection to a channel count (Web Audio rules:
+ * speakers mixes mono and stereo, discrete copies and zero fills)
+ */
+function mixChannels(channels, count, interpretation) {
+    if (channels.length === count) return channels;
+    if (interpretation !== 'discrete' && channels.length === 1 && count === 2) return [channels[0], channels[0]];
+    if (interpretation !== 'discrete' && channels.length === 2 && count === 1) {
+        return [channels[0].map((sample, i) => 0.5 * (sample + channels[1][i]))];
+    }
+    return Array.from({ length: count }, (_, c) => channels[c] || new Float64Array(channels[0].length));
+}
+
+/**
+ * Direct convolution, truncated to the input length
+ */
+function convolve(signal, kernel) {
+    return signal.map((_, n) => {
+        let sum = 0;
+        for (let k = 0; k <= n && k < kernel.length; k++) {
+            sum += kernel[k] * signal[n - k];
+        }
+        return sum;
+    });
+}
+
+/**
+ * Process one mock node: inputs holds the mixed channels of each input
+ * @returns {Float64Array[][]} Channels of each output
+ */
+function processNode(node, inputs) {
+    switch (node.kind) {
+        case 'gain':
+            return [inputs[0].map(channel => channel.map(sample => sample * node.gain.value))];
+        case 'convolver': {
+            assert.strictEqual(node.normalize, false, 'only unnormalized convolvers are rendered');
+            const buffer = node.buffer;
+            const input = inputs[0];
+            // Mono input and a mono buffer stay mono, anything else is stereo
+            if (buffer.numberOfChannels === 1) {
+                return [input.map(channel => convolve(channel, buffer.getChannelData(0)))];
+            }
+            return [[0, 1].map(c => convolve(input[input.length === 1 ? 0 : c], buffer.getChannelData(c)))];
+        }
+        case 'splitter':
+            return inputs[0].map(channel => [channel]);
+        case 'merger':
+            return [inputs.map(input => input[0])];
+        default:
+            throw new Error(`Cannot render ${node.kind} nodes`);
+    }
+}
+
+/**
+ * Render a mock node graph by the Web Audio channel rules. Handles gain,
+ * convolver, channel splitter and channel merger nodes.
+ * @param {Object} source - Node that receives the input
+ * @param {Object} destination - Node whose output is returned
+ * @param {Float64Array[]} input - Input channels
+ * @returns {Float64Array[]} Output channels of the destination
+ */
+function renderGraph(source, destination, input) {
+    // Connections into every node reachable from the source
+    const nodes = new Set();
+    const walk = node => {
+        if (nodes.has(node)) return;
+        nodes.add(node);
+        node.routes.forEach(route => walk(route.destination));
+    };
+    walk(source);
+    const incoming = new Map([...nodes].map(node => [node, []]));
+    nodes.forEach(node => node.routes.forEach(({ destination, output, input: index }) => {
+        incoming.get(destination).push({ from: node, output, input: index });
+    }));
+
+    const rendered = new Map();
+    const render = node => {
+        if (!rendered.has(node)) {
+            const inputCount = node.kind === 'merger' ? node.numberOfInputs : 1;
+            const inputs = Array.from({ length: inputCount }, (_, index) => {
+                const signals = incoming.get(node).filter(edge => edge.input === index)
+                    .map(edge => render(edge.from)[edge.output]);
+                if (node === source) signals.push(input);
+
+                // Channel count of the input: explicit, clamped to stereo for convolvers, else the widest connection
+                const widest = Math.max(...signals.map(signal => signal.length));
+                const count = node.kind === 'splitter' ? node.numberOfOutputs
+                    : node.kind === 'merger' ? 1
+                    : node.channelCountMode === 'explicit' ? node.channelCount
+                    : node.kind === 'convolver' ? Math.min(widest, 2) : widest;
+                const interpretation = node.kind === 'splitter' ? 'discrete' : node.channelInterpretation;
+                const length = signals[0][0].length;
+                return signals.map(signal => mixChannels(signal, count, interpretation)).reduce((sum, channels) =>
+                    sum.map((channel, c) => channel.map((sample, i) => sample + channels[c][i])),
+                Array.from({ length: count }, () => new Float64Array(length)));
+            });
+            rendered.set(node, processNode(node, inputs));
+        }
+        return rendered.get(node);
+    };
+
+    return render(destination)[0];
+}
+
+/**
+ * BiquadFilterNode response from the Audio EQ Cookbook formulas as the Web
+ * Audio specification states them (Q in dB for lowpass/highpass)
+ * @param {Object} node - Mock BiquadFilterNode
+ * @param {number} sampleRate - Sample rate
+ * @returns {Object} Normalized coefficients { b0, b1, b2, a1, a2 }
+ */
+function getBiquadCoefficients(node, sampleRate) {
+    const w0 = 2 * Math.PI * node.frequency.value / sampleRate;
+    const Q = node.Q.value;
+    const A = Math.pow(10, node.gain.value / 40);
+    const cos = Math.cos(w0);
+    const sin = Math.sin(w0);
+    const alphaQ = sin / (2 * Q);
+    const alphaQdB = sin / (2 * Math.pow(10, Q / 20));
+    const alphaS = sin / 2 * Math.SQRT2;
+    let c;
+
+    switch (node.type) {
+        case 'lowpass':
+            c = [(1 - cos) / 2, 1 - cos, (1 - cos) / 2, 1 + alphaQdB, -2 * cos, 1 - alphaQdB];
+            break;
+        case 'highpass':
+            c = [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2, 1 + alphaQdB, -2 * cos, 1 - alphaQdB];
+            break;
+        case 'bandpass':
+            c = [alphaQ, 0, -alphaQ, 1 + alphaQ, -2 * cos, 1 - alphaQ];
+            break;
+        case 'notch':
+            c = [1, -2 * cos, 1, 1 + alphaQ, -2 * cos, 1 - alphaQ];
+            break;
+        case 'allpass':
+            c = [1 - alphaQ, -2 * cos, 1 + alphaQ, 1 + alphaQ, -2 * cos, 1 - alphaQ];
+            break;
+        case 'peaking':
+            c = [1 + alphaQ * A, -2 * cos, 1 - alphaQ * A, 1 + alphaQ / A, -2 * cos, 1 - alphaQ / A];
+            break;
+        case 'lowshelf': {
+            const k = 2 * Math.sqrt(A) * alphaS;
+            c = [A * ((A + 1) - (A - 1) * cos + k), 2 * A * ((A - 1) - (A + 1) * cos), A * ((A + 1) - (A - 1) * cos - k),
+                (A + 1) + (A - 1) * cos + k, -2 * ((A - 1) + (A + 1) * cos), (A + 1) + (A - 1) * cos - k];
+            break;
+        }
+        case 'highshelf': {
+            const k = 2 * Math.sqrt(A) * alphaS;
+            c = [A * ((A + 1) + (A - 1) * cos + k), -2 * A * ((A - 1) + (A + 1) * cos), A * ((A + 1) + (A - 1) * cos - k),
+                (A + 1) - (A - 1) * cos + k, 2 * ((A - 1) - (A + 1) * cos), (A + 1) - (A - 1) * cos - k];
+            break;
+        }
+        default:
+            throw new Error(`Mock BiquadFilterNode: unknown type ${node.type}`);
+    }
+
+    return { b0: c[0] / c[3], b1: c[1] / c[3], b2: c[2] / c[3], a1: c[4] / c[3], a2: c[5] / c[3] };
+}
+
+/**
+ * Minimal AudioContext: enough of the node graph for FilterChain and the
+ * filter nodes, with BiquadFilterNode.getFrequencyResponse
+ * @param {number} sampleRate - Sample rate
+ * @returns {Object} Mock AudioContext
+ */
+function createAudioContext(sampleRate = 48000) {
+    const context = {
+        sampleRate,
+        currentTime: 0,
+        state: 'running',
+        destination: createNode('destination'),
+        createGain: () => createNode('gain', { gain: createParam(1) }),
+        createBiquadFilter: () => createNode('biquad', {
+            type: 'lowpass',
+            frequency: createParam(350),
+            Q: createParam(1),
+            gain: createParam(0),
+            detune: createParam(0),
+            getFrequencyResponse(frequencies, magnitude, phase) {
+                const { b0, b1, b2, a1, a2 } = getBiquadCoefficients(this, sampleRate);
+                frequencies.forEach((frequency, i) => {
+                    const w = 2 * Math.PI * frequency / sampleRate;
+                    const numRe = b0 + b1 * Math.cos(w) + b2 * Math.cos(2 * w);
+                    const numIm = -b1 * Math.sin(w) - b2 * Math.sin(2 * w);
+                    const denRe = 1 + a1 * Math.cos(w) + a2 * Math.cos(2 * w);
+                    const denIm = -a1 * Math.sin(w) - a2 * Math.sin(2 * w);
+                    magnitude[i] = Math.hypot(numRe, numIm) / Math.hypot(denRe, denIm);
+                    phase[i] = Math.atan2(numIm, numRe) - Math.atan2(denIm, denRe);
+                });
+            }
+        }),
+        createIIRFilter: (feedforward, feedback) => createNode('iir', { feedforward, feedback }),
+        createConvolver: () => createNode('convolver', { buffer: null, normalize: true }),
+        createChannelSplitter: (count) => createNode('splitter', { numberOfOutputs: count }),
+        createChannelMerger: (count) => createNode('merger', { numberOfInputs: count }),
+        createBuffer: (channels, length, rate) => {
+            const data = Array.from({ length: channels }, () => new Float32Array(length));
+            return {
+                numberOfChannels: channels,
+                length,
+                sampleRate: rate,
+                getChannelData: (c) => data[c],
+                copyToChannel: (source, c) => data[c].set(source)
+            };
+        }
+    };
+    return context;
+}
+
+/**
+ * Exporter settings for a plain render: no normalization, fades or gain
+ * @param {number} sampleRate - Sample rate
+ * @param {number} outputChannels - Output channel count
+ * @returns {Object} SimpleAudioExporter settings
+ */
+function getRawExportSettings(sampleRate = 44100, outputChannels = 2) {
+    return {
+        ...new SimpleAudioExporter().exportSettings,
+        exportSampleRate: sampleRate,
+        enableNormalization: false,
+        enableFadeIn: false,
+        enableFadeOut: false,
+        exportAmplitude: 1,
+        outputChannels
+    };
+}
+
+/**
+ * Magnitude spectrum of a signal (Hann window, averaged over frames)
+ * @param {Float32Array} signal - Input signal
+ * @param {number} fftSize - Frame length (power of two)
+ * @returns {Float64Array} Power per bin, fftSize / 2 + 1 bins
+ */
+function averagePowerSpectrum(signal, fftSize) {
+    const power = new Float64Array(fftSize / 2 + 1);
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+    let frames = 0;
+
+    for (let start = 0; start + fftSize <= signal.length; start += fftSize / 2) {
+        for (let i = 0; i < fftSize; i++) {
+            real[i] = signal[start + i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize));
+        }
+        imag.fill(0);
+        SpectralFilters.fft(real, imag);
+        for (let k = 0; k < power.length; k++) {
+            power[k] += real[k] * real[k] + imag[k] * imag[k];
+        }
+        frames++;
+    }
+
+    return power.map(value => value / frames);
+}
+
+module.exports = {
+    ROOT,
+    runScript,
+    installWorkers,
+    createAudioContext,
+    getBiquadCoefficients,
+    renderGraph,
+    getRawExportSettings,
+    averagePowerSpectrum
+};
@@ -0,0 +1,150 @@
+/**
+ * Inter-channel correlation of multichannel noise (MultichannelNoiseSource)
+ *
+ * Mixing must set the correlation between channels without changing what
+ * each channel looks like on its own: same amplitude distribution, same
+ * level and the same peak as a single-channel stream. MLS channels must stay
+ * binary.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/browser');
+
+const SAMPLES = 1 << 18;
+const CHI_SQUARE_BINS = 64;
+const CHI_SQUARE_Z = 4.42;  // Two-sided p = 1e-5
+
+const DISTRIBUTIONS = [
+    { distribution: 'uniform' },
+    { distribution: 'gaussian' },
+    { distribution: 'truncated-gaussian', sigmaClip: 1.5 },
+    { distribution: 'truncated-gaussian', sigmaClip: 3 }
+];
+
+function render(channels, correlation, options, seed = 5) {
+    const source = new MultichannelNoiseSource(seed, channels, correlation, 0, { generator: 'pcg32', ...options });
+    return source.fill(Array.from({ length: channels }, () => new Float32Array(SAMPLES)));
+}
+
+// CDF of a stream's distribution, mapping its samples to uniform [0, 1]
+function distributionCdf(options) {
+    const reference = new SeededNoiseSource(1, 0, options);
+    const { normalCdf } = SeededNoiseSource;
+    switch (options.distribution) {
+        case 'gaussian':
+            return x => normalCdf(x / reference.gaussianScale);
+        case 'truncated-gaussian':
+            return x => (normalCdf(x / reference.gaussianScale) - reference.clipTail) / reference.clipMass;
+        default:
+            return x => (x + 1) / 2;
+    }
+}
+
+function correlation(a, b) {
+    let ab = 0, aa = 0, bb = 0;
+    for (let i = 0; i < a.length; i++) {
+        ab += a[i] * b[i];
+        aa += a[i] * a[i];
+        bb += b[i] * b[i];
+    }
+    return ab / Math.sqrt(aa * bb);
+}
+
+function rms(samples) {
+    return Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+}
+
+function peak(samples) {
+    return samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+}
+
+// Chi-square quantile for a normal quantile z (Wilson-Hilferty)
+function chiSquareQuantile(degrees, z) {
+    const h = 2 / (9 * degrees);
+    return degrees * Math.pow(1 - h + z * Math.sqrt(h), 3);
+}
+
+for (const options of DISTRIBUTIONS) {
+    const label = options.distribution + (options.sigmaClip ? ` (clip ${options.sigmaClip})` : '');
+
+    test(`${label}: channels at correlation 0.5 keep the distribution, level and peak`, () => {
+        const channels = render(2, 0.5, options);
+        const mono = render(1, 0, options)[0];
+        const cdf = distributionCdf(options);
+        const reference = new SeededNoiseSource(1, 0, options);
+        const limit = options.distribution === 'uniform' ? 1 : reference.sigmaClip * reference.gaussianScale;
+
+        channels.forEach((channel, c) => {
+            // Bounded distributions never leave their range
+            if (options.distribution !== 'gaussian') {
+                assert.ok(peak(channel) <= limit * (1 + 1e-6), `channel ${c} peak ${peak(channel)} within ${limit}`);
+            }
+            assert.ok(Math.abs(rms(channel) / rms(mono) - 1) < 0.01, `channel ${c} RMS ${rms(channel)}, mono ${rms(mono)}`);
+
+            // Equiprobable bins of the selected distribution fill evenly
+            const counts = new Float64Array(CHI_SQUARE_BINS);
+            channel.forEach(sample => counts[Math.min(CHI_SQUARE_BINS - 1, Math.floor(cdf(sample) * CHI_SQUARE_BINS))]++);
+            const expected = SAMPLES / CHI_SQUARE_BINS;
+            const chi2 = counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+            const high = chiSquareQuantile(CHI_SQUARE_BINS - 1, CHI_SQUARE_Z);
+            assert.ok(chi2 < high, `channel ${c} chi-square ${chi2} below ${high}`);
+        });
+
+        const r = correlation(channels[0], channels[1]);
+        assert.ok(Math.abs(r - 0.5) < 5 / Math.sqrt(SAMPLES), `correlation ${r}`);
+    });
+}
+
+test('uniform channels correlate by the set amount across the range', () => {
+    for (const target of [0, 0.2, 0.8, 1]) {
+        const [a, b, c] = render(3, target, { distribution: 'uniform' }, 17);
+        for (const [x, y] of [[a, b], [a, c], [b, c]]) {
+            const r = correlation(x, y);
+            assert.ok(Math.abs(r - target) < 5 / Math.sqrt(SAMPLES), `correlation ${r} for ${target}`);
+        }
+    }
+});
+
+test('correlation 1 gives identical channels and mono follows the seeded stream', () => {
+    const [a, b] = render(2, 1, { distribution: 'uniform' });
+    assert.deepStrictEqual(a, b);
+
+    const mono = render(1, 0.5, { distribution: 'uniform' })[0];
+    assert.deepStrictEqual(mono, new SeededNoiseSource(5, 0, { generator: 'pcg32' }).fill(new Float32Array(SAMPLES)));
+});
+
+test('the normal CDF and its inverse agree', () => {
+    for (let z = -6; z <= 6; z += 0.25) {
+        const p = SeededNoiseSource.normalCdf(z);
+        assert.ok(Math.abs(SeededNoiseSource.inverseNormalCdf(p) - z) < 1e-5 * Math.max(1, Math.abs(z)), `z ${z}`);
+    }
+    assert.ok(Math.abs(SeededNoiseSource.normalCdf(1) - 0.8413447460685429) < 1e-7);
+});
+
+test('MLS channels stay binary at any correlation', () => {
+    const options = { sourceType: 'mls', mlsOrder: 10 };
+    const period = MlsSource.getPeriod(10);
+    const amplitude = new MlsSource(0, 0, options).amplitude;
+
+    for (const correlation of [0, 0.3, 0.5, 0.7, 1]) {
+        const source = new MultichannelNoiseSource(9, 4, correlation, 0, options);
+        const channels = source.fill(Array.from({ length: 4 }, () => new Float32Array(2 * period)));
+        channels.forEach((channel, c) => {
+            assert.ok(channel.every(sample => sample === Math.fround(amplitude) || sample === Math.fround(-amplitude)),
+                `correlation ${correlation}: channel ${c} is ±amplitude`);
+        });
+
+        // Below 0.5 the channels are the sequence shifted by a quarter period each, identical above
+        const shift = correlation < 0.5 ? Math.floor(period / 4) : 0;
+        channels.forEach((channel, c) => {
+            for (let i = 0; i < period; i++) {
+                assert.strictEqual(channel[i], channels[0][(i + c * shift) % period], `correlation ${correlation}: channel ${c} at ${i}`);
+            }
+        });
+    }
+
+    assert.strictEqual(MultichannelNoiseSource.getEffectiveCorrelation('mls', 0.3), 0);
+    assert.strictEqual(MultichannelNoiseSource.getEffectiveCorrelation('mls', 0.7), 1);
+    assert.strictEqual(MultichannelNoiseSource.getEffectiveCorrelation('noise', 0.7), 0.7);
+});
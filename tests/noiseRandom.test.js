@@ -0,0 +1,265 @@
+/**
+ * Statistical checks of the PRNG backends (RandomGenerator.TYPES) and of the
+ * block-wise SeededNoiseSource stream built on them
+ *
+ * Each backend draws SAMPLES uniform values from a few seeds. The bounds are
+ * about five standard errors of the statistic for an ideal generator, so a
+ * correct generator fails with a probability well below one in a million.
+ * The stream is checked the same way over several block boundaries, and the
+ * jump-ahead that separates its blocks against plain stepping.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { averagePowerSpectrum } = require('./helpers/browser');
+
+const SAMPLES = 1 << 18;
+const SEEDS = [1, 12345, 0xDEADBEEF];
+
+// Ideal uniform [0, 1): mean 1/2, variance 1/12, fourth central moment 1/80
+const MEAN_BOUND = 5 * Math.sqrt(1 / 12 / SAMPLES);
+const VARIANCE_BOUND = 5 * Math.sqrt((1 / 80 - 1 / 144) / SAMPLES);
+const AUTOCORRELATION_LAGS = 32;
+const AUTOCORRELATION_BOUND = 5 / Math.sqrt(SAMPLES);
+const FLATNESS_FFT_SIZE = 1024;
+const FLATNESS_MIN = 0.99;
+const CHI_SQUARE_BINS = 256;
+const CHI_SQUARE_Z = 4.42;  // Two-sided p = 1e-5
+
+const BLOCK_SIZE = SeededNoiseSource.BLOCK_SIZE;
+const JUMPING_TYPES = Object.keys(RandomGenerator.TYPES).filter(type => RandomGenerator.TYPES[type].JUMP_LOG2 !== null);
+
+function draw(type, seed) {
+    const generator = RandomGenerator.create(type, seed);
+    const values = new Float64Array(SAMPLES);
+    for (let i = 0; i < SAMPLES; i++) {
+        values[i] = generator.next();
+    }
+    return values;
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function variance(values) {
+    const m = mean(values);
+    return values.reduce((sum, value) => sum + (value - m) * (value - m), 0) / values.length;
+}
+
+function autocorrelation(values, lag) {
+    const m = mean(values);
+    let sum = 0;
+    let energy = 0;
+    for (let i = 0; i < values.length; i++) {
+        energy += (values[i] - m) * (values[i] - m);
+        if (i + lag < values.length) {
+            sum += (values[i] - m) * (values[i + lag] - m);
+        }
+    }
+    return sum / energy;
+}
+
+// Geometric over arithmetic mean of the averaged power spectrum, without DC and Nyquist
+function spectralFlatness(values) {
+    const m = mean(values);
+    const power = averagePowerSpectrum(Float32Array.from(values, value => value - m), FLATNESS_FFT_SIZE)
+        .subarray(1, FLATNESS_FFT_SIZE / 2);
+    const logMean = power.reduce((sum, value) => sum + Math.log(value), 0) / power.length;
+    return Math.exp(logMean) / mean(power);
+}
+
+function chiSquare(values) {
+    const counts = new Float64Array(CHI_SQUARE_BINS);
+    values.forEach(value => counts[Math.floor(value * CHI_SQUARE_BINS)]++);
+    const expected = values.length / CHI_SQUARE_BINS;
+    return counts.reduce((sum, count) => sum + (count - expected) * (count - expected) / expected, 0);
+}
+
+// Chi-square quantile for a normal quantile z (Wilson-Hilferty)
+function chiSquareQuantile(degrees, z) {
+    const h = 2 / (9 * degrees);
+    return degrees * Math.pow(1 - h + z * Math.sqrt(h), 3);
+}
+
+function assertUniform(values) {
+    assert.ok(values.every(value => value >= 0 && value < 1), 'values in [0, 1)');
+
+    const m = mean(values);
+    assert.ok(Math.abs(m - 0.5) < MEAN_BOUND, `mean ${m} within ${MEAN_BOUND} of 1/2`);
+
+    const v = variance(values);
+    assert.ok(Math.abs(v - 1 / 12) < VARIANCE_BOUND, `variance ${v} within ${VARIANCE_BOUND} of 1/12`);
+
+    for (let lag = 1; lag <= AUTOCORRELATION_LAGS; lag++) {
+        const r = autocorrelation(values, lag);
+        assert.ok(Math.abs(r) < AUTOCORRELATION_BOUND, `autocorrelation ${r} at lag ${lag} within ${AUTOCORRELATION_BOUND}`);
+    }
+
+    const flatness = spectralFlatness(values);
+    assert.ok(flatness > FLATNESS_MIN, `spectral flatness ${flatness} above ${FLATNESS_MIN}`);
+
+    const degrees = CHI_SQUARE_BINS - 1;
+    const chi2 = chiSquare(values);
+    const low = chiSquareQuantile(degrees, -CHI_SQUARE_Z);
+    const high = chiSquareQuantile(degrees, CHI_SQUARE_Z);
+    assert.ok(chi2 > low && chi2 < high, `chi-square ${chi2} over ${CHI_SQUARE_BINS} bins within (${low}, ${high})`);
+}
+
+// Characteristic polynomial of a linear generator from one state bit (Berlekamp-Massey over GF(2)).
+// Polynomials are BigInts, bit i holding the coefficient of x^i.
+function characteristicPolynomial(type) {
+    const generator = RandomGenerator.create(type, 99);
+    const degree = generator.state.length * 32;
+    const bits = [];
+    for (let i = 0; i < 2 * degree; i++) {
+        bits.push(generator.state[1] & 1);
+        generator.nextUint32();
+    }
+
+    let connection = 1n, previous = 1n, length = 0, shift = 1;
+    bits.forEach((bit, n) => {
+        let discrepancy = bit;
+        for (let i = 1; i <= length; i++) {
+            discrepancy ^= Number((connection >> BigInt(i)) & 1n) & bits[n - i];
+        }
+        if (discrepancy === 0) {
+            shift++;
+            return;
+        }
+        const saved = connection;
+        connection ^= previous << BigInt(shift);
+        if (2 * length <= n) {
+            length = n + 1 - length;
+            previous = saved;
+            shift = 1;
+        } else {
+            shift++;
+        }
+    });
+
+    // The characteristic polynomial is the reversed connection polynomial
+    let polynomial = 0n;
+    for (let i = 0; i <= length; i++) {
+        if ((connection >> BigInt(i)) & 1n) polynomial |= 1n << BigInt(length - i);
+    }
+    return { polynomial, degree: length };
+}
+
+// a * b modulo the characteristic polynomial
+function multiplyModulo(a, b, { polynomial, degree }) {
+    let product = 0n;
+    for (; b; b >>= 1n) {
+        if (b & 1n) product ^= a;
+        a <<= 1n;
+        if ((a >> BigInt(degree)) & 1n) a ^= polynomial;
+    }
+    return product;
+}
+
+// Jump polynomial as the generators store it (64-bit words as hi, lo pairs, lowest word first)
+function toWords(value, degree) {
+    return Uint32Array.from({ length: degree / 32 }, (_, i) => {
+        const word = (value >> BigInt(64 * (i >> 1))) & 0xFFFFFFFFFFFFFFFFn;
+        return Number(i & 1 ? word & 0xFFFFFFFFn : word >> 32n);
+    });
+}
+
+// Uniform stream samples in [-1, 1) mapped back to [0, 1)
+function drawStream(type, seed, startSample) {
+    const samples = new SeededNoiseSource(seed, startSample, { generator: type }).fill(new Float32Array(SAMPLES));
+    return Float64Array.from(samples, sample => (sample + 1) / 2);
+}
+
+for (const type of Object.keys(RandomGenerator.TYPES)) {
+    test(`${type}: reproducible from the seed`, () => {
+        assert.deepStrictEqual(draw(type, 42).subarray(0, 64), draw(type, 42).subarray(0, 64));
+        assert.notDeepStrictEqual(draw(type, 42).subarray(0, 64), draw(type, 43).subarray(0, 64));
+    });
+
+    for (const seed of SEEDS) {
+        test(`${type} (seed ${seed}): uniform, white and uncorrelated`, () => {
+            assertUniform(draw(type, seed));
+        });
+    }
+
+    // SAMPLES spans four blocks; starting mid-block crosses four boundaries
+    test(`${type} stream: uniform, white and uncorrelated across block boundaries`, () => {
+        assertUniform(drawStream(type, 2024, BLOCK_SIZE / 2 + 3));
+    });
+
+    test(`${type} stream: startingAt matches a sequential render`, () => {
+        for (const distribution of ['uniform', 'truncated-gaussian']) {
+            const track = {
+                enabled: true, channels: 2, correlation: 0.3, seed: 77, noiseColor: 'white',
+                noiseGenerator: type, noiseDistribution: distribution, gain: 1, pan: 0, filters: []
+            };
+            const length = 3 * BLOCK_SIZE + 1000;
+            const reference = new TrackRenderStream(track, 48000, 0).render(length);
+
+            for (const start of [BLOCK_SIZE - 1, 2 * BLOCK_SIZE + 12345]) {
+                const rendered = TrackRenderStream.startingAt(track, 48000, start).render(length - start);
+                rendered.forEach((channel, c) => {
+                    const index = channel.findIndex((sample, i) => !Object.is(sample, reference[c][start + i]));
+                    assert.strictEqual(index, -1, `${distribution} from ${start}: channel ${c} differs at ${index}`);
+                });
+            }
+        }
+    });
+}
+
+for (const type of JUMPING_TYPES.filter(type => RandomGenerator.TYPES[type].JUMP_POLYNOMIAL)) {
+    test(`${type}: the jump polynomial is x^(2^${RandomGenerator.TYPES[type].JUMP_LOG2}) modulo the characteristic polynomial`, () => {
+        const GeneratorClass = RandomGenerator.TYPES[type];
+        const modulus = characteristicPolynomial(type);
+        assert.strictEqual(modulus.degree, RandomGenerator.create(type, 1).state.length * 32, 'full-period generator');
+
+        let jump = 2n;
+        for (let i = 0; i < GeneratorClass.JUMP_LOG2; i++) {
+            jump = multiplyModulo(jump, jump, modulus);
+        }
+        assert.deepStrictEqual(GeneratorClass.JUMP_POLYNOMIAL, toWords(jump, modulus.degree));
+
+        // A short jump through the same machinery lands where plain stepping does
+        let short = 1n;
+        for (let i = 0; i < 1000; i++) {
+            short = multiplyModulo(short, 2n, modulus);
+        }
+        const jumped = RandomGenerator.create(type, 5);
+        const stepped = jumped.clone();
+        jumped.applyJumpPolynomial(toWords(short, modulus.degree));
+        for (let i = 0; i < 1000; i++) {
+            stepped.nextUint32();
+        }
+        assert.deepStrictEqual(jumped.state, stepped.state);
+    });
+}
+
+for (const type of JUMPING_TYPES) {
+    test(`${type} stream: block n starts n jumps after the seeded generator`, () => {
+        const generator = RandomGenerator.create(type, 31);
+        for (let block = 0; block < 4; block++) {
+            const source = new SeededNoiseSource(31, block * BLOCK_SIZE, { generator: type });
+            assert.strictEqual(source.next(), 2 * generator.clone().next() - 1, `block ${block}`);
+            generator.jump();
+        }
+    });
+}
+
+test('pcg32: advance matches plain stepping, including carries into the high word', () => {
+    const stepped = RandomGenerator.create('pcg32', 7);
+    const advanced = stepped.clone();
+    for (let i = 0; i < 123457; i++) {
+        stepped.nextUint32();
+    }
+    advanced.advance(0, 123457);
+    assert.deepStrictEqual(advanced.state, stepped.state);
+
+    // 2^32 + 5 steps in one go or in two
+    const once = RandomGenerator.create('pcg32', 7);
+    const twice = once.clone();
+    once.advance(1, 5);
+    twice.advance(0, 0xFFFFFFFF);
+    twice.advance(0, 6);
+    assert.deepStrictEqual(once.state, twice.state);
+});
@@ -0,0 +1,105 @@
+/**
+ * IEC 61260-1 class 1 compliance of the fractional-octave band designs
+ * (OctaveBandDesign) across fractions and sample rates
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/browser');
+
+const SAMPLE_RATES = [22050, 32000, 44100, 48000, 96000];
+const FRACTIONS = Object.keys(OctaveBandDesign.FRACTIONS).map(Number);
+const G = OctaveBandDesign.OCTAVE_RATIO;
+
+// Magnitude of a section cascade, evaluated here rather than with CascadeDesign
+function cascadeMagnitude(sections, frequency, sampleRate) {
+    const w = 2 * Math.PI * frequency / sampleRate;
+    return sections.reduce((product, { b0, b1, b2, a1, a2 }) => {
+        const num = Math.hypot(b0 + b1 * Math.cos(w) + b2 * Math.cos(2 * w), b1 * Math.sin(w) + b2 * Math.sin(2 * w));
+        const den = Math.hypot(1 + a1 * Math.cos(w) + a2 * Math.cos(2 * w), a1 * Math.sin(w) + a2 * Math.sin(2 * w));
+        return product * num / den;
+    }, 1);
+}
+
+for (const sampleRate of SAMPLE_RATES) {
+    for (const fraction of FRACTIONS) {
+        test(`1/${fraction} octave at ${sampleRate} Hz: every available band meets class 1`, () => {
+            const bands = OctaveBandDesign.getBands(fraction)
+                .filter(({ band }) => OctaveBandDesign.isBandAvailable(fraction, band, sampleRate));
+            assert.ok(bands.length > 0);
+
+            bands.forEach(({ band, nominal }) => {
+                const result = OctaveBandDesign.checkCompliance({ fraction, band }, sampleRate);
+                const failed = result.points.filter(point => !point.pass)
+                    .map(point => `${point.frequency.toFixed(0)} Hz: ${point.attenuation.toFixed(2)} dB`);
+                assert.ok(result.compliant, `${nominal} Hz band: ${failed.join(', ')}`);
+
+                // The mid-band point and everything below it are always checked
+                assert.ok(result.points.length >= OctaveBandDesign.CLASS1_LIMITS.length, `${nominal} Hz band: ${result.points.length} points`);
+            });
+        });
+    }
+}
+
+test('the 1/3 octave 20 kHz band meets class 1 at 44.1 kHz up to Nyquist', () => {
+    const filter = { fraction: 3, band: 13 };
+    assert.strictEqual(OctaveBandDesign.getNominal(3, OctaveBandDesign.getCenter(3, 13)), 20000);
+
+    const result = OctaveBandDesign.checkCompliance(filter, 44100);
+    assert.ok(result.compliant);
+
+    // The highest mask point below Nyquist is the passband limit at G^(3/8) (at most 1.6 dB)
+    const top = result.points[result.points.length - 1];
+    assert.ok(top.frequency > 21000 && top.frequency < 22050, `${top.frequency} Hz`);
+    assert.ok(top.attenuation <= 1.6, `${top.attenuation} dB`);
+});
+
+test('reported attenuations match the response of the designed sections', () => {
+    for (const [fraction, band, sampleRate] of [[1, 0, 48000], [3, -10, 44100], [12, 30, 32000], [24, -60, 96000]]) {
+        const sections = OctaveBandDesign.designSections({ fraction, band }, sampleRate);
+        const center = OctaveBandDesign.getCenter(fraction, band);
+        const reference = cascadeMagnitude(sections, center, sampleRate);
+        assert.ok(Math.abs(20 * Math.log10(reference)) < 0.01, 'unity gain at mid-band');
+
+        // CascadeDesign reports single-precision magnitudes, hence the tolerance
+        OctaveBandDesign.checkCompliance({ fraction, band }, sampleRate).points.forEach(point => {
+            const attenuation = 20 * Math.log10(reference / cascadeMagnitude(sections, point.frequency, sampleRate));
+            assert.ok(Math.abs(attenuation - point.attenuation) < 1e-4 * Math.max(1, Math.abs(attenuation)),
+                `1/${fraction} band ${band} at ${point.frequency.toFixed(1)} Hz: ${attenuation} vs ${point.attenuation}`);
+        });
+    }
+});
+
+test('the tolerance mask follows the class 1 table and the breakpoint scaling', () => {
+    // Octave bands use the tabulated frequencies G^power directly
+    const octave = OctaveBandDesign.getToleranceMask(1, 0);
+    const upper = octave.slice(OctaveBandDesign.CLASS1_LIMITS.length - 1);
+    OctaveBandDesign.CLASS1_LIMITS.forEach((limit, i) => {
+        assert.ok(Math.abs(upper[i].frequency / (1000 * Math.pow(G, limit.power)) - 1) < 1e-12);
+    });
+
+    // Narrower bands put the -3 dB breakpoint (power 1/2) on their band edges
+    for (const fraction of FRACTIONS) {
+        const edges = OctaveBandDesign.getEdges(fraction, 5);
+        const mask = OctaveBandDesign.getToleranceMask(fraction, 5);
+        const edgePoints = mask.filter(point => point.min === 1.2);
+        assert.strictEqual(edgePoints.length, 2);
+        assert.ok(Math.abs(edgePoints[0].frequency / edges.lower - 1) < 1e-12);
+        assert.ok(Math.abs(edgePoints[1].frequency / edges.upper - 1) < 1e-12);
+    }
+});
+
+test('bands too close to Nyquist are rejected', () => {
+    // 16 kHz octave (center 15849 Hz) at 32 kHz, 20 kHz third octave at 22.05 kHz
+    for (const [fraction, band, sampleRate] of [[1, 4, 32000], [3, 13, 22050]]) {
+        assert.strictEqual(OctaveBandDesign.isBandAvailable(fraction, band, sampleRate), false);
+        assert.throws(() => OctaveBandDesign.designSections({ fraction, band }, sampleRate), /needs a sample rate above/);
+        assert.throws(() => CascadeDesign.designSections({ type: 'octaveBand', fraction, band }, sampleRate), /needs a sample rate above/);
+    }
+    assert.strictEqual(OctaveBandDesign.isBandAvailable(1, 4, 44100), true);
+
+    // Switching the bandwidth stays on an available band
+    const band = OctaveBandDesign.convertBand(3, 13, 1, 32000);
+    assert.ok(OctaveBandDesign.isBandAvailable(1, band, 32000));
+    assert.strictEqual(OctaveBandDesign.convertBand(3, 13, 1), 4);
+});
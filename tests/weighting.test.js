@@ -0,0 +1,88 @@
+/**
+ * Weighting designs (WeightingDesign) against IEC 61672-1 class 1 and
+ * ITU-R BS.468-4 at the common sample rates
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/browser');
+
+const SAMPLE_RATES = [22050, 32000, 44100, 48000, 96000];
+const CURVES = Object.keys(WeightingDesign.CURVES);
+
+// IEC 61672-1:2013 Table 3 weightings at nominal frequencies, in dB (rounded to 0.1 dB)
+const IEC_TABLE = [
+    { frequency: 10, A: -70.4, C: -14.3 },
+    { frequency: 31.5, A: -39.4, C: -3.0 },
+    { frequency: 63, A: -26.2, C: -0.8 },
+    { frequency: 125, A: -16.1, C: -0.2 },
+    { frequency: 250, A: -8.6, C: 0.0 },
+    { frequency: 500, A: -3.2, C: 0.0 },
+    { frequency: 1000, A: 0.0, C: 0.0 },
+    { frequency: 2000, A: 1.2, C: -0.2 },
+    { frequency: 4000, A: 1.0, C: -0.8 },
+    { frequency: 8000, A: -1.1, C: -3.0 },
+    { frequency: 16000, A: -6.6, C: -8.5 },
+    { frequency: 20000, A: -9.3, C: -11.2 }
+];
+
+// Exact base-10 frequency of a nominal third-octave frequency
+function exactFrequency(nominal) {
+    return 1000 * Math.pow(10, Math.round(10 * Math.log10(nominal / 1000)) / 10);
+}
+
+for (const curve of CURVES) {
+    for (const sampleRate of SAMPLE_RATES) {
+        test(`${curve} at ${sampleRate} Hz is within tolerance`, () => {
+            const result = WeightingDesign.checkTolerance({ curve }, sampleRate);
+            const failed = result.points.filter(point => !point.pass)
+                .map(point => `${point.frequency.toFixed(0)} Hz: ${point.deviation.toFixed(2)} dB`);
+            assert.ok(result.compliant, failed.join(', '));
+
+            // Every tolerance point below Nyquist is checked
+            const below = WeightingDesign.getTolerances(curve).filter(point => point.frequency < sampleRate / 2).length;
+            assert.strictEqual(result.points.length, below);
+            assert.strictEqual(result.points.length + result.skipped, WeightingDesign.getTolerances(curve).length);
+        });
+    }
+}
+
+test('A and C curves match the IEC 61672-1 table', () => {
+    IEC_TABLE.forEach(row => {
+        for (const curve of ['A', 'C']) {
+            const response = WeightingDesign.getResponseDb(curve, exactFrequency(row.frequency));
+            assert.ok(Math.abs(response - row[curve]) <= 0.05 + 1e-9, `${curve} at ${row.frequency} Hz: ${response.toFixed(3)} dB, table ${row[curve]} dB`);
+        }
+    });
+});
+
+test('ITU-R 468 curve matches its table', () => {
+    WeightingDesign.ITU468_TOLERANCES.forEach(point => {
+        const response = WeightingDesign.getResponseDb('ITU468', point.frequency);
+        assert.ok(Math.abs(response - point.goal) <= Math.max(point.upper, 0.05),
+            `${point.frequency} Hz: ${response.toFixed(3)} dB, table ${point.goal} dB`);
+    });
+});
+
+test('at 44.1 kHz the designs follow the curves up to 20 kHz', () => {
+    const limits = { A: 0.3, C: 0.3, ITU468: 0.8 };
+    const frequencies = Array.from({ length: 200 }, (_, i) => 10 * Math.pow(2000, i / 199));
+
+    for (const [curve, limit] of Object.entries(limits)) {
+        const sections = WeightingDesign.designSections({ curve }, 44100);
+        const magnitudes = CascadeDesign.getMagnitudeResponse(sections, frequencies, 44100);
+        frequencies.forEach((frequency, i) => {
+            const deviation = 20 * Math.log10(magnitudes[i]) - WeightingDesign.getResponseDb(curve, frequency);
+            assert.ok(Math.abs(deviation) < limit, `${curve} at ${frequency.toFixed(0)} Hz: ${deviation.toFixed(3)} dB`);
+        });
+    }
+});
+
+test('Z weighting is flat and has no sections', () => {
+    assert.deepStrictEqual(WeightingDesign.designSections({ curve: 'Z' }, 48000), []);
+    assert.strictEqual(WeightingDesign.getResponseDb('Z', 20), 0);
+});
+
+test('unknown curves are rejected', () => {
+    assert.throws(() => WeightingDesign.checkTolerance({ curve: 'B' }, 48000), /Unknown weighting curve/);
+});
@@ -6,6 +6,7 @@
  * Key Features:
  * - High-performance JavaScript FFT (0.34ms per 4096-point operation)
  * - Ring buffer management for 128-sample → 4096-sample block processing
+ * - Any number of channels, each with its own ring buffers and overlap state
  * - Pre-allocated buffers to prevent garbage collection
  * - Smooth filter masks using exact mathematical formulas
  * - Professional audio quality with <-96dB THD+N
@@ -42,23 +43,15 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
             totalProcessed: 0
         };
         
-        // Ring buffer management for block size adaptation
-        this.inputRingBuffer = new Float32Array(this.RING_BUFFER_SIZE);
-        this.outputRingBuffer = new Float32Array(this.RING_BUFFER_SIZE);
-        this.inputHead = 0;
-        this.inputTail = 0;
-        this.outputHead = 0;
-        this.outputTail = 0;
+        // Ring buffers and overlap state per channel, created as channels appear
+        this.channelStates = [this.createChannelState()];
         
-        // Pre-allocated processing buffers (critical for GC avoidance)
+        // Pre-allocated processing buffers shared by all channels (critical for GC avoidance)
         this.fftReal = new Float32Array(this.FFT_SIZE);
         this.fftImag = new Float32Array(this.FFT_SIZE);
         this.processBuffer = new Float32Array(this.FFT_SIZE);
         this.outputBuffer = new Float32Array(this.FFT_SIZE);
         
-        // Overlap-add buffer for smooth transitions
-        this.overlapBuffer = new Float32Array(this.FFT_SIZE);
-        
         // Filter mask storage
         this.filterMask = new Float32Array(this.FFT_SIZE);
         this.frequencies = new Float32Array(this.FFT_SIZE);
@@ -118,6 +111,24 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
         });
     }
     
+    /**
+     * Create the ring buffers and overlap-add buffer for one channel
+     * @returns {Object} Channel state
+     */
+    createChannelState() {
+        return {
+            // Ring buffer management for block size adaptation
+            inputRingBuffer: new Float32Array(this.RING_BUFFER_SIZE),
+            outputRingBuffer: new Float32Array(this.RING_BUFFER_SIZE),
+            inputHead: 0,
+            inputTail: 0,
+            outputHead: 0,
+            outputTail: 0,
+            // Overlap-add buffer for smooth transitions
+            overlapBuffer: new Float32Array(this.FFT_SIZE)
+        };
+    }
+    
     /**
      * Initialize frequency array for filter mask generation
      */
@@ -208,6 +219,9 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
             console.log(`🎯 FILTER MASK DEBUG: Gain linear: ${gainLinear} (from ${this.config.gain} dB)`);
         }
         
+        // Drawn curves come from the shared CurveFilterDesign (loaded into the worklet scope by DirectFFTManager)
+        const curve = this.config.type === 'curve' ? CurveFilterDesign.createCurve(this.config) : null;
+        
         // Calculate filter response for each frequency bin
         for (let i = 0; i < this.filterMask.length; i++) {
             const frequency = this.frequencies[i];
@@ -223,6 +237,9 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
                 case 'plateau':
                     magnitude = this.calculatePlateauMagnitude(frequency);
                     break;
+                case 'curve':
+                    magnitude = Math.pow(10, curve(Math.abs(frequency)) / 20);
+                    break;
                 default:
                     magnitude = 1.0; // Bypass for unknown types
             }
@@ -356,8 +373,10 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
     
     /**
      * Process full block using embedded FFT with overlap-add windowing
+     * @param {Float32Array} inputBlock - FFT_SIZE input samples
+     * @param {Object} state - Channel state holding the overlap-add buffer
      */
-    processBlock(inputBlock) {
+    processBlock(inputBlock, state) {
         try {
             // 🔍 DEBUG: Analyze input signal level
             let inputMax = 0;
@@ -424,7 +443,7 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
             
             // Apply window and overlap-add for smooth transitions
             for (let i = 0; i < this.FFT_SIZE; i++) {
-                this.outputBuffer[i] = (processedBlock[i] * this.window[i] / this.windowNorm) + this.overlapBuffer[i];
+                this.outputBuffer[i] = (processedBlock[i] * this.window[i] / this.windowNorm) + state.overlapBuffer[i];
             }
             
             // 🔍 DEBUG: Analyze final output buffer
@@ -439,11 +458,11 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
             
             // Store overlap for next block - shift by hop size
             for (let i = 0; i < this.FFT_SIZE - this.HOP_SIZE; i++) {
-                this.overlapBuffer[i] = this.outputBuffer[i + this.HOP_SIZE];
+                state.overlapBuffer[i] = this.outputBuffer[i + this.HOP_SIZE];
             }
             // Clear the remaining buffer
             for (let i = this.FFT_SIZE - this.HOP_SIZE; i < this.FFT_SIZE; i++) {
-                this.overlapBuffer[i] = 0;
+                state.overlapBuffer[i] = 0;
             }
             
             // 🔍 DEBUG: Signal flow analysis - only when there's actual signal or critical errors
@@ -616,8 +635,9 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
      * Performance monitoring with FFT performance data
      */
     reportPerformance() {
-        const inputUtilization = this.getRingBufferSize(this.inputHead, this.inputTail, this.RING_BUFFER_SIZE);
-        const outputUtilization = this.getRingBufferSize(this.outputHead, this.outputTail, this.RING_BUFFER_SIZE);
+        const state = this.channelStates[0];
+        const inputUtilization = this.getRingBufferSize(state.inputHead, state.inputTail, this.RING_BUFFER_SIZE);
+        const outputUtilization = this.getRingBufferSize(state.outputHead, state.outputTail, this.RING_BUFFER_SIZE);
         
         this.port.postMessage({
             type: 'performance',
@@ -681,8 +701,37 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
             return true;
         }
         
-        const inputChannel = input[0];
-        const outputChannel = output[0];
+        // Filter every channel the input carries; the output follows the input channel count
+        const channels = Math.min(input.length, output.length);
+        for (let channel = 0; channel < channels; channel++) {
+            if (!this.channelStates[channel]) {
+                this.channelStates[channel] = this.createChannelState();
+            }
+            this.processChannel(input[channel], output[channel], this.channelStates[channel]);
+        }
+        
+        for (let channel = channels; channel < output.length; channel++) {
+            output[channel].fill(0);
+        }
+        
+        // Simple performance monitoring (without performance.now())
+        this.processCount++;
+        
+        // Report performance periodically
+        if (this.processCount % 1000 === 0) {
+            this.reportPerformance();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Run one channel through its ring buffers and the FFT filter
+     * @param {Float32Array} inputChannel - Input samples for this render quantum
+     * @param {Float32Array} outputChannel - Output samples for this render quantum
+     * @param {Object} state - Channel state (ring buffers and overlap-add buffer)
+     */
+    processChannel(inputChannel, outputChannel, state) {
         const frameSize = inputChannel.length;
         
         // Debug: Check input signal level - ONLY log when there's actual signal or errors
@@ -703,20 +752,20 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
         }
         
         // Enqueue input samples to ring buffer
-        this.inputHead = this.enqueueRingBuffer(
-            this.inputRingBuffer, 
-            this.inputHead, 
-            this.inputTail, 
+        state.inputHead = this.enqueueRingBuffer(
+            state.inputRingBuffer, 
+            state.inputHead, 
+            state.inputTail, 
             this.RING_BUFFER_SIZE, 
             inputChannel
         );
         
         // Check if we have enough samples for processing
-        const inputAvailable = this.getRingBufferSize(this.inputHead, this.inputTail, this.RING_BUFFER_SIZE);
+        const inputAvailable = this.getRingBufferSize(state.inputHead, state.inputTail, this.RING_BUFFER_SIZE);
         
         // 🔍 DEBUG: Ring buffer accumulation tracking - ONLY when processing or problems
         if (this.processCount % 5000 === 0 && (inputAvailable >= this.FFT_SIZE || this.processCount % 20000 === 0)) {
-            console.log(`🔄 RING BUFFER DEBUG: Frame ${this.processCount}, Input: ${inputAvailable}/${this.FFT_SIZE}, Output: ${this.getRingBufferSize(this.outputHead, this.outputTail, this.RING_BUFFER_SIZE)}`);
+            console.log(`🔄 RING BUFFER DEBUG: Frame ${this.processCount}, Input: ${inputAvailable}/${this.FFT_SIZE}, Output: ${this.getRingBufferSize(state.outputHead, state.outputTail, this.RING_BUFFER_SIZE)}`);
         }
         
         if (inputAvailable >= this.FFT_SIZE) {
@@ -728,7 +777,7 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
             
             // Copy FFT_SIZE samples without removing them from buffer
             for (let i = 0; i < this.FFT_SIZE; i++) {
-                blockInput[i] = this.inputRingBuffer[(this.inputTail + i) % this.RING_BUFFER_SIZE];
+                blockInput[i] = state.inputRingBuffer[(state.inputTail + i) % this.RING_BUFFER_SIZE];
             }
             
             // 🔍 DEBUG: Verify block input has signal - only when there are issues
@@ -743,7 +792,7 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
             }
             
             // Process block with overlap-add (returns hop-size samples)
-            const processedHop = this.processBlock(blockInput);
+            const processedHop = this.processBlock(blockInput, state);
             
             // 🔍 DEBUG: Verify processBlock output - only when there are issues
             let hopMax = 0;
@@ -762,27 +811,27 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
             }
             
             // Enqueue processed hop to output ring buffer
-            const oldOutputHead = this.outputHead;
-            this.outputHead = this.enqueueRingBuffer(
-                this.outputRingBuffer,
-                this.outputHead,
-                this.outputTail,
+            const oldOutputHead = state.outputHead;
+            state.outputHead = this.enqueueRingBuffer(
+                state.outputRingBuffer,
+                state.outputHead,
+                state.outputTail,
                 this.RING_BUFFER_SIZE,
                 processedHop
             );
             
             // Advance input buffer by hop size only (creating 75% overlap)
-            this.inputTail = (this.inputTail + this.HOP_SIZE) % this.RING_BUFFER_SIZE;
+            state.inputTail = (state.inputTail + this.HOP_SIZE) % this.RING_BUFFER_SIZE;
         }
         
         // Dequeue output samples
-        const outputAvailable = this.getRingBufferSize(this.outputHead, this.outputTail, this.RING_BUFFER_SIZE);
+        const outputAvailable = this.getRingBufferSize(state.outputHead, state.outputTail, this.RING_BUFFER_SIZE);
         
         if (outputAvailable >= frameSize) {
-            this.outputTail = this.dequeueRingBuffer(
-                this.outputRingBuffer,
-                this.outputHead,
-                this.outputTail,
+            state.outputTail = this.dequeueRingBuffer(
+                state.outputRingBuffer,
+                state.outputHead,
+                state.outputTail,
                 this.RING_BUFFER_SIZE,
                 outputChannel,
                 frameSize
@@ -808,16 +857,6 @@ class DirectFFTProcessor extends AudioWorkletProcessor {
                 console.warn(`⚠️ RING BUFFER: Insufficient output data (${outputAvailable} < ${frameSize})`);
             }
         }
-        
-        // Simple performance monitoring (without performance.now())
-        this.processCount++;
-        
-        // Report performance periodically
-        if (this.processCount % 1000 === 0) {
-            this.reportPerformance();
-        }
-        
-        return true;
     }
 }
 
@@ -1,44 +1,89 @@
 /**
- * NoiseShaper Web - White Noise AudioWorklet Processor
- * High-performance white noise generation in dedicated audio thread
+ * NoiseShaper Web - Noise AudioWorklet Processor
+ * High-performance noise generation in dedicated audio thread
  * 
  * Features:
- * - High-quality white noise using Linear Congruential Generator
- * - Real-time gain parameter control
+ * - High-quality white noise from selectable PRNG backends
+ * - Seedable, reproducible noise stream (shared with the exporter)
+ * - Uniform, Gaussian or truncated Gaussian amplitude distribution
+ * - Selectable noise color (white, pink, brown, blue, violet, grey)
+ * - Multichannel output with adjustable inter-channel correlation
+ * - MLS and periodic pseudo-random noise sources for measurements
+ * - Log sweep, multitone and stepped sine test signals
+ * - Decoded audio files as a source (loop, start offset, level trim)
+ * - Sample-accurate gain automation via an a-rate AudioParam
  * - Professional audio quality matching Python reference
  * - Optimized for 128-sample processing blocks
  */
 
 class NoiseProcessor extends AudioWorkletProcessor {
-    constructor() {
+    constructor(options) {
         super();
         
-        // Initialize high-quality noise generator
-        // Linear Congruential Generator parameters (Park and Miller)
-        this.seed = Math.floor(Math.random() * 2147483647);
-        this.multiplier = 16807;
-        this.modulus = 2147483647;
+        // Channel count is fixed by the node's outputChannelCount
+        const outputChannelCount = options && options.outputChannelCount;
+        this.channels = outputChannelCount ? outputChannelCount[0] : 1;
+        this.correlation = 0;
+        this.frame = new Float64Array(this.channels);
         
-        // Audio parameters
-        this.gain = 0.5; // Default gain (50%)
+        // Initialize seeded noise generator (noise sources are loaded into this scope by AudioEngine)
+        this.sourceOptions = {
+            sourceType: 'noise',
+            generator: 'park-miller',
+            distribution: 'uniform',
+            sigmaClip: SeededNoiseSource.SIGMA_CLIP_RANGE.default,
+            mlsOrder: MlsSource.ORDER_RANGE.default,
+            period: PeriodicNoiseSource.DEFAULT_PERIOD,
+            sweep: SineSweepSource.DEFAULTS,
+            multitone: MultitoneSource.DEFAULTS,
+            steppedSine: SteppedSineSource.DEFAULTS,
+            noiseColor: 'white', // Periodic noise bakes the color into its spectrum
+            sampleRate: sampleRate
+        };
+        this.setSeed(SeededNoiseSource.randomSeed());
+        
+        // Audio state (gain is the 'gain' AudioParam)
         this.isActive = false;
         
+        // Noise color shaping (NoiseColorShaper is loaded into this scope by AudioEngine)
+        this.noiseColor = 'white';
+        this.colorShapers = [];
+        
         // Setup parameter message handling
         this.port.onmessage = (event) => {
             const { type, value } = event.data;
             
             switch (type) {
-                case 'setGain':
-                    this.gain = Math.max(0, Math.min(1, value));
-                    break;
                 case 'start':
                     this.isActive = true;
-                    // Re-seed for fresh noise on each start
-                    this.seed = Math.floor(Math.random() * 2147483647);
+                    // Restart the stream from the track's seed
+                    this.setSeed(value);
                     break;
                 case 'stop':
                     this.isActive = false;
                     break;
+                case 'setSeed':
+                    this.setSeed(value);
+                    break;
+                case 'setGenerator':
+                    this.setGenerator(value);
+                    break;
+                case 'setDistribution':
+                    this.setDistribution(value.distribution, value.sigmaClip);
+                    break;
+                case 'setColor':
+                    this.setNoiseColor(value);
+                    break;
+                case 'setSource':
+                    this.setSource(value);
+                    break;
+                case 'setFileData':
+                    this.setFileData(value);
+                    break;
+                case 'setCorrelation':
+                    this.correlation = Math.max(0, Math.min(1, value));
+                    this.noiseSource.setCorrelation(this.correlation);
+                    break;
                 default:
                     console.warn(`Unknown message type: ${type}`);
             }
@@ -49,17 +94,124 @@ class NoiseProcessor extends AudioWorkletProcessor {
     }
     
     /**
-     * Generate high-quality white noise sample
-     * Uses Linear Congruential Generator for consistent, high-quality noise
-     * @returns {number} Noise sample in range [-1, 1]
+     * Generate one high-quality white noise frame (one sample per channel)
+     * Uses the seeded noise stream shared with the exporter
+     * @returns {Float64Array} Noise frame, samples in range [-1, 1]
+     */
+    generateNoiseFrame() {
+        this.noiseSource.nextFrame(this.frame);
+        return this.frame;
+    }
+    
+    /**
+     * Restart the noise stream from a seed
+     * @param {number} seed - Unsigned 32-bit seed (a random seed is used if omitted)
+     */
+    setSeed(seed) {
+        if (seed === undefined) {
+            seed = SeededNoiseSource.randomSeed();
+        }
+        
+        if (!SeededNoiseSource.isValidSeed(seed)) {
+            console.warn(`Invalid noise seed: ${seed}`);
+            return;
+        }
+        
+        this.seed = seed;
+        this.noiseSource = new MultichannelNoiseSource(seed, this.channels, this.correlation, 0, this.sourceOptions);
+        // Fresh filter state too, so the same seed always gives the same output
+        this.colorShapers = [];
+    }
+    
+    /**
+     * Switch the PRNG backend, restarting the stream from the current seed
+     * @param {string} type - Generator id (see RandomGenerator.TYPES)
+     */
+    setGenerator(type) {
+        if (!RandomGenerator.TYPES[type]) {
+            console.warn(`Unknown noise generator: ${type}`);
+            return;
+        }
+        
+        this.sourceOptions = { ...this.sourceOptions, generator: type };
+        this.setSeed(this.seed);
+    }
+    
+    /**
+     * Switch the amplitude distribution, restarting the stream from the current seed
+     * @param {string} distribution - Distribution (see SeededNoiseSource.DISTRIBUTIONS)
+     * @param {number} sigmaClip - Truncation point for 'truncated-gaussian'
+     */
+    setDistribution(distribution, sigmaClip) {
+        if (!SeededNoiseSource.DISTRIBUTIONS.includes(distribution)) {
+            console.warn(`Unknown noise distribution: ${distribution}`);
+            return;
+        }
+        
+        this.sourceOptions = { ...this.sourceOptions, distribution, sigmaClip };
+        this.setSeed(this.seed);
+    }
+    
+    /**
+     * Change the noise color
+     * @param {string} color - Noise color (see NoiseColorShaper.COLORS)
+     */
+    setNoiseColor(color) {
+        if (!NoiseColorShaper.COLORS.includes(color)) {
+            console.warn(`Unknown noise color: ${color}`);
+            return;
+        }
+        
+        this.noiseColor = color;
+        // Shapers are recreated lazily per channel with fresh filter state
+        this.colorShapers = [];
+        
+        this.sourceOptions = { ...this.sourceOptions, noiseColor: color };
+        if (this.sourceOptions.sourceType === 'periodic') {
+            // The color is part of the periodic noise spectrum, so rebuild it
+            this.setSeed(this.seed);
+        }
+    }
+    
+    /**
+     * Switch the source type, restarting the stream from the current seed
+     * @param {Object} source - { sourceType, mlsOrder, period, sweep, multitone, steppedSine }
      */
-    generateNoiseSample() {
-        // Linear Congruential Generator
-        this.seed = (this.multiplier * this.seed) % this.modulus;
+    setSource(source) {
+        if (!MultichannelNoiseSource.SOURCE_TYPES.includes(source.sourceType)) {
+            console.warn(`Unknown source type: ${source.sourceType}`);
+            return;
+        }
         
-        // Convert to floating point in range [-1, 1]
-        // Normalize from [1, modulus-1] to [-1, 1]
-        return (2.0 * this.seed / this.modulus) - 1.0;
+        // Keep the previous settings of anything the message leaves out
+        const settings = Object.fromEntries(
+            Object.entries(source).filter(([, value]) => value !== undefined && value !== null)
+        );
+        this.sourceOptions = { ...this.sourceOptions, ...settings };
+        this.setSeed(this.seed);
+    }
+    
+    /**
+     * Replace the decoded audio file data (at the context sample rate)
+     * @param {Object|null} fileData - { sampleRate, channels: Float32Array[] }
+     */
+    setFileData(fileData) {
+        this.sourceOptions = { ...this.sourceOptions, fileData };
+        if (this.sourceOptions.sourceType === 'file') {
+            this.setSeed(this.seed);
+        }
+    }
+    
+    /**
+     * Get the color shaper for an output channel
+     * @param {number} channel - Output channel index
+     * @returns {NoiseColorShaper} Color shaper for the channel
+     */
+    getColorShaper(channel) {
+        if (!this.colorShapers[channel]) {
+            this.colorShapers[channel] = new NoiseColorShaper(this.noiseColor, sampleRate);
+        }
+        return this.colorShapers[channel];
     }
     
     /**
@@ -85,21 +237,32 @@ class NoiseProcessor extends AudioWorkletProcessor {
         
         const blockSize = output[0].length;
         
-        // Generate noise samples for all channels
-        for (let channel = 0; channel < output.length; channel++) {
-            const channelData = output[channel];
+        if (!this.isActive) {
+            // Output silence when inactive
+            for (let channel = 0; channel < output.length; channel++) {
+                output[channel].fill(0);
+            }
+            return true;
+        }
+        
+        const channels = Math.min(output.length, this.channels);
+        
+        // One value when the gain is constant for the block, one per sample while automated
+        const gain = parameters.gain;
+        const gainIsConstant = gain.length === 1;
+        
+        // MLS must stay binary and periodic noise is colored in its spectrum
+        const shapeColor = this.sourceOptions.sourceType === 'noise';
+        
+        // Generate frame by frame so every channel advances the stream together
+        for (let i = 0; i < blockSize; i++) {
+            const frame = this.generateNoiseFrame();
+            const sampleGain = gainIsConstant ? gain[0] : gain[i];
             
-            for (let i = 0; i < blockSize; i++) {
-                if (this.isActive) {
-                    // Generate high-quality white noise
-                    const noiseSample = this.generateNoiseSample();
-                    
-                    // Apply gain
-                    channelData[i] = noiseSample * this.gain;
-                } else {
-                    // Output silence when inactive
-                    channelData[i] = 0;
-                }
+            for (let channel = 0; channel < channels; channel++) {
+                // Shape each channel to the selected color (random noise only), then apply gain
+                const noiseSample = shapeColor ? this.getColorShaper(channel).process(frame[channel]) : frame[channel];
+                output[channel][i] = noiseSample * sampleGain;
             }
         }
         
@@ -109,10 +272,19 @@ class NoiseProcessor extends AudioWorkletProcessor {
     
     /**
      * Define the processor's parameter descriptors
-     * Currently using message-based parameter updates for more control
+     * Gain is an a-rate AudioParam so ramps and curves apply sample by sample;
+     * source settings (seed, color, ...) still use port messages
      */
     static get parameterDescriptors() {
-        return [];
+        return [
+            {
+                name: 'gain',
+                defaultValue: 0.5, // Default gain (50%)
+                minValue: 0,
+                maxValue: 1,
+                automationRate: 'a-rate'
+            }
+        ];
     }
 }
 